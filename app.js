@@ -360,11 +360,24 @@
     groups: [],
     cableSystems: [],  // Cable system objects
     multilinkGroups: [],  // Multilink group objects
+    srlgs: [],  // Shared risk link groups
+    criticalPairs: [],  // Endpoint pairs tracked by the failure simulation
+    quotes: [],  // Customer quotes saved from the Quote Builder
+    rateCards: [],  // Imported price books, one entry per version
+    priceChangelog: [],  // Reprice runs with every price they changed
+    demands: [],  // Traffic demands routed by the Demand Matrix
+    checkpoints: [],  // Named project snapshots: { id, name, createdAt, snapshot }
     nextNode: 1,
     nextEdge: 1,
     nextGroup: 1,
     nextCableSystem: 1,
     nextMultilinkGroup: 1,
+    nextSrlg: 1,
+    nextCriticalPair: 1,
+    nextQuote: 1,
+    nextRateCard: 1,
+    nextDemand: 1,
+    nextCheckpoint: 1,
     selected: null,
     selectedCableSystem: null,  // Currently selected cable system ID
     selectedMultilinkGroup: null,  // Currently selected multilink group ID
@@ -497,6 +510,9 @@
     // Format painter (session-only)
     styleBrush: null,
 
+    // Failure simulation failure set + result (session-only)
+    failureSim: null,
+
     // Multi-selection (ids)
     selection: { nodes: new Set(), edges: new Set(), groups: new Set() },
     marquee: null,
@@ -507,6 +523,8 @@
       baseCurrency: 'USD',
       exchangeRates: {},           // { EUR: 0.92, GBP: 0.79, ... }
       exchangeRatesUpdated: null,  // ISO timestamp
+      rateSnapshots: [],           // [{ id, label, date, source, savedAt, rates }]
+      activeRateSnapshotId: null,  // snapshot used for conversions, null = working rates above
       npvDiscountRate: 12.5,       // percentage
       defaultMRC: 1,
       defaultNRC: 0,
@@ -532,6 +550,49 @@
       costScale: 'logarithmic'     // 'linear' or 'logarithmic'
     },
 
+    // Latency estimator settings (project-wide)
+    latencySettings: {
+      refractiveIndex: 1.468,      // group index of standard single-mode fibre
+      routeFactor: 1.3,            // fibre km per great-circle km when a link has no geometry
+      hopDelayMs: 0.1,             // equipment delay added once per link
+      roundTrip: false,            // true when link latencies are entered as RTT
+      deviationPercent: 20,        // flag when the manual value differs by more than this...
+      deviationMinMs: 0.5          // ...and by more than this many ms
+    },
+
+    // Availability defaults per cable system type (project-wide)
+    availabilitySettings: {
+      wet: { cutsPer1000Km: 0.1, mttrHours: 336 },        // faults per 1000 km per year, ship repair
+      terrestrial: { cutsPer1000Km: 2, mttrHours: 12 },   // links without a cable system count as terrestrial
+      fallbackKm: 100              // length used when neither geometry, GPS nor latency is known
+    },
+
+    // Quote Builder branding and pricing rules (project-wide)
+    quoteSettings: {
+      companyName: '',
+      companyDetails: '',          // address / contact lines printed under the name
+      accentColor: '#1d4ed8',
+      validityDays: 30,
+      defaultRule: { type: 'markup', percent: 25 },
+      rules: []                    // { scope: 'cableSystem'|'tag', key, type: 'markup'|'margin', percent }
+    },
+
+    // Demand Matrix routing options (project-wide)
+    demandSettings: {
+      thresholdPercent: 80,        // links/MLGs loaded above this are flagged
+      preferMLGs: false            // let unprotected demands ride existing MLGs
+    },
+
+    // Growth forecast options (project-wide)
+    growthSettings: {
+      baseYear: null,              // first forecast year, null = current year
+      horizonYears: 10,
+      defaultPercent: 20,          // yearly demand growth when no rule matches
+      upgradeTier: '100G',         // capacity is added in units of this tier
+      costBasis: 'iru',            // 'iru' (IRU fee per unit) or 'lease' (NRC + 12 × MRC per unit)
+      rules: []                    // { scope: 'region'|'tag', key, percent, fromYear, toYear }
+    },
+
     // Default node style (for new nodes)
     defaultNodeStyle: {
       shape: 'circle',
@@ -562,19 +623,41 @@
   // Expose state globally for cross-script access
   window.state = state;
 
-  const history = { stack: [], index: -1, max: 120 };
+  // Undo history: patch-based steps, bounded by step count and by the characters of JSON they keep
+  const history = { stack: [], index: -1, max: 120, maxChars: 32 * 1024 * 1024, chars: 0, baseline: null };
   let dirty = false;
 
+  // ============== DEMAND LOAD STATE ==============
+  // Result of the last Demand Matrix routing run (session only, not saved)
+  const demandLoadState = {
+    routedAt: null,            // ISO timestamp of the last run, null = never routed
+    stale: false,              // demands changed since the last run
+    results: new Map(),        // demandId -> { status, primary, protection, reason }
+    linkLoads: new Map(),      // edgeId -> { working, protection } in Gbps
+    mlgLoads: new Map()        // mlgId -> Gbps carried through the MLG
+  };
+
+  function resetDemandLoads() {
+    demandLoadState.routedAt = null;
+    demandLoadState.stale = false;
+    demandLoadState.results = new Map();
+    demandLoadState.linkLoads = new Map();
+    demandLoadState.mlgLoads = new Map();
+  }
+
+  // ============== PROJECT DIFF HIGHLIGHT STATE ==============
+  // Set by Compare Projects: { nodes: Map uuid→status, edges: Map uuid→status, ghosts }
+  // where status is 'added' | 'removed' | 'changed' (relative to the open project)
+  let projectDiffHighlight = null;
+  const PROJECT_DIFF_COLORS = { added: '#22c55e', removed: '#ef4444', changed: '#f59e0b' };
+
   // ============== HEAT MAP STATE ==============
   const heatMapState = {
     active: false,
-    mode: 'off',           // 'off', 'capacity', 'price'
+    mode: 'off',           // 'off' or a HEAT_MAP_MODES key ('capacity', 'price', 'mrcPerKm', 'nodeDegree', ...)
     priceTier: '10G',      // '1G', '10G', '100G', '400G'
-    // Mode-specific colors (capacity uses inverted: red=low, green=high)
-    capacityColdColor: '#ef4444',  // Red - low/no capacity (bad)
-    capacityHotColor: '#22c55e',   // Green - high capacity (good)
-    priceColdColor: '#22c55e',     // Green - low price (good)
-    priceHotColor: '#ef4444',      // Red - high price (bad)
+    // Colors picked per mode ({ capacity: { cold, hot } }); defaults live in HEAT_MAP_MODES
+    modeColors: {},
     // Current active colors (set based on mode)
     coldColor: '#ef4444',
     hotColor: '#22c55e',
@@ -1555,6 +1638,10 @@ document.getElementById('miSave').addEventListener('click', () => { closeAllMenu
   document.getElementById('miOpen').addEventListener('click', () => { closeAllMenus(); openProjectWithFilePicker(); });
   document.getElementById('miRecover').addEventListener('click', () => { closeAllMenus(); recoverAutosave(); });
   document.getElementById('miClearAutosave').addEventListener('click', () => { closeAllMenus(); clearAutosave(); });
+  document.getElementById('miValidateProject').addEventListener('click', () => {
+    closeAllMenus();
+    showProjectValidationDialog(validateProjectObject(buildProjectObject()));
+  });
   document.getElementById('miClearDiagram').addEventListener('click', () => { closeAllMenus(); clearDiagram(); });
   document.getElementById('miTrimCanvas').addEventListener('click', () => { closeAllMenus(); trimCanvasToContent(); });
 
@@ -4668,9 +4755,20 @@ document.getElementById('miSave').addEventListener('click', () => { closeAllMenu
       nodes: state.nodes, edges: state.edges, groups: state.groups,
       cableSystems: state.cableSystems,
       multilinkGroups: state.multilinkGroups,
+      srlgs: state.srlgs,
+      criticalPairs: state.criticalPairs,
+      quotes: state.quotes,
+      rateCards: state.rateCards,
+      priceChangelog: state.priceChangelog,
+      demands: state.demands,
       nextNode: state.nextNode, nextEdge: state.nextEdge, nextGroup: state.nextGroup,
       nextCableSystem: state.nextCableSystem,
       nextMultilinkGroup: state.nextMultilinkGroup,
+      nextSrlg: state.nextSrlg,
+      nextCriticalPair: state.nextCriticalPair,
+      nextQuote: state.nextQuote,
+      nextRateCard: state.nextRateCard,
+      nextDemand: state.nextDemand,
       stylePresets: state.stylePresets,
       canvasWidth: state.canvasWidth,
       canvasHeight: state.canvasHeight,
@@ -4683,12 +4781,23 @@ document.getElementById('miSave').addEventListener('click', () => { closeAllMenu
     state.groups = snap.groups || [];
     state.cableSystems = snap.cableSystems || [];
     state.multilinkGroups = snap.multilinkGroups || [];
+    state.srlgs = snap.srlgs || [];
+    state.criticalPairs = snap.criticalPairs || [];
+    state.quotes = snap.quotes || [];
+    state.rateCards = snap.rateCards || [];
+    state.priceChangelog = snap.priceChangelog || [];
+    state.demands = snap.demands || [];
     state.nextNode = snap.nextNode || (Math.max(0, ...state.nodes.map(n=>n.id)) + 1);
     state.nextEdge = snap.nextEdge || (Math.max(0, ...state.edges.map(e=>e.id)) + 1);
     state.nextGroup = snap.nextGroup || (Math.max(0, ...state.groups.map(g=>g.id)) + 1);
     state.nextCableSystem = snap.nextCableSystem || (Math.max(0, ...state.cableSystems.map(cs=>cs.id)) + 1);
     // Filter out string IDs (like "mlg_123") when calculating next numeric ID
     state.nextMultilinkGroup = snap.nextMultilinkGroup || (Math.max(0, ...state.multilinkGroups.filter(mlg => typeof mlg.id === 'number').map(mlg=>mlg.id)) + 1);
+    state.nextSrlg = snap.nextSrlg || (Math.max(0, ...state.srlgs.map(s=>s.id)) + 1);
+    state.nextCriticalPair = snap.nextCriticalPair || (Math.max(0, ...state.criticalPairs.map(p=>p.id)) + 1);
+    state.nextQuote = snap.nextQuote || (Math.max(0, ...state.quotes.map(q=>q.id)) + 1);
+    state.nextRateCard = snap.nextRateCard || (Math.max(0, ...state.rateCards.map(c=>c.id)) + 1);
+    state.nextDemand = snap.nextDemand || (Math.max(0, ...state.demands.map(d=>d.id)) + 1);
 
     // Backward compatibility: ensure cableSystemId exists on edges
     state.edges.forEach(e => {
@@ -4722,31 +4831,357 @@ document.getElementById('miSave').addEventListener('click', () => { closeAllMenu
     refreshAllMemberships();
     render();
     updateInspector();
-    updateCableSystemNavigator && updateCableSystemNavigator();
+    if (typeof updateCableSystemNavigator === 'function') updateCableSystemNavigator();
+  }
+  // Checkpoint snapshots stay untouched; the live state always gets its own copy
+  const cloneHistorySnapshot = (snap) => JSON.parse(JSON.stringify(snap));
+
+  // What each undoable collection is called in history descriptions
+  const HISTORY_COLLECTIONS = {
+    nodes:           { one: 'node',          many: 'nodes',          name: n => n.name || n.code },
+    edges:           { one: 'link',          many: 'links',          name: e => e.code || e.tag },
+    groups:          { one: 'container',     many: 'containers',     name: g => g.title },
+    cableSystems:    { one: 'cable system',  many: 'cable systems',  name: c => c.name || c.shortName },
+    multilinkGroups: { one: 'MLG',           many: 'MLGs',           name: m => m.name },
+    srlgs:           { one: 'SRLG',          many: 'SRLGs',          name: s => s.name },
+    criticalPairs:   { one: 'critical pair', many: 'critical pairs', name: p => p.name },
+    quotes:          { one: 'quote',         many: 'quotes',         name: q => q.ref },
+    rateCards:       { one: 'rate card',     many: 'rate cards',     name: c => c.name },
+    priceChangelog:  { one: 'price change',  many: 'price changes',  name: r => r.rateCardName },
+    demands:         { one: 'demand',        many: 'demands',        name: d => d.name }
+  };
+
+  // Project-level values restored by undo alongside the collections
+  const HISTORY_SCALARS = [
+    'nextNode', 'nextEdge', 'nextGroup', 'nextCableSystem', 'nextMultilinkGroup', 'nextSrlg',
+    'nextCriticalPair', 'nextQuote', 'nextRateCard', 'nextDemand',
+    'stylePresets', 'canvasWidth', 'canvasHeight', 'showCanvasBorder'
+  ];
+
+  // Field -> wording used in "Edited <label> on <name>"; unlisted fields use their own name
+  const HISTORY_FIELD_LABELS = {
+    leaseMRC: 'MRC', leaseNRC: 'NRC', iruFee: 'IRU fee', iruTerm: 'IRU term',
+    iruOamPercent: 'O&M %', iruOamAnnualIncrement: 'O&M increment',
+    commercialCostMode: 'cost mode', commercialCostOverride: 'cost override',
+    cap1G: 'capacity', cap10G: 'capacity', cap100G: 'capacity', cap400G: 'capacity', capTbps: 'capacity',
+    tags: 'tags', extraTags: 'tags', filterTags: 'tags',
+    cableGeometry: 'geometry', curveArch: 'geometry', route: 'geometry',
+    cableSystemId: 'cable system', cableSystemIds: 'cable systems',
+    gpsLat: 'GPS', gpsLon: 'GPS', w: 'size', h: 'size',
+    linkIds: 'members', nodeIds: 'members', a: 'endpoints', b: 'endpoints',
+    nameDx: 'label position', nameDy: 'label position', tagDx: 'label position', tagDy: 'label position',
+    fill: 'style', stroke: 'style', strokeW: 'style', shape: 'style', r: 'style'
+  };
+  const HISTORY_MOVE_FIELDS = new Set(['x', 'y', 'groupId', 'parentId']);
+
+  /**
+   * Keys that identify a collection's entities between steps: their ids, or
+   * their positions when ids are missing or repeated.
+   */
+  function getHistoryKeys(list) {
+    const ids = list.map(item => item?.id);
+    const unique = ids.every(id => typeof id === 'number' || typeof id === 'string') && new Set(ids).size === ids.length;
+    return unique ? ids : ids.map((_, i) => `#${i}`);
+  }
+
+  // Entity -> { json, leaves }: its last serialization and the flattened values it was made from
+  const historyJsonCache = new WeakMap();
+  const HISTORY_ARRAY_END = {};
+  const HISTORY_OBJECT_END = {};
+  const HISTORY_NEVER_SAME = {};
+
+  // Flatten a value into the sequence of keys, lengths and primitives it serializes from
+  function flattenHistoryValue(value, out) {
+    if (value === null || typeof value !== 'object') { out.push(value); return; }
+    if (typeof value.toJSON === 'function') { out.push(HISTORY_NEVER_SAME); return; }
+    if (Array.isArray(value)) {
+      out.push(value.length);
+      for (let i = 0; i < value.length; i++) flattenHistoryValue(value[i], out);
+      out.push(HISTORY_ARRAY_END);
+      return;
+    }
+    for (const k in value) { out.push(k); flattenHistoryValue(value[k], out); }
+    out.push(HISTORY_OBJECT_END);
+  }
+
+  // Walk a value against its flattened form; returns the position after it, or -1 once anything differs
+  function matchHistoryLeaves(value, leaves, pos) {
+    if (value === null || typeof value !== 'object') return leaves[pos] === value ? pos + 1 : -1;
+    if (Array.isArray(value)) {
+      if (leaves[pos] !== value.length) return -1;
+      pos++;
+      for (let i = 0; i < value.length && pos >= 0; i++) pos = matchHistoryLeaves(value[i], leaves, pos);
+      return pos >= 0 && leaves[pos] === HISTORY_ARRAY_END ? pos + 1 : -1;
+    }
+    for (const k in value) {
+      if (leaves[pos] !== k) return -1;
+      pos = matchHistoryLeaves(value[k], leaves, pos + 1);
+      if (pos < 0) return -1;
+    }
+    return leaves[pos] === HISTORY_OBJECT_END ? pos + 1 : -1;
+  }
+
+  /**
+   * JSON for one entity. Entities are edited in place all over the app, so the
+   * cached JSON is reused only after a walk confirms nothing in the entity
+   * changed since; comparing values is much cheaper than building the string,
+   * and only entities that did change are serialized again.
+   */
+  function serializeHistoryEntity(item) {
+    if (item === null || typeof item !== 'object') return JSON.stringify(item);
+    const cached = historyJsonCache.get(item);
+    if (cached && matchHistoryLeaves(item, cached.leaves, 0) === cached.leaves.length) return cached.json;
+    const json = JSON.stringify(item);
+    const leaves = [];
+    flattenHistoryValue(item, leaves);
+    historyJsonCache.set(item, { json, leaves });
+    return json;
+  }
+
+  // Serialize the live project into the form the history baseline keeps
+  function serializeHistoryState() {
+    const collections = {};
+    Object.keys(HISTORY_COLLECTIONS).forEach(key => {
+      const list = Array.isArray(state[key]) ? state[key] : [];
+      const order = getHistoryKeys(list);
+      collections[key] = { order, items: new Map(list.map((item, i) => [order[i], serializeHistoryEntity(item)])) };
+    });
+    const scalars = new Map(HISTORY_SCALARS.map(name => [name, JSON.stringify(state[name] ?? null)]));
+    return { collections, scalars };
+  }
+
+  const sameHistoryOrder = (a, b) => a.length === b.length && a.every((k, i) => k === b[i]);
+
+  function getChangedFields(before, after) {
+    const a = before ? JSON.parse(before) : {};
+    const b = after ? JSON.parse(after) : {};
+    return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+      .filter(f => JSON.stringify(a[f]) !== JSON.stringify(b[f]));
   }
-  function pushHistory() {
-    const snap = projectSnapshot();
+
+  /**
+   * Compare the live project with the baseline and return the patch between
+   * them, or null when nothing changed. Only changed entities are kept.
+   * @returns {Object|null} { changes: [{ key, id, before, after, fields }], orders, scalars, chars }
+   */
+  function buildHistoryPatch(baseline) {
+    const current = serializeHistoryState();
+    const changes = [];
+    const orders = {};
+    const scalars = {};
+    let chars = 0;
+    Object.keys(HISTORY_COLLECTIONS).forEach(key => {
+      const was = baseline.collections[key];
+      const now = current.collections[key];
+      new Set([...was.order, ...now.order]).forEach(id => {
+        const before = was.items.get(id) ?? null;
+        const after = now.items.get(id) ?? null;
+        if (before === after) return;
+        changes.push({ key, id, before, after, fields: before && after ? getChangedFields(before, after) : null });
+        chars += (before?.length || 0) + (after?.length || 0);
+      });
+      if (!sameHistoryOrder(was.order, now.order)) {
+        orders[key] = { before: was.order, after: now.order };
+        chars += was.order.length + now.order.length;
+      }
+    });
+    current.scalars.forEach((after, name) => {
+      const before = baseline.scalars.get(name);
+      if (before === after) return;
+      scalars[name] = { before, after };
+      chars += before.length + after.length;
+    });
+    if (changes.length === 0 && Object.keys(orders).length === 0 && Object.keys(scalars).length === 0) return null;
+    return { changes, orders, scalars, chars, current };
+  }
+
+  // Entities and fields a patch edits; patches that add or remove entities never group
+  function getHistoryGroupKey(patch) {
+    if (Object.keys(patch.orders).length > 0 || patch.changes.some(c => !c.fields)) return null;
+    return [
+      ...patch.changes.map(c => `${c.key}:${c.id}:${c.fields.join(',')}`),
+      ...Object.keys(patch.scalars).map(name => `scalar:${name}`)
+    ].sort().join('|');
+  }
+
+  /**
+   * Describe a history patch, e.g. "Moved 4 nodes" or "Edited MRC on L-12".
+   * At most three parts are listed.
+   */
+  function describeHistoryChange(patch) {
+    const parts = [];
+    Object.entries(HISTORY_COLLECTIONS).forEach(([key, def]) => {
+      const changes = patch.changes.filter(c => c.key === key);
+      if (changes.length === 0) {
+        if (patch.orders[key]) parts.push(`Reordered ${def.many}`);
+        return;
+      }
+      const label = (json) => { const item = JSON.parse(json); return def.name(item) || `${def.one} ${item.id}`; };
+      const added = changes.filter(c => !c.before);
+      const removed = changes.filter(c => !c.after);
+      const changed = changes.filter(c => c.fields);
+
+      if (added.length === 1) parts.push(`Added ${def.one} ${label(added[0].after)}`);
+      else if (added.length > 1) parts.push(`Added ${added.length} ${def.many}`);
+      if (removed.length === 1) parts.push(`Deleted ${def.one} ${label(removed[0].before)}`);
+      else if (removed.length > 1) parts.push(`Deleted ${removed.length} ${def.many}`);
+      if (changed.length === 0) return;
+
+      const fields = new Set(changed.flatMap(c => c.fields));
+      const target = changed.length === 1 ? label(changed[0].after) : `${changed.length} ${def.many}`;
+      if ([...fields].every(f => HISTORY_MOVE_FIELDS.has(f))) {
+        parts.push(`Moved ${changed.length === 1 ? `${def.one} ${target}` : target}`);
+      } else {
+        const labels = [...new Set([...fields].filter(f => !HISTORY_MOVE_FIELDS.has(f)).map(f => HISTORY_FIELD_LABELS[f] || f))];
+        parts.push(`Edited ${labels.slice(0, 3).join(', ')}${labels.length > 3 ? '…' : ''} on ${target}`);
+      }
+    });
+    if (patch.scalars.canvasWidth || patch.scalars.canvasHeight) parts.push('Resized canvas');
+    if (patch.scalars.stylePresets) parts.push('Changed style presets');
+    if (parts.length === 0) return 'Other change';
+    return parts.length > 3 ? `${parts.slice(0, 3).join(', ')} +${parts.length - 3} more` : parts.join(', ');
+  }
+
+  // The continuous gesture (typing in a field, dragging a slider or colour
+  // picker) whose commits currently merge into one undo step, if any
+  let historyGroup = null;
+
+  /**
+   * Start merging commits into one undo step until endHistoryGroup(). Only
+   * consecutive commits to the same fields of the same entities merge; anything
+   * else still becomes a step of its own.
+   */
+  function beginHistoryGroup(source) {
+    if (historyGroup && historyGroup.source === source) return;
+    historyGroup = { source, entry: null, active: false };
+  }
+  function endHistoryGroup() { historyGroup = null; }
+
+  // A form control opens a group on its first input and closes it once the value
+  // is committed (change) or left (blur); any click or key outside it closes it too.
+  // Only commits made while one of its input events is handled join the group.
+  document.addEventListener('input', (e) => { beginHistoryGroup(e.target); historyGroup.active = true; }, true);
+  window.addEventListener('input', () => { if (historyGroup) historyGroup.active = false; });
+  ['change', 'focusout'].forEach(type => document.addEventListener(type, (e) => {
+    if (historyGroup && historyGroup.source === e.target) endHistoryGroup();
+  }, true));
+  ['mousedown', 'keydown'].forEach(type => document.addEventListener(type, (e) => {
+    if (historyGroup && historyGroup.source !== e.target) endHistoryGroup();
+  }, true));
+
+  /**
+   * Record the current project as a new undo step. Each history entry is
+   * { description, at, patch }: only the entities and settings that changed
+   * since the previous step are stored, against a serialized baseline of the
+   * current step. Without an explicit description one is derived from the patch.
+   * Inside a history group, repeated edits of the same fields extend one step.
+   */
+  function pushHistory(description) {
+    if (history.index < 0 || !history.baseline) {
+      history.baseline = serializeHistoryState();
+      history.stack = [{ description: description || 'Start', at: Date.now(), patch: null }];
+      history.index = 0;
+      history.chars = 0;
+      refreshHistoryPanel();
+      return;
+    }
+    const patch = buildHistoryPatch(history.baseline);
+    if (!patch) return;
+    history.baseline = patch.current;
+    delete patch.current;
+
+    const now = Date.now();
+    const top = history.stack[history.index];
+    const grouping = historyGroup?.active && !description;
+    const groupKey = grouping ? getHistoryGroupKey(patch) : null;
+    if (groupKey && historyGroup.entry === top && top.groupKey === groupKey && history.index === history.stack.length - 1) {
+      // Same edit continuing: keep the first "before", take the latest "after"
+      const latest = new Map(patch.changes.map(c => [`${c.key}:${c.id}`, c]));
+      history.chars -= top.patch.chars;
+      top.patch.chars = 0;
+      top.patch.changes.forEach(c => {
+        c.after = latest.get(`${c.key}:${c.id}`).after;
+        top.patch.chars += c.before.length + c.after.length;
+      });
+      Object.entries(patch.scalars).forEach(([name, s]) => {
+        top.patch.scalars[name].after = s.after;
+        top.patch.chars += top.patch.scalars[name].before.length + s.after.length;
+      });
+      history.chars += top.patch.chars;
+      top.description = describeHistoryChange(top.patch);
+      refreshHistoryPanel();
+      return;
+    }
+
     if (history.index < history.stack.length - 1) {
+      history.stack.slice(history.index + 1).forEach(e => { history.chars -= e.patch.chars; });
       history.stack = history.stack.slice(0, history.index + 1);
     }
-    history.stack.push(snap);
-    if (history.stack.length > history.max) history.stack.shift();
-    else history.index++;
+    history.stack.push({ description: description || describeHistoryChange(patch), at: now, groupKey, patch });
+    if (grouping) historyGroup.entry = groupKey ? history.stack[history.stack.length - 1] : null;
+    history.chars += patch.chars;
+    history.index++;
+    // Drop the oldest steps past the step limit or the memory budget; the
+    // latest step always stays undoable
+    while (history.stack.length > history.max || (history.chars > history.maxChars && history.index > 1)) {
+      history.stack.shift();
+      history.index--;
+      history.chars -= history.stack[0].patch.chars;
+      history.stack[0].patch = null;
+    }
+    refreshHistoryPanel();
+  }
+  function commit(description) { dirty = true; pushHistory(description); }
+
+  // Move the baseline one step along an entry's patch ('before' undoes it, 'after' redoes it)
+  function stepHistoryBaseline(entry, side) {
+    const { collections, scalars } = history.baseline;
+    entry.patch.changes.forEach(c => {
+      if (c[side] === null) collections[c.key].items.delete(c.id);
+      else collections[c.key].items.set(c.id, c[side]);
+    });
+    Object.entries(entry.patch.orders).forEach(([key, order]) => { collections[key].order = order[side]; });
+    Object.entries(entry.patch.scalars).forEach(([name, s]) => scalars.set(name, s[side]));
+  }
+
+  // Turn the baseline back into live state. Entities the live project still
+  // holds unchanged are reused; everything else is parsed from the baseline.
+  function restoreHistoryBaseline() {
+    const snap = {};
+    Object.entries(history.baseline.collections).forEach(([key, { order, items }]) => {
+      const list = Array.isArray(state[key]) ? state[key] : [];
+      const liveKeys = getHistoryKeys(list);
+      const live = new Map(list.map((item, i) => [liveKeys[i], item]));
+      snap[key] = order.map(id => {
+        const json = items.get(id);
+        const item = live.get(id);
+        return item && serializeHistoryEntity(item) === json ? item : JSON.parse(json);
+      });
+    });
+    history.baseline.scalars.forEach((json, name) => { snap[name] = JSON.parse(json); });
+    applySnapshot(snap);
+  }
+
+  /** Move the project to any step of the history, undoing or redoing the steps between. */
+  function moveHistoryTo(index) {
+    endHistoryGroup();
+    while (history.index > index) stepHistoryBaseline(history.stack[history.index--], 'before');
+    while (history.index < index) stepHistoryBaseline(history.stack[++history.index], 'after');
+    restoreHistoryBaseline();
+    dirty = true;
+    refreshHistoryPanel();
   }
-  function commit() { dirty = true; pushHistory(); }
+
   function undo() {
     if (history.index <= 0) { showToast("Nothing to undo."); return; }
-    history.index--;
-    applySnapshot(history.stack[history.index]);
-    dirty = true;
-    showToast("Undo");
+    const undone = history.stack[history.index].description;
+    moveHistoryTo(history.index - 1);
+    showToast(`Undo: ${undone}`);
   }
   function redo() {
     if (history.index >= history.stack.length - 1) { showToast("Nothing to redo."); return; }
-    history.index++;
-    applySnapshot(history.stack[history.index]);
-    dirty = true;
-    showToast("Redo");
+    moveHistoryTo(history.index + 1);
+    showToast(`Redo: ${history.stack[history.index].description}`);
   }
 
   function svgLine(x1,y1,x2,y2,cls){
@@ -4956,6 +5391,9 @@ document.getElementById('miSave').addEventListener('click', () => { closeAllMenu
       }
     });
 
+    // Entities that only exist in the compared project (Compare Projects)
+    if (projectDiffHighlight) drawProjectDiffGhosts();
+
     // Second pass: draw endpoint handles for selected edges ABOVE nodes
     for (const edgeId in _selEdgeEndpoints) {
       const ep = _selEdgeEndpoints[edgeId];
@@ -5084,6 +5522,8 @@ document.getElementById('miSave').addEventListener('click', () => { closeAllMenu
       r.setAttribute('height', state.marquee.h);
       svg.appendChild(r);
     }
+    // Re-apply failure simulation highlights (classes are lost when the SVG is rebuilt)
+    if (state.failureSim) applyFailureSimHighlights();
     updateInspector();
     // Refresh Label Manager if visible
     if (window.labelManagerState?.visible && typeof window.refreshLabelManager === 'function') {
@@ -5662,7 +6102,8 @@ document.getElementById('miSave').addEventListener('click', () => { closeAllMenu
     // Check if this edge should be highlighted (cable system selection or temporary highlight)
     const isCSHighlighted = state.selectedCableSystem && e.cableSystemId === state.selectedCableSystem;
     const isTempHighlighted = state._highlightedLinks && state._highlightedLinks.has(e.id);
-    const isHighlighted = isCSHighlighted || isTempHighlighted;
+    const diffStatus = projectDiffHighlight?.edges.get(e.uuid);
+    const isHighlighted = isCSHighlighted || isTempHighlighted || !!diffStatus;
 
     // Calculate offset for parallel edges between same nodes
     // Normalize node pair to ensure consistent ordering (smaller id first)
@@ -5734,7 +6175,7 @@ document.getElementById('miSave').addEventListener('click', () => { closeAllMenu
       } else {
         glowPath.setAttribute('d', `M${ax},${ay} L${bx},${by}`);
       }
-      glowPath.setAttribute('stroke', '#00d4ff');
+      glowPath.setAttribute('stroke', diffStatus ? PROJECT_DIFF_COLORS[diffStatus] : '#00d4ff');
       glowPath.setAttribute('stroke-width', (e.strokeW ?? 2) + 8);
       glowPath.setAttribute('fill', 'none');
       glowPath.setAttribute('opacity', '0.5');
@@ -6152,7 +6593,8 @@ document.getElementById('miSave').addEventListener('click', () => { closeAllMenu
     const nodeCSIds = n.cableSystemIds || [];
     const isCSHighlighted = state.selectedCableSystem && nodeCSIds.includes(state.selectedCableSystem);
     const isTempHighlighted = state._highlightedNodes && state._highlightedNodes.has(n.id);
-    const isHighlighted = isCSHighlighted || isTempHighlighted;
+    const diffStatus = projectDiffHighlight?.nodes.get(n.uuid);
+    const isHighlighted = isCSHighlighted || isTempHighlighted || !!diffStatus;
 
     let classes = 'node';
     // In link mode, show orange for source (pulsing) or any selected node (ready to be source)
@@ -6201,7 +6643,7 @@ document.getElementById('miSave').addEventListener('click', () => { closeAllMenu
         glow.setAttribute('r', r + 4);
       }
       glow.setAttribute('fill', 'none');
-      glow.setAttribute('stroke', '#00d4ff');
+      glow.setAttribute('stroke', diffStatus ? PROJECT_DIFF_COLORS[diffStatus] : '#00d4ff');
       glow.setAttribute('stroke-width', 6);
       glow.setAttribute('opacity', '0.6');
       glow.style.pointerEvents = 'none';
@@ -6291,7 +6733,8 @@ document.getElementById('miSave').addEventListener('click', () => { closeAllMenu
     // Apply styling only to built-in shapes (not custom SVGs)
     if (!n.customSvg) {
       c.setAttribute('class', 'node-circle');
-      c.setAttribute('fill', n.fill || "#1b2030");
+      const heatMapFill = (typeof getHeatMapNodeColor === 'function') ? getHeatMapNodeColor(n) : null;
+      c.setAttribute('fill', heatMapFill || n.fill || "#1b2030");
       c.setAttribute('stroke', n.stroke || "#9fb3ff");
       c.setAttribute('stroke-width', sw);
       // Apply line style to node border
@@ -6812,6 +7255,7 @@ const groupTitle = document.getElementById('groupTitle');
       state.groups.forEach(g => { if (g.parentId && gIds.has(g.parentId)) g.parentId = null; });
     }
 
+    pruneSrlgMembers();
     clearSelection();
     state.connectFrom = null;
     refreshAllMemberships();
@@ -6990,6 +7434,8 @@ const groupTitle = document.getElementById('groupTitle');
       }
       if (edgeFilterTags) edgeFilterTags.value = edgeTagsArray.join(', ');
       edgeLatency.value = (typeof e.latencyMs === "number" && isFinite(e.latencyMs)) ? e.latencyMs : '';
+      updateEdgeLatencyEstimate(e);
+      updateEdgeAvailabilityFields(e);
       if (edgePriority) edgePriority.value = (typeof e.priority === "number" && isFinite(e.priority)) ? e.priority : 0;
 
       // Populate capacity inventory fields
@@ -8343,6 +8789,8 @@ if (groupTitleFontInline) {
       tag:'',
       filterTags: ['default'],
       latencyMs:null,
+      mtbfHours: null,      // null = default from cable system type and length
+      mttrHours: null,
       strokeW: ls.strokeWidth || 2,
       strokeColor: ls.stroke || "#666666",
       dashArray: ls.dashArray || '',
@@ -8531,6 +8979,7 @@ if (groupTitleFontInline) {
 
     // Remove the cable system
     state.cableSystems = state.cableSystems.filter(c => c.id !== id);
+    if (mode === 'deleteAll') pruneSrlgMembers();
 
     // Clear selection if this was selected
     if (state.selectedCableSystem === id) {
@@ -8630,6 +9079,7 @@ if (groupTitleFontInline) {
       state.edges = state.edges.filter(e => !edgeIds.has(e.id));
     }
 
+    pruneSrlgMembers();
     refreshAllMemberships();
     clearSelection();
     commit();
@@ -10170,6 +10620,20 @@ function createAndDownloadWorkbook(templateData, format) {
     // Create workbook
     const wb = XLSX.utils.book_new();
 
+    // Reports pass their own sheets ({ name, headers, rows }) and file name
+    if (templateData.sheets) {
+      templateData.sheets.forEach(sheet => {
+        const ws = XLSX.utils.aoa_to_sheet([sheet.headers, ...sheet.rows]);
+        ws['!cols'] = sheet.headers.map(h => ({ wch: Math.max(12, String(h).length + 2) }));
+        XLSX.utils.book_append_sheet(wb, ws, sheet.name);
+      });
+      const reportExtension = format === 'ods' ? 'ods' : 'xlsx';
+      const reportFileName = `${templateData.fileName || 'neximap_report'}.${reportExtension}`;
+      XLSX.writeFile(wb, reportFileName, { bookType: reportExtension });
+      showToast(`✓ Report downloaded: ${reportFileName}`);
+      return;
+    }
+
     // 1. Instructions sheet
     const instructionsWS = XLSX.utils.aoa_to_sheet(templateData.instructions);
     // Style the header
@@ -10222,6 +10686,19 @@ function createAndDownloadWorkbook(templateData, format) {
 function downloadAsCSVFallback(templateData) {
   const separator = ';';
 
+  // Reports: one CSV per sheet
+  if (templateData.sheets) {
+    const baseName = templateData.fileName || 'neximap_report';
+    templateData.sheets.forEach(sheet => {
+      const csv = [sheet.headers.map(v => escapeCSV(v, separator)).join(separator)];
+      sheet.rows.forEach(row => csv.push(row.map(v => escapeCSV(v, separator)).join(separator)));
+      const suffix = templateData.sheets.length > 1 ? `_${sheet.name.replace(/\W+/g, '_')}` : '';
+      downloadText(`${baseName}${suffix}.csv`, csv.join('\r\n'), 'text/csv;charset=utf-8');
+    });
+    showToast('✓ Report CSV downloaded.');
+    return;
+  }
+
   // Instructions
   downloadText('1_Instructions.csv', templateData.instructions.map(row => row.join(separator)).join('\r\n'), 'text/csv;charset=utf-8');
 
@@ -11026,10 +11503,434 @@ async function executeImportWithData(nodesData, linksData, containersData, mode)
 // ============== END IMPORT TEMPLATE & PROJECT IMPORT ==============
 
   const NDG_FILETYPE = "NDG_PROJECT";
-  const NDG_VERSION = 2;
-  const LS_AUTOSAVE_KEY = "ndg_autosave_v2";
+  const NDG_VERSION = 3;
+  const LS_AUTOSAVE_KEY = "ndg_autosave_v2";  // legacy single autosave, still offered for recovery
   const LS_LASTNAME_KEY = "ndg_last_filename_v2";
+  const LS_SESSION_KEY = "ndg_session_v1";
   const AUTOSAVE_INTERVAL_MS = 5000;
+  const AUTOSAVE_DB_NAME = "ndg_autosave";
+  const AUTOSAVE_STORE = "slots";
+  const AUTOSAVE_SLOTS = 5;
+
+  // ============== PROJECT SCHEMA & MIGRATIONS ==============
+  // NDG_PROJECT files carry a format version. On load the file is first run
+  // through the migration chain up to NDG_VERSION, then checked against the
+  // JSON Schema below and for references that point nowhere. These helpers are
+  // pure (no state, no DOM) so they also work headlessly via window.NDGProject.
+
+  const NULLABLE_INT = { type: ['integer', 'null'] };
+  const TIER_PRICE = { type: ['object', 'number'] };
+  const ID_LIST = { type: 'array', items: { type: 'integer' } };
+
+  const NDG_PROJECT_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'NexiMap project (NDG_PROJECT)',
+    type: 'object',
+    required: ['fileType', 'version', 'nodes', 'edges', 'groups'],
+    properties: {
+      fileType: { enum: ['NDG_PROJECT'] },
+      version: { type: 'integer', minimum: 1 },
+      savedAt: { type: 'string' },
+      nodes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'x', 'y'],
+          properties: {
+            id: { type: 'integer' },
+            uuid: { type: 'string' },
+            x: { type: 'number' },
+            y: { type: 'number' },
+            name: { type: 'string' },
+            code: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            groupId: NULLABLE_INT,
+            cableSystemIds: ID_LIST,
+            gpsLat: { type: ['number', 'null'] },
+            gpsLon: { type: ['number', 'null'] }
+          }
+        }
+      },
+      edges: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'a', 'b'],
+          properties: {
+            id: { type: 'integer' },
+            uuid: { type: 'string' },
+            a: { type: 'integer' },
+            b: { type: 'integer' },
+            code: { type: 'string' },
+            latencyMs: { type: ['number', 'null'] },
+            cableSystemId: NULLABLE_INT,
+            cap1G: { type: 'number', minimum: 0 },
+            cap10G: { type: 'number', minimum: 0 },
+            cap100G: { type: 'number', minimum: 0 },
+            cap400G: { type: 'number', minimum: 0 },
+            capTbps: { type: 'number', minimum: 0 },
+            leaseNRC: TIER_PRICE,
+            leaseMRC: TIER_PRICE,
+            iruFee: TIER_PRICE,
+            filterTags: { type: 'array', items: { type: 'string' } },
+            cableGeometry: { type: ['object', 'null'] }
+          }
+        }
+      },
+      groups: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'x', 'y', 'w', 'h'],
+          properties: {
+            id: { type: 'integer' },
+            type: { enum: ['region', 'country', 'dc'] },
+            parentId: NULLABLE_INT,
+            x: { type: 'number' },
+            y: { type: 'number' },
+            w: { type: 'number', minimum: 0 },
+            h: { type: 'number', minimum: 0 }
+          }
+        }
+      },
+      cableSystems: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            shortName: { type: 'string' },
+            rfsYear: NULLABLE_INT,
+            fiberPairs: { type: ['number', 'null'] },
+            capacityTbps: { type: ['number', 'null'] }
+          }
+        }
+      },
+      multilinkGroups: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'segments'],
+          properties: {
+            id: { type: ['integer', 'string'] },
+            segments: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  fromNode: NULLABLE_INT,
+                  toNode: NULLABLE_INT,
+                  paths: {
+                    type: 'array',
+                    items: { type: 'object', required: ['links'], properties: { links: ID_LIST } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      srlgs: {
+        type: 'array',
+        items: { type: 'object', required: ['id'], properties: { id: { type: 'integer' }, linkIds: ID_LIST, nodeIds: ID_LIST } }
+      },
+      criticalPairs: {
+        type: 'array',
+        items: { type: 'object', required: ['id', 'a', 'b'], properties: { id: { type: 'integer' }, a: { type: 'integer' }, b: { type: 'integer' } } }
+      },
+      quotes: {
+        type: 'array',
+        items: { type: 'object', required: ['id', 'lines'], properties: { id: { type: 'integer' }, lines: { type: 'array' }, rateSnapshotId: NULLABLE_INT } }
+      },
+      rateCards: {
+        type: 'array',
+        items: { type: 'object', required: ['id', 'entries'], properties: { id: { type: 'integer' }, entries: { type: 'array' } } }
+      },
+      priceChangelog: {
+        type: 'array',
+        items: { type: 'object', required: ['changes'], properties: { changes: { type: 'array' } } }
+      },
+      demands: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'a', 'z', 'gbps'],
+          properties: {
+            id: { type: 'integer' },
+            a: { type: 'integer' },
+            z: { type: 'integer' },
+            gbps: { type: 'number', exclusiveMinimum: 0 },
+            protection: { enum: ['none', 'link', 'node', 'srlg'] }
+          }
+        }
+      },
+      checkpoints: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'name', 'snapshot'],
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            createdAt: { type: 'string' },
+            snapshot: { type: 'object' }
+          }
+        }
+      },
+      nextNode: { type: 'integer', minimum: 1 },
+      nextEdge: { type: 'integer', minimum: 1 },
+      nextGroup: { type: 'integer', minimum: 1 },
+      nextCableSystem: { type: 'integer', minimum: 1 },
+      nextMultilinkGroup: { type: 'integer', minimum: 1 },
+      nextSrlg: { type: 'integer', minimum: 1 },
+      nextCriticalPair: { type: 'integer', minimum: 1 },
+      nextQuote: { type: 'integer', minimum: 1 },
+      nextRateCard: { type: 'integer', minimum: 1 },
+      nextDemand: { type: 'integer', minimum: 1 },
+      nextCheckpoint: { type: 'integer', minimum: 1 },
+      financialSettings: { type: 'object' },
+      pathfinderSettings: { type: 'object' },
+      latencySettings: { type: 'object' },
+      availabilitySettings: { type: 'object' },
+      quoteSettings: { type: 'object' },
+      demandSettings: { type: 'object' },
+      growthSettings: { type: 'object' }
+    }
+  };
+
+  // Collections that hold entities (and that a repair may rewrite)
+  const NDG_COLLECTIONS = ['nodes', 'edges', 'groups', 'cableSystems', 'multilinkGroups', 'srlgs', 'criticalPairs', 'quotes', 'rateCards', 'priceChangelog', 'demands'];
+
+  // Older link geometry lived in pathGeometry (a bare coordinate list). Version 2
+  // files written before NDG_VERSION moved past 2 can still carry it.
+  function movePathGeometryToCableGeometry(project) {
+    (Array.isArray(project.edges) ? project.edges : []).forEach(e => {
+      if (!e.cableGeometry && Array.isArray(e.pathGeometry) && e.pathGeometry.length > 0) {
+        e.cableGeometry = { type: 'LineString', coordinates: e.pathGeometry };
+      }
+      delete e.pathGeometry;
+    });
+  }
+
+  /**
+   * Ordered migration chain. Each step takes a project at version `from` and
+   * returns it at `from + 1`; steps may mutate the object they are given.
+   */
+  const NDG_MIGRATIONS = [
+    {
+      from: 1,
+      description: 'Moved link pathGeometry to cableGeometry and parsed cable RFS dates into rfsYear',
+      migrate(project) {
+        movePathGeometryToCableGeometry(project);
+        (Array.isArray(project.cableSystems) ? project.cableSystems : []).forEach(c => {
+          if (typeof c.rfsYear !== 'number' && typeof c.rfs === 'string') {
+            const year = parseInt(c.rfs);
+            if (year > 1990 && year < 2100) c.rfsYear = year;
+          }
+        });
+        return project;
+      }
+    },
+    {
+      from: 2,
+      description: 'Added any missing entity collections as empty lists, defaulted link cableSystemId and node cableSystemIds, and moved any remaining link pathGeometry to cableGeometry',
+      migrate(project) {
+        movePathGeometryToCableGeometry(project);
+        NDG_COLLECTIONS.forEach(key => { if (project[key] === undefined) project[key] = []; });
+        if (Array.isArray(project.edges)) project.edges.forEach(e => { if (e.cableSystemId === undefined) e.cableSystemId = null; });
+        if (Array.isArray(project.nodes)) project.nodes.forEach(n => { if (!Array.isArray(n.cableSystemIds)) n.cableSystemIds = []; });
+        return project;
+      }
+    }
+  ];
+
+  /**
+   * Bring a parsed project file up to NDG_VERSION. Files without a version are
+   * treated as version 1. The input is not modified.
+   * @returns {Object} { project, fromVersion, applied: [description], newer }
+   */
+  function migrateProjectObject(obj) {
+    if (!obj || typeof obj !== 'object') throw new Error('Empty project');
+    if (obj.fileType && obj.fileType !== NDG_FILETYPE) throw new Error('Not an NDG project');
+    const project = JSON.parse(JSON.stringify(obj));
+    const fromVersion = (typeof project.version === 'number') ? project.version : 1;
+    const applied = [];
+    let version = fromVersion;
+    NDG_MIGRATIONS.forEach(step => {
+      if (step.from !== version) return;
+      step.migrate(project);
+      applied.push(`v${step.from} → v${step.from + 1}: ${step.description}`);
+      version = step.from + 1;
+    });
+    if (version < NDG_VERSION) throw new Error(`No migration from project format v${version}`);
+    project.fileType = NDG_FILETYPE;
+    project.version = Math.max(version, fromVersion);
+    return { project, fromVersion, applied, newer: fromVersion > NDG_VERSION };
+  }
+
+  // Minimal JSON Schema check (type, enum, required, properties, items, minimum)
+  function checkAgainstSchema(value, schema, path, errors) {
+    if (errors.length >= 200) return;
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `must be one of ${schema.enum.join(', ')} (found ${JSON.stringify(value)})` });
+      return;
+    }
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+      const ok = types.some(t => t === actual || (t === 'integer' && Number.isInteger(value)) || (t === 'number' && actual === 'number' && isFinite(value)));
+      if (!ok) {
+        errors.push({ path, message: `must be ${types.join(' or ')} (found ${actual === 'number' ? value : actual})` });
+        return;
+      }
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be ≥ ${schema.minimum} (found ${value})` });
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ path, message: `must be > ${schema.exclusiveMinimum} (found ${value})` });
+    }
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, i) => checkAgainstSchema(item, schema.items, `${path}[${i}]`, errors));
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      });
+      Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+        if (value[key] !== undefined) checkAgainstSchema(value[key], sub, path ? `${path}.${key}` : key, errors);
+      });
+    }
+  }
+
+  /**
+   * Find references that point at entities which do not exist. Each issue says
+   * how repairProjectObject() will fix it.
+   * @returns {Array} [{ code, entity, id, message, fix }]
+   */
+  function findProjectReferenceIssues(project) {
+    const issues = [];
+    const list = key => Array.isArray(project[key]) ? project[key] : [];
+    const ids = key => new Set(list(key).map(x => x.id));
+    const nodeIds = ids('nodes');
+    const edgeIds = ids('edges');
+    const groupIds = ids('groups');
+    const cableIds = ids('cableSystems');
+
+    list('edges').forEach(e => {
+      const missing = [e.a, e.b].filter(id => !nodeIds.has(id));
+      if (missing.length > 0) {
+        issues.push({ code: 'edge-endpoint', entity: 'edge', id: e.id, message: `Link ${e.code || e.id} ends at missing node ${missing.join(', ')}`, fix: 'Delete the link' });
+      }
+      if (e.cableSystemId != null && !cableIds.has(e.cableSystemId)) {
+        issues.push({ code: 'edge-cable-system', entity: 'edge', id: e.id, message: `Link ${e.code || e.id} uses missing cable system ${e.cableSystemId}`, fix: 'Clear the cable system' });
+      }
+    });
+    list('nodes').forEach(n => {
+      if (n.groupId != null && !groupIds.has(n.groupId)) {
+        issues.push({ code: 'node-group', entity: 'node', id: n.id, message: `Node ${n.name || n.id} is in missing container ${n.groupId}`, fix: 'Remove it from the container' });
+      }
+      const missing = (n.cableSystemIds || []).filter(id => !cableIds.has(id));
+      if (missing.length > 0) {
+        issues.push({ code: 'node-cable-system', entity: 'node', id: n.id, message: `Node ${n.name || n.id} lists missing cable system(s) ${missing.join(', ')}`, fix: 'Drop the missing cable systems' });
+      }
+    });
+    list('groups').forEach(g => {
+      if (g.parentId != null && !groupIds.has(g.parentId)) {
+        issues.push({ code: 'group-parent', entity: 'group', id: g.id, message: `Container ${g.title || g.id} is inside missing region ${g.parentId}`, fix: 'Clear the parent region' });
+      }
+    });
+    list('multilinkGroups').forEach(m => {
+      const missing = new Set();
+      (m.segments || []).forEach(seg => (seg.paths || []).forEach(p => (p.links || []).forEach(id => { if (!edgeIds.has(id)) missing.add(id); })));
+      if (missing.size > 0) {
+        issues.push({ code: 'mlg-link', entity: 'mlg', id: m.id, message: `MLG ${m.name || m.id} uses deleted link(s) ${[...missing].join(', ')}`, fix: 'Remove the deleted links from its paths' });
+      }
+    });
+    list('srlgs').forEach(s => {
+      const missing = (s.linkIds || []).filter(id => !edgeIds.has(id)).length + (s.nodeIds || []).filter(id => !nodeIds.has(id)).length;
+      if (missing > 0) {
+        issues.push({ code: 'srlg-member', entity: 'srlg', id: s.id, message: `SRLG ${s.name || s.id} has ${missing} missing member(s)`, fix: 'Remove the missing members' });
+      }
+    });
+    list('criticalPairs').forEach(p => {
+      if (!nodeIds.has(p.a) || !nodeIds.has(p.b)) {
+        issues.push({ code: 'pair-endpoint', entity: 'criticalPair', id: p.id, message: `Critical pair ${p.name || p.id} has a missing endpoint`, fix: 'Delete the pair' });
+      }
+    });
+    list('demands').forEach(d => {
+      if (!nodeIds.has(d.a) || !nodeIds.has(d.z)) {
+        issues.push({ code: 'demand-endpoint', entity: 'demand', id: d.id, message: `Demand ${d.name || d.id} has a missing endpoint`, fix: 'Delete the demand' });
+      }
+    });
+    return issues;
+  }
+
+  /**
+   * Schema errors plus dangling references for a (migrated) project object.
+   * @returns {Object} { valid, schemaErrors: [{ path, message }], issues }
+   */
+  function validateProjectObject(project) {
+    const schemaErrors = [];
+    checkAgainstSchema(project, NDG_PROJECT_SCHEMA, '', schemaErrors);
+    const issues = findProjectReferenceIssues(project);
+    return { valid: schemaErrors.length === 0 && issues.length === 0, schemaErrors, issues };
+  }
+
+  /**
+   * Fix every dangling reference in place. Deleting a link can leave new
+   * dangling MLG/SRLG references, so this repeats until nothing is left.
+   * @returns {number} Number of fixes applied
+   */
+  function repairProjectObject(project) {
+    NDG_COLLECTIONS.forEach(key => { if (!Array.isArray(project[key])) project[key] = []; });
+    let fixed = 0;
+    for (let pass = 0; pass < 5; pass++) {
+      const issues = findProjectReferenceIssues(project);
+      if (issues.length === 0) break;
+      const nodeIds = new Set(project.nodes.map(n => n.id));
+      const cableIds = new Set(project.cableSystems.map(c => c.id));
+      const remove = { edge: new Set(), criticalPair: new Set(), demand: new Set() };
+      issues.forEach(issue => {
+        const list = { edge: project.edges, node: project.nodes, group: project.groups, mlg: project.multilinkGroups, srlg: project.srlgs }[issue.entity];
+        const item = list && list.find(x => x.id === issue.id);
+        switch (issue.code) {
+          case 'edge-endpoint': case 'pair-endpoint': case 'demand-endpoint':
+            remove[issue.entity].add(issue.id); break;
+          case 'edge-cable-system': item.cableSystemId = null; break;
+          case 'node-group': item.groupId = null; break;
+          case 'node-cable-system': item.cableSystemIds = item.cableSystemIds.filter(id => cableIds.has(id)); break;
+          case 'group-parent': item.parentId = null; break;
+          case 'mlg-link': {
+            const edgeIds = new Set(project.edges.map(e => e.id));
+            item.segments.forEach(seg => (seg.paths || []).forEach(p => { p.links = (p.links || []).filter(id => edgeIds.has(id)); }));
+            break;
+          }
+          case 'srlg-member': {
+            const edgeIds = new Set(project.edges.map(e => e.id));
+            item.linkIds = (item.linkIds || []).filter(id => edgeIds.has(id));
+            item.nodeIds = (item.nodeIds || []).filter(id => nodeIds.has(id));
+            break;
+          }
+        }
+        fixed++;
+      });
+      project.edges = project.edges.filter(e => !remove.edge.has(e.id));
+      project.criticalPairs = project.criticalPairs.filter(p => !remove.criticalPair.has(p.id));
+      project.demands = project.demands.filter(d => !remove.demand.has(d.id));
+    }
+    return fixed;
+  }
+
+  // Headless access (tests, console, other scripts)
+  window.NDGProject = {
+    version: NDG_VERSION,
+    schema: NDG_PROJECT_SCHEMA,
+    migrate: migrateProjectObject,
+    validate: validateProjectObject,
+    repair: repairProjectObject
+  };
+
+  // ============== END PROJECT SCHEMA & MIGRATIONS ==============
 
   function buildProjectObject() {
     return {
@@ -11041,11 +11942,24 @@ async function executeImportWithData(nodesData, linksData, containersData, mode)
       groups: state.groups,
       cableSystems: state.cableSystems,
       multilinkGroups: state.multilinkGroups,
+      srlgs: state.srlgs,
+      criticalPairs: state.criticalPairs,
+      quotes: state.quotes,
+      rateCards: state.rateCards,
+      priceChangelog: state.priceChangelog,
+      demands: state.demands,
+      checkpoints: state.checkpoints,
       nextNode: state.nextNode,
       nextEdge: state.nextEdge,
       nextGroup: state.nextGroup,
       nextCableSystem: state.nextCableSystem,
       nextMultilinkGroup: state.nextMultilinkGroup,
+      nextSrlg: state.nextSrlg,
+      nextCriticalPair: state.nextCriticalPair,
+      nextQuote: state.nextQuote,
+      nextRateCard: state.nextRateCard,
+      nextDemand: state.nextDemand,
+      nextCheckpoint: state.nextCheckpoint,
       stylePresets: state.stylePresets,
       canvasWidth: state.canvasWidth,
       canvasHeight: state.canvasHeight,
@@ -11075,6 +11989,11 @@ async function executeImportWithData(nodesData, linksData, containersData, mode)
       viewSettings: state.viewSettings,
       financialSettings: state.financialSettings,
       pathfinderSettings: state.pathfinderSettings,
+      latencySettings: state.latencySettings,
+      availabilitySettings: state.availabilitySettings,
+      quoteSettings: state.quoteSettings,
+      demandSettings: state.demandSettings,
+      growthSettings: state.growthSettings,
       defaultNodeStyle: state.defaultNodeStyle,
       defaultLinkStyle: state.defaultLinkStyle
     };
@@ -11132,6 +12051,7 @@ async function executeImportWithData(nodesData, linksData, containersData, mode)
         const filename = currentFileHandle.name;
         setLastFilename(filename);
         dirty = false;
+        markAutosaveSessionSaved();
         showToast(`Saved ${filename}`);
 
       } catch (err) {
@@ -11153,6 +12073,7 @@ async function executeImportWithData(nodesData, linksData, containersData, mode)
       }
       downloadText(filename, jsonContent, "application/x-ndg+json");
       dirty = false;
+      markAutosaveSessionSaved();
       showToast(`Saved ${filename} (download)`);
     }
   }
@@ -11224,15 +12145,10 @@ function getValueForTier(field, tier, defaultValue = 0) {
 window.normalizeTierPricing = normalizeTierPricing;
 window.getValueForTier = getValueForTier;
 
-function loadProjectObject(obj) {
-  if (!obj) throw new Error('Empty project');
-  if (obj.fileType && obj.fileType !== 'NDG_PROJECT') throw new Error('Not an NDG project');
-
-  const nn = Array.isArray(obj.nodes) ? obj.nodes : [];
-  const ee = Array.isArray(obj.edges) ? obj.edges : [];
-  const gg = Array.isArray(obj.groups) ? obj.groups : [];
-
-  state.nodes = nn.map(n => ({
+// Fill in defaults for one entity read from a project file; also used to put
+// files opened for comparison on the same footing as the open project
+function normalizeProjectNode(n) {
+  return {
     id: n.id,
     x: n.x, y: n.y,
     shape: n.shape || 'circle',
@@ -11272,13 +12188,18 @@ function loadProjectObject(obj) {
     lineStyle: n.lineStyle || 'solid',
     showName: n.showName !== false,
     showTag: n.showTag !== false
-  }));
+  };
+}
 
-  state.edges = ee.map(e => ({
+function normalizeProjectEdge(e) {
+  return {
     id: e.id,
     a: e.a, b: e.b,
     tag: e.tag || '',
     latencyMs: (typeof e.latencyMs === 'number') ? e.latencyMs : null,
+    // Reliability overrides (null = default from cable system type and length)
+    mtbfHours: (typeof e.mtbfHours === 'number') ? e.mtbfHours : null,
+    mttrHours: (typeof e.mttrHours === 'number') ? e.mttrHours : null,
     code: e.code || ('L-' + e.id),
     showCode: (e.showCode !== false),
     extraTags: e.extraTags || '',
@@ -11314,28 +12235,23 @@ function loadProjectObject(obj) {
     iruOamAnnualIncrement: (typeof e.iruOamAnnualIncrement === 'number') ? e.iruOamAnnualIncrement : 0,
     // Cost mode for pathfinding
     commercialCostMode: e.commercialCostMode || 'lease',
-    // Cable geometry (unified field - migrate old pathGeometry for backward compatibility)
-    cableGeometry: (e.cableGeometry && e.cableGeometry.type && e.cableGeometry.coordinates)
-      ? e.cableGeometry
-      : (Array.isArray(e.pathGeometry) && e.pathGeometry.length > 0)
-        ? { type: 'LineString', coordinates: e.pathGeometry }
-        : null,
+    // Cable geometry (older pathGeometry is moved here by the migrations)
+    cableGeometry: (e.cableGeometry && e.cableGeometry.type && e.cableGeometry.coordinates) ? e.cableGeometry : null,
     pathSource: e.pathSource || null
-  }));
+  };
+}
 
-  // Load cable systems (backward compatible - empty array if not present)
-  const cs = Array.isArray(obj.cableSystems) ? obj.cableSystems : [];
-  state.cableSystems = cs.map(c => {
-    // Parse rfsYear: prefer stored number, then try parsing rfs string, then null
-    let rfsYear = null;
-    if (typeof c.rfsYear === 'number') {
-      rfsYear = c.rfsYear;
-    } else if (c.rfs && typeof c.rfs === 'string') {
-      const parsed = parseInt(c.rfs);
-      if (!isNaN(parsed) && parsed > 1990 && parsed < 2100) rfsYear = parsed;
-    }
+function normalizeProjectCableSystem(c) {
+  // Parse rfsYear: prefer stored number, then try parsing rfs string, then null
+  let rfsYear = null;
+  if (typeof c.rfsYear === 'number') {
+    rfsYear = c.rfsYear;
+  } else if (c.rfs && typeof c.rfs === 'string') {
+    const parsed = parseInt(c.rfs);
+    if (!isNaN(parsed) && parsed > 1990 && parsed < 2100) rfsYear = parsed;
+  }
 
-    return {
+  const csItem = {
     id: c.id,
     uuid: c.uuid || generateUUID(),
     shortName: c.shortName || `CS${c.id}`,
@@ -11363,45 +12279,149 @@ function loadProjectObject(obj) {
     fiberAtlanticConfidence: c.fiberAtlanticConfidence || null,
     faLiveStatus: c.faLiveStatus || null
   };
-  });
 
   // Data migration: fix cables with incorrect rfsYear/status from older saves
   // If a cable has faLiveStatus='online'/'outage' or status looks operational but rfsYear is wrong, fix it
   const migrationYear = new Date().getFullYear();
-  state.cableSystems.forEach(csItem => {
-    // Ensure rfsYear is populated from rfs string if missing
-    if (!csItem.rfsYear && csItem.rfs && typeof csItem.rfs === 'string') {
-      const parsed = parseInt(csItem.rfs);
-      if (!isNaN(parsed) && parsed > 1990 && parsed < 2100) {
-        csItem.rfsYear = parsed;
-      }
+  // Ensure rfsYear is populated from rfs string if missing
+  if (!csItem.rfsYear && csItem.rfs && typeof csItem.rfs === 'string') {
+    const parsed = parseInt(csItem.rfs);
+    if (!isNaN(parsed) && parsed > 1990 && parsed < 2100) {
+      csItem.rfsYear = parsed;
     }
+  }
 
-    // If FA says it's online, has an outage, or is active — it's clearly operational
-    // (an outage means it WAS in service, so status should be operational)
-    const faStatus = (csItem.faLiveStatus || '').toLowerCase();
-    if (faStatus === 'online' || faStatus === 'outage' || faStatus === 'active' || faStatus === 'out' || faStatus === 'up') {
-      if (csItem.status !== 'operational') {
-        csItem.status = 'operational';
-      }
+  // If FA says it's online, has an outage, or is active — it's clearly operational
+  // (an outage means it WAS in service, so status should be operational)
+  const faStatus = (csItem.faLiveStatus || '').toLowerCase();
+  if (faStatus === 'online' || faStatus === 'outage' || faStatus === 'active' || faStatus === 'out' || faStatus === 'up') {
+    if (csItem.status !== 'operational') {
+      csItem.status = 'operational';
     }
-    // If status is 'planned' but rfsYear is in the past, the cable is already in service (or decommissioned if 20+ years)
-    if (csItem.status === 'planned' && csItem.rfsYear && csItem.rfsYear <= migrationYear) {
-      if ((migrationYear - csItem.rfsYear) >= 20) {
-        csItem.status = 'decommissioned';
-      } else {
-        csItem.status = 'operational';
-      }
-    }
-    // If status is 'planned' but rfsYear is within 2 years, mark as under-construction
-    if (csItem.status === 'planned' && csItem.rfsYear && csItem.rfsYear > migrationYear && csItem.rfsYear <= migrationYear + 2) {
-      csItem.status = 'under-construction';
-    }
-    // If status is 'operational' but rfsYear is in the future, rfsYear was guessed wrong — clear it
-    if (csItem.status === 'operational' && csItem.rfsYear && csItem.rfsYear > migrationYear) {
-      csItem.rfsYear = null;
+  }
+  // If status is 'planned' but rfsYear is in the past, the cable is already in service (or decommissioned if 20+ years)
+  if (csItem.status === 'planned' && csItem.rfsYear && csItem.rfsYear <= migrationYear) {
+    if ((migrationYear - csItem.rfsYear) >= 20) {
+      csItem.status = 'decommissioned';
+    } else {
+      csItem.status = 'operational';
     }
-  });
+  }
+  // If status is 'planned' but rfsYear is within 2 years, mark as under-construction
+  if (csItem.status === 'planned' && csItem.rfsYear && csItem.rfsYear > migrationYear && csItem.rfsYear <= migrationYear + 2) {
+    csItem.status = 'under-construction';
+  }
+  // If status is 'operational' but rfsYear is in the future, rfsYear was guessed wrong — clear it
+  if (csItem.status === 'operational' && csItem.rfsYear && csItem.rfsYear > migrationYear) {
+    csItem.rfsYear = null;
+  }
+  return csItem;
+}
+
+function normalizeProjectGroup(g) {
+  // Get tier multipliers for default calculation
+  const tierMults = state.financialSettings?.tierMultipliers || { '10G': 2.5, '100G': 6.25, '400G': 15.625 };
+  const defaultNRC = state.financialSettings?.containerDefaultNRC || 0;
+  const defaultMRC = state.financialSettings?.containerDefaultMRC || 1;
+  const defaultIRU = state.financialSettings?.containerDefaultIRU || 1;
+
+  // Initialize default tier pricing if not present
+  const defaultLeaseNRC = {
+    '1G': defaultNRC,
+    '10G': Math.round(defaultNRC * tierMults['10G'] * 100) / 100,
+    '100G': Math.round(defaultNRC * tierMults['100G'] * 100) / 100,
+    '400G': Math.round(defaultNRC * tierMults['400G'] * 100) / 100
+  };
+  const defaultLeaseMRC = {
+    '1G': defaultMRC,
+    '10G': Math.round(defaultMRC * tierMults['10G'] * 100) / 100,
+    '100G': Math.round(defaultMRC * tierMults['100G'] * 100) / 100,
+    '400G': Math.round(defaultMRC * tierMults['400G'] * 100) / 100
+  };
+  const defaultIruFee = {
+    '1G': defaultIRU,
+    '10G': Math.round(defaultIRU * tierMults['10G'] * 100) / 100,
+    '100G': Math.round(defaultIRU * tierMults['100G'] * 100) / 100,
+    '400G': Math.round(defaultIRU * tierMults['400G'] * 100) / 100
+  };
+
+  return {
+    id: g.id,
+    type: g.type || 'country',
+    parentId: g.parentId ?? null,
+    x: g.x, y: g.y, w: g.w, h: g.h,
+    title: g.title || ((g.type==='region') ? ('Group' + g.id) : 'Container'),
+    extraTags: g.extraTags || '',
+    fill: g.fill || (g.type==='region' ? 'rgba(120, 140, 180, 0.10)' : 'rgba(54, 76, 140, 0.12)'),
+    stroke: g.stroke || (g.type==='region' ? '#7f8aa6' : '#6073b8'),
+    strokeW: (typeof g.strokeW === 'number') ? g.strokeW : 2,
+    titleColor: g.titleColor || '#eaeaea',
+    titleFont: (typeof g.titleFont === 'number') ? g.titleFont : (g.type==='region' ? 15 : 14),
+    titleDx: (typeof g.titleDx === 'number') ? g.titleDx : 0,
+    titleDy: (typeof g.titleDy === 'number') ? g.titleDy : 0,
+    // Shape container properties - embedded shape data for library independence
+    shapeContainer: g.shapeContainer || false,
+    decorativeShape: g.decorativeShape ? {
+      id: g.decorativeShape.id,
+      svgData: g.decorativeShape.svgData,
+      pathData: g.decorativeShape.pathData,
+      viewBox: g.decorativeShape.viewBox,
+      name: g.decorativeShape.name,
+      aspectRatio: g.decorativeShape.aspectRatio
+    } : null,
+    // Additional properties
+    filterTags: Array.isArray(g.filterTags) ? g.filterTags : ['default'],
+    showTitle: g.showTitle !== false,
+    lineStyle: g.lineStyle || 'solid',
+    transitLatency: (typeof g.transitLatency === 'number') ? g.transitLatency : null,
+    // Commercial cost properties - use saved values or defaults
+    leaseNRC: g.leaseNRC || defaultLeaseNRC,
+    leaseMRC: g.leaseMRC || defaultLeaseMRC,
+    iruFee: g.iruFee || defaultIruFee,
+    iruTerm: (typeof g.iruTerm === 'number') ? g.iruTerm : (state.financialSettings?.containerDefaultIRUTerm || 15),
+    iruOamPercent: (typeof g.iruOamPercent === 'number') ? g.iruOamPercent : (state.financialSettings?.containerDefaultOAM || 3),
+    iruOamAnnualIncrement: (typeof g.iruOamAnnualIncrement === 'number') ? g.iruOamAnnualIncrement : (state.financialSettings?.containerDefaultOAMIncrement || 2),
+    commercialCostMode: g.commercialCostMode || 'lease',
+    commercialCostOverride: g.commercialCostOverride || false,
+    // UUID
+    uuid: g.uuid || generateUUID(),
+    // Datacenter-specific properties
+    dcPeeringDbId: g.dcPeeringDbId ?? null,
+    dcOrgName: g.dcOrgName || '',
+    dcAddress: g.dcAddress || '',
+    dcCity: g.dcCity || '',
+    dcCountry: g.dcCountry || '',
+    dcState: g.dcState || '',
+    dcZipcode: g.dcZipcode || '',
+    dcLatitude: (typeof g.dcLatitude === 'number') ? g.dcLatitude : null,
+    dcLongitude: (typeof g.dcLongitude === 'number') ? g.dcLongitude : null,
+    dcWebsite: g.dcWebsite || '',
+    dcRegion: g.dcRegion || '',
+    dcNetCount: (typeof g.dcNetCount === 'number') ? g.dcNetCount : 0,
+    dcIxCount: (typeof g.dcIxCount === 'number') ? g.dcIxCount : 0,
+    dcCarrierCount: (typeof g.dcCarrierCount === 'number') ? g.dcCarrierCount : 0,
+    dcNetworks: Array.isArray(g.dcNetworks) ? g.dcNetworks : [],
+    dcFacilityType: g.dcFacilityType || 'datacenter',
+    dcCableSystems: Array.isArray(g.dcCableSystems) ? g.dcCableSystems : []
+  };
+}
+
+function loadProjectObject(obj) {
+  // Bring older files up to the current format and check the result against the schema
+  const migration = migrateProjectObject(obj);
+  obj = migration.project;
+  const schemaErrors = validateProjectObject(obj).schemaErrors;
+
+  const nn = Array.isArray(obj.nodes) ? obj.nodes : [];
+  const ee = Array.isArray(obj.edges) ? obj.edges : [];
+  const gg = Array.isArray(obj.groups) ? obj.groups : [];
+
+  state.nodes = nn.map(normalizeProjectNode);
+  state.edges = ee.map(normalizeProjectEdge);
+
+  // Load cable systems (backward compatible - empty array if not present)
+  const cs = Array.isArray(obj.cableSystems) ? obj.cableSystems : [];
+  state.cableSystems = cs.map(normalizeProjectCableSystem);
 
   // Load multilink groups (backward compatible - empty array if not present)
   const mlgs = Array.isArray(obj.multilinkGroups) ? obj.multilinkGroups : [];
@@ -11426,6 +12446,7 @@ function loadProjectObject(obj) {
     originNode: mlg.originNode || null,
     destinationNode: mlg.destinationNode || null,
     totalLatency: (typeof mlg.totalLatency === 'number') ? mlg.totalLatency : 0,
+    maxSwitchoverDeltaMs: (typeof mlg.maxSwitchoverDeltaMs === 'number') ? mlg.maxSwitchoverDeltaMs : null,
     isDiverse: mlg.isDiverse !== false,
     diversityWarning: mlg.diversityWarning || null,
     warnings: Array.isArray(mlg.warnings) ? mlg.warnings : [],
@@ -11465,93 +12486,7 @@ function loadProjectObject(obj) {
     commercialCostMode: mlg.commercialCostMode || 'lease'
   }));
 
-  state.groups = gg.map(g => {
-    // Get tier multipliers for default calculation
-    const tierMults = state.financialSettings?.tierMultipliers || { '10G': 2.5, '100G': 6.25, '400G': 15.625 };
-    const defaultNRC = state.financialSettings?.containerDefaultNRC || 0;
-    const defaultMRC = state.financialSettings?.containerDefaultMRC || 1;
-    const defaultIRU = state.financialSettings?.containerDefaultIRU || 1;
-
-    // Initialize default tier pricing if not present
-    const defaultLeaseNRC = {
-      '1G': defaultNRC,
-      '10G': Math.round(defaultNRC * tierMults['10G'] * 100) / 100,
-      '100G': Math.round(defaultNRC * tierMults['100G'] * 100) / 100,
-      '400G': Math.round(defaultNRC * tierMults['400G'] * 100) / 100
-    };
-    const defaultLeaseMRC = {
-      '1G': defaultMRC,
-      '10G': Math.round(defaultMRC * tierMults['10G'] * 100) / 100,
-      '100G': Math.round(defaultMRC * tierMults['100G'] * 100) / 100,
-      '400G': Math.round(defaultMRC * tierMults['400G'] * 100) / 100
-    };
-    const defaultIruFee = {
-      '1G': defaultIRU,
-      '10G': Math.round(defaultIRU * tierMults['10G'] * 100) / 100,
-      '100G': Math.round(defaultIRU * tierMults['100G'] * 100) / 100,
-      '400G': Math.round(defaultIRU * tierMults['400G'] * 100) / 100
-    };
-
-    return {
-      id: g.id,
-      type: g.type || 'country',
-      parentId: g.parentId ?? null,
-      x: g.x, y: g.y, w: g.w, h: g.h,
-      title: g.title || ((g.type==='region') ? ('Group' + g.id) : 'Container'),
-      extraTags: g.extraTags || '',
-      fill: g.fill || (g.type==='region' ? 'rgba(120, 140, 180, 0.10)' : 'rgba(54, 76, 140, 0.12)'),
-      stroke: g.stroke || (g.type==='region' ? '#7f8aa6' : '#6073b8'),
-      strokeW: (typeof g.strokeW === 'number') ? g.strokeW : 2,
-      titleColor: g.titleColor || '#eaeaea',
-      titleFont: (typeof g.titleFont === 'number') ? g.titleFont : (g.type==='region' ? 15 : 14),
-      titleDx: (typeof g.titleDx === 'number') ? g.titleDx : 0,
-      titleDy: (typeof g.titleDy === 'number') ? g.titleDy : 0,
-      // Shape container properties - embedded shape data for library independence
-      shapeContainer: g.shapeContainer || false,
-      decorativeShape: g.decorativeShape ? {
-        id: g.decorativeShape.id,
-        svgData: g.decorativeShape.svgData,
-        pathData: g.decorativeShape.pathData,
-        viewBox: g.decorativeShape.viewBox,
-        name: g.decorativeShape.name,
-        aspectRatio: g.decorativeShape.aspectRatio
-      } : null,
-      // Additional properties
-      filterTags: Array.isArray(g.filterTags) ? g.filterTags : ['default'],
-      showTitle: g.showTitle !== false,
-      lineStyle: g.lineStyle || 'solid',
-      transitLatency: (typeof g.transitLatency === 'number') ? g.transitLatency : null,
-      // Commercial cost properties - use saved values or defaults
-      leaseNRC: g.leaseNRC || defaultLeaseNRC,
-      leaseMRC: g.leaseMRC || defaultLeaseMRC,
-      iruFee: g.iruFee || defaultIruFee,
-      iruTerm: (typeof g.iruTerm === 'number') ? g.iruTerm : (state.financialSettings?.containerDefaultIRUTerm || 15),
-      iruOamPercent: (typeof g.iruOamPercent === 'number') ? g.iruOamPercent : (state.financialSettings?.containerDefaultOAM || 3),
-      iruOamAnnualIncrement: (typeof g.iruOamAnnualIncrement === 'number') ? g.iruOamAnnualIncrement : (state.financialSettings?.containerDefaultOAMIncrement || 2),
-      commercialCostMode: g.commercialCostMode || 'lease',
-      commercialCostOverride: g.commercialCostOverride || false,
-      // UUID
-      uuid: g.uuid || generateUUID(),
-      // Datacenter-specific properties
-      dcPeeringDbId: g.dcPeeringDbId ?? null,
-      dcOrgName: g.dcOrgName || '',
-      dcAddress: g.dcAddress || '',
-      dcCity: g.dcCity || '',
-      dcCountry: g.dcCountry || '',
-      dcState: g.dcState || '',
-      dcZipcode: g.dcZipcode || '',
-      dcLatitude: (typeof g.dcLatitude === 'number') ? g.dcLatitude : null,
-      dcLongitude: (typeof g.dcLongitude === 'number') ? g.dcLongitude : null,
-      dcWebsite: g.dcWebsite || '',
-      dcRegion: g.dcRegion || '',
-      dcNetCount: (typeof g.dcNetCount === 'number') ? g.dcNetCount : 0,
-      dcIxCount: (typeof g.dcIxCount === 'number') ? g.dcIxCount : 0,
-      dcCarrierCount: (typeof g.dcCarrierCount === 'number') ? g.dcCarrierCount : 0,
-      dcNetworks: Array.isArray(g.dcNetworks) ? g.dcNetworks : [],
-      dcFacilityType: g.dcFacilityType || 'datacenter',
-      dcCableSystems: Array.isArray(g.dcCableSystems) ? g.dcCableSystems : []
-    };
-  });
+  state.groups = gg.map(normalizeProjectGroup);
 
   state.nextNode = (typeof obj.nextNode === 'number') ? obj.nextNode : (Math.max(0, ...state.nodes.map(n=>n.id)) + 1);
   state.nextEdge = (typeof obj.nextEdge === 'number') ? obj.nextEdge : (Math.max(0, ...state.edges.map(e=>e.id)) + 1);
@@ -11560,6 +12495,54 @@ function loadProjectObject(obj) {
   // Filter out string IDs (like "mlg_123") when calculating next numeric ID
   state.nextMultilinkGroup = (typeof obj.nextMultilinkGroup === 'number') ? obj.nextMultilinkGroup : (Math.max(0, ...state.multilinkGroups.filter(mlg => typeof mlg.id === 'number').map(mlg=>mlg.id)) + 1);
 
+  // Load SRLGs (backward compatible - empty array if not present)
+  const srlgs = Array.isArray(obj.srlgs) ? obj.srlgs : [];
+  state.srlgs = srlgs.filter(s => s && typeof s.id === 'number').map(s => ({
+    id: s.id,
+    uuid: s.uuid || generateUUID(),
+    name: s.name || `SRLG ${s.id}`,
+    type: SRLG_TYPES[s.type] ? s.type : 'conduit',
+    linkIds: Array.isArray(s.linkIds) ? s.linkIds : [],
+    nodeIds: Array.isArray(s.nodeIds) ? s.nodeIds : [],
+    source: s.source === 'auto' ? 'auto' : 'manual',
+    sourceKey: s.sourceKey || null,
+    notes: s.notes || ''
+  }));
+  state.nextSrlg = (typeof obj.nextSrlg === 'number') ? obj.nextSrlg : (Math.max(0, ...state.srlgs.map(s=>s.id)) + 1);
+
+  // Load failure-simulation critical pairs (backward compatible - empty array if not present)
+  const criticalPairs = Array.isArray(obj.criticalPairs) ? obj.criticalPairs : [];
+  state.criticalPairs = criticalPairs.filter(p => p && typeof p.id === 'number').map(p => ({
+    id: p.id,
+    uuid: p.uuid || generateUUID(),
+    name: p.name || '',
+    a: p.a,
+    b: p.b
+  }));
+  state.nextCriticalPair = (typeof obj.nextCriticalPair === 'number') ? obj.nextCriticalPair : (Math.max(0, ...state.criticalPairs.map(p=>p.id)) + 1);
+
+  // Load saved quotes (backward compatible - empty array if not present)
+  const quotes = Array.isArray(obj.quotes) ? obj.quotes : [];
+  state.quotes = quotes.filter(q => q && typeof q.id === 'number' && Array.isArray(q.lines));
+  state.nextQuote = (typeof obj.nextQuote === 'number') ? obj.nextQuote : (Math.max(0, ...state.quotes.map(q=>q.id)) + 1);
+
+  // Load rate cards and the reprice changelog (backward compatible - empty arrays if not present)
+  const rateCards = Array.isArray(obj.rateCards) ? obj.rateCards : [];
+  state.rateCards = rateCards.filter(c => c && typeof c.id === 'number' && Array.isArray(c.entries));
+  state.nextRateCard = (typeof obj.nextRateCard === 'number') ? obj.nextRateCard : (Math.max(0, ...state.rateCards.map(c=>c.id)) + 1);
+  state.priceChangelog = Array.isArray(obj.priceChangelog) ? obj.priceChangelog.filter(r => r && Array.isArray(r.changes)) : [];
+
+  // Load traffic demands (backward compatible - empty array if not present)
+  const demands = Array.isArray(obj.demands) ? obj.demands : [];
+  state.demands = demands.filter(d => d && typeof d.id === 'number' && typeof d.gbps === 'number');
+  state.nextDemand = (typeof obj.nextDemand === 'number') ? obj.nextDemand : (Math.max(0, ...state.demands.map(d=>d.id)) + 1);
+  resetDemandLoads();
+
+  // Load named checkpoints (backward compatible - empty array if not present)
+  const checkpoints = Array.isArray(obj.checkpoints) ? obj.checkpoints : [];
+  state.checkpoints = checkpoints.filter(c => c && typeof c.id === 'number' && c.snapshot && typeof c.snapshot === 'object');
+  state.nextCheckpoint = (typeof obj.nextCheckpoint === 'number') ? obj.nextCheckpoint : (Math.max(0, ...state.checkpoints.map(c=>c.id)) + 1);
+
   // Restore canvas dimensions
   if (typeof obj.canvasWidth === 'number') state.canvasWidth = obj.canvasWidth;
   if (typeof obj.canvasHeight === 'number') state.canvasHeight = obj.canvasHeight;
@@ -11612,6 +12595,12 @@ function loadProjectObject(obj) {
   // Restore financial settings
   if (obj.financialSettings) {
     state.financialSettings = { ...state.financialSettings, ...obj.financialSettings };
+    // Older files have no rate snapshots; don't keep the previous project's
+    const fs = state.financialSettings;
+    fs.rateSnapshots = Array.isArray(obj.financialSettings.rateSnapshots)
+      ? obj.financialSettings.rateSnapshots.filter(s => s && typeof s.id === 'number' && s.rates && typeof s.date === 'string')
+      : [];
+    if (!fs.rateSnapshots.some(s => s.id === fs.activeRateSnapshotId)) fs.activeRateSnapshotId = null;
   }
 
   // Restore pathfinder settings
@@ -11619,6 +12608,32 @@ function loadProjectObject(obj) {
     state.pathfinderSettings = { ...state.pathfinderSettings, ...obj.pathfinderSettings };
   }
 
+  // Restore latency estimator settings
+  if (obj.latencySettings) {
+    state.latencySettings = { ...state.latencySettings, ...obj.latencySettings };
+  }
+
+  // Restore availability defaults
+  if (obj.availabilitySettings) {
+    state.availabilitySettings = { ...state.availabilitySettings, ...obj.availabilitySettings };
+  }
+
+  // Restore quote branding and pricing rules
+  if (obj.quoteSettings) {
+    state.quoteSettings = { ...state.quoteSettings, ...obj.quoteSettings };
+  }
+
+  // Restore demand routing options
+  if (obj.demandSettings) {
+    state.demandSettings = { ...state.demandSettings, ...obj.demandSettings };
+  }
+
+  // Restore growth forecast options
+  if (obj.growthSettings) {
+    state.growthSettings = { ...state.growthSettings, ...obj.growthSettings };
+    if (!Array.isArray(state.growthSettings.rules)) state.growthSettings.rules = [];
+  }
+
   // Restore default node style
   if (obj.defaultNodeStyle) {
     state.defaultNodeStyle = { ...state.defaultNodeStyle, ...obj.defaultNodeStyle };
@@ -11676,7 +12691,7 @@ function loadProjectObject(obj) {
   // Reset history
   history.stack = [];
   history.index = -1;
-  pushHistory();
+  pushHistory('Opened project');
 
   // Sync UI toggles
   syncGlobalToggles();
@@ -11685,24 +12700,393 @@ function loadProjectObject(obj) {
   render();
   updateCableNavigatorList();
   dirty = false;
+  markAutosaveSessionSaved();
+
+  // Report what was migrated and anything that still looks broken
+  const report = Object.assign(validateProjectObject(buildProjectObject()), {
+    schemaErrors,
+    fromVersion: migration.fromVersion,
+    applied: migration.applied,
+    newer: migration.newer
+  });
+  if (report.schemaErrors.length > 0 || report.issues.length > 0 || report.newer) {
+    showProjectValidationDialog(report);
+  } else if (report.applied.length > 0) {
+    showToast(`Project upgraded from format v${report.fromVersion} to v${NDG_VERSION}.`);
+  }
 }
 
+  /**
+   * Validation report: migrations applied on load, schema errors and dangling
+   * references, with a one-click repair of the references in the open project.
+   */
+  function showProjectValidationDialog(report) {
+    document.getElementById('projectValidationModal')?.remove();
+
+    const modal = document.createElement('div');
+    modal.id = 'projectValidationModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:760px; max-width:95vw; max-height:86vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>🩺 Project Validation</span>
+          <button id="pvClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div id="pvBody" style="flex:1; overflow:auto; padding:12px 20px; font-size:12px;"></div>
+        <div style="padding:12px 20px; border-top:1px solid #e0e0e0; display:flex; gap:8px; justify-content:flex-end;">
+          <button class="btn" id="pvSchema" title="Download the JSON Schema of the project file format">⬇ JSON Schema</button>
+          <span style="flex:1;"></span>
+          <button class="btn" id="pvRevalidate">↻ Re-check</button>
+          <button class="btn primary" id="pvRepair">🛠 Repair All</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const close = () => modal.remove();
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#pvClose').addEventListener('click', close);
+
+    const renderReport = () => {
+      const section = (title, color, items) => `
+        <div style="margin-bottom:14px;">
+          <div style="font-weight:600; color:${color}; margin-bottom:4px;">${title}</div>
+          <ul style="margin:0; padding-left:18px; color:#374151; line-height:1.6;">${items.join('')}</ul>
+        </div>`;
+      const parts = [];
+      if (report.newer) {
+        parts.push(section(`⚠ Saved by a newer NexiMap (format v${report.fromVersion}, this app reads v${NDG_VERSION})`, '#b45309',
+          ['<li>Fields this version does not know about will be dropped when you save.</li>']));
+      }
+      if (report.applied?.length > 0) {
+        parts.push(section(`⬆ Upgraded from format v${report.fromVersion} to v${NDG_VERSION}`, '#1d4ed8',
+          report.applied.map(a => `<li>${escapeHtml(a)}</li>`)));
+      }
+      if (report.schemaErrors.length > 0) {
+        parts.push(section(`✗ ${report.schemaErrors.length}${report.schemaErrors.length >= 200 ? '+' : ''} schema error(s) - the file looks corrupted or hand-edited`, '#b91c1c',
+          report.schemaErrors.slice(0, 50).map(e => `<li><code>${escapeHtml(e.path || '(root)')}</code> ${escapeHtml(e.message)}</li>`)
+            .concat(report.schemaErrors.length > 50 ? [`<li>… ${report.schemaErrors.length - 50} more</li>`] : [])));
+      }
+      if (report.issues.length > 0) {
+        const byFix = {};
+        report.issues.forEach(i => { (byFix[i.fix] = byFix[i.fix] || []).push(i); });
+        parts.push(section(`⚠ ${report.issues.length} dangling reference(s)`, '#b45309',
+          Object.entries(byFix).map(([fix, issues]) => `
+            <li>${issues.slice(0, 20).map(i => escapeHtml(i.message)).join('<br>')}${issues.length > 20 ? `<br>… ${issues.length - 20} more` : ''}
+              <div style="color:#047857; margin-bottom:4px;">Repair: ${escapeHtml(fix)}</div></li>`)));
+      }
+      if (parts.length === 0) {
+        parts.push(`<div style="padding:30px; text-align:center; color:#047857;">✅ No problems found - ${state.nodes.length} nodes, ${state.edges.length} links, format v${NDG_VERSION}.</div>`);
+      }
+      modal.querySelector('#pvBody').innerHTML = parts.join('');
+      modal.querySelector('#pvRepair').disabled = report.issues.length === 0;
+    };
+
+    modal.querySelector('#pvRevalidate').addEventListener('click', () => {
+      Object.assign(report, validateProjectObject(buildProjectObject()), { applied: [], newer: false });
+      renderReport();
+    });
+
+    modal.querySelector('#pvRepair').addEventListener('click', () => {
+      const project = buildProjectObject();
+      const fixed = repairProjectObject(project);
+      NDG_COLLECTIONS.forEach(key => { state[key] = project[key]; });
+      commit(`Repaired ${fixed} project issue(s)`);
+      render();
+      Object.assign(report, validateProjectObject(buildProjectObject()), { applied: [] });
+      renderReport();
+      showToast(`🛠 Repaired ${fixed} reference(s)`);
+    });
 
-  function autosaveNow() {
+    modal.querySelector('#pvSchema').addEventListener('click', () => {
+      downloadBlob(new Blob([JSON.stringify(NDG_PROJECT_SCHEMA, null, 2)], { type: 'application/schema+json' }), 'ndg-project.schema.json');
+    });
+
+    renderReport();
+  }
+
+
+  // ============== AUTOSAVE ==============
+  // Autosaves go to IndexedDB, AUTOSAVE_SLOTS rotating slots per project (keyed
+  // by file name). A small session marker in localStorage records whether the
+  // last session left work that only exists in autosave, so a crash or a
+  // closed tab can be recovered on the next start.
+
+  let autosaveDB = null;
+  let autosaveInFlight = false;
+  let autosaveWarningDismissed = false;   // × on the failure bar; cleared by the next successful autosave
+
+  const idbRequest = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  function openAutosaveDB() {
+    if (autosaveDB) return autosaveDB;
+    if (!window.indexedDB) return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    const req = indexedDB.open(AUTOSAVE_DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(AUTOSAVE_STORE, { keyPath: 'id' });
+      store.createIndex('projectKey', 'projectKey');
+    };
+    autosaveDB = idbRequest(req).catch(err => { autosaveDB = null; throw err; });
+    return autosaveDB;
+  }
+
+  async function autosaveStore(mode) {
+    const db = await openAutosaveDB();
+    return db.transaction(AUTOSAVE_STORE, mode).objectStore(AUTOSAVE_STORE);
+  }
+
+  // Autosaves are grouped by the project's file name
+  function getAutosaveProjectKey() {
+    return getLastFilename() || 'Untitled';
+  }
+
+  /** All autosave slots, newest first. */
+  async function listAutosaveSlots() {
+    const store = await autosaveStore('readonly');
+    const slots = await idbRequest(store.getAll());
+    return slots.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  function setAutosaveSession(unsaved) {
     try {
-      localStorage.setItem(LS_AUTOSAVE_KEY, JSON.stringify(buildProjectObject()));
-      dirty = false;
-    } catch (e) { console.warn("Autosave failed:", e); }
+      localStorage.setItem(LS_SESSION_KEY, JSON.stringify({ unsaved, projectKey: getAutosaveProjectKey(), at: new Date().toISOString() }));
+    } catch (e) { console.warn('Could not record session state:', e); }
+  }
+
+  function getAutosaveSession() {
+    try { return JSON.parse(localStorage.getItem(LS_SESSION_KEY)) || null; }
+    catch (e) { return null; }
+  }
+
+  /**
+   * Write the project into the oldest of this project's autosave slots.
+   * Failures leave the project dirty and show a warning bar until a later
+   * autosave succeeds; once dismissed, the bar stays away until then.
+   */
+  async function autosaveNow() {
+    if (autosaveInFlight) return;
+    const project = buildProjectObject();
+    dirty = false;
+    // Nothing worth recovering in an empty diagram
+    if (!project.nodes.length && !project.edges.length && !project.groups.length && !project.cableSystems.length) {
+      markAutosaveSessionSaved();
+      return;
+    }
+    try {
+      autosaveInFlight = true;
+      const data = JSON.stringify(project);
+      const projectKey = getAutosaveProjectKey();
+      const store = await autosaveStore('readonly');
+      const existing = await idbRequest(store.index('projectKey').getAll(projectKey));
+      const used = new Map(existing.map(s => [s.slot, s]));
+      let slot = [...Array(AUTOSAVE_SLOTS).keys()].find(i => !used.has(i));
+      if (slot === undefined) slot = existing.sort((a, b) => a.savedAt.localeCompare(b.savedAt))[0].slot;
+      const record = {
+        id: `${projectKey}#${slot}`,
+        projectKey,
+        slot,
+        savedAt: new Date().toISOString(),
+        size: data.length,
+        counts: {
+          nodes: project.nodes.length,
+          edges: project.edges.length,
+          groups: project.groups.length,
+          cableSystems: project.cableSystems.length,
+          demands: project.demands.length
+        },
+        data
+      };
+      await idbRequest((await autosaveStore('readwrite')).put(record));
+      setAutosaveSession(true);
+      autosaveWarningDismissed = false;
+      document.getElementById('autosaveWarning')?.remove();
+    } catch (e) {
+      console.warn("Autosave failed:", e);
+      dirty = true;
+      showAutosaveWarning(e);
+    } finally {
+      autosaveInFlight = false;
+    }
   }
   setInterval(() => { if (dirty) autosaveNow(); }, AUTOSAVE_INTERVAL_MS);
 
-  function recoverAutosave() {
-    const raw = localStorage.getItem(LS_AUTOSAVE_KEY);
-    if (!raw) { showToast("No autosave found."); return; }
-    try { loadProjectObject(JSON.parse(raw)); showToast("Recovered autosave."); }
-    catch (e) { showToast("Autosave recovery failed: " + e.message); }
+  // A file now holds the work, so the next start has nothing to recover
+  function markAutosaveSessionSaved() {
+    setAutosaveSession(false);
   }
-  function clearAutosave() { localStorage.removeItem(LS_AUTOSAVE_KEY); showToast("Autosave cleared."); }
+
+  // Leaving with changes not yet autosaved still counts as unsaved work
+  window.addEventListener('pagehide', () => { if (dirty) setAutosaveSession(true); });
+
+  function showAutosaveWarning(err) {
+    if (autosaveWarningDismissed) return;
+    const reason = err?.name === 'QuotaExceededError' ? 'browser storage is full' : (err?.message || String(err));
+    let bar = document.getElementById('autosaveWarning');
+    if (!bar) {
+      bar = document.createElement('div');
+      bar.id = 'autosaveWarning';
+      bar.style.cssText = 'position:fixed; bottom:16px; left:50%; transform:translateX(-50%); z-index:9500; background:#fef2f2; color:#991b1b; border:1px solid #fca5a5; border-radius:8px; box-shadow:0 4px 16px rgba(0,0,0,0.2); padding:8px 12px; font-size:13px; display:flex; gap:10px; align-items:center;';
+      document.body.appendChild(bar);
+    }
+    bar.innerHTML = `
+      <span>⚠️ Autosave failed (${escapeHtml(reason)}). Recent changes are only in this tab - save to a file.</span>
+      <button class="btn primary" id="asWarnSave">Save now</button>
+      <button id="asWarnClose" style="background:none; border:none; font-size:18px; cursor:pointer; color:#991b1b;">×</button>`;
+    bar.querySelector('#asWarnSave').addEventListener('click', () => saveProject(false));
+    bar.querySelector('#asWarnClose').addEventListener('click', () => {
+      autosaveWarningDismissed = true;
+      bar.remove();
+    });
+  }
+
+  function formatAutosaveSize(size) {
+    if (size >= 1024 * 1024) return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(size / 1024))} KB`;
+  }
+
+  function recoverAutosaveData(slot) {
+    if (dirty && !confirm('Replace the open project (it has unsaved changes) with this autosave?')) return false;
+    try {
+      loadProjectObject(JSON.parse(slot.data));
+      // The recovered work is not in a file yet: Save asks where to put it
+      currentFileHandle = null;
+      if (slot.id !== 'legacy') setLastFilename(slot.projectKey === 'Untitled' ? '' : slot.projectKey);
+      dirty = true;
+      showToast(`Recovered autosave from ${slot.savedAt ? new Date(slot.savedAt).toLocaleString() : slot.projectKey}.`);
+      return true;
+    } catch (e) {
+      showToast("Autosave recovery failed: " + e.message);
+      return false;
+    }
+  }
+
+  /**
+   * Recovery dialog listing every autosave slot with its size and entity
+   * counts. With `crashed` it opens on startup after a session ended with
+   * unsaved work.
+   */
+  async function showAutosaveRecoveryDialog(options = {}) {
+    document.getElementById('autosaveRecoveryModal')?.remove();
+    let slots;
+    try {
+      slots = await listAutosaveSlots();
+    } catch (e) {
+      showToast('Could not read autosaves: ' + e.message);
+      slots = [];
+    }
+    // Autosave written by earlier versions to localStorage
+    const legacy = localStorage.getItem(LS_AUTOSAVE_KEY);
+    if (legacy) {
+      let counts = null;
+      try {
+        const p = JSON.parse(legacy);
+        counts = { nodes: (p.nodes || []).length, edges: (p.edges || []).length, groups: (p.groups || []).length, cableSystems: (p.cableSystems || []).length, demands: (p.demands || []).length };
+      } catch (e) { /* listed without counts */ }
+      slots.push({ id: 'legacy', projectKey: 'Older autosave', savedAt: null, size: legacy.length, counts, data: legacy });
+    }
+    if (slots.length === 0 && !options.crashed) { showToast("No autosave found."); return; }
+
+    const modal = document.createElement('div');
+    modal.id = 'autosaveRecoveryModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    const td = 'padding:6px 8px; border-bottom:1px solid #f3f4f6; vertical-align:middle;';
+    const th = 'padding:6px 8px; text-align:left; font-weight:600; color:#374151; border-bottom:1px solid #e5e7eb; white-space:nowrap;';
+    const renderRows = () => slots.map((s, idx) => {
+      const c = s.counts;
+      return `<tr>
+        <td style="${td} font-weight:500;">${escapeHtml(s.projectKey)}</td>
+        <td style="${td} white-space:nowrap;">${s.savedAt ? escapeHtml(new Date(s.savedAt).toLocaleString()) : '—'}</td>
+        <td style="${td} white-space:nowrap;">${formatAutosaveSize(s.size)}</td>
+        <td style="${td} color:#6b7280;">${c ? `${c.nodes} nodes · ${c.edges} links · ${c.groups} containers · ${c.cableSystems} cable systems · ${c.demands} demands` : 'unreadable'}</td>
+        <td style="${td} white-space:nowrap; text-align:right;">
+          <button class="btn primary" data-as-restore="${idx}">Restore</button>
+          <button class="btn" data-as-delete="${idx}" title="Delete this autosave">🗑</button>
+        </td>
+      </tr>`;
+    }).join('');
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:900px; max-width:95vw; max-height:85vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>💾 Recover Autosave</span>
+          <button id="asClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        ${options.crashed ? `<div style="padding:10px 20px; background:#fffbeb; color:#92400e; font-size:13px; border-bottom:1px solid #fde68a;">
+          Your last session ended with changes that were not saved to a file${options.projectKey ? ` (${escapeHtml(options.projectKey)})` : ''}. Restore the most recent autosave to continue where you left off.</div>` : ''}
+        <div id="asBody" style="flex:1; overflow:auto; padding:8px 20px; font-size:12px;"></div>
+        <div style="padding:12px 20px; border-top:1px solid #e0e0e0; display:flex; gap:8px; align-items:center;">
+          <span style="flex:1; font-size:12px; color:#6b7280;">The last ${AUTOSAVE_SLOTS} autosaves of each project are kept in this browser.</span>
+          <button class="btn" id="asDeleteAll">Delete All</button>
+          <button class="btn" id="asDismiss">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    const body = modal.querySelector('#asBody');
+    const renderSlots = () => {
+      body.innerHTML = slots.length ? `<table style="border-collapse:collapse; width:100%;">
+          <thead><tr><th style="${th}">Project</th><th style="${th}">Saved</th><th style="${th}">Size</th><th style="${th}">Contents</th><th style="${th}"></th></tr></thead>
+          <tbody>${renderRows()}</tbody></table>`
+        : '<div style="padding:30px; text-align:center; color:#999;">No autosaves left.</div>';
+    };
+    renderSlots();
+
+    // Closing the startup prompt means the user has seen it; don't ask again
+    const close = () => { modal.remove(); if (options.crashed) markAutosaveSessionSaved(); };
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#asClose').addEventListener('click', close);
+    modal.querySelector('#asDismiss').addEventListener('click', close);
+    modal.querySelector('#asDeleteAll').addEventListener('click', async () => {
+      if (!confirm('Delete all autosaves?')) return;
+      await clearAutosave();
+      slots = [];
+      renderSlots();
+    });
+    body.addEventListener('click', async (e) => {
+      const restore = e.target.closest('[data-as-restore]');
+      if (restore) {
+        if (recoverAutosaveData(slots[+restore.dataset.asRestore])) modal.remove();
+        return;
+      }
+      const del = e.target.closest('[data-as-delete]');
+      if (del) {
+        const s = slots[+del.dataset.asDelete];
+        try {
+          if (s.id === 'legacy') localStorage.removeItem(LS_AUTOSAVE_KEY);
+          else await idbRequest((await autosaveStore('readwrite')).delete(s.id));
+        } catch (err) {
+          showToast('Could not delete autosave: ' + err.message);
+          return;
+        }
+        slots = slots.filter(x => x !== s);
+        renderSlots();
+      }
+    });
+  }
+
+  function recoverAutosave() { showAutosaveRecoveryDialog(); }
+
+  async function clearAutosave() {
+    localStorage.removeItem(LS_AUTOSAVE_KEY);
+    try {
+      await idbRequest((await autosaveStore('readwrite')).clear());
+      markAutosaveSessionSaved();
+      showToast("Autosave cleared.");
+    } catch (e) {
+      showToast("Could not clear autosave: " + e.message);
+    }
+  }
+  // ============== END AUTOSAVE ==============
 
   document.getElementById('fileLoad').addEventListener('change', async (ev) => {
     const f = ev.target.files?.[0];
@@ -11722,11 +13106,13 @@ function loadProjectObject(obj) {
   });
 
   function clearDiagram() {
-    state.nodes=[]; state.edges=[]; state.groups=[];
-    state.nextNode=1; state.nextEdge=1; state.nextGroup=1;
+    state.nodes=[]; state.edges=[]; state.groups=[]; state.srlgs=[]; state.criticalPairs=[]; state.quotes=[]; state.rateCards=[]; state.priceChangelog=[]; state.demands=[]; state.checkpoints=[];
+    state.financialSettings.rateSnapshots=[]; state.financialSettings.activeRateSnapshotId=null;
+    state.nextNode=1; state.nextEdge=1; state.nextGroup=1; state.nextSrlg=1; state.nextCriticalPair=1; state.nextQuote=1; state.nextRateCard=1; state.nextDemand=1; state.nextCheckpoint=1;
+    resetDemandLoads();
     state.selected=null; state.connectFrom=null; state.placingGroup=false; state.placingGroupType='country';
     state.selection.nodes.clear(); state.selection.edges.clear(); state.selection.groups.clear();
-    history.stack=[]; history.index=-1; pushHistory();
+    history.stack=[]; history.index=-1; pushHistory('New diagram');
     // Clear file handle so next save prompts for new location
     currentFileHandle = null;
     setLastFilename('');
@@ -11745,10 +13131,724 @@ function loadProjectObject(obj) {
   // (legacy button)
   document.getElementById('btnClear')?.addEventListener('click', () => { clearDiagram(); });
   (function autosaveStartupHint(){
-    const raw = localStorage.getItem(LS_AUTOSAVE_KEY);
-    if (raw) showToast("Autosave available — click “Recover Autosave” if needed.");
+    const session = getAutosaveSession();
+    if (session?.unsaved) showAutosaveRecoveryDialog({ crashed: true, projectKey: session.projectKey });
+    else if (localStorage.getItem(LS_AUTOSAVE_KEY)) showToast("Autosave available — click “Recover Autosave” if needed.");
   })();
 
+  // ============== PROJECT COMPARE & MERGE ==============
+  // Nodes, links, containers and cable systems are matched across two project
+  // files by uuid. Cross references (link endpoints, containers, cable systems)
+  // are compared by the uuid they point at, so renumbered ids don't show as changes.
+
+  const PROJECT_DIFF_KINDS = {
+    nodes:        { label: 'Node',         plural: 'Nodes',         name: n => n.name || n.code, refs: { groupId: 'groups', cableSystemIds: 'cableSystems' } },
+    edges:        { label: 'Link',         plural: 'Links',         name: e => e.code || e.tag, refs: { a: 'nodes', b: 'nodes', cableSystemId: 'cableSystems' } },
+    groups:       { label: 'Container',    plural: 'Containers',    name: g => g.title, refs: { parentId: 'groups' } },
+    cableSystems: { label: 'Cable System', plural: 'Cable Systems', name: c => c.name || c.shortName, refs: {} }
+  };
+
+  // Field -> category shown in the diff
+  const PROJECT_DIFF_CATEGORIES = [
+    { label: 'Identity', fields: ['name', 'code', 'title', 'shortName'] },
+    { label: 'Position', fields: ['x', 'y', 'w', 'h', 'gpsLat', 'gpsLon', 'a', 'b', 'groupId', 'parentId'] },
+    { label: 'Pricing',  fields: ['leaseNRC', 'leaseMRC', 'iruFee', 'iruTerm', 'iruOamPercent', 'iruOamAnnualIncrement', 'commercialCostMode', 'commercialCostOverride'] },
+    { label: 'Capacity', fields: ['cap1G', 'cap10G', 'cap100G', 'cap400G', 'capTbps', 'capacity', 'designCapacityGbps', 'fiberPairs', 'capacityTbps'] },
+    { label: 'Tags',     fields: ['tags', 'extraTags', 'filterTags', 'tag'] },
+    { label: 'Geometry', fields: ['cableGeometry', 'geometry', 'style', 'route', 'curveArch', 'routingOverlap', 'length_km'] }
+  ];
+
+  function getProjectDiffCategory(field) {
+    return PROJECT_DIFF_CATEGORIES.find(c => c.fields.includes(field))?.label || 'Other';
+  }
+
+  let projectCompare = null;   // { mine, theirs, base, diff, merge, filter, expanded }
+
+  function getProjectEntityKey(item) {
+    return item.uuid || `id:${item.id}`;
+  }
+
+  // Entity with its id dropped and references replaced by the referenced uuid
+  function toCanonicalEntity(kind, item, lookups) {
+    const out = {};
+    Object.keys(item).forEach(field => {
+      if (field === 'id' || field === 'uuid') return;
+      const refKind = PROJECT_DIFF_KINDS[kind].refs[field];
+      const toKey = id => (id == null ? null : (lookups[refKind].get(id) || `missing:${id}`));
+      out[field] = !refKind ? item[field] : Array.isArray(item[field]) ? item[field].map(toKey) : toKey(item[field]);
+    });
+    return out;
+  }
+
+  function buildProjectEntityIndex(project) {
+    const lookups = {};
+    Object.keys(PROJECT_DIFF_KINDS).forEach(kind => {
+      lookups[kind] = new Map((project[kind] || []).map(item => [item.id, getProjectEntityKey(item)]));
+    });
+    const index = {};
+    Object.keys(PROJECT_DIFF_KINDS).forEach(kind => {
+      index[kind] = new Map((project[kind] || []).map(item => [getProjectEntityKey(item), { item, canon: toCanonicalEntity(kind, item, lookups) }]));
+    });
+    return index;
+  }
+
+  const sameValue = (x, y) => JSON.stringify(x ?? null) === JSON.stringify(y ?? null);
+
+  function diffCanonicalEntities(left, right) {
+    const fields = [...new Set([...Object.keys(left), ...Object.keys(right)])];
+    return fields.filter(f => !sameValue(left[f], right[f]))
+      .map(field => ({ field, category: getProjectDiffCategory(field), left: left[field], right: right[field] }));
+  }
+
+  /**
+   * Field-level diff of two projects.
+   * @returns {Object} { kinds: { nodes: [{ key, status, name, fields }] , ... }, counts: { added, removed, changed } }
+   */
+  function diffProjects(mine, theirs) {
+    const a = buildProjectEntityIndex(mine);
+    const b = buildProjectEntityIndex(theirs);
+    const kinds = {};
+    const counts = { added: 0, removed: 0, changed: 0 };
+    Object.entries(PROJECT_DIFF_KINDS).forEach(([kind, def]) => {
+      const entries = [];
+      new Set([...a[kind].keys(), ...b[kind].keys()]).forEach(key => {
+        const left = a[kind].get(key);
+        const right = b[kind].get(key);
+        const item = (left || right).item;
+        const name = def.name(item) || `${def.label} ${item.id}`;
+        if (!right) entries.push({ key, status: 'removed', name, fields: [] });
+        else if (!left) entries.push({ key, status: 'added', name, fields: [] });
+        else {
+          const fields = diffCanonicalEntities(left.canon, right.canon);
+          if (fields.length > 0) entries.push({ key, status: 'changed', name, fields });
+        }
+      });
+      entries.forEach(e => counts[e.status]++);
+      kinds[kind] = entries;
+    });
+    return { kinds, counts };
+  }
+
+  /**
+   * Three-way merge of nodes, links, containers and cable systems. Changes made
+   * on one side only are taken automatically; changes to the same field (or a
+   * delete against an edit) become conflicts resolved with `choice`.
+   * @returns {Object} { entities: { kind: Map key → canon|null }, conflicts: [...], autoMerged }
+   */
+  function mergeProjects(base, mine, theirs) {
+    const o = buildProjectEntityIndex(base);
+    const m = buildProjectEntityIndex(mine);
+    const t = buildProjectEntityIndex(theirs);
+    const entities = {};
+    const conflicts = [];
+    let autoMerged = 0;
+
+    Object.entries(PROJECT_DIFF_KINDS).forEach(([kind, def]) => {
+      const merged = new Map();
+      new Set([...o[kind].keys(), ...m[kind].keys(), ...t[kind].keys()]).forEach(key => {
+        const ov = o[kind].get(key)?.canon;
+        const mv = m[kind].get(key)?.canon;
+        const tv = t[kind].get(key)?.canon;
+        const item = (m[kind].get(key) || t[kind].get(key) || o[kind].get(key)).item;
+        const name = def.name(item) || `${def.label} ${item.id}`;
+
+        if (sameValue(mv, tv)) { merged.set(key, mv || null); return; }
+        if (sameValue(ov, mv)) { merged.set(key, tv || null); autoMerged++; return; }
+        if (sameValue(ov, tv)) { merged.set(key, mv || null); return; }
+
+        // Deleted on one side, edited on the other
+        if (!mv || !tv) {
+          conflicts.push({ kind, key, name, field: null, base: ov, mine: mv || null, theirs: tv || null, choice: 'mine' });
+          merged.set(key, mv || null);
+          return;
+        }
+
+        // Both edited: merge field by field
+        const result = {};
+        new Set([...Object.keys(ov || {}), ...Object.keys(mv), ...Object.keys(tv)]).forEach(field => {
+          const bf = ov ? ov[field] : undefined;
+          if (sameValue(mv[field], tv[field]) || sameValue(bf, tv[field])) result[field] = mv[field];
+          else if (sameValue(bf, mv[field])) { result[field] = tv[field]; autoMerged++; }
+          else {
+            result[field] = mv[field];
+            conflicts.push({ kind, key, name, field, base: bf, mine: mv[field], theirs: tv[field], choice: 'mine' });
+          }
+        });
+        merged.set(key, result);
+      });
+      entities[kind] = merged;
+    });
+    return { entities, conflicts, autoMerged };
+  }
+
+  /**
+   * Turn a merge result into a new project. Settings and the collections that
+   * are not merged (MLGs, SRLGs, demands, quotes...) come from mine; entities
+   * keep mine's ids and entities new from theirs get fresh ids.
+   */
+  function buildMergedProject(mine, theirs, merge) {
+    const project = JSON.parse(JSON.stringify(mine));
+    const mineIds = {};
+    Object.keys(PROJECT_DIFF_KINDS).forEach(kind => {
+      mineIds[kind] = new Map((mine[kind] || []).map(item => [getProjectEntityKey(item), item.id]));
+    });
+
+    // Apply conflict choices on top of the auto-merged entities
+    const entities = {};
+    Object.keys(PROJECT_DIFF_KINDS).forEach(kind => {
+      entities[kind] = new Map([...merge.entities[kind]].map(([key, canon]) => [key, canon && { ...canon }]));
+    });
+    merge.conflicts.filter(c => c.choice === 'theirs').forEach(c => {
+      if (c.field === null) { entities[c.kind].set(c.key, c.theirs); return; }
+      const current = entities[c.kind].get(c.key);
+      if (current) current[c.field] = c.theirs;
+    });
+
+    // Assign ids: mine's id when it has one, otherwise the next id mine never
+    // used, even for something since deleted
+    const nextKeys = { nodes: 'nextNode', edges: 'nextEdge', groups: 'nextGroup', cableSystems: 'nextCableSystem' };
+    const newIds = {};
+    const nextIds = {};
+    Object.keys(PROJECT_DIFF_KINDS).forEach(kind => {
+      const maxId = Math.max(0, ...[...mineIds[kind].values()].filter(id => typeof id === 'number'));
+      nextIds[kind] = Math.max(typeof mine[nextKeys[kind]] === 'number' ? mine[nextKeys[kind]] : 0, maxId + 1);
+      newIds[kind] = new Map();
+      entities[kind].forEach((canon, key) => {
+        if (canon) newIds[kind].set(key, mineIds[kind].has(key) ? mineIds[kind].get(key) : nextIds[kind]++);
+      });
+    });
+
+    // A reference to something the merge dropped points at an id no entity has
+    // or will be given, so validation reports it and offers the repair
+    const danglingIds = {};
+    const getDanglingId = kind => {
+      if (danglingIds[kind] === undefined) danglingIds[kind] = nextIds[kind]++;
+      return danglingIds[kind];
+    };
+
+    Object.entries(PROJECT_DIFF_KINDS).forEach(([kind, def]) => {
+      project[kind] = [];
+      entities[kind].forEach((canon, key) => {
+        if (!canon) return;
+        const item = { id: newIds[kind].get(key) };
+        if (!key.startsWith('id:')) item.uuid = key;
+        Object.keys(canon).forEach(field => {
+          const refKind = def.refs[field];
+          const toId = ref => (ref == null ? null : (newIds[refKind].get(ref) ?? getDanglingId(refKind)));
+          item[field] = !refKind ? canon[field] : Array.isArray(canon[field]) ? canon[field].map(toId) : toId(canon[field]);
+        });
+        project[kind].push(item);
+      });
+    });
+    Object.keys(PROJECT_DIFF_KINDS).forEach(kind => { project[nextKeys[kind]] = nextIds[kind]; });
+    project.savedAt = new Date().toISOString();
+    return project;
+  }
+
+  function formatDiffValue(value) {
+    if (value === undefined || value === null || value === '') return '<span style="color:#9ca3af;">—</span>';
+    if (typeof value === 'string' && value.startsWith('missing:')) return `<span style="color:#b91c1c;">missing ${escapeHtml(value.slice(8))}</span>`;
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return escapeHtml(text.length > 80 ? text.slice(0, 77) + '…' : text);
+  }
+
+  // Canvas highlights for the open project plus ghosts of what only theirs has
+  function setProjectDiffHighlight(diff, theirs) {
+    if (!diff) { projectDiffHighlight = null; render(); return; }
+    const statusMap = kind => new Map(diff.kinds[kind].filter(e => e.status !== 'added').map(e => [e.key, e.status]));
+    const theirNodes = new Map((theirs.nodes || []).map(n => [n.id, n]));
+    const addedKeys = kind => new Set(diff.kinds[kind].filter(e => e.status === 'added').map(e => e.key));
+    const addedNodes = addedKeys('nodes');
+    const addedEdges = addedKeys('edges');
+    projectDiffHighlight = {
+      nodes: statusMap('nodes'),
+      edges: statusMap('edges'),
+      ghosts: {
+        nodes: (theirs.nodes || []).filter(n => addedNodes.has(getProjectEntityKey(n))),
+        edges: (theirs.edges || []).filter(e => addedEdges.has(getProjectEntityKey(e)))
+          .map(e => ({ edge: e, a: theirNodes.get(e.a), b: theirNodes.get(e.b) }))
+          .filter(g => g.a && g.b)
+      }
+    };
+    render();
+  }
+
+  function drawProjectDiffGhosts() {
+    const ns = 'http://www.w3.org/2000/svg';
+    const color = PROJECT_DIFF_COLORS.added;
+    projectDiffHighlight.ghosts.edges.forEach(({ a, b }) => {
+      const line = document.createElementNS(ns, 'line');
+      line.setAttribute('x1', a.x); line.setAttribute('y1', a.y);
+      line.setAttribute('x2', b.x); line.setAttribute('y2', b.y);
+      line.setAttribute('stroke', color);
+      line.setAttribute('stroke-width', 3);
+      line.setAttribute('stroke-dasharray', '8 5');
+      line.setAttribute('opacity', '0.8');
+      line.style.pointerEvents = 'none';
+      svg.appendChild(line);
+    });
+    projectDiffHighlight.ghosts.nodes.forEach(n => {
+      const circle = document.createElementNS(ns, 'circle');
+      circle.setAttribute('cx', n.x); circle.setAttribute('cy', n.y);
+      circle.setAttribute('r', (n.r ?? 24));
+      circle.setAttribute('fill', 'rgba(34,197,94,0.15)');
+      circle.setAttribute('stroke', color);
+      circle.setAttribute('stroke-width', 2);
+      circle.setAttribute('stroke-dasharray', '5 4');
+      circle.style.pointerEvents = 'none';
+      svg.appendChild(circle);
+      const label = document.createElementNS(ns, 'text');
+      label.setAttribute('x', n.x); label.setAttribute('y', n.y + (n.r ?? 24) + 14);
+      label.setAttribute('text-anchor', 'middle');
+      label.setAttribute('font-size', 11);
+      label.setAttribute('fill', color);
+      label.style.pointerEvents = 'none';
+      label.textContent = `+ ${n.name || n.code || n.id}`;
+      svg.appendChild(label);
+    });
+  }
+
+  const PROJECT_DIFF_NORMALIZERS = {
+    nodes: normalizeProjectNode,
+    edges: normalizeProjectEdge,
+    groups: normalizeProjectGroup,
+    cableSystems: normalizeProjectCableSystem
+  };
+
+  /**
+   * Read a project file to compare against the open one. Its entities get the
+   * same defaults the loader gave the open project, so a field one file never
+   * saved doesn't show up as a change.
+   */
+  async function readProjectFileForCompare(file) {
+    const project = migrateProjectObject(JSON.parse(await file.text())).project;
+    Object.entries(PROJECT_DIFF_NORMALIZERS).forEach(([kind, normalize]) => {
+      project[kind] = (Array.isArray(project[kind]) ? project[kind] : []).map(item => {
+        const normalized = normalize(item);
+        // Entities without a uuid stay matched by id rather than a fresh random uuid
+        if (!item.uuid) delete normalized.uuid;
+        return normalized;
+      });
+    });
+    return project;
+  }
+
+  function showCompareProjectsDialog() {
+    document.getElementById('compareProjectsModal')?.remove();
+    document.getElementById('compareProjectsBar')?.remove();
+    projectCompare = {
+      mine: JSON.parse(JSON.stringify(buildProjectObject())),
+      theirs: null, theirsName: '', base: null, baseName: '',
+      diff: null, merge: null, filter: 'all', tab: 'diff', expanded: new Set()
+    };
+
+    const modal = document.createElement('div');
+    modal.id = 'compareProjectsModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:1000px; max-width:95vw; height:720px; max-height:92vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>🔀 Compare &amp; Merge Projects</span>
+          <button id="cpClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div style="display:grid; grid-template-columns:repeat(3, 1fr); gap:10px; padding:10px 20px; border-bottom:1px solid #f0f0f0; background:#fafafa; font-size:12px;">
+          <div><div style="color:#6b7280;">Mine</div><b>Open project</b> (${state.nodes.length} nodes, ${state.edges.length} links)</div>
+          <div><div style="color:#6b7280;">Theirs</div><button class="btn" id="cpPickTheirs">📂 Choose .ndg…</button> <span id="cpTheirsName"></span></div>
+          <div><div style="color:#6b7280;">Common ancestor (for merge)</div><button class="btn" id="cpPickBase">📂 Choose .ndg…</button> <span id="cpBaseName"></span></div>
+          <input type="file" id="cpFile" accept=".ndg,.json" style="display:none;">
+        </div>
+        <div style="display:flex; gap:4px; padding:8px 20px 0; font-size:12px; align-items:center;">
+          <button class="btn" data-cp-tab="diff">Differences</button>
+          <button class="btn" data-cp-tab="merge">Merge</button>
+          <span style="flex:1;"></span>
+          <span id="cpSummary" style="color:#6b7280;"></span>
+          <button class="btn" id="cpShowCanvas" title="Highlight the differences on the canvas">🎯 Show on canvas</button>
+        </div>
+        <div id="cpBody" style="flex:1; overflow:auto; padding:8px 20px 16px; font-size:12px;"></div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const close = () => {
+      modal.remove();
+      document.getElementById('compareProjectsBar')?.remove();
+      if (projectDiffHighlight) setProjectDiffHighlight(null);
+    };
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#cpClose').addEventListener('click', close);
+
+    let picking = null;
+    const fileInput = modal.querySelector('#cpFile');
+    modal.querySelector('#cpPickTheirs').addEventListener('click', () => { picking = 'theirs'; fileInput.click(); });
+    modal.querySelector('#cpPickBase').addEventListener('click', () => { picking = 'base'; fileInput.click(); });
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      try {
+        projectCompare[picking] = await readProjectFileForCompare(file);
+        projectCompare[picking + 'Name'] = file.name;
+      } catch (err) {
+        showToast(`❌ Could not read ${file.name}: ${err.message}`);
+        return;
+      }
+      const pc = projectCompare;
+      if (pc.theirs) pc.diff = diffProjects(pc.mine, pc.theirs);
+      if (pc.theirs && pc.base) pc.merge = mergeProjects(pc.base, pc.mine, pc.theirs);
+      if (picking === 'base') pc.tab = 'merge';
+      renderCompareProjects();
+    });
+
+    modal.querySelectorAll('[data-cp-tab]').forEach(btn => btn.addEventListener('click', () => {
+      projectCompare.tab = btn.dataset.cpTab;
+      renderCompareProjects();
+    }));
+
+    modal.querySelector('#cpShowCanvas').addEventListener('click', () => {
+      if (!projectCompare.diff) { showToast('Choose the project to compare with first'); return; }
+      setProjectDiffHighlight(projectCompare.diff, projectCompare.theirs);
+      modal.style.display = 'none';
+      const c = projectCompare.diff.counts;
+      const bar = document.createElement('div');
+      bar.id = 'compareProjectsBar';
+      bar.style.cssText = 'position:fixed; top:60px; left:50%; transform:translateX(-50%); z-index:9000; background:white; border:1px solid #d1d5db; border-radius:8px; box-shadow:0 4px 16px rgba(0,0,0,0.2); padding:8px 12px; font-size:12px; display:flex; gap:12px; align-items:center;';
+      bar.innerHTML = `
+        <b>vs ${escapeHtml(projectCompare.theirsName)}</b>
+        <span style="color:${PROJECT_DIFF_COLORS.added};">● ${c.added} only theirs (dashed)</span>
+        <span style="color:${PROJECT_DIFF_COLORS.removed};">● ${c.removed} only mine</span>
+        <span style="color:${PROJECT_DIFF_COLORS.changed};">● ${c.changed} changed</span>
+        <button class="btn" id="cpBarBack">Back to compare</button>
+        <button class="btn" id="cpBarClear">Clear</button>`;
+      document.body.appendChild(bar);
+      bar.querySelector('#cpBarBack').addEventListener('click', () => { bar.remove(); modal.style.display = 'flex'; });
+      bar.querySelector('#cpBarClear').addEventListener('click', close);
+    });
+
+    modal.querySelector('#cpBody').addEventListener('click', (e) => {
+      const toggle = e.target.closest('[data-cp-expand]');
+      if (toggle) {
+        const key = toggle.dataset.cpExpand;
+        if (projectCompare.expanded.has(key)) projectCompare.expanded.delete(key); else projectCompare.expanded.add(key);
+        renderCompareProjects();
+        return;
+      }
+      const filter = e.target.closest('[data-cp-filter]');
+      if (filter) { projectCompare.filter = filter.dataset.cpFilter; renderCompareProjects(); return; }
+      const all = e.target.closest('[data-cp-all]');
+      if (all) {
+        projectCompare.merge.conflicts.forEach(c => { c.choice = all.dataset.cpAll; });
+        renderCompareProjects();
+        return;
+      }
+      if (e.target.closest('#cpCreateMerged')) createMergedProject();
+    });
+    modal.querySelector('#cpBody').addEventListener('change', (e) => {
+      const idx = e.target.dataset.cpConflict;
+      if (idx !== undefined) projectCompare.merge.conflicts[+idx].choice = e.target.value;
+    });
+
+    renderCompareProjects();
+  }
+
+  function createMergedProject() {
+    const pc = projectCompare;
+    if (dirty && !confirm('The merged project replaces the open one, which has unsaved changes. Continue?')) return;
+    const merged = buildMergedProject(pc.mine, pc.theirs, pc.merge);
+    document.getElementById('compareProjectsModal')?.remove();
+    document.getElementById('compareProjectsBar')?.remove();
+    projectDiffHighlight = null;
+    try {
+      loadProjectObject(merged);
+    } catch (err) {
+      showToast('❌ Merge failed: ' + err.message);
+      return;
+    }
+    // A new, unsaved project: Save asks where to put it
+    currentFileHandle = null;
+    setLastFilename('');
+    dirty = true;
+    showToast(`🔀 Merged project created (${pc.merge.conflicts.length} conflict(s) resolved) - save it to keep it`);
+  }
+
+  function renderCompareProjects() {
+    const modal = document.getElementById('compareProjectsModal');
+    if (!modal) return;
+    const pc = projectCompare;
+    const body = modal.querySelector('#cpBody');
+    modal.querySelector('#cpTheirsName').textContent = pc.theirsName;
+    modal.querySelector('#cpBaseName').textContent = pc.baseName;
+    modal.querySelectorAll('[data-cp-tab]').forEach(btn => btn.classList.toggle('primary', btn.dataset.cpTab === pc.tab));
+    modal.querySelector('#cpSummary').textContent = pc.diff
+      ? `${pc.diff.counts.added} only in theirs · ${pc.diff.counts.removed} only in mine · ${pc.diff.counts.changed} changed`
+      : '';
+
+    const th = 'padding:6px 8px; text-align:left; font-weight:600; color:#374151; border-bottom:1px solid #e5e7eb; white-space:nowrap;';
+    const td = 'padding:4px 8px; border-bottom:1px solid #f3f4f6; vertical-align:top;';
+
+    if (pc.tab === 'diff') {
+      if (!pc.diff) {
+        body.innerHTML = '<div style="padding:40px; text-align:center; color:#999;">Choose the other engineer\'s copy of this project to see what differs.</div>';
+        return;
+      }
+      const statusLabel = { added: 'Only in theirs', removed: 'Only in mine', changed: 'Changed' };
+      const filters = [['all', 'All'], ...Object.entries(PROJECT_DIFF_KINDS).map(([k, d]) => [k, `${d.plural} (${pc.diff.kinds[k].length})`])];
+      const kinds = Object.keys(PROJECT_DIFF_KINDS).filter(k => pc.filter === 'all' || pc.filter === k);
+      const rows = kinds.flatMap(kind => pc.diff.kinds[kind].map(entry => {
+        const id = `${kind}:${entry.key}`;
+        const open = pc.expanded.has(id);
+        const fieldRows = open ? entry.fields.map(f => `
+          <tr style="background:#fafafa;"><td style="${td}"></td><td style="${td} color:#6b7280;">${f.category}</td>
+            <td style="${td} font-family:monospace;">${escapeHtml(f.field)}</td>
+            <td style="${td} font-family:monospace;">${formatDiffValue(f.left)}</td>
+            <td style="${td} font-family:monospace;">${formatDiffValue(f.right)}</td></tr>`).join('') : '';
+        const categories = [...new Set(entry.fields.map(f => f.category))].join(', ');
+        return `<tr ${entry.fields.length ? `data-cp-expand="${escapeHtml(id)}" style="cursor:pointer;"` : ''}>
+            <td style="${td} white-space:nowrap; color:${PROJECT_DIFF_COLORS[entry.status]}; font-weight:600;">${entry.fields.length ? (open ? '▾ ' : '▸ ') : ''}${statusLabel[entry.status]}</td>
+            <td style="${td}">${PROJECT_DIFF_KINDS[kind].label}</td>
+            <td style="${td} font-weight:500;" colspan="${entry.fields.length ? 1 : 3}">${escapeHtml(entry.name)}</td>
+            ${entry.fields.length ? `<td style="${td} color:#6b7280;" colspan="2">${entry.fields.length} field(s): ${categories}</td>` : ''}
+          </tr>${fieldRows}`;
+      })).join('');
+      body.innerHTML = `
+        <div style="display:flex; gap:4px; margin-bottom:6px;">${filters.map(([k, l]) => `<button class="btn ${pc.filter === k ? 'primary' : ''}" data-cp-filter="${k}">${l}</button>`).join('')}</div>
+        ${rows ? `<table style="border-collapse:collapse; width:100%;">
+          <thead><tr><th style="${th}">Status</th><th style="${th}">Type</th><th style="${th}">Name / field</th>
+            <th style="${th}">Mine</th><th style="${th}">Theirs</th></tr></thead>
+          <tbody>${rows}</tbody></table>`
+        : '<div style="padding:40px; text-align:center; color:#047857;">✅ No differences.</div>'}`;
+      return;
+    }
+
+    if (!pc.theirs || !pc.base) {
+      body.innerHTML = `<div style="padding:40px; text-align:center; color:#999;">A three-way merge needs theirs and the common ancestor both copies were made from${pc.theirs ? '' : ' - choose theirs first'}.</div>`;
+      return;
+    }
+    const merge = pc.merge;
+    const conflictRows = merge.conflicts.map((c, idx) => `
+      <tr>
+        <td style="${td}">${PROJECT_DIFF_KINDS[c.kind].label}</td>
+        <td style="${td} font-weight:500;">${escapeHtml(c.name)}</td>
+        <td style="${td} font-family:monospace;">${c.field === null ? '<i>deleted vs edited</i>' : escapeHtml(c.field)}</td>
+        <td style="${td} font-family:monospace; color:#6b7280;">${c.field === null ? (c.base ? 'exists' : '—') : formatDiffValue(c.base)}</td>
+        <td style="${td} font-family:monospace;"><label><input type="radio" name="cpc${idx}" data-cp-conflict="${idx}" value="mine" ${c.choice === 'mine' ? 'checked' : ''}> ${c.field === null ? (c.mine ? 'keep' : 'deleted') : formatDiffValue(c.mine)}</label></td>
+        <td style="${td} font-family:monospace;"><label><input type="radio" name="cpc${idx}" data-cp-conflict="${idx}" value="theirs" ${c.choice === 'theirs' ? 'checked' : ''}> ${c.field === null ? (c.theirs ? 'keep' : 'deleted') : formatDiffValue(c.theirs)}</label></td>
+      </tr>`).join('');
+    body.innerHTML = `
+      <div style="display:flex; gap:8px; align-items:center; margin-bottom:8px;">
+        <span>✅ ${merge.autoMerged} change(s) from theirs merged automatically · <b style="color:${merge.conflicts.length ? '#b45309' : '#047857'};">${merge.conflicts.length} conflict(s)</b></span>
+        <span style="flex:1;"></span>
+        ${merge.conflicts.length ? '<button class="btn" data-cp-all="mine">All mine</button><button class="btn" data-cp-all="theirs">All theirs</button>' : ''}
+        <button class="btn primary" id="cpCreateMerged">🔀 Create Merged Project</button>
+      </div>
+      <div style="color:#6b7280; margin-bottom:8px;">Nodes, links, containers and cable systems are merged. Settings, MLGs, SRLGs, demands and quotes are taken from mine.</div>
+      ${merge.conflicts.length ? `<table style="border-collapse:collapse; width:100%;">
+        <thead><tr><th style="${th}">Type</th><th style="${th}">Name</th><th style="${th}">Field</th><th style="${th}">Ancestor</th>
+          <th style="${th}">Mine</th><th style="${th}">Theirs</th></tr></thead>
+        <tbody>${conflictRows}</tbody></table>` : ''}`;
+  }
+
+  document.getElementById('miCompareProjects')?.addEventListener('click', () => {
+    closeAllMenus();
+    showCompareProjectsDialog();
+  });
+
+  // ============== END PROJECT COMPARE & MERGE ==============
+
+  // ============== HISTORY & CHECKPOINTS ==============
+
+  // Re-draw the History panel when it is open (called from pushHistory/undo/redo)
+  function refreshHistoryPanel() {
+    if (document.getElementById('historyPanel')) renderHistoryPanel();
+  }
+
+  /** Jump straight to any entry in the undo history. */
+  function jumpToHistory(index) {
+    if (index < 0 || index >= history.stack.length || index === history.index) return;
+    moveHistoryTo(index);
+    showToast(`⏪ Back to: ${history.stack[index].description}`);
+  }
+
+  /**
+   * Store the current project as a named checkpoint. Checkpoints are saved
+   * in the project file and are not part of undo.
+   */
+  function saveCheckpoint(name) {
+    const checkpoint = {
+      id: state.nextCheckpoint++,
+      name: name || `Checkpoint ${state.nextCheckpoint - 1}`,
+      createdAt: new Date().toISOString(),
+      snapshot: projectSnapshot()
+    };
+    state.checkpoints.push(checkpoint);
+    dirty = true;
+    refreshHistoryPanel();
+    showToast(`📌 Checkpoint "${checkpoint.name}" saved`);
+    return checkpoint;
+  }
+
+  function deleteCheckpoint(id) {
+    const checkpoint = state.checkpoints.find(c => c.id === id);
+    if (!checkpoint || !confirm(`Delete checkpoint "${checkpoint.name}"?`)) return;
+    state.checkpoints = state.checkpoints.filter(c => c.id !== id);
+    dirty = true;
+    refreshHistoryPanel();
+  }
+
+  // Collections outside the compare diff only get a count in the restore preview
+  function summarizeCheckpointCollections(current, snapshot) {
+    return Object.entries(HISTORY_COLLECTIONS)
+      .filter(([key]) => !PROJECT_DIFF_KINDS[key])
+      .map(([key, def]) => ({ label: def.many, now: (current[key] || []).length, then: (snapshot[key] || []).length, same: sameValue(current[key], snapshot[key]) }))
+      .filter(row => !row.same);
+  }
+
+  /** Preview what restoring a checkpoint changes, then apply it as one undoable step. */
+  function showRestoreCheckpointDialog(id) {
+    const checkpoint = state.checkpoints.find(c => c.id === id);
+    if (!checkpoint) return;
+    document.getElementById('restoreCheckpointModal')?.remove();
+    const current = projectSnapshot();
+    const diff = diffProjects(current, checkpoint.snapshot);
+    const others = summarizeCheckpointCollections(current, checkpoint.snapshot);
+    const statusLabel = { added: 'Comes back', removed: 'Removed', changed: 'Reverted' };
+    const td = 'padding:4px 8px; border-bottom:1px solid #f3f4f6; vertical-align:top;';
+    const rows = Object.entries(PROJECT_DIFF_KINDS).flatMap(([kind, def]) => diff.kinds[kind].map(entry => `
+      <tr>
+        <td style="${td} white-space:nowrap; color:${PROJECT_DIFF_COLORS[entry.status]}; font-weight:600;">${statusLabel[entry.status]}</td>
+        <td style="${td}">${def.label}</td>
+        <td style="${td} font-weight:500;">${escapeHtml(entry.name)}</td>
+        <td style="${td} color:#6b7280;">${entry.fields.slice(0, 4).map(f => `${escapeHtml(f.field)}: ${formatDiffValue(f.left)} → ${formatDiffValue(f.right)}`).join('<br>')}${entry.fields.length > 4 ? `<br>+${entry.fields.length - 4} more` : ''}</td>
+      </tr>`));
+    const shown = rows.slice(0, 300).join('');
+    const c = diff.counts;
+
+    const modal = document.createElement('div');
+    modal.id = 'restoreCheckpointModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:760px; max-width:95vw; max-height:88vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>📌 Restore "${escapeHtml(checkpoint.name)}"</span>
+          <button id="rcClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div style="padding:10px 20px; font-size:12px; color:#374151; border-bottom:1px solid #f0f0f0; background:#fafafa;">
+          Saved ${escapeHtml(new Date(checkpoint.createdAt).toLocaleString())} ·
+          <span style="color:${PROJECT_DIFF_COLORS.added};">${c.added} come back</span> ·
+          <span style="color:${PROJECT_DIFF_COLORS.removed};">${c.removed} removed</span> ·
+          <span style="color:${PROJECT_DIFF_COLORS.changed};">${c.changed} reverted</span>
+          ${others.map(o => `<div>${escapeHtml(o.label)}: ${o.now} now → ${o.then} in checkpoint${o.now === o.then ? ' (edited)' : ''}</div>`).join('')}
+        </div>
+        <div style="flex:1; overflow:auto; padding:8px 20px; font-size:12px;">
+          ${shown ? `<table style="border-collapse:collapse; width:100%;"><tbody>${shown}</tbody></table>
+            ${rows.length > 300 ? `<div style="color:#6b7280; padding:6px 0;">…and ${rows.length - 300} more</div>` : ''}`
+          : `<div style="padding:30px; text-align:center; color:#047857;">✅ ${others.length ? 'Nodes, links, containers and cable systems match the checkpoint.' : 'The project already matches this checkpoint.'}</div>`}
+        </div>
+        <div style="padding:12px 20px; border-top:1px solid #e0e0e0; display:flex; justify-content:flex-end; gap:8px;">
+          <span style="flex:1; font-size:12px; color:#6b7280; align-self:center;">Restoring is one step in the history - Undo brings the current state back.</span>
+          <button class="btn" id="rcCancel">Cancel</button>
+          <button class="btn primary" id="rcApply">Restore</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const close = () => modal.remove();
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#rcClose').addEventListener('click', close);
+    modal.querySelector('#rcCancel').addEventListener('click', close);
+    modal.querySelector('#rcApply').addEventListener('click', () => {
+      close();
+      applySnapshot(cloneHistorySnapshot(checkpoint.snapshot));
+      commit(`Restored checkpoint "${checkpoint.name}"`);
+      render();
+      showToast(`📌 Restored "${checkpoint.name}"`);
+    });
+  }
+
+  /** Floating History panel: the undo timeline plus the project's named checkpoints. */
+  function showHistoryPanel() {
+    if (document.getElementById('historyPanel')) { renderHistoryPanel(); return; }
+    const panel = document.createElement('div');
+    panel.id = 'historyPanel';
+    panel.style.cssText = 'position:fixed; top:60px; right:16px; width:320px; max-height:75vh; z-index:9000; background:white; border:1px solid #d1d5db; border-radius:8px; box-shadow:0 4px 16px rgba(0,0,0,0.2); display:flex; flex-direction:column; font-size:12px;';
+    panel.innerHTML = `
+      <div style="padding:10px 14px; border-bottom:1px solid #e0e0e0; font-size:14px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+        <span>🕘 History</span>
+        <button id="hpClose" style="background:none; border:none; font-size:18px; cursor:pointer; color:#666;">×</button>
+      </div>
+      <div id="hpTimeline" style="flex:1; overflow:auto; padding:4px 0; min-height:80px;"></div>
+      <div style="border-top:1px solid #e0e0e0; padding:8px 14px; background:#fafafa;">
+        <div style="font-weight:600; color:#374151; margin-bottom:6px;">📌 Checkpoints</div>
+        <div style="display:flex; gap:4px; margin-bottom:6px;">
+          <input type="text" id="hpCheckpointName" placeholder="Checkpoint name" style="flex:1; padding:4px 6px; border:1px solid #d1d5db; border-radius:4px; font-size:12px;">
+          <button class="btn primary" id="hpSaveCheckpoint">Save</button>
+        </div>
+        <div id="hpCheckpoints" style="max-height:160px; overflow:auto;"></div>
+      </div>
+    `;
+    document.body.appendChild(panel);
+
+    panel.querySelector('#hpClose').addEventListener('click', () => panel.remove());
+    const nameInput = panel.querySelector('#hpCheckpointName');
+    const save = () => { saveCheckpoint(nameInput.value.trim()); nameInput.value = ''; };
+    panel.querySelector('#hpSaveCheckpoint').addEventListener('click', save);
+    nameInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') save(); });
+    panel.querySelector('#hpTimeline').addEventListener('click', (e) => {
+      const row = e.target.closest('[data-hp-index]');
+      if (row) jumpToHistory(+row.dataset.hpIndex);
+    });
+    panel.querySelector('#hpCheckpoints').addEventListener('click', (e) => {
+      const restore = e.target.closest('[data-hp-restore]');
+      if (restore) { showRestoreCheckpointDialog(+restore.dataset.hpRestore); return; }
+      const del = e.target.closest('[data-hp-delete]');
+      if (del) deleteCheckpoint(+del.dataset.hpDelete);
+    });
+    renderHistoryPanel();
+  }
+
+  function renderHistoryPanel() {
+    const panel = document.getElementById('historyPanel');
+    if (!panel) return;
+    const time = (at) => new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    const timeline = panel.querySelector('#hpTimeline');
+    timeline.innerHTML = history.stack.map((entry, idx) => {
+      const current = idx === history.index;
+      const undone = idx > history.index;
+      return `<div data-hp-index="${idx}" title="${current ? 'Current state' : 'Jump to this point'}" style="display:flex; gap:8px; padding:4px 14px; cursor:pointer; ${current ? 'background:#dbeafe; font-weight:600;' : ''} ${undone ? 'color:#9ca3af; font-style:italic;' : 'color:#111827;'}">
+          <span style="color:#9ca3af; font-family:monospace; flex-shrink:0;">${time(entry.at)}</span>
+          <span style="overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(entry.description)}</span>
+        </div>`;
+    }).join('');
+    timeline.querySelector('[data-hp-index="' + history.index + '"]')?.scrollIntoView?.({ block: 'nearest' });
+
+    panel.querySelector('#hpCheckpoints').innerHTML = state.checkpoints.length === 0
+      ? '<div style="color:#9ca3af;">No checkpoints yet. They are saved with the project.</div>'
+      : state.checkpoints.slice().reverse().map(c => `
+        <div style="display:flex; gap:6px; align-items:center; padding:3px 0; border-bottom:1px solid #f0f0f0;">
+          <div style="flex:1; min-width:0;">
+            <div style="font-weight:500; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(c.name)}</div>
+            <div style="color:#9ca3af;">${escapeHtml(new Date(c.createdAt).toLocaleString())} · ${(c.snapshot.nodes || []).length} nodes, ${(c.snapshot.edges || []).length} links</div>
+          </div>
+          <button class="btn" data-hp-restore="${c.id}" title="Preview and restore">Restore…</button>
+          <button class="btn" data-hp-delete="${c.id}" title="Delete checkpoint">🗑</button>
+        </div>`).join('');
+  }
+
+  document.getElementById('miHistory')?.addEventListener('click', () => {
+    closeAllMenus();
+    showHistoryPanel();
+  });
+
+  // ============== END HISTORY & CHECKPOINTS ==============
+
   // Inspector panel controls (draggable, minimizable, closeable)
   const inspector = document.getElementById('inspector');
   const inspectorHeader = document.getElementById('inspectorHeader');
@@ -19966,6 +22066,1461 @@ function loadProjectObject(obj) {
     return `<svg viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg">${shapeEl}</svg>`;
   }
 
+  // ============== SHARED RISK LINK GROUPS (SRLG) ==============
+  // An SRLG is a set of links that can fail together: one conduit, landing
+  // station, cable system, duct or bridge crossing. Membership lives on the
+  // SRLG (linkIds). Auto-seeded SRLGs keep a sourceKey so re-seeding updates
+  // them in place instead of creating duplicates.
+
+  const SRLG_TYPES = {
+    conduit:         { label: 'Conduit',         icon: '🚇', color: '#7c3aed' },
+    landing_station: { label: 'Landing Station', icon: '⚓', color: '#0891b2' },
+    cable_system:    { label: 'Cable System',    icon: '🌊', color: '#2563eb' },
+    duct:            { label: 'Duct',            icon: '🧵', color: '#ca8a04' },
+    bridge_crossing: { label: 'Bridge Crossing', icon: '🌉', color: '#dc2626' }
+  };
+
+  function makeSrlg(id, type = 'conduit') {
+    return {
+      id,
+      uuid: generateUUID(),
+      name: `SRLG ${id}`,
+      type,                 // Key of SRLG_TYPES
+      linkIds: [],          // Member link IDs
+      nodeIds: [],          // Nodes the risk sits at (landing stations); informational
+      source: 'manual',     // 'manual' | 'auto'
+      sourceKey: null,      // 'cs:<id>' | 'ls-node:<id>' | 'ls-group:<id>' for auto-seeded SRLGs
+      notes: ''
+    };
+  }
+
+  function findSrlg(id) {
+    return state.srlgs.find(s => s.id === id);
+  }
+
+  // SRLGs a link belongs to
+  function getLinkSrlgs(linkId) {
+    return state.srlgs.filter(s => s.linkIds.includes(linkId));
+  }
+
+  // SRLGs shared by a set of links: Map srlgId -> srlg
+  function getSrlgsForLinks(linkIds) {
+    const ids = new Set(linkIds);
+    const result = new Map();
+    state.srlgs.forEach(s => {
+      if (s.linkIds.some(id => ids.has(id))) result.set(s.id, s);
+    });
+    return result;
+  }
+
+  function getSrlgLabel(srlg) {
+    const t = SRLG_TYPES[srlg.type] || SRLG_TYPES.conduit;
+    return `${t.icon} ${srlg.name}`;
+  }
+
+  // Drop members that no longer exist (links deleted since the SRLG was edited)
+  function pruneSrlgMembers() {
+    const edgeIds = new Set(state.edges.map(e => e.id));
+    const nodeIds = new Set(state.nodes.map(n => n.id));
+    let removed = 0;
+    state.srlgs.forEach(s => {
+      const before = s.linkIds.length;
+      s.linkIds = s.linkIds.filter(id => edgeIds.has(id));
+      s.nodeIds = s.nodeIds.filter(id => nodeIds.has(id));
+      removed += before - s.linkIds.length;
+    });
+    return removed;
+  }
+
+  // Landing stations: cable-station containers, plus nodes that are landing
+  // points of a cable system but not inside a cable-station container.
+  // Returns [{ key, name, nodeIds }]
+  function getLandingStations() {
+    const stations = new Map();
+    state.nodes.forEach(n => {
+      const g = n.groupId ? findGroup(n.groupId) : null;
+      if (g && g.type === 'dc' && g.dcFacilityType === 'cable_station') {
+        const key = `ls-group:${g.id}`;
+        if (!stations.has(key)) stations.set(key, { key, name: g.title || `Cable Station ${g.id}`, nodeIds: [] });
+        stations.get(key).nodeIds.push(n.id);
+      } else if (Array.isArray(n.cableSystemIds) && n.cableSystemIds.length > 0) {
+        const key = `ls-node:${n.id}`;
+        stations.set(key, { key, name: n.name || n.code || `N-${n.id}`, nodeIds: [n.id] });
+      }
+    });
+    return [...stations.values()];
+  }
+
+  /**
+   * Create or refresh auto SRLGs from the topology:
+   * - one 'cable_system' SRLG per cable system with 2+ mapped links
+   * - one 'landing_station' SRLG per station where 2+ cable-system links land
+   * Manual SRLGs are never touched.
+   * @returns {Object} { created, updated }
+   */
+  function seedSrlgsFromTopology() {
+    const candidates = [];
+
+    state.cableSystems.forEach(cs => {
+      const linkIds = getCableSystemLinks(cs.id).map(e => e.id);
+      if (linkIds.length < 2) return;
+      candidates.push({
+        sourceKey: `cs:${cs.id}`, type: 'cable_system',
+        name: cs.shortName || cs.name || `CS${cs.id}`, linkIds, nodeIds: []
+      });
+    });
+
+    getLandingStations().forEach(st => {
+      const stationNodes = new Set(st.nodeIds);
+      const linkIds = state.edges
+        .filter(e => e.cableSystemId && (stationNodes.has(e.a) || stationNodes.has(e.b)))
+        .map(e => e.id);
+      if (linkIds.length < 2) return;
+      candidates.push({
+        sourceKey: st.key, type: 'landing_station',
+        name: st.name, linkIds, nodeIds: st.nodeIds
+      });
+    });
+
+    let created = 0;
+    let updated = 0;
+    candidates.forEach(c => {
+      const existing = state.srlgs.find(s => s.source === 'auto' && s.sourceKey === c.sourceKey);
+      if (existing) {
+        const changed = existing.linkIds.length !== c.linkIds.length ||
+                        c.linkIds.some(id => !existing.linkIds.includes(id));
+        existing.linkIds = c.linkIds;
+        existing.nodeIds = c.nodeIds;
+        if (changed) updated++;
+      } else {
+        const srlg = makeSrlg(state.nextSrlg++, c.type);
+        srlg.name = c.name;
+        srlg.linkIds = c.linkIds;
+        srlg.nodeIds = c.nodeIds;
+        srlg.source = 'auto';
+        srlg.sourceKey = c.sourceKey;
+        state.srlgs.push(srlg);
+        created++;
+      }
+    });
+
+    console.log('[SRLG] Seeded from topology:', created, 'created,', updated, 'updated');
+    return { created, updated };
+  }
+
+  /**
+   * Links a backup path must avoid to share no SRLG with the primary.
+   * Where an SRLG sits at a closure node (e.g. the landing station both paths
+   * must start from), only its links touching that node are exempt — no backup
+   * could avoid them. Its links anywhere else stay excluded.
+   * @param {Set} primaryLinkIds - Links of the primary path
+   * @param {Array} closureNodes - Nodes both paths must pass through
+   * @returns {Object} { excludedLinks: Set, primarySrlgs: Map, exemptLinks: Map srlgId → Set of link ids }
+   */
+  function getSrlgExclusions(primaryLinkIds, closureNodes) {
+    const closure = new Set(closureNodes);
+    const primarySrlgs = getSrlgsForLinks(primaryLinkIds);
+    const excludedLinks = new Set();
+    const exemptLinks = new Map();
+    primarySrlgs.forEach((srlg, id) => {
+      const atClosure = new Set(srlg.nodeIds.filter(n => closure.has(n)));
+      srlg.linkIds.forEach(linkId => {
+        const edge = findEdge(linkId);
+        if (edge && (atClosure.has(edge.a) || atClosure.has(edge.b))) {
+          if (!exemptLinks.has(id)) exemptLinks.set(id, new Set());
+          exemptLinks.get(id).add(linkId);
+        } else {
+          excludedLinks.add(linkId);
+        }
+      });
+    });
+    return { excludedLinks, primarySrlgs, exemptLinks };
+  }
+
+  /**
+   * Primary SRLGs a backup still shares through exempt links at a closure node.
+   * @param {Object} exclusions - Result of getSrlgExclusions
+   * @param {Set} backupLinkIds - Links of the backup path
+   * @returns {Array} SRLGs
+   */
+  function getSharedExemptSrlgs(exclusions, backupLinkIds) {
+    return [...exclusions.exemptLinks]
+      .filter(([, linkIds]) => [...linkIds].some(id => backupLinkIds.has(id)))
+      .map(([id]) => exclusions.primarySrlgs.get(id));
+  }
+
+  // ---------- SRLG editor dialog ----------
+
+  let srlgEditorSelectedId = null;
+
+  function showSrlgEditor() {
+    document.getElementById('srlgEditorModal')?.remove();
+    pruneSrlgMembers();
+    if (srlgEditorSelectedId !== null && !findSrlg(srlgEditorSelectedId)) srlgEditorSelectedId = null;
+    if (srlgEditorSelectedId === null && state.srlgs.length > 0) srlgEditorSelectedId = state.srlgs[0].id;
+
+    const modal = document.createElement('div');
+    modal.id = 'srlgEditorModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:820px; max-width:95vw; height:560px; max-height:90vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>🛡️ Shared Risk Link Groups</span>
+          <button id="srlgEditorClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div style="display:flex; gap:8px; padding:10px 20px; border-bottom:1px solid #f0f0f0; background:#fafafa;">
+          <button class="btn primary" id="srlgNew">+ New SRLG</button>
+          <button class="btn" id="srlgSeed" title="Create/refresh SRLGs for cable systems and shared landing stations">⚙ Auto-seed from Topology</button>
+          <span style="flex:1;"></span>
+          <span id="srlgCount" style="font-size:11px; color:#6b7280; align-self:center;"></span>
+        </div>
+        <div style="display:flex; flex:1; min-height:0;">
+          <div id="srlgList" style="width:280px; border-right:1px solid #e5e7eb; overflow-y:auto;"></div>
+          <div id="srlgDetail" style="flex:1; overflow-y:auto; padding:14px 18px;"></div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const close = () => modal.remove();
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#srlgEditorClose').addEventListener('click', close);
+
+    modal.querySelector('#srlgNew').addEventListener('click', () => {
+      const srlg = makeSrlg(state.nextSrlg++);
+      // Start with the current link selection, if any
+      srlg.linkIds = [...getSelectedEdgeIds()];
+      state.srlgs.push(srlg);
+      srlgEditorSelectedId = srlg.id;
+      commit();
+      renderSrlgEditor();
+      showToast(`✅ Created ${srlg.name}`);
+    });
+
+    modal.querySelector('#srlgSeed').addEventListener('click', () => {
+      const { created, updated } = seedSrlgsFromTopology();
+      if (created || updated) commit();
+      if (srlgEditorSelectedId === null && state.srlgs.length > 0) srlgEditorSelectedId = state.srlgs[0].id;
+      renderSrlgEditor();
+      showToast(created || updated
+        ? `✅ SRLGs seeded: ${created} created, ${updated} updated`
+        : 'No new shared risks found (cable systems / landing stations need 2+ links)');
+    });
+
+    renderSrlgEditor();
+  }
+
+  // Link IDs currently selected on the canvas (multi-selection or single)
+  function getSelectedEdgeIds() {
+    const ids = new Set(state.selection.edges);
+    if (state.selected && state.selected.type === 'edge') ids.add(state.selected.id);
+    return ids;
+  }
+
+  function renderSrlgEditor() {
+    const modal = document.getElementById('srlgEditorModal');
+    if (!modal) return;
+    const listEl = modal.querySelector('#srlgList');
+    const detailEl = modal.querySelector('#srlgDetail');
+    modal.querySelector('#srlgCount').textContent = `${state.srlgs.length} SRLG${state.srlgs.length === 1 ? '' : 's'}`;
+
+    if (state.srlgs.length === 0) {
+      listEl.innerHTML = `<div style="padding:16px; color:#999; font-size:12px; font-style:italic;">No SRLGs yet. Create one or auto-seed from cable systems and landing stations.</div>`;
+    } else {
+      listEl.innerHTML = state.srlgs.map(s => {
+        const t = SRLG_TYPES[s.type] || SRLG_TYPES.conduit;
+        const active = s.id === srlgEditorSelectedId;
+        return `
+          <div class="srlg-list-item" data-id="${s.id}" style="padding:8px 12px; border-bottom:1px solid #f3f4f6; cursor:pointer; ${active ? 'background:#eef2ff;' : ''}">
+            <div style="font-size:12px; font-weight:600; color:#1f2937;">${t.icon} ${escapeHtml(s.name)}</div>
+            <div style="font-size:10px; color:#6b7280;">${t.label} · ${s.linkIds.length} link${s.linkIds.length === 1 ? '' : 's'}${s.source === 'auto' ? ' · auto' : ''}</div>
+          </div>`;
+      }).join('');
+      listEl.querySelectorAll('.srlg-list-item').forEach(item => {
+        item.addEventListener('click', () => {
+          srlgEditorSelectedId = parseInt(item.dataset.id);
+          renderSrlgEditor();
+        });
+      });
+    }
+
+    const srlg = srlgEditorSelectedId !== null ? findSrlg(srlgEditorSelectedId) : null;
+    if (!srlg) {
+      detailEl.innerHTML = `<div style="color:#999; font-size:12px; padding-top:40px; text-align:center;">Select an SRLG to edit it</div>`;
+      return;
+    }
+
+    const typeOptions = Object.entries(SRLG_TYPES).map(([key, t]) =>
+      `<option value="${key}" ${srlg.type === key ? 'selected' : ''}>${t.icon} ${t.label}</option>`
+    ).join('');
+    const memberRows = srlg.linkIds.map(linkId => {
+      const e = findEdge(linkId);
+      const a = e ? findNode(e.a) : null;
+      const b = e ? findNode(e.b) : null;
+      const cs = e && e.cableSystemId ? findCableSystem(e.cableSystemId) : null;
+      return `
+        <tr>
+          <td style="padding:4px 6px; font-family:monospace;">${escapeHtml(e?.code || `L-${linkId}`)}</td>
+          <td style="padding:4px 6px;">${escapeHtml(a?.name || '?')} ↔ ${escapeHtml(b?.name || '?')}</td>
+          <td style="padding:4px 6px; color:#6b7280;">${cs ? escapeHtml(cs.shortName || cs.name) : ''}</td>
+          <td style="padding:4px 6px; text-align:right;"><button class="btn srlg-remove-link" data-link="${linkId}" style="font-size:10px; padding:2px 6px; color:#b91c1c;">Remove</button></td>
+        </tr>`;
+    }).join('');
+    const stationNames = srlg.nodeIds.map(id => escapeHtml(findNode(id)?.name || `N-${id}`)).join(', ');
+
+    detailEl.innerHTML = `
+      <div class="row" style="margin-bottom:10px;">
+        <label style="font-size:11px; font-weight:600; color:#374151;">Name</label>
+        <input id="srlgName" type="text" value="${escapeHtml(srlg.name)}" style="width:100%;" />
+      </div>
+      <div class="row" style="margin-bottom:10px;">
+        <label style="font-size:11px; font-weight:600; color:#374151;">Type</label>
+        <select id="srlgType" style="width:100%;">${typeOptions}</select>
+        ${srlg.source === 'auto' ? `<div class="hint">Auto-seeded (${escapeHtml(srlg.sourceKey || '')}); re-seeding refreshes its links.</div>` : ''}
+      </div>
+      ${stationNames ? `<div class="hint" style="margin-bottom:10px;">At: ${stationNames} — when one of these is a closure node, this SRLG's links at it are exempt from SRLG-diverse protection.</div>` : ''}
+      <div class="row" style="margin-bottom:10px;">
+        <label style="font-size:11px; font-weight:600; color:#374151;">Notes</label>
+        <textarea id="srlgNotes" rows="2" style="width:100%;">${escapeHtml(srlg.notes || '')}</textarea>
+      </div>
+      <div style="display:flex; gap:6px; margin-bottom:8px;">
+        <button class="btn" id="srlgAddSelected">➕ Add Selected Links</button>
+        <button class="btn" id="srlgHighlight">🔍 Select on Canvas</button>
+        <span style="flex:1;"></span>
+        <button class="btn" id="srlgDelete" style="color:#b91c1c; border-color:#fca5a5;">🗑 Delete SRLG</button>
+      </div>
+      <table style="width:100%; border-collapse:collapse; font-size:11px;">
+        <thead><tr style="background:#f9fafb; text-align:left;"><th style="padding:4px 6px;">Link</th><th style="padding:4px 6px;">Endpoints</th><th style="padding:4px 6px;">Cable System</th><th></th></tr></thead>
+        <tbody>${memberRows || '<tr><td colspan="4" style="padding:10px; color:#999; font-style:italic;">No member links. Select links on the canvas and click “Add Selected Links”.</td></tr>'}</tbody>
+      </table>
+    `;
+
+    detailEl.querySelector('#srlgName').addEventListener('change', (e) => {
+      srlg.name = e.target.value.trim() || `SRLG ${srlg.id}`;
+      commit();
+      renderSrlgEditor();
+    });
+    detailEl.querySelector('#srlgType').addEventListener('change', (e) => {
+      srlg.type = e.target.value;
+      commit();
+      renderSrlgEditor();
+    });
+    detailEl.querySelector('#srlgNotes').addEventListener('change', (e) => {
+      srlg.notes = e.target.value;
+      commit();
+    });
+    detailEl.querySelector('#srlgAddSelected').addEventListener('click', () => {
+      const selected = [...getSelectedEdgeIds()].filter(id => !srlg.linkIds.includes(id));
+      if (selected.length === 0) {
+        showToast('Select one or more links on the canvas first');
+        return;
+      }
+      srlg.linkIds.push(...selected);
+      commit();
+      renderSrlgEditor();
+      showToast(`➕ Added ${selected.length} link(s) to ${srlg.name}`);
+    });
+    detailEl.querySelector('#srlgHighlight').addEventListener('click', () => {
+      setMultiSelection({ edges: srlg.linkIds });
+      render();
+      showToast(`🔍 ${srlg.linkIds.length} link(s) selected`);
+    });
+    detailEl.querySelector('#srlgDelete').addEventListener('click', () => {
+      if (!confirm(`Delete SRLG "${srlg.name}"?`)) return;
+      state.srlgs = state.srlgs.filter(s => s.id !== srlg.id);
+      srlgEditorSelectedId = state.srlgs.length > 0 ? state.srlgs[0].id : null;
+      commit();
+      renderSrlgEditor();
+      showToast('🗑 SRLG deleted');
+    });
+    detailEl.querySelectorAll('.srlg-remove-link').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const linkId = parseInt(btn.dataset.link);
+        srlg.linkIds = srlg.linkIds.filter(id => id !== linkId);
+        commit();
+        renderSrlgEditor();
+      });
+    });
+  }
+
+  document.getElementById('miSrlgEditor')?.addEventListener('click', () => {
+    closeAllMenus();
+    showSrlgEditor();
+  });
+
+  // ============== END SHARED RISK LINK GROUPS (SRLG) ==============
+
+  // ============== FAILURE SIMULATION ==============
+  // What-if analysis: fail any mix of links, nodes, cable systems, SRLGs and
+  // containers, then re-evaluate every MLG and the critical endpoint pairs.
+  // The failure set lives in state.failureSim (session-only) so render() and
+  // the MapLibre view can paint it; critical pairs are saved with the project.
+
+  const FAILURE_STATUS = {
+    ok:          { label: 'OK',          color: '#15803d', bg: '#dcfce7' },
+    protected:   { label: 'Protected',   color: '#b45309', bg: '#fef3c7' },
+    rerouted:    { label: 'Rerouted',    color: '#b45309', bg: '#fef3c7' },
+    lost:        { label: 'Lost',        color: '#b91c1c', bg: '#fee2e2' },
+    unreachable: { label: 'Unreachable', color: '#6b7280', bg: '#f3f4f6' },
+    empty:       { label: 'No paths',    color: '#6b7280', bg: '#f3f4f6' }
+  };
+
+  function makeFailureSim() {
+    return {
+      edges: new Set(),
+      nodes: new Set(),
+      cableSystems: new Set(),
+      srlgs: new Set(),
+      groups: new Set(),
+      result: null
+    };
+  }
+
+  function makeCriticalPair(id, a, b) {
+    return { id, uuid: generateUUID(), name: '', a, b };
+  }
+
+  function getCapacityTotalGbps(cap) {
+    return cap.cap1G + (10 * cap.cap10G) + (100 * cap.cap100G) + (400 * cap.cap400G) + (1000 * cap.capTbps);
+  }
+
+  /**
+   * Expand a failure set into the links and nodes it takes down.
+   * Containers fail every node inside them; failed nodes fail their links.
+   * @param {Object} sim - Failure set from makeFailureSim()
+   * @returns {Object} { failedLinks: Set, failedNodes: Set }
+   */
+  function resolveFailureSet(sim) {
+    const failedNodes = new Set(sim.nodes);
+    sim.groups.forEach(groupId => {
+      const g = findGroup(groupId);
+      if (!g) return;
+      state.nodes.forEach(n => {
+        if (n.groupId === g.id || pointInGroup(n.x, n.y, g)) failedNodes.add(n.id);
+      });
+    });
+
+    const failedLinks = new Set(sim.edges);
+    sim.cableSystems.forEach(csId => getCableSystemLinks(csId).forEach(e => failedLinks.add(e.id)));
+    sim.srlgs.forEach(srlgId => findSrlg(srlgId)?.linkIds.forEach(linkId => failedLinks.add(linkId)));
+    state.edges.forEach(e => {
+      if (failedNodes.has(e.a) || failedNodes.has(e.b)) failedLinks.add(e.id);
+    });
+    return { failedLinks, failedNodes };
+  }
+
+  // Plain latency graph over every surviving link (Route Finder filters don't apply here)
+  function buildFailureSimGraph(failedLinks, failedNodes) {
+    const adj = new Map();
+    state.nodes.forEach(n => {
+      if (!failedNodes.has(n.id)) adj.set(n.id, []);
+    });
+    state.edges.forEach(e => {
+      if (failedLinks.has(e.id) || !adj.has(e.a) || !adj.has(e.b)) return;
+      const latency = parseFloat(e.latencyMs) || parseFloat(e.latency) || routeFinderState.minLatency || 0.001;
+      adj.get(e.a).push({ to: e.b, cost: latency, edgeId: e.id, implicit: false, latency });
+      adj.get(e.b).push({ to: e.a, cost: latency, edgeId: e.id, implicit: false, latency });
+    });
+    return adj;
+  }
+
+  /**
+   * Re-evaluate an MLG under failure: each segment stays on its primary path
+   * if that survives, otherwise falls back to its lowest-latency surviving path.
+   * @returns {Object} { status, latencyBefore, latencyAfter, capacityBefore, capacityAfter, activeLinks }
+   */
+  function evaluateMLGUnderFailure(mlg, failedLinks) {
+    const pathAlive = p => p.links.length > 0 && !p.links.some(id => failedLinks.has(id));
+    let status = 'ok';
+    let latencyBefore = 0;
+    let latencyAfter = 0;
+    let hasPaths = false;
+    const primaryLinks = [];
+    const activeLinks = [];
+
+    (mlg.segments || []).forEach(seg => {
+      const paths = (seg.paths || []).filter(p => Array.isArray(p.links) && p.links.length > 0);
+      if (paths.length === 0) return;
+      hasPaths = true;
+      const primary = paths.find(p => p.type === 'primary') || paths[0];
+      latencyBefore += calculatePathLatency(primary.links);
+      primaryLinks.push(...primary.links);
+
+      let active = pathAlive(primary) ? primary : null;
+      if (!active) {
+        const survivors = paths.filter(p => p !== primary && pathAlive(p));
+        if (survivors.length === 0) {
+          status = 'lost';
+          return;
+        }
+        active = survivors.reduce((best, p) =>
+          calculatePathLatency(p.links) < calculatePathLatency(best.links) ? p : best
+        );
+        if (status === 'ok') status = 'protected';
+      }
+      latencyAfter += calculatePathLatency(active.links);
+      activeLinks.push(...active.links);
+    });
+
+    if (!hasPaths) status = 'empty';
+    const lost = status === 'lost' || status === 'empty';
+    return {
+      status,
+      latencyBefore,
+      latencyAfter: lost ? null : latencyAfter,
+      capacityBefore: calculatePathCapacity(primaryLinks),
+      capacityAfter: calculatePathCapacity(lost ? [] : activeLinks),
+      activeLinks: lost ? [] : activeLinks
+    };
+  }
+
+  // Re-evaluate a critical endpoint pair: shortest path before and after the failure
+  function evaluateCriticalPair(pair, baseAdj, failedAdj, failedLinks) {
+    const before = baseAdj.has(pair.a) && baseAdj.has(pair.b) ? findWaypointRoute(baseAdj, [pair.a, pair.b]) : null;
+    const after = failedAdj.has(pair.a) && failedAdj.has(pair.b) ? findWaypointRoute(failedAdj, [pair.a, pair.b]) : null;
+
+    let status = 'ok';
+    if (!before) status = 'unreachable';
+    else if (!after) status = 'lost';
+    else if (before.segments.some(s => failedLinks.has(s.edgeId))) status = 'rerouted';
+
+    const linksOf = route => route ? route.segments.map(s => s.edgeId).filter(Boolean) : [];
+    return {
+      status,
+      before,
+      after,
+      latencyBefore: before ? before.totalLatency : null,
+      latencyAfter: after ? after.totalLatency : null,
+      capacityBefore: calculatePathCapacity(linksOf(before)),
+      capacityAfter: calculatePathCapacity(linksOf(after)),
+      activeLinks: status === 'rerouted' ? linksOf(after) : []
+    };
+  }
+
+  /**
+   * Evaluate the current failure set against every MLG and critical pair.
+   * Stores and returns the result on state.failureSim.result.
+   */
+  function runFailureSimulation() {
+    const sim = state.failureSim;
+    if (!sim) return null;
+
+    const { failedLinks, failedNodes } = resolveFailureSet(sim);
+    const baseAdj = buildFailureSimGraph(new Set(), new Set());
+    const failedAdj = buildFailureSimGraph(failedLinks, failedNodes);
+
+    sim.result = {
+      failedLinks,
+      failedNodes,
+      mlgs: state.multilinkGroups.map(mlg => Object.assign({ mlg }, evaluateMLGUnderFailure(mlg, failedLinks))),
+      pairs: state.criticalPairs.map(pair => Object.assign({ pair }, evaluateCriticalPair(pair, baseAdj, failedAdj, failedLinks)))
+    };
+
+    const count = (items, status) => items.filter(r => r.status === status).length;
+    console.log('[Failure Sim] Failed links:', failedLinks.size, '| nodes:', failedNodes.size,
+      '| MLGs lost/protected:', count(sim.result.mlgs, 'lost'), '/', count(sim.result.mlgs, 'protected'),
+      '| pairs lost/rerouted:', count(sim.result.pairs, 'lost'), '/', count(sim.result.pairs, 'rerouted'));
+    return sim.result;
+  }
+
+  // Links carrying traffic that moved because of the failure (protection or reroute)
+  function getFailureSimActiveLinks(result) {
+    const links = new Set();
+    result.mlgs.forEach(r => { if (r.status === 'protected') r.activeLinks.forEach(id => links.add(id)); });
+    result.pairs.forEach(r => r.activeLinks.forEach(id => links.add(id)));
+    result.failedLinks.forEach(id => links.delete(id));
+    return links;
+  }
+
+  // Paint failed elements and fallback paths on the canvas (called from render())
+  function applyFailureSimHighlights() {
+    const result = state.failureSim?.result;
+    if (!result) return;
+    const inGeoView = typeof geoViewState !== 'undefined' && geoViewState.active;
+
+    result.failedLinks.forEach(id => {
+      svg.querySelectorAll(`.edge[data-edge-id="${id}"]`).forEach(el => el.classList.add('failure-sim-failed'));
+    });
+    getFailureSimActiveLinks(result).forEach(id => {
+      svg.querySelectorAll(`.edge[data-edge-id="${id}"]`).forEach(el => el.classList.add('failure-sim-fallback'));
+    });
+    result.failedNodes.forEach(id => {
+      let el = svg.querySelector(`g.node[data-node-id="${id}"]`);
+      if (!el && inGeoView) el = svg.querySelector(`circle.geo-node[data-node-id="${id}"]`);
+      if (el) el.classList.add('failure-sim-failed-node');
+    });
+  }
+
+  // GeoJSON feature for a link: KML cable geometry when available, else a straight line
+  function getEdgeGeoFeature(edge, properties) {
+    if (mapLibreState.pathRenderMode === 'paths' && edge.cableGeometry && edge.cableGeometry.coordinates) {
+      return { type: 'Feature', properties, geometry: edge.cableGeometry };
+    }
+    const a = findNode(edge.a);
+    const b = findNode(edge.b);
+    if (!a || !b || a.gpsLat == null || a.gpsLon == null || b.gpsLat == null || b.gpsLon == null) return null;
+    return {
+      type: 'Feature',
+      properties,
+      geometry: { type: 'LineString', coordinates: [[a.gpsLon, a.gpsLat], [b.gpsLon, b.gpsLat]] }
+    };
+  }
+
+  // Paint failed links (red, dashed) and fallback paths (amber) on the MapLibre view
+  function renderFailureSimInMapLibre() {
+    clearMapLibreFailureSim();
+    const result = state.failureSim?.result;
+    if (!result || !window.mapLibreState || !mapLibreState.map || !mapLibreState.isStyleLoaded) return;
+
+    const features = [];
+    result.failedLinks.forEach(id => {
+      const edge = findEdge(id);
+      const f = edge && getEdgeGeoFeature(edge, { kind: 'failed' });
+      if (f) features.push(f);
+    });
+    getFailureSimActiveLinks(result).forEach(id => {
+      const edge = findEdge(id);
+      const f = edge && getEdgeGeoFeature(edge, { kind: 'fallback' });
+      if (f) features.push(f);
+    });
+    result.failedNodes.forEach(id => {
+      const n = findNode(id);
+      if (n && n.gpsLat != null && n.gpsLon != null) {
+        features.push({ type: 'Feature', properties: { kind: 'failed-node' }, geometry: { type: 'Point', coordinates: [n.gpsLon, n.gpsLat] } });
+      }
+    });
+    if (features.length === 0) return;
+
+    try {
+      mapLibreState.map.addSource('failure-sim', {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features }
+      });
+      mapLibreState.map.addLayer({
+        id: 'failure-sim-fallback',
+        type: 'line',
+        source: 'failure-sim',
+        filter: ['==', ['get', 'kind'], 'fallback'],
+        paint: { 'line-color': '#f59e0b', 'line-width': 5, 'line-opacity': 0.9 },
+        layout: { 'line-cap': 'round', 'line-join': 'round' }
+      });
+      mapLibreState.map.addLayer({
+        id: 'failure-sim-failed',
+        type: 'line',
+        source: 'failure-sim',
+        filter: ['==', ['get', 'kind'], 'failed'],
+        paint: { 'line-color': '#dc2626', 'line-width': 4, 'line-opacity': 0.9, 'line-dasharray': [2, 2] },
+        layout: { 'line-cap': 'round', 'line-join': 'round' }
+      });
+      mapLibreState.map.addLayer({
+        id: 'failure-sim-failed-nodes',
+        type: 'circle',
+        source: 'failure-sim',
+        filter: ['==', ['get', 'kind'], 'failed-node'],
+        paint: { 'circle-radius': 9, 'circle-color': '#dc2626', 'circle-opacity': 0.35, 'circle-stroke-color': '#dc2626', 'circle-stroke-width': 2 }
+      });
+    } catch (err) {
+      console.warn('Failed to render failure simulation in MapLibre:', err);
+    }
+  }
+
+  function clearMapLibreFailureSim() {
+    if (!window.mapLibreState || !mapLibreState.map) return;
+    try {
+      ['failure-sim-failed-nodes', 'failure-sim-failed', 'failure-sim-fallback'].forEach(id => {
+        if (mapLibreState.map.getLayer(id)) mapLibreState.map.removeLayer(id);
+      });
+      if (mapLibreState.map.getSource('failure-sim')) mapLibreState.map.removeSource('failure-sim');
+    } catch (err) {
+      // Ignore errors during cleanup
+    }
+  }
+
+  // ---------- Failure Simulation panel ----------
+
+  function showFailureSimPanel() {
+    if (!state.failureSim) state.failureSim = makeFailureSim();
+    let panel = document.getElementById('failureSimPanel');
+    if (panel) {
+      panel.style.display = 'flex';
+      refreshFailureSim();
+      return;
+    }
+
+    panel = document.createElement('div');
+    panel.id = 'failureSimPanel';
+    panel.className = 'floating-panel';
+    panel.style.cssText = `
+      position: fixed; top: 80px; right: 20px; z-index: 1500; width: 460px; max-height: 80vh;
+      background: white; border-radius: 8px; box-shadow: 0 4px 20px rgba(0,0,0,0.25);
+      display: flex; flex-direction: column; font-size: 12px;
+    `;
+    panel.innerHTML = `
+      <div class="floating-panel-header" style="display:flex; justify-content:space-between; align-items:center; padding:8px 12px; background:#fef2f2; border-radius:8px 8px 0 0; cursor:move; border-bottom:1px solid #fecaca;">
+        <span style="font-weight:600; font-size:12px; color:#991b1b;">💥 Failure Simulation</span>
+        <button id="btnCloseFailureSim" title="Close (restores normal view)" style="background:none; border:none; font-size:14px; cursor:pointer; color:#666;">✕</button>
+      </div>
+      <div style="overflow-y:auto; padding:10px 12px;">
+        <div style="font-weight:600; color:#374151; margin-bottom:6px;">Failure set</div>
+        <div style="display:flex; gap:6px; flex-wrap:wrap; margin-bottom:6px;">
+          <button class="btn" id="fsAddSelection" title="Fail the links, nodes and containers selected on the canvas">➕ Fail Selection</button>
+          <button class="btn" id="fsClear">Clear</button>
+        </div>
+        <div style="display:flex; gap:6px; margin-bottom:6px;">
+          <select id="fsCableSystem" style="flex:1; font-size:11px;"></select>
+          <button class="btn" id="fsAddCableSystem">Cut</button>
+        </div>
+        <div style="display:flex; gap:6px; margin-bottom:8px;">
+          <select id="fsSrlg" style="flex:1; font-size:11px;"></select>
+          <button class="btn" id="fsAddSrlg">Fail</button>
+        </div>
+        <div id="fsFailureList" style="display:flex; flex-wrap:wrap; gap:4px; margin-bottom:12px;"></div>
+
+        <div style="font-weight:600; color:#374151; margin-bottom:6px;">Critical endpoint pairs</div>
+        <div style="display:flex; gap:6px; margin-bottom:6px;">
+          <select id="fsPairA" style="flex:1; font-size:11px;"></select>
+          <select id="fsPairB" style="flex:1; font-size:11px;"></select>
+          <button class="btn" id="fsAddPair">Add</button>
+        </div>
+        <div id="fsPairList" style="margin-bottom:12px;"></div>
+
+        <div id="fsResults"></div>
+      </div>
+    `;
+    document.body.appendChild(panel);
+
+    panel.querySelector('#btnCloseFailureSim').addEventListener('click', closeFailureSimPanel);
+
+    panel.querySelector('#fsAddSelection').addEventListener('click', () => {
+      const sim = state.failureSim;
+      const before = sim.edges.size + sim.nodes.size + sim.groups.size;
+      getSelectedEdgeIds().forEach(id => sim.edges.add(id));
+      state.selection.nodes.forEach(id => sim.nodes.add(id));
+      state.selection.groups.forEach(id => sim.groups.add(id));
+      if (state.selected && state.selected.type === 'node') sim.nodes.add(state.selected.id);
+      if (state.selected && state.selected.type === 'group') sim.groups.add(state.selected.id);
+      if (sim.edges.size + sim.nodes.size + sim.groups.size === before) {
+        showToast('Select links, nodes or containers on the canvas first');
+        return;
+      }
+      refreshFailureSim();
+    });
+    panel.querySelector('#fsClear').addEventListener('click', () => {
+      state.failureSim = makeFailureSim();
+      refreshFailureSim();
+    });
+    panel.querySelector('#fsAddCableSystem').addEventListener('click', () => {
+      const csId = parseInt(panel.querySelector('#fsCableSystem').value);
+      if (!csId) return;
+      state.failureSim.cableSystems.add(csId);
+      refreshFailureSim();
+    });
+    panel.querySelector('#fsAddSrlg').addEventListener('click', () => {
+      const srlgId = parseInt(panel.querySelector('#fsSrlg').value);
+      if (!srlgId) return;
+      state.failureSim.srlgs.add(srlgId);
+      refreshFailureSim();
+    });
+    panel.querySelector('#fsAddPair').addEventListener('click', () => {
+      const a = parseInt(panel.querySelector('#fsPairA').value);
+      const b = parseInt(panel.querySelector('#fsPairB').value);
+      if (!a || !b || a === b) {
+        showToast('Pick two different nodes');
+        return;
+      }
+      state.criticalPairs.push(makeCriticalPair(state.nextCriticalPair++, a, b));
+      commit();
+      refreshFailureSim();
+    });
+
+    // Draggable by the header (same behaviour as the floating Labels panel)
+    const header = panel.querySelector('.floating-panel-header');
+    let isDragging = false;
+    let offsetX, offsetY;
+    header.addEventListener('mousedown', (e) => {
+      if (e.target.tagName === 'BUTTON') return;
+      isDragging = true;
+      offsetX = e.clientX - panel.offsetLeft;
+      offsetY = e.clientY - panel.offsetTop;
+      header.style.cursor = 'grabbing';
+    });
+    document.addEventListener('mousemove', (e) => {
+      if (!isDragging) return;
+      panel.style.left = (e.clientX - offsetX) + 'px';
+      panel.style.top = (e.clientY - offsetY) + 'px';
+      panel.style.right = 'auto';
+    });
+    document.addEventListener('mouseup', () => {
+      isDragging = false;
+      header.style.cursor = 'move';
+    });
+
+    refreshFailureSim();
+  }
+
+  function closeFailureSimPanel() {
+    const panel = document.getElementById('failureSimPanel');
+    if (panel) panel.style.display = 'none';
+    state.failureSim = null;
+    clearMapLibreFailureSim();
+    render();
+  }
+
+  // Re-run the simulation and redraw panel, canvas and map
+  function refreshFailureSim() {
+    if (!state.failureSim) return;
+    runFailureSimulation();
+    renderFailureSimPanel();
+    render();
+    renderFailureSimInMapLibre();
+  }
+
+  function renderFailureSimPanel() {
+    const panel = document.getElementById('failureSimPanel');
+    const sim = state.failureSim;
+    if (!panel || !sim) return;
+
+    const nodeName = id => findNode(id)?.name || findNode(id)?.code || `N-${id}`;
+    const sortedNodes = [...state.nodes].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    const nodeOptions = sortedNodes.map(n => `<option value="${n.id}">${escapeHtml(n.name || n.code || `N-${n.id}`)}</option>`).join('');
+
+    panel.querySelector('#fsCableSystem').innerHTML = '<option value="">— Cut a cable system —</option>' +
+      state.cableSystems.map(cs => `<option value="${cs.id}">${escapeHtml(cs.shortName || cs.name)} (${getCableSystemLinks(cs.id).length} links)</option>`).join('');
+    panel.querySelector('#fsSrlg').innerHTML = '<option value="">— Fail an SRLG —</option>' +
+      state.srlgs.map(s => `<option value="${s.id}">${escapeHtml(getSrlgLabel(s))} (${s.linkIds.length} links)</option>`).join('');
+    panel.querySelector('#fsPairA').innerHTML = '<option value="">A-end…</option>' + nodeOptions;
+    panel.querySelector('#fsPairB').innerHTML = '<option value="">Z-end…</option>' + nodeOptions;
+
+    // Failure chips
+    const chips = [];
+    const chip = (kind, id, label) => chips.push(`<span class="fs-chip" data-kind="${kind}" data-id="${id}" style="display:inline-flex; align-items:center; gap:4px; padding:2px 8px; background:#fee2e2; color:#991b1b; border-radius:10px; font-size:11px;">${label} <span style="cursor:pointer; font-weight:700;" title="Restore">×</span></span>`);
+    sim.edges.forEach(id => chip('edges', id, `🔗 ${escapeHtml(findEdge(id)?.code || `L-${id}`)}`));
+    sim.nodes.forEach(id => chip('nodes', id, `⬤ ${escapeHtml(nodeName(id))}`));
+    sim.cableSystems.forEach(id => { const cs = findCableSystem(id); chip('cableSystems', id, `🌊 ${escapeHtml(cs ? (cs.shortName || cs.name) : `CS${id}`)}`); });
+    sim.srlgs.forEach(id => { const s = findSrlg(id); chip('srlgs', id, s ? escapeHtml(getSrlgLabel(s)) : `SRLG ${id}`); });
+    sim.groups.forEach(id => chip('groups', id, `▭ ${escapeHtml(findGroup(id)?.title || `Container ${id}`)}`));
+    const listEl = panel.querySelector('#fsFailureList');
+    listEl.innerHTML = chips.length > 0 ? chips.join('') : '<span style="color:#999; font-style:italic; font-size:11px;">Nothing failed yet</span>';
+    listEl.querySelectorAll('.fs-chip').forEach(el => {
+      el.lastElementChild.addEventListener('click', () => {
+        sim[el.dataset.kind].delete(parseInt(el.dataset.id));
+        refreshFailureSim();
+      });
+    });
+
+    // Critical pairs
+    const pairListEl = panel.querySelector('#fsPairList');
+    pairListEl.innerHTML = state.criticalPairs.length > 0
+      ? state.criticalPairs.map(p => `
+          <div style="display:flex; align-items:center; gap:6px; padding:2px 0; font-size:11px;">
+            <span style="flex:1;">${escapeHtml(nodeName(p.a))} ↔ ${escapeHtml(nodeName(p.b))}</span>
+            <button class="btn fs-remove-pair" data-id="${p.id}" style="font-size:10px; padding:1px 6px; color:#b91c1c;">Remove</button>
+          </div>`).join('')
+      : '<span style="color:#999; font-style:italic; font-size:11px;">No critical pairs defined</span>';
+    pairListEl.querySelectorAll('.fs-remove-pair').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const id = parseInt(btn.dataset.id);
+        state.criticalPairs = state.criticalPairs.filter(p => p.id !== id);
+        commit();
+        refreshFailureSim();
+      });
+    });
+
+    panel.querySelector('#fsResults').innerHTML = renderFailureSimResults(sim.result);
+  }
+
+  function renderFailureSimResults(result) {
+    if (!result) return '';
+    const badge = status => {
+      const s = FAILURE_STATUS[status];
+      return `<span style="padding:1px 6px; border-radius:4px; font-size:10px; font-weight:600; color:${s.color}; background:${s.bg};">${s.label}</span>`;
+    };
+    const ms = v => v === null ? '—' : `${v.toFixed(2)} ms`;
+    const delta = r => (r.latencyAfter === null || r.latencyBefore === null || r.status === 'ok') ? ''
+      : ` <span style="color:${r.latencyAfter > r.latencyBefore ? '#b91c1c' : '#15803d'};">(${r.latencyAfter >= r.latencyBefore ? '+' : ''}${(r.latencyAfter - r.latencyBefore).toFixed(2)})</span>`;
+    const gbps = cap => `${getCapacityTotalGbps(cap).toLocaleString()} G`;
+    // Impacted services first
+    const order = { lost: 0, protected: 1, rerouted: 1, ok: 2, unreachable: 3, empty: 3 };
+    const byImpact = (a, b) => order[a.status] - order[b.status];
+    const count = (items, status) => items.filter(r => r.status === status).length;
+
+    const row = (name, r) => `
+      <tr style="border-top:1px solid #f3f4f6;">
+        <td style="padding:3px 4px;">${name}</td>
+        <td style="padding:3px 4px;">${badge(r.status)}</td>
+        <td style="padding:3px 4px; white-space:nowrap;">${ms(r.latencyBefore)} → ${ms(r.latencyAfter)}${delta(r)}</td>
+        <td style="padding:3px 4px; white-space:nowrap;">${gbps(r.capacityBefore)} → ${gbps(r.capacityAfter)}</td>
+      </tr>`;
+    const table = (rows) => `
+      <table style="width:100%; border-collapse:collapse; font-size:11px; margin-bottom:10px;">
+        <thead><tr style="text-align:left; color:#6b7280;"><th style="padding:3px 4px;">Service</th><th style="padding:3px 4px;">Status</th><th style="padding:3px 4px;">Latency</th><th style="padding:3px 4px;">Capacity</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+
+    const mlgRows = [...result.mlgs].sort(byImpact).map(r => row(escapeHtml(r.mlg.name || `MLG${r.mlg.id}`), r)).join('');
+    const pairRows = [...result.pairs].sort(byImpact).map(r =>
+      row(`${escapeHtml(findNode(r.pair.a)?.name || r.pair.a)} ↔ ${escapeHtml(findNode(r.pair.b)?.name || r.pair.b)}`, r)
+    ).join('');
+
+    return `
+      <div style="padding:8px; background:#f9fafb; border:1px solid #e5e7eb; border-radius:6px; margin-bottom:10px; font-size:11px; line-height:1.6;">
+        <div><strong>${result.failedLinks.size}</strong> link(s) and <strong>${result.failedNodes.size}</strong> node(s) down</div>
+        <div>MLGs: <span style="color:#b91c1c;">${count(result.mlgs, 'lost')} lost</span> · <span style="color:#b45309;">${count(result.mlgs, 'protected')} on protection</span> · ${count(result.mlgs, 'ok')} unaffected</div>
+        <div>Pairs: <span style="color:#b91c1c;">${count(result.pairs, 'lost')} lost</span> · <span style="color:#b45309;">${count(result.pairs, 'rerouted')} rerouted</span> · ${count(result.pairs, 'ok')} unaffected</div>
+      </div>
+      <div style="font-weight:600; color:#374151; margin-bottom:4px;">Multilink groups (${result.mlgs.length})</div>
+      ${result.mlgs.length > 0 ? table(mlgRows) : '<div style="color:#999; font-style:italic; font-size:11px; margin-bottom:10px;">No MLGs in this project</div>'}
+      <div style="font-weight:600; color:#374151; margin-bottom:4px;">Critical pairs (${result.pairs.length})</div>
+      ${result.pairs.length > 0 ? table(pairRows) : '<div style="color:#999; font-style:italic; font-size:11px;">Add pairs above to track them</div>'}
+      <div style="font-size:10px; color:#6b7280; margin-top:6px;">Canvas/map: failed links red dashed, protection and reroutes amber. Capacity is the MIN link capacity along the surviving path.</div>
+    `;
+  }
+
+  document.getElementById('miFailureSim')?.addEventListener('click', () => {
+    closeAllMenus();
+    showFailureSimPanel();
+  });
+
+  // ============== END FAILURE SIMULATION ==============
+
+  // ============== RESILIENCE REPORT ==============
+  // Batch what-if: fail every link, node and cable system in turn (and,
+  // optionally, pairs of links) and rank them by how many endpoint pairs and
+  // MLGs they disconnect or push beyond a latency threshold. Reuses the
+  // Failure Simulation graph and MLG evaluation; runs in chunks on the main
+  // thread so the dialog can show progress and be cancelled.
+
+  const RESILIENCE_KINDS = {
+    link:        { label: 'Link',         icon: '🔗' },
+    node:        { label: 'Node',         icon: '⬤' },
+    cableSystem: { label: 'Cable system', icon: '🌊' },
+    linkPair:    { label: 'Link pair',    icon: '🔗🔗' }
+  };
+
+  const RESILIENCE_MAX_DOUBLE_EVALUATIONS = 20000;
+
+  // Last report (session-only) and the dialog's table state
+  let resilienceReport = null;
+  let resilienceRun = null;
+  const resilienceView = { sortKey: 'impact', sortDir: -1, kind: 'all' };
+
+  /**
+   * Shortest path for every endpoint pair on the intact network.
+   * Pairs that are unreachable before any failure are left out.
+   * @param {Map} adj - Graph from buildFailureSimGraph()
+   * @param {string} scope - 'critical' (state.criticalPairs) or 'all' (every connected node pair)
+   * @returns {Array} { a, b, latency, links: Set, nodes: Set }
+   */
+  function buildResilienceBaseline(adj, scope) {
+    let endpoints;
+    if (scope === 'critical') {
+      endpoints = state.criticalPairs.map(p => [p.a, p.b]);
+    } else {
+      const ids = [...adj.keys()].filter(id => adj.get(id).length > 0).sort((x, y) => x - y);
+      endpoints = [];
+      ids.forEach((a, i) => ids.slice(i + 1).forEach(b => endpoints.push([a, b])));
+    }
+
+    const searches = new Map();
+    const pairs = [];
+    endpoints.forEach(([a, b]) => {
+      if (a === b || !adj.has(a) || !adj.has(b)) return;
+      if (!searches.has(a)) searches.set(a, findShortestPath(adj, a));
+      const { dist, prev } = searches.get(a);
+      if (!isFinite(dist.get(b))) return;
+      const route = reconstructPath(prev, a, b);
+      if (!route) return;
+      pairs.push({
+        a,
+        b,
+        latency: dist.get(b),
+        links: new Set(route.segments.map(s => s.edgeId).filter(Boolean)),
+        nodes: new Set(route.path)
+      });
+    });
+    return pairs;
+  }
+
+  /**
+   * Impact of one failure. Only pairs whose baseline path crosses the failure
+   * are re-routed (one search per affected A-end); pairs ending at a failed
+   * node are skipped since no network design can protect them.
+   * @param {Object} ctx - { pairs, thresholdMs, collectReroutes }
+   * @returns {Object} counts, worst latency increase, lost keys and (optionally) reroute links
+   */
+  function evaluateResilienceFailure(ctx, failedLinks, failedNodes) {
+    const failedAdj = buildFailureSimGraph(failedLinks, failedNodes);
+    const lostKeys = new Set();
+    const rerouteLinks = new Set();
+    let pairsLost = 0;
+    let pairsDegraded = 0;
+    let mlgsLost = 0;
+    let mlgsDegraded = 0;
+    let worstDeltaMs = 0;
+
+    const bySource = new Map();
+    ctx.pairs.forEach((pair, index) => {
+      if (failedNodes.has(pair.a) || failedNodes.has(pair.b)) return;
+      const hit = [...pair.links].some(id => failedLinks.has(id)) || [...pair.nodes].some(id => failedNodes.has(id));
+      if (!hit) return;
+      if (!bySource.has(pair.a)) bySource.set(pair.a, []);
+      bySource.get(pair.a).push(index);
+    });
+
+    bySource.forEach((indexes, source) => {
+      const { dist, prev } = findShortestPath(failedAdj, source);
+      indexes.forEach(index => {
+        const pair = ctx.pairs[index];
+        const latency = dist.get(pair.b);
+        if (!isFinite(latency)) {
+          pairsLost++;
+          lostKeys.add(`p${index}`);
+          return;
+        }
+        const delta = latency - pair.latency;
+        worstDeltaMs = Math.max(worstDeltaMs, delta);
+        if (delta > ctx.thresholdMs) pairsDegraded++;
+        if (ctx.collectReroutes) {
+          reconstructPath(prev, source, pair.b)?.segments.forEach(s => { if (s.edgeId) rerouteLinks.add(s.edgeId); });
+        }
+      });
+    });
+
+    state.multilinkGroups.forEach(mlg => {
+      const r = evaluateMLGUnderFailure(mlg, failedLinks);
+      if (r.status === 'lost') {
+        mlgsLost++;
+        lostKeys.add(`m${mlg.id}`);
+      } else if (r.status === 'protected') {
+        const delta = r.latencyAfter - r.latencyBefore;
+        worstDeltaMs = Math.max(worstDeltaMs, delta);
+        if (delta > ctx.thresholdMs) mlgsDegraded++;
+        if (ctx.collectReroutes) r.activeLinks.forEach(id => rerouteLinks.add(id));
+      }
+    });
+
+    failedLinks.forEach(id => rerouteLinks.delete(id));
+    return { pairsLost, pairsDegraded, mlgsLost, mlgsDegraded, worstDeltaMs, lostKeys, rerouteLinks };
+  }
+
+  // Every single failure the report covers: links, nodes (with their links) and cable systems
+  function getResilienceFailureCases() {
+    const cases = [];
+    state.edges.forEach(e => cases.push({
+      kind: 'link', id: e.id, name: e.code || `L-${e.id}`,
+      failedLinks: new Set([e.id]), failedNodes: new Set()
+    }));
+    state.nodes.forEach(n => cases.push({
+      kind: 'node', id: n.id, name: n.name || n.code || `N-${n.id}`,
+      failedLinks: new Set(state.edges.filter(e => e.a === n.id || e.b === n.id).map(e => e.id)),
+      failedNodes: new Set([n.id])
+    }));
+    state.cableSystems.forEach(cs => {
+      const links = getCableSystemLinks(cs.id);
+      if (links.length === 0) return;
+      cases.push({
+        kind: 'cableSystem', id: cs.id, name: cs.shortName || cs.name || `CS${cs.id}`,
+        failedLinks: new Set(links.map(e => e.id)), failedNodes: new Set()
+      });
+    });
+    return cases;
+  }
+
+  // Sort order used for the "Impact" column: disconnections first, then degradations
+  function compareResilienceImpact(x, y) {
+    return ((x.pairsLost + x.mlgsLost) - (y.pairsLost + y.mlgsLost)) ||
+      ((x.pairsDegraded + x.mlgsDegraded) - (y.pairsDegraded + y.mlgsDegraded)) ||
+      (x.worstDeltaMs - y.worstDeltaMs);
+  }
+
+  /**
+   * Run the full report.
+   * @param {Object} options - { thresholdMs, scope: 'critical'|'all', doubleFailures: boolean }
+   * @param {Object} run - { cancelled } flag checked between chunks
+   * @param {Function} [onProgress] - Called with (fraction, label)
+   * @returns {Promise<Object|null>} Report, or null if cancelled
+   */
+  async function runResilienceReport(options, run, onProgress) {
+    const started = performance.now();
+    const baseAdj = buildFailureSimGraph(new Set(), new Set());
+    const ctx = {
+      pairs: buildResilienceBaseline(baseAdj, options.scope),
+      thresholdMs: options.thresholdMs,
+      collectReroutes: options.doubleFailures
+    };
+    const cases = getResilienceFailureCases();
+    const rows = [];
+    const singles = new Map();
+    let lastYield = performance.now();
+    const yieldToUI = async (fraction, label) => {
+      if (performance.now() - lastYield < 40) return;
+      if (onProgress) onProgress(fraction, label);
+      await new Promise(r => setTimeout(r, 0));
+      lastYield = performance.now();
+    };
+
+    // Single failures (half of the progress bar when doubles are requested)
+    const singleShare = options.doubleFailures ? 0.5 : 1;
+    for (let i = 0; i < cases.length; i++) {
+      if (run.cancelled) return null;
+      const c = cases[i];
+      const impact = evaluateResilienceFailure(ctx, c.failedLinks, c.failedNodes);
+      rows.push(Object.assign({ kind: c.kind, id: c.id, name: c.name, linksDown: c.failedLinks.size }, impact));
+      if (c.kind === 'link') singles.set(c.id, impact);
+      await yieldToUI(singleShare * (i + 1) / cases.length, `Single failures ${i + 1}/${cases.length}`);
+    }
+
+    // Double link failures: the second link is drawn from the paths traffic
+    // moved onto after the first failure; keep the pair only if it disconnects
+    // something neither link does on its own.
+    let doubleEvaluations = 0;
+    let doubleTruncated = false;
+    if (options.doubleFailures) {
+      const seen = new Set();
+      const firstLinks = [...singles.keys()];
+      for (let i = 0; i < firstLinks.length && !doubleTruncated; i++) {
+        const l1 = firstLinks[i];
+        for (const l2 of singles.get(l1).rerouteLinks) {
+          if (run.cancelled) return null;
+          if (!singles.has(l2)) continue;
+          const key = l1 < l2 ? `${l1}-${l2}` : `${l2}-${l1}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          if (doubleEvaluations >= RESILIENCE_MAX_DOUBLE_EVALUATIONS) {
+            doubleTruncated = true;
+            break;
+          }
+          doubleEvaluations++;
+          const impact = evaluateResilienceFailure(ctx, new Set([l1, l2]), new Set());
+          const alone = new Set([...singles.get(l1).lostKeys, ...singles.get(l2).lostKeys]);
+          const newlyLost = [...impact.lostKeys].filter(k => !alone.has(k)).length;
+          if (newlyLost === 0) continue;
+          const e1 = findEdge(l1);
+          const e2 = findEdge(l2);
+          rows.push(Object.assign({
+            kind: 'linkPair', id: key,
+            name: `${e1?.code || `L-${l1}`} + ${e2?.code || `L-${l2}`}`,
+            linksDown: 2, newlyLost
+          }, impact));
+          await yieldToUI(0.5 + 0.5 * (i + 1) / firstLinks.length, `Link pairs: ${doubleEvaluations} evaluated`);
+        }
+        await yieldToUI(0.5 + 0.5 * (i + 1) / firstLinks.length, `Link pairs: ${doubleEvaluations} evaluated`);
+      }
+    }
+
+    // Drop the working sets; the table only needs the counts
+    rows.forEach(r => {
+      delete r.lostKeys;
+      delete r.rerouteLinks;
+    });
+
+    const report = {
+      createdAt: new Date().toISOString(),
+      options: Object.assign({}, options),
+      pairCount: ctx.pairs.length,
+      mlgCount: state.multilinkGroups.length,
+      doubleEvaluations,
+      doubleTruncated,
+      elapsedMs: performance.now() - started,
+      rows
+    };
+    console.log('[Resilience] Report:', rows.length, 'rows |', ctx.pairs.length, 'pairs |',
+      state.multilinkGroups.length, 'MLGs |', doubleEvaluations, 'double evaluations |',
+      `${Math.round(report.elapsedMs)} ms`);
+    return report;
+  }
+
+  // Report rows after the dialog's kind filter and column sort
+  function getResilienceRows() {
+    if (!resilienceReport) return [];
+    const { sortKey, sortDir, kind } = resilienceView;
+    const rows = resilienceReport.rows.filter(r => kind === 'all' || r.kind === kind);
+    return rows.sort((x, y) => {
+      let d;
+      if (sortKey === 'impact') d = compareResilienceImpact(x, y);
+      else if (sortKey === 'name' || sortKey === 'kind') d = String(x[sortKey]).localeCompare(String(y[sortKey]));
+      else d = (x[sortKey] || 0) - (y[sortKey] || 0);
+      return sortDir * d || String(x.name).localeCompare(String(y.name));
+    });
+  }
+
+  const RESILIENCE_COLUMNS = [
+    { key: 'kind',          label: 'Type' },
+    { key: 'name',          label: 'Element' },
+    { key: 'linksDown',     label: 'Links down' },
+    { key: 'pairsLost',     label: 'Pairs disconnected' },
+    { key: 'pairsDegraded', label: 'Pairs degraded' },
+    { key: 'mlgsLost',      label: 'MLGs lost' },
+    { key: 'mlgsDegraded',  label: 'MLGs degraded' },
+    { key: 'worstDeltaMs',  label: 'Worst Δ latency (ms)' },
+    { key: 'impact',        label: 'Impact' }
+  ];
+
+  function buildResilienceExport() {
+    const report = resilienceReport;
+    const rows = getResilienceRows();
+    const headers = RESILIENCE_COLUMNS.filter(c => c.key !== 'impact').map(c => c.label);
+    headers.unshift('Rank');
+    headers.push('Element ID');
+    return {
+      fileName: `neximap_resilience_${report.createdAt.slice(0, 10)}`,
+      sheets: [
+        {
+          name: 'Resilience',
+          headers,
+          rows: rows.map((r, i) => [
+            i + 1, RESILIENCE_KINDS[r.kind].label, r.name, r.linksDown,
+            r.pairsLost, r.pairsDegraded, r.mlgsLost, r.mlgsDegraded,
+            Math.round(r.worstDeltaMs * 100) / 100, r.id
+          ])
+        },
+        {
+          name: 'Settings',
+          headers: ['Setting', 'Value'],
+          rows: [
+            ['Generated', report.createdAt],
+            ['Latency threshold (ms)', report.options.thresholdMs],
+            ['Endpoint pairs', report.options.scope === 'critical' ? 'Critical pairs' : 'All node pairs'],
+            ['Pairs evaluated', report.pairCount],
+            ['MLGs evaluated', report.mlgCount],
+            ['Double link failures', report.options.doubleFailures ? `${report.doubleEvaluations} evaluated${report.doubleTruncated ? ' (truncated)' : ''}` : 'Off']
+          ]
+        }
+      ]
+    };
+  }
+
+  // ---------- Resilience Report dialog ----------
+
+  function showResilienceReportDialog() {
+    document.getElementById('resilienceReportModal')?.remove();
+
+    const modal = document.createElement('div');
+    modal.id = 'resilienceReportModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:960px; max-width:95vw; height:640px; max-height:90vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>📑 Resilience Report</span>
+          <button id="resReportClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div style="display:flex; flex-wrap:wrap; gap:10px; align-items:center; padding:10px 20px; border-bottom:1px solid #f0f0f0; background:#fafafa; font-size:12px;">
+          <label>Degraded if latency grows by more than
+            <input type="number" id="resThreshold" min="0" step="0.5" style="width:60px;"> ms</label>
+          <label>Pairs
+            <select id="resScope">
+              <option value="all">All node pairs</option>
+              <option value="critical">Critical pairs (${state.criticalPairs.length})</option>
+            </select></label>
+          <label title="Also fail pairs of links, pruned to links that carry rerouted traffic after the first failure">
+            <input type="checkbox" id="resDouble"> Double link failures</label>
+          <span style="flex:1;"></span>
+          <button class="btn primary" id="resRun">▶ Run</button>
+        </div>
+        <div id="resProgress" style="display:none; padding:8px 20px; border-bottom:1px solid #f0f0f0; font-size:11px; color:#374151;">
+          <div style="display:flex; justify-content:space-between; margin-bottom:4px;"><span id="resProgressLabel">Starting…</span><span id="resProgressPct">0%</span></div>
+          <div style="height:6px; background:#e5e7eb; border-radius:3px; overflow:hidden;"><div id="resProgressBar" style="height:100%; width:0; background:#2563eb;"></div></div>
+        </div>
+        <div style="display:flex; gap:8px; align-items:center; padding:8px 20px; border-bottom:1px solid #f0f0f0; font-size:12px;">
+          <label>Show
+            <select id="resKind">
+              <option value="all">Everything</option>
+              ${Object.entries(RESILIENCE_KINDS).map(([k, v]) => `<option value="${k}">${v.label}s</option>`).join('')}
+            </select></label>
+          <span id="resSummary" style="color:#6b7280;"></span>
+          <span style="flex:1;"></span>
+          <button class="btn" id="resExportXlsx">⬇ XLSX</button>
+          <button class="btn" id="resExportCsv">⬇ CSV</button>
+        </div>
+        <div id="resTable" style="flex:1; overflow:auto; padding:0 20px 12px;"></div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const options = resilienceReport ? resilienceReport.options : { thresholdMs: 5, scope: state.criticalPairs.length > 0 ? 'critical' : 'all', doubleFailures: false };
+    modal.querySelector('#resThreshold').value = options.thresholdMs;
+    modal.querySelector('#resScope').value = options.scope;
+    modal.querySelector('#resDouble').checked = options.doubleFailures;
+    modal.querySelector('#resKind').value = resilienceView.kind;
+
+    const close = () => {
+      if (resilienceRun) resilienceRun.cancelled = true;
+      modal.remove();
+    };
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#resReportClose').addEventListener('click', close);
+
+    modal.querySelector('#resRun').addEventListener('click', async () => {
+      if (resilienceRun) {
+        resilienceRun.cancelled = true;
+        return;
+      }
+      const runOptions = {
+        thresholdMs: Math.max(0, parseFloat(modal.querySelector('#resThreshold').value) || 0),
+        scope: modal.querySelector('#resScope').value,
+        doubleFailures: modal.querySelector('#resDouble').checked
+      };
+      if (runOptions.scope === 'critical' && state.criticalPairs.length === 0) {
+        showToast('No critical pairs defined — add them in Failure Simulation or use all node pairs');
+        return;
+      }
+
+      const run = { cancelled: false };
+      resilienceRun = run;
+      const runBtn = modal.querySelector('#resRun');
+      const progress = modal.querySelector('#resProgress');
+      runBtn.textContent = '■ Cancel';
+      progress.style.display = 'block';
+      const onProgress = (fraction, label) => {
+        const pct = `${Math.round(fraction * 100)}%`;
+        modal.querySelector('#resProgressBar').style.width = pct;
+        modal.querySelector('#resProgressPct').textContent = pct;
+        modal.querySelector('#resProgressLabel').textContent = label;
+      };
+
+      try {
+        const report = await runResilienceReport(runOptions, run, onProgress);
+        if (report) {
+          resilienceReport = report;
+          showToast(`✅ Resilience report: ${report.rows.length} failure scenarios ranked`);
+        } else {
+          showToast('Resilience report cancelled');
+        }
+      } catch (err) {
+        console.error('[Resilience] Report failed:', err);
+        showToast('❌ Resilience report failed: ' + err.message);
+      } finally {
+        resilienceRun = null;
+        if (document.body.contains(modal)) {
+          runBtn.textContent = '▶ Run';
+          progress.style.display = 'none';
+          renderResilienceReport();
+        }
+      }
+    });
+
+    modal.querySelector('#resKind').addEventListener('change', (e) => {
+      resilienceView.kind = e.target.value;
+      renderResilienceReport();
+    });
+
+    const exportReport = (format) => {
+      if (!resilienceReport) {
+        showToast('Run the report first');
+        return;
+      }
+      const data = buildResilienceExport();
+      if (format === 'csv') downloadAsCSVFallback(data);
+      else downloadTemplateAsCSV(data, 'xlsx');
+    };
+    modal.querySelector('#resExportXlsx').addEventListener('click', () => exportReport('xlsx'));
+    modal.querySelector('#resExportCsv').addEventListener('click', () => exportReport('csv'));
+
+    renderResilienceReport();
+  }
+
+  function renderResilienceReport() {
+    const modal = document.getElementById('resilienceReportModal');
+    if (!modal) return;
+    const tableEl = modal.querySelector('#resTable');
+    const summaryEl = modal.querySelector('#resSummary');
+
+    if (!resilienceReport) {
+      summaryEl.textContent = '';
+      tableEl.innerHTML = `<div style="padding:40px; text-align:center; color:#999; font-size:12px;">
+        Every link, node and cable system is failed in turn and ranked by the endpoint pairs and MLGs it disconnects or degrades.<br>Press <strong>Run</strong> to start.</div>`;
+      return;
+    }
+
+    const report = resilienceReport;
+    const rows = getResilienceRows();
+    summaryEl.textContent = `${report.pairCount} pairs · ${report.mlgCount} MLGs · threshold ${report.options.thresholdMs} ms` +
+      (report.options.doubleFailures ? ` · ${report.doubleEvaluations} link pairs tried${report.doubleTruncated ? ' (limit reached)' : ''}` : '');
+
+    const arrow = key => resilienceView.sortKey === key ? (resilienceView.sortDir < 0 ? ' ▼' : ' ▲') : '';
+    const cell = (value, danger) => `<td style="padding:4px 6px; text-align:right;${danger && value > 0 ? ' color:#b91c1c; font-weight:600;' : ''}">${value}</td>`;
+    const impactBar = r => {
+      const lost = r.pairsLost + r.mlgsLost;
+      const degraded = r.pairsDegraded + r.mlgsDegraded;
+      if (lost > 0) return `<span style="padding:1px 6px; border-radius:4px; font-size:10px; font-weight:600; color:${FAILURE_STATUS.lost.color}; background:${FAILURE_STATUS.lost.bg};">${lost} lost</span>`;
+      if (degraded > 0) return `<span style="padding:1px 6px; border-radius:4px; font-size:10px; font-weight:600; color:${FAILURE_STATUS.protected.color}; background:${FAILURE_STATUS.protected.bg};">${degraded} degraded</span>`;
+      return `<span style="padding:1px 6px; border-radius:4px; font-size:10px; font-weight:600; color:${FAILURE_STATUS.ok.color}; background:${FAILURE_STATUS.ok.bg};">OK</span>`;
+    };
+
+    tableEl.innerHTML = `
+      <table style="width:100%; border-collapse:collapse; font-size:11px;">
+        <thead style="position:sticky; top:0; background:white;">
+          <tr style="color:#6b7280; border-bottom:1px solid #e5e7eb;">
+            <th style="padding:6px; text-align:right;">#</th>
+            ${RESILIENCE_COLUMNS.map(c => `<th class="res-sort" data-key="${c.key}" style="padding:6px; cursor:pointer; white-space:nowrap; text-align:${c.key === 'kind' || c.key === 'name' ? 'left' : 'right'};">${c.label}${arrow(c.key)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.length === 0 ? `<tr><td colspan="${RESILIENCE_COLUMNS.length + 1}" style="padding:20px; text-align:center; color:#999; font-style:italic;">No scenarios to show</td></tr>` : ''}
+          ${rows.map((r, i) => `
+            <tr class="res-row" data-kind="${r.kind}" data-id="${r.id}" style="border-top:1px solid #f3f4f6; cursor:pointer;" title="${r.kind === 'cableSystem' ? 'Open in Failure Simulation' : 'Select on canvas and open in Failure Simulation'}">
+              <td style="padding:4px 6px; text-align:right; color:#9ca3af;">${i + 1}</td>
+              <td style="padding:4px 6px; white-space:nowrap;">${RESILIENCE_KINDS[r.kind].icon} ${RESILIENCE_KINDS[r.kind].label}</td>
+              <td style="padding:4px 6px;">${escapeHtml(r.name)}</td>
+              ${cell(r.linksDown)}
+              ${cell(r.pairsLost, true)}
+              ${cell(r.pairsDegraded)}
+              ${cell(r.mlgsLost, true)}
+              ${cell(r.mlgsDegraded)}
+              ${cell(r.worstDeltaMs.toFixed(2))}
+              <td style="padding:4px 6px; text-align:right;">${impactBar(r)}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+      <div style="font-size:10px; color:#6b7280; margin-top:8px;">Pairs that end at a failed node are not counted. MLGs switch to their lowest-latency surviving path; pairs reroute over the shortest surviving path (Route Finder filters don't apply).</div>
+    `;
+
+    tableEl.querySelectorAll('.res-sort').forEach(th => {
+      th.addEventListener('click', () => {
+        const key = th.dataset.key;
+        if (resilienceView.sortKey === key) resilienceView.sortDir = -resilienceView.sortDir;
+        else {
+          resilienceView.sortKey = key;
+          resilienceView.sortDir = (key === 'kind' || key === 'name') ? 1 : -1;
+        }
+        renderResilienceReport();
+      });
+    });
+
+    // Open a scenario in the Failure Simulation panel to see it on the canvas/map
+    tableEl.querySelectorAll('.res-row').forEach(tr => {
+      tr.addEventListener('click', () => {
+        const kind = tr.dataset.kind;
+        const sim = makeFailureSim();
+        if (kind === 'link') sim.edges.add(parseInt(tr.dataset.id));
+        else if (kind === 'node') sim.nodes.add(parseInt(tr.dataset.id));
+        else if (kind === 'cableSystem') sim.cableSystems.add(parseInt(tr.dataset.id));
+        else tr.dataset.id.split('-').forEach(id => sim.edges.add(parseInt(id)));
+        if (kind !== 'cableSystem') {
+          setMultiSelection({ nodes: [...sim.nodes], edges: [...sim.edges], groups: [] });
+        }
+        modal.remove();
+        state.failureSim = sim;
+        showFailureSimPanel();
+      });
+    });
+  }
+
+  document.getElementById('miResilienceReport')?.addEventListener('click', () => {
+    closeAllMenus();
+    showResilienceReportDialog();
+  });
+
+  // ============== END RESILIENCE REPORT ==============
+
   // ============== MULTILINK GROUP MANAGER ==============
 
   // Multilink Group Manager state
@@ -20256,93 +23811,445 @@ function loadProjectObject(obj) {
 
   // ============== END MLG CAPACITY CALCULATION ==============
 
-  // Helper: Classify multilink group type
-  function classifyMLGType(segments) {
-    if (!segments || segments.length === 0) return 'linear';
-    const hasRing = segments.some(s => s.paths && s.paths.length >= 2);
-    const hasLinear = segments.some(s => !s.paths || s.paths.length < 2);
-    if (hasRing && hasLinear) return 'ring_linear';
-    if (hasRing) return 'ring';
-    return 'linear';
-  }
+  // ============== MLG AVAILABILITY ==============
+  // Links are series elements (A = MTBF / (MTBF + MTTR)); paths inside a segment are
+  // parallel, segments are in series.
 
-  // Helper: Check path diversity (no shared links between paths in a segment)
-  function checkPathDiversity(paths) {
-    if (!paths || paths.length < 2) return { isDiverse: true, warning: null };
+  const MINUTES_PER_YEAR = 525600;
+  const HOURS_PER_YEAR = 8760;
 
-    const linkSets = paths.map(p => new Set(p.links));
-    for (let i = 0; i < linkSets.length; i++) {
-      for (let j = i + 1; j < linkSets.length; j++) {
-        const shared = [...linkSets[i]].filter(l => linkSets[j].has(l));
-        if (shared.length > 0) {
-          const sharedNames = shared.map(l => getLinkDisplayName(l)).join(', ');
-          return {
-            isDiverse: false,
-            warning: `${paths[i].type} and ${paths[j].type} share: ${sharedNames}`
-          };
-        }
-      }
+  /**
+   * Physical length used for failure-rate scaling: cable geometry or GPS estimate,
+   * then the length implied by the link's latency, then the configured fallback.
+   */
+  function getEdgeLengthKm(edge) {
+    const estimate = estimateEdgeLatency(edge);
+    if (estimate) return estimate.km;
+    const ls = state.latencySettings;
+    if (typeof edge.latencyMs === 'number' && edge.latencyMs > 0) {
+      const oneWay = ls.roundTrip ? edge.latencyMs / 2 : edge.latencyMs;
+      return Math.max(0, oneWay - ls.hopDelayMs) * SPEED_OF_LIGHT_KM_PER_MS / ls.refractiveIndex;
     }
-    return { isDiverse: true, warning: null };
+    return state.availabilitySettings.fallbackKm;
   }
 
-  // Helper: Check segment diversity (no shared links between segments)
-  function checkSegmentDiversity(segments) {
-    if (!segments || segments.length < 2) return { isDiverse: true, warning: null };
+  /**
+   * Reliability figures for one link (manual MTBF/MTTR override the defaults).
+   * @returns {{type: string, km: number, mtbfHours: number, mttrHours: number, availability: number, isDefault: boolean}}
+   */
+  function getEdgeReliability(edge) {
+    const cs = edge.cableSystemId ? findCableSystem(edge.cableSystemId) : null;
+    const type = cs?.type === 'wet' ? 'wet' : 'terrestrial';
+    const defaults = state.availabilitySettings[type];
+    const km = getEdgeLengthKm(edge);
+    const failuresPerYear = defaults.cutsPer1000Km * km / 1000;
+    const mtbfHours = typeof edge.mtbfHours === 'number' ? edge.mtbfHours
+      : failuresPerYear > 0 ? HOURS_PER_YEAR / failuresPerYear : Infinity;
+    const mttrHours = typeof edge.mttrHours === 'number' ? edge.mttrHours : defaults.mttrHours;
+    const availability = mtbfHours === Infinity ? 1 : mtbfHours / (mtbfHours + mttrHours);
+    return { type, km, mtbfHours, mttrHours, availability, isDefault: typeof edge.mtbfHours !== 'number' && typeof edge.mttrHours !== 'number' };
+  }
+
+  // Probability that every link in the set is up
+  function linkSetAvailability(linkIds, linkAvailability) {
+    let a = 1;
+    linkIds.forEach(id => { a *= linkAvailability(id); });
+    return a;
+  }
 
-    // Collect all links from each segment
-    const segmentLinkSets = segments.map(seg => {
+  /**
+   * Availability of a segment's parallel paths (at least one path up).
+   * Inclusion-exclusion over the paths keeps shared links exact; past 12 paths
+   * they are treated as independent.
+   */
+  function calculateSegmentAvailability(segment, linkAvailability) {
+    const paths = (segment.paths || []).filter(p => p.links && p.links.length > 0);
+    if (paths.length === 0) return null;
+    if (paths.length > 12) {
+      return 1 - paths.reduce((q, p) => q * (1 - linkSetAvailability(new Set(p.links), linkAvailability)), 1);
+    }
+    let total = 0;
+    for (let mask = 1; mask < (1 << paths.length); mask++) {
       const links = new Set();
-      (seg.paths || []).forEach(p => p.links.forEach(l => links.add(l)));
-      return links;
-    });
-
-    for (let i = 0; i < segmentLinkSets.length; i++) {
-      for (let j = i + 1; j < segmentLinkSets.length; j++) {
-        const shared = [...segmentLinkSets[i]].filter(l => segmentLinkSets[j].has(l));
-        if (shared.length > 0) {
-          const sharedNames = shared.map(l => getLinkDisplayName(l)).join(', ');
-          return {
-            isDiverse: false,
-            warning: `Segments ${i + 1} and ${j + 1} share: ${sharedNames}`
-          };
+      let size = 0;
+      paths.forEach((p, i) => {
+        if (mask & (1 << i)) {
+          size++;
+          p.links.forEach(l => links.add(l));
         }
-      }
+      });
+      total += (size % 2 === 1 ? 1 : -1) * linkSetAvailability(links, linkAvailability);
     }
-    return { isDiverse: true, warning: null };
+    return Math.min(1, Math.max(0, total));
   }
 
-  // Helper: Check if link is used in other multilink groups
-  function checkLinkReuse(linkId, currentMLGId) {
-    const reusedIn = [];
-    state.multilinkGroups.forEach(mlg => {
-      if (mlg.id === currentMLGId) return;
-      mlg.segments.forEach(seg => {
-        seg.paths.forEach(path => {
-          if (path.links.includes(linkId)) {
-            reusedIn.push(mlg.name);
-          }
-        });
-      });
-    });
-    return reusedIn.length > 0 ? reusedIn : null;
+  /**
+   * Annual availability of an MLG (segments in series, paths in parallel).
+   * @param {Array} segments - MLG segments
+   * @returns {{availability: number, downtimeMinutes: number, segments: Array<number|null>}|null}
+   *   null when no segment has links
+   */
+  function calculateMLGAvailability(segments) {
+    if (!segments || segments.length === 0) return null;
+    const cache = new Map();
+    const linkAvailability = (id) => {
+      if (!cache.has(id)) {
+        const edge = findEdge(id);
+        cache.set(id, edge ? getEdgeReliability(edge).availability : 1);
+      }
+      return cache.get(id);
+    };
+    const perSegment = segments.map(seg => calculateSegmentAvailability(seg, linkAvailability));
+    if (perSegment.every(a => a === null)) return null;
+    const availability = perSegment.reduce((a, s) => a * (s === null ? 1 : s), 1);
+    return { availability, downtimeMinutes: (1 - availability) * MINUTES_PER_YEAR, segments: perSegment };
   }
 
-  // Helper: Validate path continuity (links form connected chain from A to B)
-  function validatePathContinuity(links, fromNode, toNode) {
-    if (links.length === 0) return { valid: false, error: 'Path has no links' };
-    if (links.length === 1) {
-      const link = findEdge(links[0]);
-      if (!link) return { valid: false, error: 'Link not found' };
-      const endpoints = [link.a, link.b];
-      if (!endpoints.includes(fromNode) || !endpoints.includes(toNode)) {
-        return { valid: false, error: 'Single link must connect segment endpoints' };
-      }
-      return { valid: true };
-    }
+  function formatAvailability(availability) {
+    if (availability >= 1) return '100%';
+    const nines = -Math.log10(1 - availability);
+    const decimals = Math.min(6, Math.max(2, Math.ceil(nines)));
+    return `${(availability * 100).toFixed(decimals)}% (${nines.toFixed(1)} nines)`;
+  }
 
-    // For multiple links, check they form a connected path
-    const linkObjs = links.map(id => findEdge(id)).filter(l => l);
+  function formatDowntime(minutes) {
+    if (minutes < 60) return `${minutes.toFixed(1)} min/yr`;
+    return `${(minutes / 60).toFixed(1)} h/yr`;
+  }
+
+  // Inspector MTBF / MTTR fields and resulting availability
+  function updateEdgeAvailabilityFields(edge) {
+    const mtbfEl = document.getElementById('edgeMTBF');
+    const mttrEl = document.getElementById('edgeMTTR');
+    const hintEl = document.getElementById('edgeAvailabilityHint');
+    if (!mtbfEl || !mttrEl) return;
+    const rel = getEdgeReliability(edge);
+    mtbfEl.value = typeof edge.mtbfHours === 'number' ? edge.mtbfHours : '';
+    mttrEl.value = typeof edge.mttrHours === 'number' ? edge.mttrHours : '';
+    mtbfEl.placeholder = rel.mtbfHours === Infinity ? 'auto' : `auto (${Math.round(rel.mtbfHours).toLocaleString()})`;
+    mttrEl.placeholder = `auto (${rel.mttrHours})`;
+    if (hintEl) {
+      hintEl.textContent = `${formatAvailability(rel.availability)} · ${formatDowntime((1 - rel.availability) * MINUTES_PER_YEAR)}` +
+        (rel.isDefault ? ` · ${rel.type} default, ${Math.round(rel.km).toLocaleString()} km` : '');
+    }
+  }
+
+  [['edgeMTBF', 'mtbfHours'], ['edgeMTTR', 'mttrHours']].forEach(([id, field]) => {
+    document.getElementById(id)?.addEventListener('change', (ev) => {
+      if (state.selected?.type !== 'edge') return;
+      const e = findEdge(state.selected.id); if (!e) return;
+      const v = parseFloat(String(ev.target.value).replace(',', '.'));
+      e[field] = Number.isFinite(v) && v >= 0 ? v : null;
+      commit();
+      render();
+    });
+  });
+
+  function showAvailabilitySettingsDialog() {
+    document.getElementById('availabilitySettingsModal')?.remove();
+    const s = state.availabilitySettings;
+
+    const modal = document.createElement('div');
+    modal.id = 'availabilitySettingsModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    const cell = 'padding:6px 8px; border-bottom:1px solid #f0f0f0;';
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:460px; max-width:95vw; box-shadow:0 8px 32px rgba(0,0,0,0.3);">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>📶 Availability Defaults</span>
+          <button id="avClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div style="padding:16px 20px; font-size:12px;">
+          <table style="width:100%; border-collapse:collapse;">
+            <thead><tr>
+              <th style="${cell} text-align:left;"></th>
+              <th style="${cell} text-align:left;">Faults / 1000 km / yr</th>
+              <th style="${cell} text-align:left;">MTTR (hours)</th>
+            </tr></thead>
+            <tbody>
+              <tr><td style="${cell}">🌊 Wet</td>
+                <td style="${cell}"><input type="number" id="avWetCuts" min="0" step="any" value="${s.wet.cutsPer1000Km}" style="width:90px;"></td>
+                <td style="${cell}"><input type="number" id="avWetMttr" min="0" step="any" value="${s.wet.mttrHours}" style="width:90px;"></td></tr>
+              <tr><td style="${cell}">⛰️ Terrestrial</td>
+                <td style="${cell}"><input type="number" id="avTerCuts" min="0" step="any" value="${s.terrestrial.cutsPer1000Km}" style="width:90px;"></td>
+                <td style="${cell}"><input type="number" id="avTerMttr" min="0" step="any" value="${s.terrestrial.mttrHours}" style="width:90px;"></td></tr>
+            </tbody>
+          </table>
+          <label style="display:block; margin-top:12px;">Length when unknown
+            <input type="number" id="avFallbackKm" min="0" step="any" value="${s.fallbackKm}" style="width:90px;"> km</label>
+          <div style="margin-top:12px; font-size:11px; color:#6b7280;">
+            A link's MTBF defaults to 8760 h ÷ (faults per 1000 km × length ÷ 1000), using its cable system's type.
+            Length comes from the cable geometry, endpoint GPS or latency (see Latency Estimator).
+            MTBF / MTTR entered in the link inspector take precedence.
+          </div>
+        </div>
+        <div style="padding:12px 20px; border-top:1px solid #e0e0e0; display:flex; justify-content:flex-end; gap:8px;">
+          <button class="btn" id="avCancel">Cancel</button>
+          <button class="btn primary" id="avSave">Save</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const close = () => modal.remove();
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#avClose').addEventListener('click', close);
+    modal.querySelector('#avCancel').addEventListener('click', close);
+    modal.querySelector('#avSave').addEventListener('click', () => {
+      const read = (id, fallback) => {
+        const v = parseFloat(modal.querySelector(id).value);
+        return Number.isFinite(v) && v >= 0 ? v : fallback;
+      };
+      state.availabilitySettings = {
+        wet: { cutsPer1000Km: read('#avWetCuts', s.wet.cutsPer1000Km), mttrHours: read('#avWetMttr', s.wet.mttrHours) },
+        terrestrial: { cutsPer1000Km: read('#avTerCuts', s.terrestrial.cutsPer1000Km), mttrHours: read('#avTerMttr', s.terrestrial.mttrHours) },
+        fallbackKm: read('#avFallbackKm', s.fallbackKm)
+      };
+      commit();
+      close();
+      render();
+      showToast('Availability defaults saved');
+    });
+  }
+
+  document.getElementById('miAvailabilitySettings')?.addEventListener('click', () => {
+    closeAllMenus();
+    showAvailabilitySettingsDialog();
+  });
+
+  // ============== END MLG AVAILABILITY ==============
+
+  // ============== MLG SWITCHOVER SIMULATION ==============
+  // Latency seen by the customer in every working/protect state of an MLG
+
+  const MLG_SWITCHOVER_MAX_STATES = 64;
+
+  /**
+   * Walk each segment's working and protect paths and the resulting end-to-end states.
+   * A segment's working path is its primary (or first) path; the others are protect paths.
+   * @param {Array} segments - MLG segments
+   * @param {number|null} maxDeltaMs - Flag protect paths slower than working by more than this
+   * @returns {Object|null} { segments, states, stateCount, truncated, nominal, best, worst, skew, flagged },
+   *   or null when no segment has links
+   */
+  function simulateMLGSwitchover(segments, maxDeltaMs = null) {
+    const segs = [];
+    (segments || []).forEach((seg, index) => {
+      const paths = (seg.paths || []).filter(p => p.links && p.links.length > 0)
+        .map(p => ({ type: p.type, latency: calculatePathLatency(p.links) }));
+      if (paths.length === 0) return;
+      const working = paths.find(p => p.type === 'primary') || paths[0];
+      const ordered = [working, ...paths.filter(p => p !== working)];
+      ordered.forEach(p => {
+        p.working = p === working;
+        p.delta = p.latency - working.latency;
+        p.flagged = !p.working && maxDeltaMs !== null && p.delta > maxDeltaMs;
+      });
+      const latencies = ordered.map(p => p.latency);
+      segs.push({ index, paths: ordered, skew: Math.max(...latencies) - Math.min(...latencies) });
+    });
+    if (segs.length === 0) return null;
+
+    const nominal = segs.reduce((t, s) => t + s.paths[0].latency, 0);
+    const best = segs.reduce((t, s) => t + Math.min(...s.paths.map(p => p.latency)), 0);
+    const worst = segs.reduce((t, s) => t + Math.max(...s.paths.map(p => p.latency)), 0);
+    const stateCount = segs.reduce((n, s) => n * s.paths.length, 1);
+
+    const makeState = (choice) => {
+      const latency = segs.reduce((t, s, i) => t + s.paths[choice[i]].latency, 0);
+      return {
+        choice,
+        latency,
+        delta: latency - nominal,
+        switched: choice.filter(c => c > 0).length,
+        label: choice.every(c => c === 0) ? 'All working'
+          : segs.map((s, i) => choice[i] > 0 ? `S${s.index + 1} → ${s.paths[choice[i]].type}` : null).filter(Boolean).join(', ')
+      };
+    };
+
+    const states = [];
+    const truncated = stateCount > MLG_SWITCHOVER_MAX_STATES;
+    if (!truncated) {
+      // Mixed-radix counter over the path choice of every segment
+      const choice = segs.map(() => 0);
+      for (let n = 0; n < stateCount; n++) {
+        states.push(makeState(choice.slice()));
+        for (let i = segs.length - 1; i >= 0; i--) {
+          if (++choice[i] < segs[i].paths.length) break;
+          choice[i] = 0;
+        }
+      }
+    } else {
+      // Too many combinations: nominal, every single switch and the worst case
+      states.push(makeState(segs.map(() => 0)));
+      segs.forEach((s, i) => {
+        for (let p = 1; p < s.paths.length; p++) states.push(makeState(segs.map((_, j) => j === i ? p : 0)));
+      });
+      const worstState = makeState(segs.map(s => s.paths.indexOf(s.paths.reduce((a, b) => b.latency > a.latency ? b : a))));
+      if (worstState.switched > 1) states.push(worstState);
+    }
+    states.sort((a, b) => a.latency - b.latency || a.switched - b.switched);
+
+    const flagged = [];
+    segs.forEach(s => s.paths.forEach(p => {
+      if (p.flagged) flagged.push({ segment: s.index, type: p.type, delta: p.delta });
+    }));
+
+    return { segments: segs, states, stateCount, truncated, nominal, best, worst, skew: worst - best, flagged };
+  }
+
+  // Switchover panel in the MLG editor
+  function renderMLGSwitchover(temp) {
+    const section = document.getElementById('mlgSwitchoverSection');
+    const resultsEl = document.getElementById('mlgSwitchoverResults');
+    if (!section || !resultsEl) return;
+
+    const sim = simulateMLGSwitchover(temp.segments, temp.maxSwitchoverDeltaMs ?? null);
+    if (!sim || sim.stateCount < 2) {
+      section.style.display = 'none';
+      return;
+    }
+    section.style.display = 'block';
+
+    const ms = v => `${v.toFixed(2)} ms`;
+    const signed = v => `${v >= 0 ? '+' : ''}${v.toFixed(2)} ms`;
+    const th = 'padding:3px 4px; text-align:left; font-weight:600; color:#6b7280; border-bottom:1px solid #e5e7eb;';
+    const td = 'padding:3px 4px; border-bottom:1px solid #f3f4f6;';
+
+    const segmentRows = sim.segments.filter(s => s.paths.length > 1).map(s => `
+      <tr>
+        <td style="${td}">S${s.index + 1}</td>
+        <td style="${td}">${s.paths.map(p => `<div style="${p.flagged ? 'color:#dc2626; font-weight:600;' : ''}">${p.working ? '●' : '○'} ${p.type} ${ms(p.latency)}${p.working ? '' : ` (${signed(p.delta)})`}${p.flagged ? ' ⚠️' : ''}</div>`).join('')}</td>
+        <td style="${td} text-align:right;">${ms(s.skew)}</td>
+      </tr>`).join('');
+
+    const stateRows = sim.states.map(st => `
+      <tr style="${st.switched === 0 ? 'background:#f0fdf4;' : ''}">
+        <td style="${td}">${st.label}</td>
+        <td style="${td} text-align:right;">${ms(st.latency)}</td>
+        <td style="${td} text-align:right; color:${st.delta > 0 ? '#b45309' : st.delta < 0 ? '#059669' : '#6b7280'};">${st.switched === 0 ? '—' : signed(st.delta)}</td>
+      </tr>`).join('');
+
+    resultsEl.innerHTML = `
+      <div style="display:grid; grid-template-columns:repeat(3, 1fr); gap:6px; margin-bottom:8px; font-size:10px; text-align:center;">
+        <div style="padding:6px; background:white; border:1px solid #e5e7eb; border-radius:4px;"><div style="color:#6b7280;">Working</div><div style="font-weight:600; font-size:12px;">${ms(sim.nominal)}</div></div>
+        <div style="padding:6px; background:white; border:1px solid #e5e7eb; border-radius:4px;"><div style="color:#6b7280;">Worst case</div><div style="font-weight:600; font-size:12px; color:#b45309;">${ms(sim.worst)}</div></div>
+        <div style="padding:6px; background:white; border:1px solid #e5e7eb; border-radius:4px;"><div style="color:#6b7280;">Skew</div><div style="font-weight:600; font-size:12px;">${ms(sim.skew)}</div></div>
+      </div>
+      ${sim.flagged.length > 0 ? `<div style="margin-bottom:8px; padding:6px; background:#fef2f2; border-radius:4px; font-size:10px; color:#dc2626;">⚠️ ${sim.flagged.length} protect path(s) exceed the ${temp.maxSwitchoverDeltaMs} ms delta over working</div>` : ''}
+      <table style="width:100%; border-collapse:collapse; font-size:10px; margin-bottom:8px;">
+        <thead><tr><th style="${th}">Seg</th><th style="${th}">Paths</th><th style="${th} text-align:right;">Skew</th></tr></thead>
+        <tbody>${segmentRows}</tbody>
+      </table>
+      <table style="width:100%; border-collapse:collapse; font-size:10px;">
+        <thead><tr><th style="${th}">State</th><th style="${th} text-align:right;">Latency</th><th style="${th} text-align:right;">Δ working</th></tr></thead>
+        <tbody>${stateRows}</tbody>
+      </table>
+      ${sim.truncated ? `<div style="margin-top:6px; font-size:9px; color:#6b7280;">${sim.stateCount} combinations — showing single switches and the worst case.</div>` : ''}
+    `;
+  }
+
+  document.getElementById('mlgMaxSwitchDelta')?.addEventListener('change', (ev) => {
+    const temp = mlgManagerState.tempGroup;
+    if (!temp) return;
+    const v = parseFloat(ev.target.value);
+    temp.maxSwitchoverDeltaMs = Number.isFinite(v) && v >= 0 ? v : null;
+    renderMultilinkEditor();
+  });
+
+  // ============== END MLG SWITCHOVER SIMULATION ==============
+
+  // Helper: Classify multilink group type
+  function classifyMLGType(segments) {
+    if (!segments || segments.length === 0) return 'linear';
+    const hasRing = segments.some(s => s.paths && s.paths.length >= 2);
+    const hasLinear = segments.some(s => !s.paths || s.paths.length < 2);
+    if (hasRing && hasLinear) return 'ring_linear';
+    if (hasRing) return 'ring';
+    return 'linear';
+  }
+
+  // Helper: Check path diversity (no shared links between paths in a segment)
+  function checkPathDiversity(paths) {
+    if (!paths || paths.length < 2) return { isDiverse: true, warning: null };
+
+    const linkSets = paths.map(p => new Set(p.links));
+    for (let i = 0; i < linkSets.length; i++) {
+      for (let j = i + 1; j < linkSets.length; j++) {
+        const shared = [...linkSets[i]].filter(l => linkSets[j].has(l));
+        if (shared.length > 0) {
+          const sharedNames = shared.map(l => getLinkDisplayName(l)).join(', ');
+          return {
+            isDiverse: false,
+            warning: `${paths[i].type} and ${paths[j].type} share: ${sharedNames}`
+          };
+        }
+      }
+    }
+    return { isDiverse: true, warning: null };
+  }
+
+  // Helper: Check segment diversity (no shared links between segments)
+  function checkSegmentDiversity(segments) {
+    if (!segments || segments.length < 2) return { isDiverse: true, warning: null };
+
+    // Collect all links from each segment
+    const segmentLinkSets = segments.map(seg => {
+      const links = new Set();
+      (seg.paths || []).forEach(p => p.links.forEach(l => links.add(l)));
+      return links;
+    });
+
+    for (let i = 0; i < segmentLinkSets.length; i++) {
+      for (let j = i + 1; j < segmentLinkSets.length; j++) {
+        const shared = [...segmentLinkSets[i]].filter(l => segmentLinkSets[j].has(l));
+        if (shared.length > 0) {
+          const sharedNames = shared.map(l => getLinkDisplayName(l)).join(', ');
+          return {
+            isDiverse: false,
+            warning: `Segments ${i + 1} and ${j + 1} share: ${sharedNames}`
+          };
+        }
+      }
+    }
+    return { isDiverse: true, warning: null };
+  }
+
+  // Helper: Check if link is used in other multilink groups
+  function checkLinkReuse(linkId, currentMLGId) {
+    const reusedIn = [];
+    state.multilinkGroups.forEach(mlg => {
+      if (mlg.id === currentMLGId) return;
+      mlg.segments.forEach(seg => {
+        seg.paths.forEach(path => {
+          if (path.links.includes(linkId)) {
+            reusedIn.push(mlg.name);
+          }
+        });
+      });
+    });
+    return reusedIn.length > 0 ? reusedIn : null;
+  }
+
+  // Helper: Validate path continuity (links form connected chain from A to B)
+  function validatePathContinuity(links, fromNode, toNode) {
+    if (links.length === 0) return { valid: false, error: 'Path has no links' };
+    if (links.length === 1) {
+      const link = findEdge(links[0]);
+      if (!link) return { valid: false, error: 'Link not found' };
+      const endpoints = [link.a, link.b];
+      if (!endpoints.includes(fromNode) || !endpoints.includes(toNode)) {
+        return { valid: false, error: 'Single link must connect segment endpoints' };
+      }
+      return { valid: true };
+    }
+
+    // For multiple links, check they form a connected path
+    const linkObjs = links.map(id => findEdge(id)).filter(l => l);
     if (linkObjs.length !== links.length) return { valid: false, error: 'Some links not found' };
 
     // Build adjacency from links
@@ -20416,6 +24323,14 @@ function loadProjectObject(obj) {
       warnings.push(segDiv.warning);
     }
 
+    // Check protect-path latency delta over working
+    if (typeof mlg.maxSwitchoverDeltaMs === 'number') {
+      const sim = simulateMLGSwitchover(mlg.segments, mlg.maxSwitchoverDeltaMs);
+      (sim?.flagged || []).forEach(f => {
+        warnings.push(`Segment ${f.segment + 1} ${f.type}: +${f.delta.toFixed(2)} ms over working (limit ${mlg.maxSwitchoverDeltaMs} ms)`);
+      });
+    }
+
     // Check segment chaining
     for (let i = 1; i < mlg.segments.length; i++) {
       if (mlg.segments[i].fromNode !== mlg.segments[i - 1].toNode) {
@@ -20535,6 +24450,7 @@ function loadProjectObject(obj) {
       segments: [],
       type: 'linear',
       totalLatency: 0,
+      maxSwitchoverDeltaMs: null,  // flag protect paths slower than working by more than this (ms)
       isDiverse: true,
       warnings: [],
       // Phase 1: New fields for MLG Path Finder integration
@@ -20896,6 +24812,8 @@ function loadProjectObject(obj) {
     if (nameInput) nameInput.value = temp.name || '';
     if (colorInput) colorInput.value = temp.color || '#f59e0b';
     if (descInput) descInput.value = temp.description || '';
+    const switchDeltaInput = document.getElementById('mlgMaxSwitchDelta');
+    if (switchDeltaInput) switchDeltaInput.value = temp.maxSwitchoverDeltaMs ?? '';
 
     // Render segments
     const container = document.getElementById('mlgSegmentsContainer');
@@ -20904,6 +24822,7 @@ function loadProjectObject(obj) {
     if (temp.segments.length === 0) {
       container.innerHTML = '<div class="muted" style="padding:12px; text-align:center; font-size:11px; color:#94a3b8;">No segments yet. Click "+ Add Segment" to start building the multilink group.</div>';
     } else {
+      const segAvailability = calculateMLGAvailability(temp.segments)?.segments || [];
       container.innerHTML = temp.segments.map((seg, idx) => {
         const pathDiv = checkPathDiversity(seg.paths);
         const hasWarning = !pathDiv.isDiverse;
@@ -20915,6 +24834,7 @@ function loadProjectObject(obj) {
               <div class="segment-title">
                 <span>Segment ${idx + 1}</span>
                 ${seg.latency > 0 ? `<span class="segment-latency">${seg.latency} ms</span>` : ''}
+                ${seg.paths.length >= 2 && segAvailability[idx] !== null ? `<span class="segment-latency" title="Segment availability">${formatAvailability(segAvailability[idx])}</span>` : ''}
               </div>
               <div class="segment-actions">
                 <button onclick="removeSegment(${seg.id})" title="Remove segment">🗑️</button>
@@ -20995,10 +24915,20 @@ function loadProjectObject(obj) {
       const allPathsDiverse = temp.segments.every(s => checkPathDiversity(s.paths).isDiverse);
       const isDiverse = segDiv.isDiverse && allPathsDiverse;
       if (diversityEl) diversityEl.textContent = isDiverse ? '✅ Diverse' : '⚠️ Not fully diverse';
+
+      const availabilityEl = document.getElementById('mlgComputedAvailability');
+      const availability = calculateMLGAvailability(temp.segments);
+      if (availabilityEl) {
+        availabilityEl.textContent = availability
+          ? `${formatAvailability(availability.availability)} · ${formatDowntime(availability.downtimeMinutes)}`
+          : '—';
+      }
     } else if (computedEl) {
       computedEl.style.display = 'none';
     }
 
+    renderMLGSwitchover(temp);
+
     // Update warnings
     const warningsBox = document.getElementById('mlgWarningsBox');
     const warningsList = document.getElementById('mlgWarningsList');
@@ -23572,6 +27502,10 @@ function loadProjectObject(obj) {
     // Implicit transit option (at top of panel)
     skipImplicitTransit: true,       // Skip implicit container/region transit connections (default on)
 
+    // Search algorithm: 'dijkstra' (default), 'bidirectional' or 'astar' (great-circle heuristic)
+    searchAlgorithm: 'dijkstra',
+    searchTimeoutSec: 30,            // Abort route-worker searches after this many seconds (0 = never)
+
     // Pick mode for exclusions/must-use
     pickMode: null,            // null, 'excludeNode', 'excludeLink', 'mustUseNode', 'mustUseLink', 'mustUseMLG', 'excludeMLG', 'diverseFromLink'
 
@@ -23581,6 +27515,13 @@ function loadProjectObject(obj) {
     costMetric: 'lease',              // 'lease' (ACV) or 'iru' (NPV)
     costScale: 'logarithmic',         // 'linear' or 'logarithmic' for cost normalization
     capacityTier: '10G',              // Capacity tier for cost calculation: '1G', '10G', '100G', '400G'
+    paretoMode: false,                // Return every non-dominated route (latency × cost × hops) instead of the k best
+    // Hard limits: fastest/cheapest route under latency, cost, hop and cable-system caps
+    constrainedMode: false,
+    constraintObjective: 'latency',   // 'latency' (fastest) or 'cost' (cheapest)
+    constraintCostBasis: 'mrc',       // 'mrc' (MRC at the pricing tier) or 'metric' (ACV / IRU NPV)
+    constraintLimits: { maxLatencyMs: null, maxCost: null, maxHops: null, maxCableSystems: null },
+    constraintReport: null,           // Last solveConstrainedRoute() report
     // ============== END COST OPTIMIZATION SETTINGS ==============
 
     // ============== MLG PREFERENCE SETTINGS (Phase 1) ==============
@@ -24370,23 +28311,24 @@ function loadProjectObject(obj) {
   }
 
   /**
-   * Find K shortest paths using MLG preference
+   * Find the best path using MLG preference, over prebuilt graphs
    * Phase 1: Try pure MLG-only paths
    * Phase 2: If Phase 1 fails, try hybrid graph with MLG preference
+   * No state access — runs in the route worker (see buildRouteSearchJob)
+   * @param {Map} mlgAdjacency - Graph from buildMLGOnlyGraph()
+   * @param {Map} hybridAdjacency - Graph from buildMLGAugmentedGraph()
    * @param {number} source - Origin node ID
    * @param {number} target - Destination node ID
-   * @param {number} k - Number of paths to find
+   * @param {Set} mustUseMLGs - MLG IDs the route should include
    * @returns {Array} Array of route objects with MLG flags
    */
-  function findKShortestPathsWithMLGPreference(source, target, k = 3) {
+  function findMLGPreferredRoutes(mlgAdjacency, hybridAdjacency, source, target, mustUseMLGs) {
     // Phase 1: Try pure MLG-only path
     console.log('[MLG PathFinder] Phase 1: Attempting pure MLG path...');
 
-    const mlgGraph = buildMLGOnlyGraph();
-
-    if (mlgGraph.adjacency.has(source) && mlgGraph.adjacency.has(target)) {
+    if (mlgAdjacency.has(source) && mlgAdjacency.has(target)) {
       // Run Dijkstra on MLG-only graph
-      const { dist, prev } = dijkstra(mlgGraph.adjacency, source);
+      const { dist, prev } = dijkstra(mlgAdjacency, source, new Set(), target);
 
       if (dist.get(target) !== Infinity) {
         // Found pure MLG path!
@@ -24407,9 +28349,9 @@ function loadProjectObject(obj) {
           };
 
           // Check must-use MLG constraints
-          if (routeFinderState.mustUseMLGs.size > 0) {
+          if (mustUseMLGs && mustUseMLGs.size > 0) {
             const usedMLGs = new Set(pathResult.segments.filter(s => s.mlgId).map(s => s.mlgId));
-            for (const requiredMLG of routeFinderState.mustUseMLGs) {
+            for (const requiredMLG of mustUseMLGs) {
               if (!usedMLGs.has(requiredMLG)) {
                 console.log('[MLG PathFinder] Phase 1 path does not include must-use MLG:', requiredMLG);
                 // Continue to Phase 2 to try including required MLG
@@ -24430,16 +28372,14 @@ function loadProjectObject(obj) {
     // Phase 2: Try hybrid graph (MLG + links with MLG preference)
     console.log('[MLG PathFinder] Phase 2: Attempting hybrid path with MLG preference...');
 
-    const hybridGraph = buildMLGAugmentedGraph();
-
-    if (!hybridGraph.adjacency.has(source) || !hybridGraph.adjacency.has(target)) {
+    if (!hybridAdjacency.has(source) || !hybridAdjacency.has(target)) {
       console.log('[MLG PathFinder] Phase 2 FAILED: Source or target not in graph');
       return [];
     }
 
     // Use modified findKShortestPaths with the hybrid graph
     // For now, use simple Dijkstra for the best path
-    const { dist, prev } = dijkstra(hybridGraph.adjacency, source);
+    const { dist, prev } = dijkstra(hybridAdjacency, source, new Set(), target);
 
     if (dist.get(target) === Infinity) {
       console.log('[MLG PathFinder] Phase 2 FAILED: No path found');
@@ -24471,46 +28411,399 @@ function loadProjectObject(obj) {
 
   // ============== END MLG-AUGMENTED PATHFINDING ==============
 
-  // Dijkstra's algorithm
-  function dijkstra(adjacency, source, excludeEdges = new Set()) {
+  // ============== SHORTEST-PATH CORE ==============
+  // Search primitives shared by the Route Finder, the protection path search and
+  // runPathfinderHeadless(). Everything in this block works on a plain adjacency
+  // Map (nodeId -> [{ to, cost, edgeId, ... }]) and never reads state or the DOM.
+
+  /**
+   * Indexed binary min-heap keyed by node ID, with decrease-key.
+   * Equal priorities pop in insertion order, which reproduces the ordering of
+   * the previous "sort the array and shift the head" queue exactly.
+   * @returns {Object} { size, has, peek, push, pop }
+   */
+  function createIndexedMinHeap() {
+    const heap = [];              // [{ node, priority, order }]
+    const position = new Map();   // node -> index in heap
+    let counter = 0;
+
+    function less(i, j) {
+      const a = heap[i];
+      const b = heap[j];
+      return a.priority < b.priority || (a.priority === b.priority && a.order < b.order);
+    }
+
+    function swap(i, j) {
+      const tmp = heap[i];
+      heap[i] = heap[j];
+      heap[j] = tmp;
+      position.set(heap[i].node, i);
+      position.set(heap[j].node, j);
+    }
+
+    function siftUp(i) {
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!less(i, parent)) break;
+        swap(i, parent);
+        i = parent;
+      }
+    }
+
+    function siftDown(i) {
+      const n = heap.length;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < n && less(left, smallest)) smallest = left;
+        if (right < n && less(right, smallest)) smallest = right;
+        if (smallest === i) return;
+        swap(i, smallest);
+        i = smallest;
+      }
+    }
+
+    return {
+      size: () => heap.length,
+      has: (node) => position.has(node),
+      // Lowest priority currently queued (Infinity when empty)
+      peek: () => (heap.length > 0 ? heap[0].priority : Infinity),
+      // Insert a node, or re-key it if already queued (counts as a fresh insertion for ties)
+      push(node, priority) {
+        const order = counter++;
+        if (position.has(node)) {
+          const i = position.get(node);
+          const previous = heap[i].priority;
+          heap[i].priority = priority;
+          heap[i].order = order;
+          if (priority < previous) siftUp(i);
+          else siftDown(i);
+          return;
+        }
+        heap.push({ node, priority, order });
+        position.set(node, heap.length - 1);
+        siftUp(heap.length - 1);
+      },
+      pop() {
+        if (heap.length === 0) return null;
+        const top = heap[0];
+        const last = heap.pop();
+        position.delete(top.node);
+        if (heap.length > 0) {
+          heap[0] = last;
+          position.set(last.node, 0);
+          siftDown(0);
+        }
+        return top;
+      }
+    };
+  }
+
+  // Undirected key used by Yen's algorithm to exclude an edge in both directions
+  function edgeSearchKey(from, edge) {
+    return `${Math.min(from, edge.to)}-${Math.max(from, edge.to)}-${edge.edgeId || 'implicit'}`;
+  }
+
+  // Great-circle distance in km between two lat/lon points
+  function haversineKm(lat1, lon1, lat2, lon2) {
+    const toRad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRad;
+    const dLon = (lon2 - lon1) * toRad;
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Smallest cost-per-km ratio over every edge of the graph.
+   * Scaling great-circle distance by this ratio gives a heuristic that never
+   * overestimates, even when hand-entered latencies are faster than fibre allows.
+   * @param {Map} adjacency - Pathfinding adjacency
+   * @param {Map} coords - nodeId -> { lat, lon }
+   * @returns {number} Scale factor (0 when no useful bound exists)
+   */
+  function computeGreatCircleScale(adjacency, coords) {
+    let scale = Infinity;
+    adjacency.forEach((edges, from) => {
+      const a = coords.get(from);
+      for (const edge of edges) {
+        const b = coords.get(edge.to);
+        if (!a || !b) continue;
+        const km = haversineKm(a.lat, a.lon, b.lat, b.lon);
+        if (km > 0) scale = Math.min(scale, edge.cost / km);
+      }
+    });
+    return (Number.isFinite(scale) && scale > 0) ? scale : 0;
+  }
+
+  /**
+   * Build an A* heuristic toward `target` from node coordinates.
+   * Consistency: h(u) = scale·gc(u,t) ≤ scale·gc(u,v) + scale·gc(v,t) ≤ cost(u,v) + h(v).
+   * @returns {Function|null} node -> lower bound on remaining cost, or null
+   */
+  function createGreatCircleHeuristic(coords, target, scale) {
+    const t = coords.get(target);
+    if (!t || !(scale > 0)) return null;
+    const memo = new Map();
+    return (node) => {
+      let h = memo.get(node);
+      if (h === undefined) {
+        const p = coords.get(node);
+        h = p ? scale * haversineKm(p.lat, p.lon, t.lat, t.lon) : 0;
+        memo.set(node, h);
+      }
+      return h;
+    };
+  }
+
+  /**
+   * Single-source search (Dijkstra, or A* when a heuristic is supplied).
+   * @param {Map} adjacency - nodeId -> [{ to, cost, ... }]
+   * @param {number} source - Start node ID
+   * @param {Object} [options]
+   * @param {number} [options.target] - Stop once this node is settled
+   * @param {Set} [options.excludeEdges] - Edge keys (see edgeSearchKey) to skip
+   * @param {Function} [options.heuristic] - node -> admissible lower bound
+   * @returns {Object} { dist, prev } - dist is Infinity for every unreached node
+   */
+  function searchShortestPaths(adjacency, source, options = {}) {
+    const target = (options.target === undefined) ? null : options.target;
+    const excludeEdges = (options.excludeEdges && options.excludeEdges.size > 0) ? options.excludeEdges : null;
+    const heuristic = (typeof options.heuristic === 'function') ? options.heuristic : null;
     const dist = new Map();
     const prev = new Map();
     const visited = new Set();
-    const pq = [];
+    const queue = createIndexedMinHeap();
 
     adjacency.forEach((_, node) => {
       dist.set(node, Infinity);
       prev.set(node, null);
     });
     dist.set(source, 0);
-    pq.push({ node: source, cost: 0 });
+    queue.push(source, heuristic ? heuristic(source) : 0);
 
-    while (pq.length > 0) {
-      pq.sort((a, b) => a.cost - b.cost);
-      const { node: u } = pq.shift();
-
-      if (visited.has(u)) continue;
+    while (queue.size() > 0) {
+      const u = queue.pop().node;
       visited.add(u);
+      if (u === target) break;
 
+      const du = dist.get(u);
       const neighbors = adjacency.get(u) || [];
       for (const edge of neighbors) {
-        const edgeKey = `${Math.min(u, edge.to)}-${Math.max(u, edge.to)}-${edge.edgeId || 'implicit'}`;
-        if (excludeEdges.has(edgeKey)) continue;
+        if (excludeEdges && excludeEdges.has(edgeSearchKey(u, edge))) continue;
 
         const v = edge.to;
-        const alt = dist.get(u) + edge.cost;
+        if (visited.has(v)) continue;
+        const alt = du + edge.cost;
 
         if (alt < dist.get(v)) {
           dist.set(v, alt);
           prev.set(v, { from: u, edge });
-          pq.push({ node: v, cost: alt });
+          queue.push(v, heuristic ? alt + heuristic(v) : alt);
+        }
+      }
+    }
+
+    return { dist, prev };
+  }
+
+  /**
+   * Bidirectional Dijkstra between two nodes.
+   * Expands whichever frontier is smaller and stops once the two queue heads
+   * can no longer improve the best meeting point. The returned prev map holds a
+   * complete source→target chain, so reconstructPath() works unchanged.
+   * @returns {Object} { dist, prev }
+   */
+  function searchBidirectional(adjacency, source, target, options = {}) {
+    const excludeEdges = (options.excludeEdges && options.excludeEdges.size > 0) ? options.excludeEdges : null;
+    const dist = new Map();
+    const prev = new Map();
+    adjacency.forEach((_, node) => {
+      dist.set(node, Infinity);
+      prev.set(node, null);
+    });
+    dist.set(source, 0);
+    if (source === target || !adjacency.has(source) || !adjacency.has(target)) {
+      return { dist, prev };
+    }
+
+    // Reverse view of the directed adjacency entries: v -> [{ from: u, edge: u→v }]
+    const reverse = new Map();
+    adjacency.forEach((edges, from) => {
+      for (const edge of edges) {
+        if (!adjacency.has(edge.to)) continue;
+        if (!reverse.has(edge.to)) reverse.set(edge.to, []);
+        reverse.get(edge.to).push({ from, edge });
+      }
+    });
+
+    const distF = new Map([[source, 0]]);
+    const distB = new Map([[target, 0]]);
+    const prevF = new Map();
+    const nextB = new Map();
+    const doneF = new Set();
+    const doneB = new Set();
+    const queueF = createIndexedMinHeap();
+    const queueB = createIndexedMinHeap();
+    queueF.push(source, 0);
+    queueB.push(target, 0);
+
+    let best = Infinity;
+    let meet = null;
+
+    while (queueF.size() > 0 && queueB.size() > 0) {
+      if (queueF.peek() + queueB.peek() >= best) break;
+
+      if (queueF.size() <= queueB.size()) {
+        const u = queueF.pop().node;
+        doneF.add(u);
+        const du = distF.get(u);
+        for (const edge of adjacency.get(u) || []) {
+          if (excludeEdges && excludeEdges.has(edgeSearchKey(u, edge))) continue;
+          const v = edge.to;
+          if (!adjacency.has(v) || doneF.has(v)) continue;
+          const alt = du + edge.cost;
+          if (alt < (distF.has(v) ? distF.get(v) : Infinity)) {
+            distF.set(v, alt);
+            prevF.set(v, { from: u, edge });
+            queueF.push(v, alt);
+          }
+          if (distB.has(v) && distF.get(v) + distB.get(v) < best) {
+            best = distF.get(v) + distB.get(v);
+            meet = v;
+          }
+        }
+      } else {
+        const v = queueB.pop().node;
+        doneB.add(v);
+        const dv = distB.get(v);
+        for (const { from: u, edge } of reverse.get(v) || []) {
+          if (excludeEdges && excludeEdges.has(edgeSearchKey(u, edge))) continue;
+          if (doneB.has(u)) continue;
+          const alt = dv + edge.cost;
+          if (alt < (distB.has(u) ? distB.get(u) : Infinity)) {
+            distB.set(u, alt);
+            nextB.set(u, { to: v, edge });
+            queueB.push(u, alt);
+          }
+          if (distF.has(u) && distF.get(u) + distB.get(u) < best) {
+            best = distF.get(u) + distB.get(u);
+            meet = u;
+          }
         }
       }
     }
 
+    if (meet === null) return { dist, prev };
+
+    // Forward half: source → meet
+    prevF.forEach((info, node) => prev.set(node, info));
+    distF.forEach((d, node) => dist.set(node, d));
+    // Backward half: meet → target, rewritten as forward prev links
+    let node = meet;
+    while (nextB.has(node)) {
+      const { to, edge } = nextB.get(node);
+      prev.set(to, { from: node, edge });
+      dist.set(to, best - distB.get(to));
+      node = to;
+    }
+    dist.set(target, best);
+
     return { dist, prev };
   }
 
+  /**
+   * Run the selected search algorithm from `source` (to `target`, when given).
+   * 'dijkstra' reproduces the historical results exactly. 'bidirectional' and
+   * 'astar' always return a path of the same total cost, but may pick a
+   * different one when several routes tie.
+   * @param {Object} [options] - { algorithm, excludeEdges, coords, geoScale }
+   * @returns {Object} { dist, prev }
+   */
+  function findShortestPath(adjacency, source, target = null, options = {}) {
+    const algorithm = options.algorithm || 'dijkstra';
+    if (target === null || target === undefined) {
+      return searchShortestPaths(adjacency, source, options);
+    }
+    if (algorithm === 'bidirectional') {
+      return searchBidirectional(adjacency, source, target, options);
+    }
+    if (algorithm === 'astar' && options.coords) {
+      const scale = (typeof options.geoScale === 'number')
+        ? options.geoScale
+        : computeGreatCircleScale(adjacency, options.coords);
+      const heuristic = createGreatCircleHeuristic(options.coords, target, scale);
+      if (heuristic) {
+        return searchShortestPaths(adjacency, source, Object.assign({}, options, { target, heuristic }));
+      }
+    }
+    return searchShortestPaths(adjacency, source, Object.assign({}, options, { target }));
+  }
+
+  /**
+   * Turn an algorithm name into findShortestPath() options for one graph.
+   * A* needs every node of the graph geolocated; otherwise it falls back to Dijkstra.
+   * @param {Map} adjacency - Pathfinding adjacency
+   * @param {string} algorithm - 'dijkstra' | 'bidirectional' | 'astar'
+   * @param {Function} getCoords - Returns nodeId -> { lat, lon } (only called on a cache miss)
+   * @param {WeakMap} cache - Per-graph cache of coordinates and A* scale
+   * @returns {Object} { algorithm, coords?, geoScale? }
+   */
+  function resolveSearchOptions(adjacency, algorithm, getCoords, cache) {
+    if (algorithm !== 'astar') return { algorithm: algorithm || 'dijkstra' };
+
+    let cached = cache.get(adjacency);
+    if (!cached) {
+      const allCoords = getCoords();
+      let coords = new Map();
+      for (const nodeId of adjacency.keys()) {
+        const point = allCoords.get(nodeId);
+        if (!point) { coords = null; break; }
+        coords.set(nodeId, point);
+      }
+      cached = { coords, geoScale: coords ? computeGreatCircleScale(adjacency, coords) : 0 };
+      cache.set(adjacency, cached);
+    }
+    if (!cached.coords || !(cached.geoScale > 0)) return { algorithm: 'dijkstra' };
+    return { algorithm, coords: cached.coords, geoScale: cached.geoScale };
+  }
+
+  // ============== END SHORTEST-PATH CORE ==============
+
+  // Per-graph cache of node coordinates and A* scale (graphs are rebuilt per query)
+  const geoSearchCache = new WeakMap();
+
+  // Search settings of the job being run by runRouteJobSync() (null = use the Route Finder's)
+  let activeSearchConfig = null;
+
+  // GPS coordinates of every geolocated node: nodeId -> { lat, lon }
+  function getNodeCoordinates() {
+    const coords = new Map();
+    state.nodes.forEach(n => {
+      if (typeof n.gpsLat === 'number' && typeof n.gpsLon === 'number') {
+        coords.set(n.id, { lat: n.gpsLat, lon: n.gpsLon });
+      }
+    });
+    return coords;
+  }
+
+  // Resolve the Route Finder's algorithm setting into findShortestPath() options
+  function getSearchOptions(adjacency) {
+    if (activeSearchConfig) {
+      const config = activeSearchConfig;
+      return resolveSearchOptions(adjacency, config.algorithm, () => config.coords || getNodeCoordinates(), geoSearchCache);
+    }
+    return resolveSearchOptions(adjacency, routeFinderState.searchAlgorithm, getNodeCoordinates, geoSearchCache);
+  }
+
+  // Dijkstra's algorithm (or the configured bidirectional/A* variant when a
+  // target is given). Returns { dist, prev } for reconstructPath().
+  function dijkstra(adjacency, source, excludeEdges = new Set(), target = null) {
+    return findShortestPath(adjacency, source, target,
+      Object.assign({ excludeEdges }, getSearchOptions(adjacency)));
+  }
+
   // Reconstruct path
   function reconstructPath(prev, source, target) {
     if (prev.get(target) === null && target !== source) return null;
@@ -24534,22 +28827,42 @@ function loadProjectObject(obj) {
     return null;
   }
 
-  // Yen's K-Shortest Paths Algorithm
-  function findKShortestPaths(source, target, k = 3) {
-    const graph = buildPathfindingGraph();
-    const { adjacency } = graph;
+  // Snapshot must-use nodes/links with the endpoints the search needs (edges resolved here,
+  // so the search itself never touches state)
+  function getMustUseConstraints() {
+    return {
+      mustUseNodes: new Set(routeFinderState.mustUseNodes),
+      mustUseLinks: [...routeFinderState.mustUseLinks].map(edgeId => {
+        const edge = findEdge(edgeId);
+        return edge
+          ? { edgeId, a: edge.a, b: edge.b, latency: edge.latency }
+          : { edgeId, a: null, b: null, latency: null };
+      })
+    };
+  }
 
+  /**
+   * Yen's K-Shortest Paths over a prebuilt graph (no state access, runs in the route worker)
+   * @param {Map} adjacency - Graph from buildPathfindingGraph()
+   * @param {number} source - Origin node ID
+   * @param {number} target - Destination node ID
+   * @param {number} k - Number of paths to find
+   * @param {Object} constraints - From getMustUseConstraints()
+   * @param {Function} [onProgress] - Called with a 0-1 completion estimate
+   * @returns {Array} Routes { path, segments, totalCost }
+   */
+  function yenKShortestPaths(adjacency, source, target, k, constraints, onProgress) {
     if (!adjacency.has(source) || !adjacency.has(target)) return [];
 
     // Helper to check if a route satisfies must-use constraints
     function satisfiesMustUseConstraints(path, segments) {
       // Check must-use nodes
-      for (const nodeId of routeFinderState.mustUseNodes) {
+      for (const nodeId of constraints.mustUseNodes) {
         if (!path.includes(nodeId)) return false;
       }
 
       // Check must-use links
-      for (const edgeId of routeFinderState.mustUseLinks) {
+      for (const { edgeId } of constraints.mustUseLinks) {
         const hasLink = segments.some(seg => seg.edgeId === edgeId);
         if (!hasLink) return false;
       }
@@ -24557,11 +28870,11 @@ function loadProjectObject(obj) {
       return true;
     }
 
-    const hasMustUseConstraints = routeFinderState.mustUseNodes.size > 0 || routeFinderState.mustUseLinks.size > 0;
+    const hasMustUseConstraints = constraints.mustUseNodes.size > 0 || constraints.mustUseLinks.length > 0;
 
     // Special handling for must-use constraints: route through waypoints
     if (hasMustUseConstraints) {
-      const mustUseRoutes = findRoutesWithMustUseConstraints(adjacency, source, target, k);
+      const mustUseRoutes = findRoutesWithMustUseConstraints(adjacency, source, target, k, constraints, onProgress);
       if (mustUseRoutes.length > 0) {
         return mustUseRoutes;
       }
@@ -24574,7 +28887,7 @@ function loadProjectObject(obj) {
     // Find more paths if we have must-use constraints (we'll filter later)
     const maxPaths = hasMustUseConstraints ? k * 10 : k;
 
-    const { dist, prev } = dijkstra(adjacency, source);
+    const { dist, prev } = dijkstra(adjacency, source, new Set(), target);
     const firstPath = reconstructPath(prev, source, target);
 
     if (!firstPath) return [];
@@ -24588,6 +28901,7 @@ function loadProjectObject(obj) {
     let candidatePaths = [{ path: firstPath.path, segments: firstPath.segments, totalCost: dist.get(target) }];
 
     for (let i = 1; i < maxPaths && A.length < k; i++) {
+      if (onProgress) onProgress(Math.max(A.length / k, i / maxPaths));
       const prevPath = candidatePaths[i - 1];
       if (!prevPath) break;
 
@@ -24620,7 +28934,7 @@ function loadProjectObject(obj) {
           });
         });
 
-        const spurResult = dijkstra(adjacency, spurNode, excludeEdges);
+        const spurResult = dijkstra(adjacency, spurNode, excludeEdges, target);
         const spurPath = reconstructPath(spurResult.prev, spurNode, target);
 
         if (spurPath && spurPath.path.length > 1) {
@@ -24662,29 +28976,29 @@ function loadProjectObject(obj) {
   }
 
   // Find routes that pass through must-use nodes and links
-  function findRoutesWithMustUseConstraints(adjacency, source, target, k) {
+  // (constraints come from getMustUseConstraints(); no state access, runs in the route worker)
+  function findRoutesWithMustUseConstraints(adjacency, source, target, k, constraints, onProgress) {
     const results = [];
 
     // Get must-use links with their edge info
     const mustUseLinks = [];
-    for (const edgeId of routeFinderState.mustUseLinks) {
-      const edge = state.edges.find(e => e.id === edgeId);
-      if (edge) {
+    for (const link of constraints.mustUseLinks) {
+      if (link.a !== null) {
         // Find the adjacency entry for this edge to get cost/latency info
-        const adjEntries = adjacency.get(edge.a) || [];
-        const edgeInfo = adjEntries.find(e => e.edgeId === edgeId);
+        const adjEntries = adjacency.get(link.a) || [];
+        const edgeInfo = adjEntries.find(e => e.edgeId === link.edgeId);
         mustUseLinks.push({
-          a: edge.a,
-          b: edge.b,
-          edgeId,
-          cost: edgeInfo?.cost || edge.latency || 1,
-          latency: edgeInfo?.latency || edge.latency || 1
+          a: link.a,
+          b: link.b,
+          edgeId: link.edgeId,
+          cost: edgeInfo?.cost || link.latency || 1,
+          latency: edgeInfo?.latency || link.latency || 1
         });
       }
     }
 
     // Get must-use nodes (excluding source/target)
-    const mustUseNodes = [...routeFinderState.mustUseNodes].filter(n => n !== source && n !== target);
+    const mustUseNodes = [...constraints.mustUseNodes].filter(n => n !== source && n !== target);
 
     // If we have must-use links, we need to route through them explicitly
     if (mustUseLinks.length > 0) {
@@ -24693,9 +29007,11 @@ function loadProjectObject(obj) {
 
       // Generate all possible orderings of link traversals
       const linkOrderings = permuteLinkDirections(mustUseLinks);
+      let orderingsTried = 0;
 
       for (const linkOrdering of linkOrderings) {
         if (results.length >= k * 2) break; // Find more candidates, will filter to k
+        if (onProgress) onProgress(orderingsTried++ / linkOrderings.length);
 
         // Build the route by forcing each must-use link
         // Route: source -> first link start -> (link) -> first link end -> ... -> target
@@ -24753,7 +29069,7 @@ function loadProjectObject(obj) {
 
             if (from !== linkStart) {
               // Route from current position to link start
-              const { dist, prev } = dijkstra(adjacency, from);
+              const { dist, prev } = dijkstra(adjacency, from, new Set(), linkStart);
               const subPath = reconstructPath(prev, from, linkStart);
               if (!subPath) { valid = false; break; }
 
@@ -24790,7 +29106,7 @@ function loadProjectObject(obj) {
 
           // Route from current position to next stop
           if (from !== to) {
-            const { dist, prev } = dijkstra(adjacency, from);
+            const { dist, prev } = dijkstra(adjacency, from, new Set(), to);
             const subPath = reconstructPath(prev, from, to);
             if (!subPath) { valid = false; break; }
 
@@ -24808,7 +29124,7 @@ function loadProjectObject(obj) {
 
         // Verify all must-use links were used
         let hasAllLinks = true;
-        for (const edgeId of routeFinderState.mustUseLinks) {
+        for (const { edgeId } of constraints.mustUseLinks) {
           if (!linksUsed.has(edgeId)) {
             hasAllLinks = false;
             break;
@@ -24818,7 +29134,7 @@ function loadProjectObject(obj) {
 
         // Verify all must-use nodes are in path
         let hasAllNodes = true;
-        for (const nodeId of routeFinderState.mustUseNodes) {
+        for (const nodeId of constraints.mustUseNodes) {
           if (!fullPath.includes(nodeId)) {
             hasAllNodes = false;
             break;
@@ -24835,9 +29151,11 @@ function loadProjectObject(obj) {
     } else if (mustUseNodes.length > 0) {
       // Only must-use nodes, no links - use waypoint routing
       const permutations = permute(mustUseNodes.slice(0, 6));
+      let orderingsTried = 0;
 
       for (const ordering of permutations) {
         if (results.length >= k) break;
+        if (onProgress) onProgress(orderingsTried++ / permutations.length);
 
         const stops = [source, ...ordering, target];
         const fullPath = [];
@@ -24849,7 +29167,7 @@ function loadProjectObject(obj) {
           const from = stops[i];
           const to = stops[i + 1];
 
-          const { dist, prev } = dijkstra(adjacency, from);
+          const { dist, prev } = dijkstra(adjacency, from, new Set(), to);
           const subPath = reconstructPath(prev, from, to);
 
           if (!subPath) { valid = false; break; }
@@ -24936,6 +29254,869 @@ function loadProjectObject(obj) {
     return true;
   }
 
+  // ============== ROUTE SEARCH WORKER ==============
+  // Route searches run in a dedicated Web Worker so heavy must-use permutations
+  // don't freeze the canvas. Graphs are still built on the main thread (they
+  // read state and the DOM) and posted to the worker as plain Maps; the worker
+  // runs the state-free engine functions above, serialized with toString().
+
+  /**
+   * Shortest route visiting `waypoints` in order (used for protection paths)
+   * @param {Map} adjacency - Protection graph
+   * @param {Array} waypoints - Node IDs: origin, intermediate stops..., destination
+   * @param {Function} [onProgress] - Called with a 0-1 completion estimate
+   * @returns {Object|null} { path, segments, totalCost, totalLatency }, or null if any leg fails
+   */
+  function findWaypointRoute(adjacency, waypoints, onProgress) {
+    let fullPath = [];
+    let fullSegments = [];
+    let totalCost = 0;
+    let totalLatency = 0;
+
+    for (let i = 0; i < waypoints.length - 1; i++) {
+      if (onProgress) onProgress(i / (waypoints.length - 1));
+      const from = waypoints[i];
+      const to = waypoints[i + 1];
+      const { dist, prev } = dijkstra(adjacency, from, new Set(), to);
+      if (!(dist.get(to) < Infinity)) return null;
+
+      const path = [];
+      const segments = [];
+      let legLatency = 0;
+      let cur = to;
+      while (cur !== null) {
+        path.unshift(cur);
+        const prevInfo = prev.get(cur);
+        if (prevInfo && prevInfo.edge) {
+          segments.unshift({
+            edgeId: prevInfo.edge.edgeId,
+            latency: prevInfo.edge.latency,
+            cost: prevInfo.edge.cost,
+            implicit: prevInfo.edge.implicit || false
+          });
+          legLatency += prevInfo.edge.latency;
+        }
+        cur = prevInfo ? prevInfo.from : null;
+      }
+      if (segments.length === 0) return null;
+
+      fullPath = i === 0 ? path : fullPath.concat(path.slice(1));
+      fullSegments = fullSegments.concat(segments);
+      totalCost += dist.get(to);
+      totalLatency += legLatency;
+    }
+
+    return { path: fullPath, segments: fullSegments, totalCost, totalLatency };
+  }
+
+  /**
+   * Minimum-total-cost pair of disjoint routes (Suurballe/Bhandari), solved as a
+   * two-unit min-cost flow: two successive shortest paths with Johnson potentials,
+   * so the second search may "undo" part of the first instead of being trapped
+   * by it. Links are modelled as two arcs; in node-disjoint mode every node is
+   * split into in/out halves joined by a unit-capacity arc.
+   *
+   * The latency-skew and per-route latency bounds are heuristics, not an exact
+   * search: when the optimal pair breaks one, only `candidates` × `candidates`
+   * Yen k-shortest combinations are tried. A pair within the bounds may exist
+   * outside that set (errors 'skew' / 'latency' mean "none found within the
+   * search limit"), and a pair that is found (skewLimited) is the cheapest of
+   * the candidates, not necessarily the cheapest pair within the bounds.
+   * @param {Map} adjacency - Search graph (both directions of every link)
+   * @param {number} source - Origin node ID
+   * @param {number} target - Destination node ID
+   * @param {Object} [options] - { disjoint: 'link'|'node', maxSkewMs: number|null,
+   *   maxLatencyMs: number|null (cap on each route), candidates: number }
+   * @param {Function} [onProgress] - Called with a 0-1 completion estimate
+   * @returns {Object} { primary, secondary, totalCost, skewMs, skewLimited } or { error, skewMs, latencyMs, candidates },
+   *   error being 'no-path' | 'no-disjoint-pair' | 'skew' | 'latency' (none found within the search limit)
+   */
+  function findDisjointPair(adjacency, source, target, options = {}, onProgress) {
+    const nodeDisjoint = options.disjoint === 'node';
+    const maxSkew = Number.isFinite(options.maxSkewMs) && options.maxSkewMs >= 0 ? options.maxSkewMs : null;
+    const maxLatency = Number.isFinite(options.maxLatencyMs) && options.maxLatencyMs >= 0 ? options.maxLatencyMs : null;
+    if (source === target || !adjacency.has(source) || !adjacency.has(target)) {
+      return { error: 'no-path', skewMs: null };
+    }
+
+    // Vertex numbering: node i -> in 2i / out 2i+1 when node-disjoint, else i
+    const nodeIds = [...adjacency.keys()];
+    const index = new Map(nodeIds.map((id, i) => [id, i]));
+    const split = nodeDisjoint ? 2 : 1;
+    const vin = i => i * split;
+    const vout = i => i * split + split - 1;
+    const vertexCount = nodeIds.length * split;
+
+    // Residual network: arc i and its reverse i ^ 1
+    const head = Array.from({ length: vertexCount }, () => []);
+    const arcs = [];
+    function addArc(from, to, cost) {
+      head[from].push(arcs.length);
+      arcs.push({ from, to, cap: 1, cost });
+      head[to].push(arcs.length);
+      arcs.push({ from: to, to: from, cap: 0, cost: -cost });
+    }
+    if (nodeDisjoint) {
+      nodeIds.forEach((id, i) => addArc(vin(i), vout(i), 0));
+    }
+    adjacency.forEach((neighbors, from) => {
+      const i = index.get(from);
+      neighbors.forEach(entry => {
+        const j = index.get(entry.to);
+        if (j === undefined || j === i) return;
+        addArc(vout(i), vin(j), Math.max(0, entry.cost));
+        arcs[arcs.length - 2].entry = entry;
+      });
+    });
+
+    const s = vout(index.get(source));
+    const t = vin(index.get(target));
+    const potential = new Float64Array(vertexCount);
+
+    for (let unit = 0; unit < 2; unit++) {
+      if (onProgress) onProgress(unit * 0.2);
+      const dist = new Float64Array(vertexCount).fill(Infinity);
+      const via = new Int32Array(vertexCount).fill(-1);
+      const heap = createIndexedMinHeap();
+      dist[s] = 0;
+      heap.push(s, 0);
+      while (heap.size() > 0) {
+        const { node: u, priority: d } = heap.pop();
+        if (d > dist[u]) continue;
+        for (const a of head[u]) {
+          const arc = arcs[a];
+          if (arc.cap <= 0 || potential[arc.to] === Infinity) continue;
+          // Reduced costs are non-negative; clamp float noise
+          const nd = d + Math.max(0, arc.cost + potential[u] - potential[arc.to]);
+          if (nd < dist[arc.to]) {
+            dist[arc.to] = nd;
+            via[arc.to] = a;
+            heap.push(arc.to, nd);
+          }
+        }
+      }
+      if (dist[t] === Infinity) {
+        return { error: unit === 0 ? 'no-path' : 'no-disjoint-pair', skewMs: null };
+      }
+      for (let v = 0; v < vertexCount; v++) potential[v] += dist[v];
+      for (let v = t; v !== s; v = arcs[via[v]].from) {
+        arcs[via[v]].cap -= 1;
+        arcs[via[v] ^ 1].cap += 1;
+      }
+    }
+
+    // Flow on an original arc = residual capacity of its reverse arc
+    const flowing = arcs.filter((arc, a) => a % 2 === 0 && arcs[a + 1].cap > 0);
+
+    // A link crossed in both directions cancels out (zero-cost ties only)
+    const linkKey = (arc) => arc.entry ? `${arc.entry.edgeId ?? 'implicit'}:${arc.from}:${arc.to}` : null;
+    const keys = new Set(flowing.map(linkKey).filter(Boolean));
+    const outgoing = new Map();
+    flowing.forEach(arc => {
+      if (arc.entry && keys.has(`${arc.entry.edgeId ?? 'implicit'}:${arc.to}:${arc.from}`)) return;
+      if (!outgoing.has(arc.from)) outgoing.set(arc.from, []);
+      outgoing.get(arc.from).push(arc);
+    });
+
+    // Peel the two unit flows off as routes
+    const legs = [];
+    for (let leg = 0; leg < 2; leg++) {
+      const path = [source];
+      const segments = [];
+      let v = s;
+      let guard = arcs.length;
+      while (v !== t && guard-- > 0) {
+        const arc = outgoing.get(v)?.pop();
+        if (!arc) break;
+        if (arc.entry) {
+          segments.push(arc.entry);
+          path.push(arc.entry.to);
+        }
+        v = arc.to;
+      }
+      if (v !== t) return { error: 'no-disjoint-pair', skewMs: null };
+      legs.push(disjointLeg(path, segments));
+    }
+    legs.sort((a, b) => a.totalCost - b.totalCost || a.totalLatency - b.totalLatency);
+
+    const skewMs = Math.abs(legs[0].totalLatency - legs[1].totalLatency);
+    const latencyMs = Math.max(legs[0].totalLatency, legs[1].totalLatency);
+    const tooSlow = maxLatency !== null && latencyMs > maxLatency;
+    if ((maxSkew === null || skewMs <= maxSkew) && !tooSlow) {
+      if (onProgress) onProgress(1);
+      return { primary: legs[0], secondary: legs[1], totalCost: legs[0].totalCost + legs[1].totalCost, skewMs, skewLimited: false };
+    }
+
+    // The optimal pair is too unbalanced or too slow: search the k best first
+    // legs, each with its k best disjoint partners, for the cheapest pair within
+    // the bounds. Bounded search - see the limitation in the doc comment above.
+    const k = options.candidates || 8;
+    const noConstraints = { mustUseNodes: new Set(), mustUseLinks: [] };
+    const firstLegs = yenKShortestPaths(adjacency, source, target, k, noConstraints);
+    let best = null;
+    firstLegs.forEach((candidate, i) => {
+      if (onProgress) onProgress(0.4 + 0.6 * i / firstLegs.length);
+      const a = disjointLeg(candidate.path, candidate.segments);
+      if (maxLatency !== null && a.totalLatency > maxLatency) return;
+      const usedLinks = new Set();
+      candidate.segments.forEach((seg, j) => usedLinks.add(edgeSearchKey(candidate.path[j], seg)));
+      const usedNodes = nodeDisjoint ? new Set(candidate.path.slice(1, -1)) : new Set();
+      const remaining = new Map();
+      adjacency.forEach((neighbors, from) => {
+        if (usedNodes.has(from)) return;
+        remaining.set(from, neighbors.filter(entry =>
+          !usedNodes.has(entry.to) && !usedLinks.has(edgeSearchKey(from, entry))
+        ));
+      });
+      yenKShortestPaths(remaining, source, target, k, noConstraints).forEach(partner => {
+        const b = disjointLeg(partner.path, partner.segments);
+        const skew = Math.abs(a.totalLatency - b.totalLatency);
+        if (maxSkew !== null && skew > maxSkew) return;
+        if (maxLatency !== null && b.totalLatency > maxLatency) return;
+        const total = a.totalCost + b.totalCost;
+        if (!best || total < best.totalCost) {
+          const [primary, secondary] = a.totalCost <= b.totalCost ? [a, b] : [b, a];
+          best = { primary, secondary, totalCost: total, skewMs: skew, skewLimited: true };
+        }
+      });
+    });
+    if (onProgress) onProgress(1);
+    return best || { error: tooSlow ? 'latency' : 'skew', skewMs, latencyMs, candidates: k };
+  }
+
+  // Route object for one leg of a disjoint pair
+  function disjointLeg(path, segments) {
+    return {
+      path,
+      segments,
+      totalCost: segments.reduce((sum, seg) => sum + seg.cost, 0),
+      totalLatency: segments.reduce((sum, seg) => sum + (seg.latency || 0), 0)
+    };
+  }
+
+  /**
+   * Route every pair of nodes with the Route Finder's primary search (k = 1)
+   * plus a link-disjoint protection leg. Pairs are computed once (A < B) since
+   * the graph is undirected.
+   * @param {Object} job - From buildRouteMatrixJob()
+   * @param {Function} [onProgress] - Called with a 0-1 completion estimate
+   * @returns {Array} { a, b, route, protection } per pair (route/protection null when none)
+   */
+  function computeRouteMatrix(job, onProgress) {
+    const ids = job.nodeIds;
+    const total = ids.length * (ids.length - 1) / 2;
+    const cells = [];
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const a = ids[i];
+        const b = ids[j];
+        const routes = executeRouteJob(Object.assign({}, job.route, { source: a, target: b, k: 1 }));
+        const route = routes.length > 0 ? routes[0] : null;
+        cells.push({ a, b, route, protection: route ? findMatrixProtection(job, route, a, b) : null });
+        if (onProgress) onProgress(cells.length / total);
+      }
+    }
+    return cells;
+  }
+
+  // Shortest leg that shares no physical link with the primary (an MLG hop counts as all its links)
+  function findMatrixProtection(job, route, source, target) {
+    const used = new Set();
+    route.segments.forEach(seg => {
+      if (seg.edgeId) used.add(seg.edgeId);
+      if (seg.mlgId && job.mlgLinks[seg.mlgId]) job.mlgLinks[seg.mlgId].forEach(id => used.add(id));
+    });
+    const excluded = new Set();
+    job.protectionAdjacency.forEach((neighbors, from) => {
+      neighbors.forEach(entry => {
+        if (entry.edgeId && used.has(entry.edgeId)) excluded.add(edgeSearchKey(from, entry));
+      });
+    });
+    const { dist, prev } = dijkstra(job.protectionAdjacency, source, excluded, target);
+    if (!(dist.get(target) < Infinity)) return null;
+    const leg = reconstructPath(prev, source, target);
+    return leg ? disjointLeg(leg.path, leg.segments) : null;
+  }
+
+  /**
+   * Non-dominated routes over latency, commercial cost and hop count
+   * (multi-objective label-correcting search; no state access, runs in the route worker).
+   * A label is dropped when another label at the same node, or one already at
+   * the target, is no worse on all three objectives.
+   * @param {Map} adjacency - Graph from buildPathfindingGraph()
+   * @param {number} source - Origin node ID
+   * @param {number} target - Destination node ID
+   * @param {Object} costs - { edges: { edgeId: cost }, groups: { groupId: cost } }
+   * @param {Object} [options] - { maxLabels }
+   * @param {Function} [onProgress] - Called with a 0-1 completion estimate
+   * @returns {Object} { routes: [{ path, segments, totalCost, totalLatency, commercialCost, hops, pareto }], truncated }
+   */
+  function findParetoRoutes(adjacency, source, target, costs, options = {}, onProgress) {
+    const maxLabels = options.maxLabels || 50000;
+    const labels = [];          // { node, latency, cost, hops, prev, entry, alive }
+    const byNode = new Map();   // node -> indexes of live labels
+    const queue = createIndexedMinHeap();
+    const noWorse = (x, y) => x.latency <= y.latency && x.cost <= y.cost && x.hops <= y.hops;
+    const entryCost = entry => {
+      if (entry.edgeId) return costs.edges[entry.edgeId] || 0;
+      const groupId = entry.containerId || entry.regionId;
+      return groupId ? (costs.groups[groupId] || 0) : 0;
+    };
+    const dominatedAtTarget = label => (byNode.get(target) || []).some(i => labels[i] !== label && noWorse(labels[i], label));
+
+    function addLabel(label) {
+      const here = byNode.get(label.node) || [];
+      if (here.some(i => noWorse(labels[i], label))) return;
+      if (label.node !== target && dominatedAtTarget(label)) return;
+      const kept = here.filter(i => {
+        if (!noWorse(label, labels[i])) return true;
+        labels[i].alive = false;
+        return false;
+      });
+      labels.push(label);
+      kept.push(labels.length - 1);
+      byNode.set(label.node, kept);
+      if (label.node !== target) queue.push(labels.length - 1, label.latency);
+    }
+
+    if (!adjacency.has(source) || !adjacency.has(target)) return { routes: [], truncated: false };
+    addLabel({ node: source, latency: 0, cost: 0, hops: 0, prev: null, entry: null, alive: true });
+
+    let truncated = false;
+    while (queue.size() > 0) {
+      if (labels.length >= maxLabels) {
+        truncated = true;
+        break;
+      }
+      const index = queue.pop().node;
+      const label = labels[index];
+      if (!label.alive || dominatedAtTarget(label)) continue;
+      if (onProgress && index % 200 === 0) onProgress(Math.min(0.95, labels.length / maxLabels));
+      for (const entry of adjacency.get(label.node) || []) {
+        addLabel({
+          node: entry.to,
+          latency: label.latency + (entry.latency || 0),
+          cost: label.cost + entryCost(entry),
+          hops: label.hops + 1,
+          prev: index,
+          entry,
+          alive: true
+        });
+      }
+    }
+
+    const routes = (byNode.get(target) || []).map(i => {
+      const path = [];
+      const segments = [];
+      for (let l = labels[i]; l; l = l.prev === null ? null : labels[l.prev]) {
+        path.unshift(l.node);
+        if (l.entry) segments.unshift(l.entry);
+      }
+      return {
+        path,
+        segments,
+        totalCost: segments.reduce((sum, seg) => sum + seg.cost, 0),
+        totalLatency: labels[i].latency,
+        commercialCost: labels[i].cost,
+        hops: labels[i].hops,
+        pareto: true
+      };
+    });
+    routes.sort((a, b) => a.totalLatency - b.totalLatency || a.commercialCost - b.commercialCost || a.hops - b.hops);
+    if (onProgress) onProgress(1);
+    return { routes, truncated };
+  }
+
+  // Resource weights of one adjacency entry for the constrained search
+  function constrainedEntryWeights(entry, resources) {
+    let cost = 0;
+    if (entry.edgeId) cost = resources.costs.edges[entry.edgeId] || 0;
+    else if (entry.containerId || entry.regionId) cost = resources.costs.groups[entry.containerId || entry.regionId] || 0;
+    return {
+      latency: entry.latency || 0,
+      cost,
+      cableSystem: entry.edgeId ? (resources.cableSystems[entry.edgeId] || null) : null
+    };
+  }
+
+  // Distance from every node to the target for one resource (lower bounds for pruning)
+  function constrainedLowerBounds(adjacency, target, resources, key) {
+    const weighted = new Map();
+    adjacency.forEach((neighbors, from) => {
+      weighted.set(from, neighbors.map(entry => Object.assign({}, entry, {
+        cost: key === 'hops' ? 1 : constrainedEntryWeights(entry, resources)[key]
+      })));
+    });
+    return findShortestPath(weighted, target).dist;
+  }
+
+  /**
+   * Resource-constrained shortest path: minimise latency or cost subject to hard
+   * caps on latency, cost, hops and distinct cable systems. Labels carry every
+   * resource; a label is dropped when it can no longer meet a cap (using the
+   * lower bounds) or another label at the same node is no worse on all of them.
+   * Labels are expanded in order of objective + lower bound, so the first label
+   * to reach the target is optimal.
+   * @param {Object} job - From buildConstrainedSearchJob()
+   * @param {Object} limits - { maxLatencyMs, maxCost, maxHops, maxCableSystems } (null = no cap)
+   * @param {Object} bounds - { latency, cost, hops } from constrainedLowerBounds()
+   * @returns {Object} { route, truncated }
+   */
+  function findConstrainedRoute(job, limits, bounds) {
+    const { adjacency, source, target, resources, objective } = job;
+    const maxLabels = job.maxLabels || 200000;
+    const eps = 1e-9;
+    const cap = key => (limits[key] === null || limits[key] === undefined) ? Infinity : limits[key];
+    const maxLatency = cap('maxLatencyMs');
+    const maxCost = cap('maxCost');
+    const maxHops = cap('maxHops');
+    const maxCableSystems = cap('maxCableSystems');
+
+    const labels = [];          // { node, latency, cost, hops, cableSystems: [], prev, entry, alive }
+    const byNode = new Map();   // node -> indexes of live labels
+    const queue = createIndexedMinHeap();
+    const noWorse = (x, y) => x.latency <= y.latency + eps && x.cost <= y.cost + eps && x.hops <= y.hops &&
+      x.cableSystems.every(id => y.cableSystems.includes(id));
+
+    function addLabel(label) {
+      const lbLatency = bounds.latency.get(label.node);
+      const lbCost = bounds.cost.get(label.node);
+      const lbHops = bounds.hops.get(label.node);
+      if (!(lbHops < Infinity)) return;
+      if (label.latency + lbLatency > maxLatency + eps || label.cost + lbCost > maxCost + eps ||
+          label.hops + lbHops > maxHops || label.cableSystems.length > maxCableSystems) return;
+      const here = byNode.get(label.node) || [];
+      if (here.some(i => noWorse(labels[i], label))) return;
+      const kept = here.filter(i => {
+        if (!noWorse(label, labels[i])) return true;
+        labels[i].alive = false;
+        return false;
+      });
+      labels.push(label);
+      kept.push(labels.length - 1);
+      byNode.set(label.node, kept);
+      queue.push(labels.length - 1, objective === 'cost' ? label.cost + lbCost : label.latency + lbLatency);
+    }
+
+    if (!adjacency.has(source) || !adjacency.has(target)) return { route: null, truncated: false };
+    addLabel({ node: source, latency: 0, cost: 0, hops: 0, cableSystems: [], prev: null, entry: null, alive: true });
+
+    while (queue.size() > 0) {
+      if (labels.length >= maxLabels) return { route: null, truncated: true };
+      const index = queue.pop().node;
+      const label = labels[index];
+      if (!label.alive) continue;
+      if (label.node === target) {
+        const path = [];
+        const segments = [];
+        for (let l = label; l; l = l.prev === null ? null : labels[l.prev]) {
+          path.unshift(l.node);
+          if (l.entry) segments.unshift(l.entry);
+        }
+        return {
+          route: {
+            path,
+            segments,
+            totalCost: segments.reduce((sum, seg) => sum + seg.cost, 0),
+            totalLatency: label.latency,
+            commercialCost: label.cost,
+            hops: label.hops,
+            cableSystems: label.cableSystems,
+            constrained: true
+          },
+          truncated: false
+        };
+      }
+      for (const entry of adjacency.get(label.node) || []) {
+        const w = constrainedEntryWeights(entry, resources);
+        const cableSystems = (w.cableSystem === null || label.cableSystems.includes(w.cableSystem))
+          ? label.cableSystems
+          : label.cableSystems.concat(w.cableSystem);
+        addLabel({
+          node: entry.to,
+          latency: label.latency + w.latency,
+          cost: label.cost + w.cost,
+          hops: label.hops + 1,
+          cableSystems,
+          prev: index,
+          entry,
+          alive: true
+        });
+      }
+    }
+    return { route: null, truncated: false };
+  }
+
+  /**
+   * Run a constrained search and explain it: which caps are binding (relaxing
+   * them alone would improve the objective) or, when nothing fits, which caps
+   * are blocking (relaxing them alone would give a route).
+   * @param {Object} job - From buildConstrainedSearchJob()
+   * @param {Function} [onProgress] - Called with a 0-1 completion estimate
+   * @returns {Object} { route, error: null|'no-path'|'infeasible'|'limit', binding, blocking, minimums, limits, objective }
+   */
+  function solveConstrainedRoute(job, onProgress) {
+    const bounds = {
+      latency: constrainedLowerBounds(job.adjacency, job.target, job.resources, 'latency'),
+      cost: constrainedLowerBounds(job.adjacency, job.target, job.resources, 'cost'),
+      hops: constrainedLowerBounds(job.adjacency, job.target, job.resources, 'hops')
+    };
+    const reach = key => bounds[key].has(job.source) ? bounds[key].get(job.source) : Infinity;
+    const minimums = { latency: reach('latency'), cost: reach('cost'), hops: reach('hops') };
+    const report = { route: null, error: null, binding: [], blocking: [], minimums, limits: job.limits, objective: job.objective };
+    if (!(minimums.hops < Infinity)) {
+      report.error = 'no-path';
+      return report;
+    }
+
+    const active = Object.keys(job.limits).filter(key => job.limits[key] !== null && job.limits[key] !== undefined);
+    const main = findConstrainedRoute(job, job.limits, bounds);
+    if (onProgress) onProgress(1 / (active.length + 1));
+    if (main.truncated) {
+      report.error = 'limit';
+      return report;
+    }
+    const objectiveOf = route => job.objective === 'cost' ? route.commercialCost : route.totalLatency;
+
+    active.forEach((key, i) => {
+      const relaxed = Object.assign({}, job.limits, { [key]: null });
+      const result = findConstrainedRoute(job, relaxed, bounds);
+      if (main.route) {
+        if (result.route && objectiveOf(result.route) < objectiveOf(main.route) - 1e-9) report.binding.push(key);
+      } else if (result.route) {
+        report.blocking.push(key);
+      }
+      if (onProgress) onProgress((i + 2) / (active.length + 1));
+    });
+
+    report.route = main.route;
+    if (!main.route) report.error = 'infeasible';
+    return report;
+  }
+
+  // Run a job built by buildRouteSearchJob()/buildProtectionSearchJob()/buildDisjointPairJob()/
+  // buildRouteMatrixJob()/buildParetoSearchJob()/buildConstrainedSearchJob() (worker or main thread)
+  function executeRouteJob(job, onProgress) {
+    if (job.type === 'matrix') {
+      return computeRouteMatrix(job, onProgress);
+    }
+    if (job.type === 'pareto') {
+      return findParetoRoutes(job.adjacency, job.source, job.target, job.costs, job.options, onProgress);
+    }
+    if (job.type === 'constrained') {
+      return solveConstrainedRoute(job, onProgress);
+    }
+    if (job.type === 'protection') {
+      return findWaypointRoute(job.adjacency, job.waypoints, onProgress);
+    }
+    if (job.type === 'disjointPair') {
+      return findDisjointPair(job.adjacency, job.source, job.target, job.options, onProgress);
+    }
+    if (job.mlgAdjacency) {
+      return findMLGPreferredRoutes(job.mlgAdjacency, job.hybridAdjacency, job.source, job.target, job.mustUseMLGs);
+    }
+    return yenKShortestPaths(job.adjacency, job.source, job.target, job.k, job.constraints, onProgress);
+  }
+
+  // Algorithm setting + coordinates the worker needs to reproduce getSearchOptions()
+  function getJobSearchConfig() {
+    const algorithm = routeFinderState.searchAlgorithm || 'dijkstra';
+    return { algorithm, coords: algorithm === 'astar' ? getNodeCoordinates() : null };
+  }
+
+  // Build a primary-route job from the current Route Finder state
+  function buildRouteSearchJob(source, target, k = 3) {
+    const job = { type: 'routes', source, target, k, search: getJobSearchConfig() };
+    if (routeFinderState.preferMLGs) {
+      job.mlgAdjacency = buildMLGOnlyGraph().adjacency;
+      job.hybridAdjacency = buildMLGAugmentedGraph().adjacency;
+      job.mustUseMLGs = new Set(routeFinderState.mustUseMLGs);
+    } else {
+      job.adjacency = buildPathfindingGraph().adjacency;
+      job.constraints = getMustUseConstraints();
+    }
+    return job;
+  }
+
+  // Build a protection job over an already-filtered protection graph
+  function buildProtectionSearchJob(adjacency, waypoints, search = getJobSearchConfig()) {
+    return { type: 'protection', adjacency, waypoints, search };
+  }
+
+  // Build a disjoint-pair job; options as for findDisjointPair()
+  function buildDisjointPairJob(adjacency, source, target, options, search = getJobSearchConfig()) {
+    return { type: 'disjointPair', adjacency, source, target, options, search };
+  }
+
+  // Build a Pareto (latency × cost × hops) job; commercial costs are priced here
+  // since the worker has no access to state
+  function buildParetoSearchJob(source, target) {
+    const costs = { edges: {}, groups: {} };
+    state.edges.forEach(e => { costs.edges[e.id] = getEdgeCostForPathfinding(e); });
+    state.groups.forEach(g => { costs.groups[g.id] = getContainerCostForPathfinding(g); });
+    return {
+      type: 'pareto',
+      adjacency: buildPathfindingGraph().adjacency,
+      source,
+      target,
+      costs,
+      options: { maxLabels: 50000 },
+      search: getJobSearchConfig()
+    };
+  }
+
+  /**
+   * Build a constrained (hard caps) search job from the current Route Finder state.
+   * @param {Object} settings - { objective: 'latency'|'cost', costBasis: 'mrc'|'metric', limits }
+   */
+  function buildConstrainedSearchJob(source, target, settings) {
+    const tier = routeFinderState.capacityTier || '10G';
+    const priceOf = item => settings.costBasis === 'mrc'
+      ? getValueForTier(item.leaseMRC, tier, 0)
+      : null;
+    const resources = { costs: { edges: {}, groups: {} }, cableSystems: {} };
+    state.edges.forEach(e => {
+      const mrc = priceOf(e);
+      resources.costs.edges[e.id] = mrc !== null ? mrc : getEdgeCostForPathfinding(e);
+      if (e.cableSystemId) resources.cableSystems[e.id] = e.cableSystemId;
+    });
+    state.groups.forEach(g => {
+      const mrc = priceOf(g);
+      resources.costs.groups[g.id] = mrc !== null ? mrc : getContainerCostForPathfinding(g);
+    });
+    return {
+      type: 'constrained',
+      adjacency: buildPathfindingGraph().adjacency,
+      source,
+      target,
+      resources,
+      objective: settings.objective === 'cost' ? 'cost' : 'latency',
+      costBasis: settings.costBasis,
+      limits: Object.assign({ maxLatencyMs: null, maxCost: null, maxHops: null, maxCableSystems: null }, settings.limits),
+      maxLabels: 200000,
+      search: getJobSearchConfig()
+    };
+  }
+
+  // Build an all-pairs matrix job over the current Route Finder settings
+  function buildRouteMatrixJob(nodeIds) {
+    const route = buildRouteSearchJob(null, null, 1);
+    const mlgLinks = {};
+    state.multilinkGroups.forEach(mlg => {
+      mlgLinks[mlg.id] = (mlg.segments || []).flatMap(seg => (seg.paths || []).flatMap(p => p.links || []));
+    });
+    return {
+      type: 'matrix',
+      nodeIds,
+      route,
+      protectionAdjacency: route.adjacency || buildPathfindingGraph().adjacency,
+      mlgLinks,
+      search: route.search
+    };
+  }
+
+  // Run a job synchronously on the main thread with the job's own search settings
+  function runRouteJobSync(job, onProgress) {
+    activeSearchConfig = job.search || null;
+    try {
+      return executeRouteJob(job, onProgress);
+    } finally {
+      activeSearchConfig = null;
+    }
+  }
+
+  // Worker entry point — only ever runs inside the worker (see getRouteWorkerUrl)
+  function routeWorkerMain() {
+    self.onmessage = (event) => {
+      const job = event.data;
+      searchConfig = job.search || { algorithm: 'dijkstra', coords: null };
+      let lastReport = 0;
+      const onProgress = (fraction) => {
+        const now = Date.now();
+        if (now - lastReport < 100) return;
+        lastReport = now;
+        self.postMessage({ type: 'progress', fraction });
+      };
+      try {
+        self.postMessage({ type: 'result', result: executeRouteJob(job, onProgress) });
+      } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+      }
+    };
+  }
+
+  let routeWorkerUrl = null;
+  let routeWorkerUnavailable = false;
+  const activeRouteJobs = new Map(); // channel -> { worker, timer, reject }
+
+  // Blob URL with the engine source (built once, reused by every job)
+  function getRouteWorkerUrl() {
+    if (routeWorkerUrl) return routeWorkerUrl;
+    const engine = [
+      createIndexedMinHeap, edgeSearchKey, haversineKm, computeGreatCircleScale,
+      createGreatCircleHeuristic, searchShortestPaths, searchBidirectional, findShortestPath,
+      resolveSearchOptions, dijkstra, reconstructPath, arraysEqual, permute, permuteLinkDirections,
+      yenKShortestPaths, findRoutesWithMustUseConstraints, findMLGPreferredRoutes,
+      findWaypointRoute, findDisjointPair, disjointLeg, computeRouteMatrix, findMatrixProtection,
+      findParetoRoutes, constrainedEntryWeights, constrainedLowerBounds, findConstrainedRoute,
+      solveConstrainedRoute, executeRouteJob
+    ];
+    const source = [
+      ...engine.map(fn => fn.toString()),
+      'const geoSearchCache = new WeakMap();',
+      'let searchConfig = { algorithm: "dijkstra", coords: null };',
+      'function getSearchOptions(adjacency) {\n' +
+      '  return resolveSearchOptions(adjacency, searchConfig.algorithm, () => searchConfig.coords || new Map(), geoSearchCache);\n' +
+      '}',
+      `(${routeWorkerMain.toString()})();`
+    ].join('\n\n');
+    routeWorkerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    return routeWorkerUrl;
+  }
+
+  // One worker per job, so cancelling or timing out one search never affects another
+  function createRouteWorker() {
+    if (routeWorkerUnavailable || typeof Worker === 'undefined') return null;
+    try {
+      return new Worker(getRouteWorkerUrl());
+    } catch (err) {
+      console.warn('[Route Worker] Unavailable, searching on the main thread:', err.message);
+      routeWorkerUnavailable = true;
+      return null;
+    }
+  }
+
+  function getRouteSearchTimeoutMs() {
+    const seconds = parseFloat(routeFinderState.searchTimeoutSec);
+    return seconds > 0 ? seconds * 1000 : 0;
+  }
+
+  function routeJobError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }
+
+  // Stop the job running on `channel` (its promise rejects with err.code = reason)
+  function cancelRouteJob(channel, reason = 'cancelled') {
+    const active = activeRouteJobs.get(channel);
+    if (!active) return false;
+    activeRouteJobs.delete(channel);
+    clearTimeout(active.timer);
+    active.worker.terminate();
+    active.reject(routeJobError(reason, reason === 'timeout' ? 'Route search timed out' : 'Route search cancelled'));
+    return true;
+  }
+
+  /**
+   * Run a route job off the main thread.
+   * A new job on the same channel supersedes the previous one. Falls back to a
+   * main-thread run when workers are unavailable (e.g. some file:// setups).
+   * @param {Object} job - From buildRouteSearchJob() or buildProtectionSearchJob()
+   * @param {Object} [options] - { channel, onProgress, timeoutMs }
+   * @returns {Promise} Resolves with executeRouteJob()'s result; rejects with
+   *   err.code 'cancelled', 'timeout', 'superseded' or 'failed'
+   */
+  function runRouteJob(job, options = {}) {
+    const channel = options.channel || 'routes';
+    const onProgress = options.onProgress || null;
+    const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : getRouteSearchTimeoutMs();
+
+    cancelRouteJob(channel, 'superseded');
+
+    return new Promise((resolve, reject) => {
+      const runOnMainThread = () => {
+        try {
+          resolve(runRouteJobSync(job, onProgress));
+        } catch (err) {
+          reject(routeJobError('failed', err.message));
+        }
+      };
+
+      const worker = createRouteWorker();
+      if (!worker) {
+        setTimeout(runOnMainThread, 0);
+        return;
+      }
+
+      const active = { worker, timer: null, reject };
+      const finish = () => {
+        if (activeRouteJobs.get(channel) !== active) return false;
+        activeRouteJobs.delete(channel);
+        clearTimeout(active.timer);
+        worker.terminate();
+        return true;
+      };
+
+      worker.onmessage = (event) => {
+        const msg = event.data;
+        if (msg.type === 'progress') {
+          if (onProgress && activeRouteJobs.get(channel) === active) onProgress(msg.fraction);
+        } else if (msg.type === 'result') {
+          if (finish()) resolve(msg.result);
+        } else if (msg.type === 'error') {
+          if (finish()) reject(routeJobError('failed', msg.message));
+        }
+      };
+      worker.onerror = (event) => {
+        event.preventDefault();
+        if (finish()) reject(routeJobError('failed', event.message || 'Route worker error'));
+      };
+
+      activeRouteJobs.set(channel, active);
+      if (timeoutMs > 0) {
+        active.timer = setTimeout(() => cancelRouteJob(channel, 'timeout'), timeoutMs);
+      }
+
+      try {
+        worker.postMessage(job);
+      } catch (err) {
+        // Graph not cloneable — run it here rather than fail the search
+        console.warn('[Route Worker] Could not post job, searching on the main thread:', err.message);
+        finish();
+        runOnMainThread();
+      }
+    });
+  }
+
+  // Progress bar helpers (prefix 'routeSearch' or 'protectionSearch' in index.html)
+  function showRouteSearchProgress(prefix, label) {
+    const box = document.getElementById(prefix + 'Progress');
+    const text = document.getElementById(prefix + 'ProgressLabel');
+    if (text) text.textContent = label;
+    updateRouteSearchProgress(prefix, 0);
+    if (box) box.style.display = 'block';
+  }
+
+  function updateRouteSearchProgress(prefix, fraction) {
+    const fill = document.getElementById(prefix + 'ProgressFill');
+    if (fill) fill.style.width = `${Math.round(Math.max(0, Math.min(1, fraction)) * 100)}%`;
+  }
+
+  function hideRouteSearchProgress(prefix) {
+    const box = document.getElementById(prefix + 'Progress');
+    if (box) box.style.display = 'none';
+  }
+
+  // Toast for a rejected route job; returns false for silent supersedes
+  function reportRouteJobError(err, what) {
+    if (err.code === 'superseded') return false;
+    if (err.code === 'cancelled') {
+      showToast(`⏹ ${what} cancelled`);
+    } else if (err.code === 'timeout') {
+      showToast(`⏱️ ${what} timed out after ${routeFinderState.searchTimeoutSec}s`);
+    } else {
+      console.error(`[Route Worker] ${what} failed:`, err);
+      showToast(`❌ ${what} failed: ${err.message}`);
+    }
+    return true;
+  }
+
+  // Expose so tools and the Nexi agent can cancel in-flight searches
+  window.cancelRouteJob = cancelRouteJob;
+
+  // ============== END ROUTE SEARCH WORKER ==============
+
   // ============== ROUTE FINDER UI ==============
 
   const routeFinderPanel = document.getElementById('routeFinderPanel');
@@ -25078,6 +30259,12 @@ function loadProjectObject(obj) {
     routeFinderState.active = false;
     routeFinderState.pickMode = null;
 
+    // Drop any search still running in the route worker
+    cancelRouteJob('routes', 'superseded');
+    cancelRouteJob('protection', 'superseded');
+    hideRouteSearchProgress('routeSearch');
+    hideRouteSearchProgress('protectionSearch');
+
     // Clear routes data
     routeFinderState.routes = [];
     routeFinderState.activeRouteIndex = 0;
@@ -25398,7 +30585,7 @@ function loadProjectObject(obj) {
   }
 
   // Calculate protection path
-  function calculateProtectionPath() {
+  async function calculateProtectionPath() {
     const primaryRoute = routeFinderState.primaryPathForProtection;
     if (!primaryRoute || !primaryRoute.path || primaryRoute.path.length < 2) {
       showToast('❌ No primary path available');
@@ -25415,10 +30602,15 @@ function loadProjectObject(obj) {
       return;
     }
 
+    // Optimal disjoint pair re-computes the primary too, so exclusions relative
+    // to the current primary (its links, low-diversity links, SRLGs) don't apply
+    const protectionMethodSelect = document.getElementById('protectionMethod');
+    const pairMode = protectionMethodSelect ? protectionMethodSelect.value === 'disjointPair' : false;
+
     // Get physical diversity settings
     const chkPhysicalDiversity = document.getElementById('chkPhysicalDiversity');
     const inputRequiredDiversity = document.getElementById('inputRequiredDiversity');
-    const usePhysicalDiversity = chkPhysicalDiversity ? chkPhysicalDiversity.checked : true;
+    const usePhysicalDiversity = !pairMode && (chkPhysicalDiversity ? chkPhysicalDiversity.checked : true);
     const requiredDiversity = inputRequiredDiversity ? Math.max(0, Math.min(100, parseInt(inputRequiredDiversity.value) || 100)) : 100;
 
     console.log('[Protection] Physical Diversity Check:', usePhysicalDiversity, '| Required:', requiredDiversity + '%');
@@ -25456,6 +30648,17 @@ function loadProjectObject(obj) {
       });
     }
 
+    // SRLG-diverse mode: the backup may not use any link that shares an SRLG with the primary
+    const chkSrlgDiversity = document.getElementById('chkSrlgDiversity');
+    const useSrlgDiversity = !pairMode && (chkSrlgDiversity ? chkSrlgDiversity.checked : false);
+    const srlgExclusions = useSrlgDiversity
+      ? getSrlgExclusions(primaryLinkIds, closureNodes)
+      : { excludedLinks: new Set(), primarySrlgs: new Map(), exemptLinks: new Map() };
+    if (useSrlgDiversity) {
+      console.log('[Protection] SRLG diversity: primary SRLGs', [...srlgExclusions.primarySrlgs.values()].map(s => s.name),
+        '| links exempt at closure nodes', [...srlgExclusions.exemptLinks.values()].flatMap(ids => [...ids]));
+    }
+
     console.log('[Protection] === STARTING PROTECTION PATH CALCULATION ===');
     console.log('[Protection] Primary path:', primaryRoute.path);
     console.log('[Protection] Primary path links to exclude:', [...primaryLinkIds]);
@@ -25552,10 +30755,12 @@ function loadProjectObject(obj) {
     let diversityExcludedCount = 0;
     let tagExcludedCount = 0;
     let capacityExcludedCount = 0;
+    // Links dropped only for SRLG diversity; kept aside to explain a failure
+    const srlgExcludedEdges = [];
 
     state.edges.forEach(e => {
       // Skip only the specific links used by primary path (allow parallel links)
-      if (primaryLinkIds.has(e.id)) {
+      if (!pairMode && primaryLinkIds.has(e.id)) {
         console.log('[Protection] Excluding primary link:', e.id, '(', findNode(e.a)?.name, '↔', findNode(e.b)?.name, ')');
         excludedCount++;
         return;
@@ -25606,6 +30811,11 @@ function loadProjectObject(obj) {
         latency: latency
       };
 
+      if (srlgExclusions.excludedLinks.has(e.id)) {
+        srlgExcludedEdges.push({ a: e.a, b: e.b, ab: edgeDataAB, ba: edgeDataBA });
+        return;
+      }
+
       adj.get(e.a)?.push(edgeDataAB);
       adj.get(e.b)?.push(edgeDataBA);
       availableEdgeCount++;
@@ -25617,82 +30827,10 @@ function loadProjectObject(obj) {
     console.log('[Protection] Excluded (diversity):', diversityExcludedCount);
     console.log('[Protection] Excluded (tag filter):', tagExcludedCount);
     console.log('[Protection] Excluded (capacity filter):', capacityExcludedCount);
+    if (useSrlgDiversity) console.log('[Protection] Excluded (SRLG):', srlgExcludedEdges.length);
     console.log('[Protection] Available edges for protection:', availableEdgeCount);
     if (routeFinderState.protectionMode) console.log('[Protection] Protection Mode: ACTIVE - using protection-specific filters');
 
-    // Dijkstra implementation
-    function runDijkstra(adjacency, start, end) {
-      console.log('[Protection] Running dijkstra from', start, '(', findNode(start)?.name, ') to', end, '(', findNode(end)?.name, ')');
-
-      const dist = new Map();
-      const prev = new Map();
-      const visited = new Set();
-
-      state.nodes.forEach(n => dist.set(n.id, Infinity));
-      dist.set(start, 0);
-      prev.set(start, null);
-
-      const pq = [{ id: start, d: 0 }];
-
-      while (pq.length > 0) {
-        pq.sort((a, b) => a.d - b.d);
-        const { id: u } = pq.shift();
-
-        if (visited.has(u)) continue;
-        visited.add(u);
-
-        if (u === end) {
-          console.log('[Protection] Reached destination!');
-          break;
-        }
-
-        const neighbors = adjacency.get(u) || [];
-        neighbors.forEach(edge => {
-          const v = edge.to;
-          if (visited.has(v)) return;
-
-          const newDist = dist.get(u) + edge.cost;
-          if (newDist < dist.get(v)) {
-            dist.set(v, newDist);
-            prev.set(v, { from: u, edge: edge });
-            pq.push({ id: v, d: newDist });
-          }
-        });
-      }
-
-      if (dist.get(end) === Infinity) {
-        console.log('[Protection] ❌ No path found from', findNode(start)?.name, 'to', findNode(end)?.name);
-        return null;
-      }
-
-      // Reconstruct path
-      const path = [];
-      const segments = [];
-      let totalLatency = 0;
-      let cur = end;
-
-      while (cur !== null) {
-        path.unshift(cur);
-        const prevInfo = prev.get(cur);
-        if (prevInfo && prevInfo.edge) {
-          segments.unshift({
-            edgeId: prevInfo.edge.edgeId,
-            latency: prevInfo.edge.latency,
-            cost: prevInfo.edge.cost,
-            implicit: prevInfo.edge.implicit || false
-          });
-          totalLatency += prevInfo.edge.latency;
-        }
-        cur = prevInfo ? prevInfo.from : null;
-      }
-
-      console.log('[Protection] ✓ Found path:', path.map(id => findNode(id)?.name || id).join(' → '));
-      console.log('[Protection] ✓ Segments:', segments.length, 'links:', segments.map(s => s.edgeId).join(', '));
-      console.log('[Protection] ✓ Total latency:', totalLatency, 'ms');
-
-      return { path, segments, totalCost: dist.get(end), totalLatency };
-    }
-
     // Calculate protection path through closure nodes (+ must-use nodes if any)
     const origin = closureNodes[0];
     const dest = closureNodes[closureNodes.length - 1];
@@ -25712,52 +30850,25 @@ function loadProjectObject(obj) {
     console.log('[Protection] Origin:', findNode(origin)?.name, '| Dest:', findNode(dest)?.name);
     console.log('[Protection] Intermediate waypoints (closure + must-use):', intermediateNodes.map(id => findNode(id)?.name || id));
 
-    let protectionResult = null;
-
-    if (intermediateNodes.length > 0) {
-      // Route through waypoints
-      const waypoints = [origin, ...intermediateNodes, dest];
-      let fullPath = [];
-      let fullSegments = [];
-      let totalCost = 0;
-      let totalLatency = 0;
-      let failed = false;
-
-      for (let i = 0; i < waypoints.length - 1; i++) {
-        const segResult = runDijkstra(adj, waypoints[i], waypoints[i + 1]);
-        if (!segResult || segResult.segments.length === 0) {
-          console.log('[Protection] ❌ Failed to find path segment from', findNode(waypoints[i])?.name, 'to', findNode(waypoints[i+1])?.name);
-          failed = true;
-          break;
-        }
-
-        console.log('[Protection] Waypoint segment', i, ':',
-                    findNode(waypoints[i])?.name, '→', findNode(waypoints[i+1])?.name,
-                    '| Path:', segResult.path.map(id => findNode(id)?.name || id).join('→'),
-                    '| Segments:', segResult.segments.length);
-
-        if (i === 0) {
-          fullPath = segResult.path;
-        } else {
-          fullPath = fullPath.concat(segResult.path.slice(1));
-        }
-        fullSegments = fullSegments.concat(segResult.segments);
-        totalCost += segResult.totalCost;
-        totalLatency += segResult.totalLatency;
-
-        console.log('[Protection] After merge - fullPath:', fullPath.map(id => findNode(id)?.name || id).join('→'));
-      }
+    if (pairMode) {
+      await calculateDisjointPairProtection(adj, origin, dest, intermediateNodes);
+      return;
+    }
 
-      if (!failed && fullPath.length > 0 && fullSegments.length > 0) {
-        protectionResult = { path: fullPath, segments: fullSegments, totalCost, totalLatency };
-      }
-    } else {
-      // Direct path from origin to destination
-      const result = runDijkstra(adj, origin, dest);
-      if (result && result.segments.length > 0) {
-        protectionResult = result;
-      }
+    // Search origin → waypoints → destination in the route worker
+    const waypoints = [origin, ...intermediateNodes, dest];
+    let protectionResult = null;
+    showRouteSearchProgress('protectionSearch', 'Searching protection path…');
+    try {
+      protectionResult = await runRouteJob(buildProtectionSearchJob(adj, waypoints), {
+        channel: 'protection',
+        onProgress: fraction => updateRouteSearchProgress('protectionSearch', fraction)
+      });
+    } catch (err) {
+      if (reportRouteJobError(err, 'Protection search')) hideRouteSearchProgress('protectionSearch');
+      return;
     }
+    hideRouteSearchProgress('protectionSearch');
 
     // Validate result - MUST have segments with actual edgeIds
     const hasValidSegments = protectionResult &&
@@ -25769,20 +30880,25 @@ function loadProjectObject(obj) {
       // Show error
       console.log('[Protection] ❌ FAILED - No valid protection path found');
 
-      const errorDiv = document.getElementById('protectionPathError');
-      const errorText = document.getElementById('protectionErrorText');
-      const resultDiv = document.getElementById('protectionPathResult');
-      const saveContainer = document.getElementById('saveProtectedMLGContainer');
-
-      if (errorDiv) errorDiv.style.display = 'block';
-      if (errorText) errorText.textContent = 'No diverse path exists that avoids the primary route links. The network may not have alternative routing between these endpoints.';
-      if (resultDiv) resultDiv.style.display = 'none';
-      if (saveContainer) saveContainer.style.display = 'none';
+      let errorMessage = 'No diverse path exists that avoids the primary route links. The network may not have alternative routing between these endpoints.';
+      if (srlgExcludedEdges.length > 0) {
+        const violated = await findViolatedSrlgs(adj, srlgExcludedEdges, waypoints, srlgExclusions);
+        if (violated === undefined) return; // Superseded or cancelled
+        if (violated && violated.length > 0) {
+          errorMessage = `No SRLG-diverse path exists. The best remaining backup shares ${violated.length} SRLG${violated.length === 1 ? '' : 's'} with the primary: ` +
+            violated.map(s => `${s.name} (${(SRLG_TYPES[s.type] || SRLG_TYPES.conduit).label})`).join(', ') + '.';
+          console.log('[Protection] Violated SRLGs:', violated.map(s => s.name));
+        }
+      }
 
-      routeFinderState.protectionPath = null;
-      showToast('❌ This protection configuration is not viable');
+      showProtectionPathError(errorMessage);
     } else {
       // Success - store protection path
+      protectionResult.srlgDiverse = useSrlgDiversity;
+      // SRLGs the backup still shares with the primary through exempt closure-node links
+      protectionResult.srlgExempt = useSrlgDiversity
+        ? getSharedExemptSrlgs(srlgExclusions, new Set(protectionResult.segments.map(s => s.edgeId).filter(Boolean))).map(s => ({ id: s.id, name: s.name }))
+        : [];
       routeFinderState.protectionPath = protectionResult;
 
       console.log('[Protection] ✓✓✓ SUCCESS ✓✓✓');
@@ -25805,254 +30921,1891 @@ function loadProjectObject(obj) {
     }
   }
 
-  // Helper to get commercial cost from edge (unused for protection, keeping latency-only)
-  function getCommercialCost(edge) {
-    return 0; // Protection path uses latency only
+  // Show the protection error box and drop any previous protection result
+  function showProtectionPathError(message) {
+    const errorDiv = document.getElementById('protectionPathError');
+    const errorText = document.getElementById('protectionErrorText');
+    const resultDiv = document.getElementById('protectionPathResult');
+    const saveContainer = document.getElementById('saveProtectedMLGContainer');
+
+    if (errorDiv) errorDiv.style.display = 'block';
+    if (errorText) errorText.textContent = message;
+    if (resultDiv) resultDiv.style.display = 'none';
+    if (saveContainer) saveContainer.style.display = 'none';
+
+    routeFinderState.protectionPath = null;
+    showToast('❌ This protection configuration is not viable');
+  }
+
+  /**
+   * Protection via an optimal disjoint pair: the primary and protection legs
+   * are chosen together (Suurballe), and the pair's primary replaces the
+   * selected route. Intermediate closure and must-use nodes don't apply.
+   */
+  async function calculateDisjointPairProtection(adj, origin, dest, ignoredWaypoints) {
+    const disjointSelect = document.getElementById('protectionDisjointness');
+    const skewInput = document.getElementById('protectionMaxSkew');
+    const skewValue = skewInput ? parseFloat(skewInput.value) : NaN;
+    const options = {
+      disjoint: disjointSelect && disjointSelect.value === 'node' ? 'node' : 'link',
+      maxSkewMs: skewValue >= 0 ? skewValue : null
+    };
+    if (ignoredWaypoints.length > 0) {
+      showToast(`⚠️ Disjoint pair runs origin → destination; ${ignoredWaypoints.length} intermediate node(s) ignored`);
+    }
+    console.log('[Protection] Disjoint pair:', options.disjoint + '-disjoint', '| max skew:', options.maxSkewMs);
+
+    let pair;
+    showRouteSearchProgress('protectionSearch', 'Searching optimal disjoint pair…');
+    try {
+      pair = await runRouteJob(buildDisjointPairJob(adj, origin, dest, options), {
+        channel: 'protection',
+        onProgress: fraction => updateRouteSearchProgress('protectionSearch', fraction)
+      });
+    } catch (err) {
+      if (reportRouteJobError(err, 'Disjoint pair search')) hideRouteSearchProgress('protectionSearch');
+      return;
+    }
+    hideRouteSearchProgress('protectionSearch');
+
+    if (pair.error) {
+      console.log('[Protection] ❌ Disjoint pair failed:', pair.error);
+      showProtectionPathError(describeDisjointPairError(pair, options));
+      return;
+    }
+
+    // The pair's primary leg becomes the selected route
+    routeFinderState.routes[routeFinderState.activeRouteIndex] = pair.primary;
+    displayRouteResults();
+    populateProtectionClosureNodes();
+    routeFinderState.protectionPath = Object.assign({}, pair.secondary, {
+      disjointPair: {
+        disjoint: options.disjoint,
+        skewMs: pair.skewMs,
+        totalCost: pair.totalCost,
+        skewLimited: pair.skewLimited
+      }
+    });
+
+    console.log('[Protection] ✓ Disjoint pair: primary', pair.primary.totalLatency, 'ms | protection', pair.secondary.totalLatency, 'ms | skew', pair.skewMs, 'ms');
+
+    const errorDiv = document.getElementById('protectionPathError');
+    const resultDiv = document.getElementById('protectionPathResult');
+    const saveContainer = document.getElementById('saveProtectedMLGContainer');
+    if (errorDiv) errorDiv.style.display = 'none';
+    if (resultDiv) resultDiv.style.display = 'block';
+    if (saveContainer) saveContainer.style.display = 'block';
+
+    displayProtectionPathResult();
+    showToast(`✓ Optimal ${options.disjoint}-disjoint pair calculated!`);
+    highlightActiveRoute();
+  }
+
+  // Human-readable reason a disjoint pair search failed (UI and headless)
+  function describeDisjointPairError(result, options) {
+    const what = options && options.disjoint === 'node' ? 'node-disjoint' : 'link-disjoint';
+    if (!result || result.error === 'no-path') {
+      return 'No path exists between the protection endpoints with the current filters.';
+    }
+    if (result.error === 'skew') {
+      return `No ${what} pair within the ${options.maxSkewMs} ms latency skew was found within the search limit (${result.candidates} × ${result.candidates} candidate routes; the optimal pair differs by ${result.skewMs.toFixed(3)} ms). One may still exist - try a larger skew.`;
+    }
+    if (result.error === 'latency') {
+      return `No ${what} pair with both routes within ${options.maxLatencyMs} ms was found within the search limit (${result.candidates} × ${result.candidates} candidate routes; the optimal pair's longer route takes ${result.latencyMs.toFixed(3)} ms).`;
+    }
+    return `No ${what} pair exists: every route between these endpoints shares a ${options && options.disjoint === 'node' ? 'node' : 'link'} (single point of failure).`;
+  }
+
+  /**
+   * When no SRLG-diverse backup exists, search again with the SRLG-excluded
+   * links restored and report which of the primary's SRLGs that path shares.
+   * @returns {Promise<Array|null|undefined>} Violated SRLGs, null when even the
+   *   relaxed search finds no path, undefined when the search was abandoned
+   */
+  async function findViolatedSrlgs(adj, srlgExcludedEdges, waypoints, srlgExclusions) {
+    const relaxed = new Map();
+    adj.forEach((neighbors, nodeId) => relaxed.set(nodeId, neighbors.slice()));
+    srlgExcludedEdges.forEach(({ a, b, ab, ba }) => {
+      relaxed.get(a)?.push(ab);
+      relaxed.get(b)?.push(ba);
+    });
+
+    let result;
+    showRouteSearchProgress('protectionSearch', 'Checking which SRLGs block a backup…');
+    try {
+      result = await runRouteJob(buildProtectionSearchJob(relaxed, waypoints), {
+        channel: 'protection',
+        onProgress: fraction => updateRouteSearchProgress('protectionSearch', fraction)
+      });
+    } catch (err) {
+      if (reportRouteJobError(err, 'SRLG check')) hideRouteSearchProgress('protectionSearch');
+      return undefined;
+    }
+    hideRouteSearchProgress('protectionSearch');
+
+    if (!result || !result.segments) return null;
+    const usedLinks = new Set(result.segments.map(s => s.edgeId).filter(Boolean));
+    return [...srlgExclusions.primarySrlgs.values()].filter(srlg => srlg.linkIds.some(id => usedLinks.has(id) && srlgExclusions.excludedLinks.has(id)));
+  }
+
+  // Helper to get commercial cost from edge (unused for protection, keeping latency-only)
+  function getCommercialCost(edge) {
+    return 0; // Protection path uses latency only
+  }
+
+  // Display protection path result
+  function displayProtectionPathResult() {
+    const protection = routeFinderState.protectionPath;
+    if (!protection) return;
+
+    const latencySpan = document.getElementById('protectionLatency');
+    const hopsSpan = document.getElementById('protectionHops');
+    const nodesDiv = document.getElementById('protectionPathNodes');
+
+    // Use totalLatency if available, otherwise totalCost
+    const latency = protection.totalLatency || protection.totalCost || 0;
+
+    if (latencySpan) latencySpan.textContent = `🕐 ${latency.toFixed(3)} ms`;
+    const srlgExempt = protection.srlgExempt || [];
+    const srlgBadge = !protection.srlgDiverse ? ''
+      : srlgExempt.length > 0 ? ` · ⚠️ shares SRLG at a closure node: ${srlgExempt.map(s => s.name).join(', ')}`
+      : ' · 🛡️ SRLG-diverse';
+    if (hopsSpan) hopsSpan.textContent = `📏 ${protection.segments?.length || 0} links${srlgBadge}`;
+    if (hopsSpan && protection.disjointPair) {
+      hopsSpan.textContent += ` · ⚖️ skew ${protection.disjointPair.skewMs.toFixed(3)} ms (${protection.disjointPair.disjoint}-disjoint pair${protection.disjointPair.skewLimited ? ', cheapest found within the search limit' : ''})`;
+    }
+
+    // Show path with links: Node1 → [L-24] → Node2 → [L-23] → Node13
+    if (nodesDiv && protection.path && protection.segments) {
+      let pathStr = '';
+      for (let i = 0; i < protection.path.length; i++) {
+        const nodeId = protection.path[i];
+        const node = findNode(nodeId);
+        const nodeName = node?.name || node?.code || `N${nodeId}`;
+
+        if (i > 0) {
+          // Add the link before this node
+          const segment = protection.segments[i - 1];
+          if (segment && segment.edgeId !== null && segment.edgeId !== undefined) {
+            const edge = state.edges.find(e => e.id === segment.edgeId);
+            const linkCode = edge?.code || `L-${segment.edgeId}`;
+            pathStr += ` → [${linkCode}] → `;
+          } else {
+            pathStr += ' → ';
+          }
+        }
+        pathStr += nodeName;
+      }
+      nodesDiv.innerHTML = `<span style="font-family: monospace; font-size: 11px;">${pathStr}</span>`;
+    }
+  }
+
+  // Save as protected MLG with segments
+  function saveProtectedMLG() {
+    const primaryRoute = routeFinderState.primaryPathForProtection;
+    const protectionPath = routeFinderState.protectionPath;
+
+    if (!primaryRoute || !protectionPath) {
+      showToast('❌ Both primary and protection paths required');
+      return;
+    }
+
+    // Get closure nodes in order
+    const closureNodes = primaryRoute.path.filter(nodeId =>
+      routeFinderState.protectionClosureNodes.has(nodeId)
+    );
+
+    if (closureNodes.length < 2) {
+      showToast('❌ At least 2 closure nodes required');
+      return;
+    }
+
+    const originNode = findNode(closureNodes[0]);
+    const destNode = findNode(closureNodes[closureNodes.length - 1]);
+    const originName = originNode?.name || originNode?.code || `N${closureNodes[0]}`;
+    const destName = destNode?.name || destNode?.code || `N${closureNodes[closureNodes.length - 1]}`;
+
+    // Prompt for MLG name
+    const defaultName = `Protected: ${originName} → ${destName}`;
+    const mlgName = prompt('Enter a name for the Protected MLG:', defaultName);
+
+    if (!mlgName) {
+      showToast('⚠️ MLG save cancelled');
+      return;
+    }
+
+    // Build segments between consecutive closure nodes in proper MLG structure
+    const segments = [];
+    let segmentId = 1;
+    let pathId = 1;
+
+    for (let i = 0; i < closureNodes.length - 1; i++) {
+      const fromNode = closureNodes[i];
+      const toNode = closureNodes[i + 1];
+
+      // Get primary path links for this segment
+      const primarySegmentLinks = getPathLinksBetweenNodes(primaryRoute, fromNode, toNode);
+      const primaryLatency = calculateLinksLatency(primarySegmentLinks);
+
+      // Get protection path links for this segment
+      const protectionSegmentLinks = getPathLinksBetweenNodes(protectionPath, fromNode, toNode);
+      const protectionLatency = calculateLinksLatency(protectionSegmentLinks);
+
+      // Create segment with proper MLG structure
+      segments.push({
+        id: segmentId++,
+        fromNode: fromNode,
+        toNode: toNode,
+        paths: [
+          {
+            id: pathId++,
+            type: 'primary',
+            role: 'primary',
+            links: primarySegmentLinks,
+            latency: primaryLatency
+          },
+          {
+            id: pathId++,
+            type: 'protection',
+            role: 'protection',
+            links: protectionSegmentLinks,
+            latency: protectionLatency
+          }
+        ],
+        latency: Math.min(primaryLatency, protectionLatency),
+        isDiverse: protectionSegmentLinks.length > 0,
+        diversityWarning: protectionSegmentLinks.length === 0 ? 'No protection path for this segment' : null
+      });
+    }
+
+    // Calculate total latencies
+    const primaryLatency = primaryRoute.totalLatency || primaryRoute.totalCost || 0;
+    const protectionLatency = protectionPath.totalLatency || protectionPath.totalCost || 0;
+
+    const mlg = buildProtectedMLGRecord(mlgName.trim(), closureNodes, segments, primaryLatency, protectionLatency);
+
+    console.log('[Protection] Saving MLG:', mlg);
+
+    // Add to MLGs
+    if (!state.multilinkGroups) state.multilinkGroups = [];
+    state.multilinkGroups.push(mlg);
+
+    // Clear protection state
+    routeFinderState.protectionPath = null;
+    routeFinderState.primaryPathForProtection = null;
+    routeFinderState.protectionClosureNodes.clear();
+    routeFinderState.storedRoutesForProtection = null;
+    routeFinderState.storedActiveRouteIndex = 0;
+
+    // Hide protection UI
+    const protectionResultDiv = document.getElementById('protectionPathResult');
+    const protectionErrorDiv = document.getElementById('protectionPathError');
+    const saveProtectedMLGContainer = document.getElementById('saveProtectedMLGContainer');
+    if (protectionResultDiv) protectionResultDiv.style.display = 'none';
+    if (protectionErrorDiv) protectionErrorDiv.style.display = 'none';
+    if (saveProtectedMLGContainer) saveProtectedMLGContainer.style.display = 'none';
+
+    commit();
+    render();
+    showToast(`✓ Protected MLG "${mlg.name}" created!`);
+
+    // Open MLG Manager to show the new MLG
+    const multilinkManager = document.getElementById('multilinkManager');
+    if (multilinkManager) {
+      multilinkManager.style.display = 'flex';
+    }
+
+    // Refresh MLG manager
+    if (typeof window.refreshMultilinkManager === 'function') {
+      window.refreshMultilinkManager();
+    }
+  }
+
+  /**
+   * Ring-protected MLG record with primary/protection paths per closure segment.
+   * @param {string} name - MLG name
+   * @param {Array} closureNodes - Nodes both paths pass through, in order
+   * @param {Array} segments - MLG segments between consecutive closure nodes
+   * @param {number} primaryLatency - End-to-end primary latency (ms)
+   * @param {number} protectionLatency - End-to-end protection latency (ms)
+   * @returns {Object} MLG ready to push onto state.multilinkGroups
+   */
+  function buildProtectedMLGRecord(name, closureNodes, segments, primaryLatency, protectionLatency) {
+    // Bulk creation can produce several MLGs within the same millisecond
+    let stamp = Date.now();
+    while (state.multilinkGroups?.some(m => m.id === 'mlg_' + stamp)) stamp++;
+    const mlgId = 'mlg_' + stamp;
+    const now = new Date().toISOString();
+    return {
+      id: mlgId,
+      name: name,
+      color: '#f59e0b',
+      description: `Ring-protected route\nPrimary: ${primaryLatency.toFixed(3)} ms\nProtection: ${protectionLatency.toFixed(3)} ms`,
+      type: 'ring',
+      topology: 'ring',
+      segments: segments,
+      totalLatency: primaryLatency,
+      protectionLatency: protectionLatency,
+      originNode: closureNodes[0],
+      destinationNode: closureNodes[closureNodes.length - 1],
+      endpointA: closureNodes[0],
+      endpointB: closureNodes[closureNodes.length - 1],
+      source: 'pathfinder-protection',
+      closureNodes: closureNodes,
+      isDiverse: true,
+      diversityWarning: null,
+      warnings: [],
+      tags: [],
+      // Timestamps
+      created: now,
+      modified: now,
+      // Capacity fields
+      calcCap1G: 0,
+      calcCap10G: 0,
+      calcCap100G: 0,
+      calcCap400G: 0,
+      calcCapTbps: 0,
+      overrideCap1G: null,
+      overrideCap10G: null,
+      overrideCap100G: null,
+      overrideCap400G: null,
+      overrideCapTbps: null,
+      // Commercial cost fields
+      calcLeaseNRC: 0,
+      calcLeaseMRC: 0,
+      calcIRUFee: 0,
+      calcIRUOAM: 0,
+      overrideLeaseNRC: null,
+      overrideLeaseMRC: null,
+      overrideIRUFee: null,
+      overrideIRUOAM: null,
+      // IRU term fields
+      iruTerm: state.financialSettings?.defaultIRUTerm || 15,
+      iruOamAnnualIncrement: state.financialSettings?.defaultOAMIncrement || 0,
+      commercialCostMode: state.financialSettings?.defaultCommercialMode || 'lease'
+    };
+  }
+
+  // Helper: Calculate total latency of a list of link IDs
+  function calculateLinksLatency(linkIds) {
+    let total = 0;
+    linkIds.forEach(linkId => {
+      const edge = state.edges.find(e => e.id === linkId);
+      if (edge) {
+        total += parseFloat(edge.latencyMs) || parseFloat(edge.latency) || 0;
+      }
+    });
+    return total;
+  }
+
+  // Helper: Get link IDs between two nodes in a path
+  function getPathLinksBetweenNodes(route, fromNode, toNode) {
+    if (!route || !route.path || !route.segments) return [];
+
+    const links = [];
+    const fromIdx = route.path.indexOf(fromNode);
+    const toIdx = route.path.indexOf(toNode);
+
+    if (fromIdx === -1 || toIdx === -1 || fromIdx >= toIdx) return [];
+
+    // Collect links between these nodes
+    for (let i = fromIdx; i < toIdx; i++) {
+      const segment = route.segments[i];
+      if (segment && segment.edgeId) {
+        links.push(segment.edgeId);
+      }
+    }
+
+    return links;
+  }
+
+  // ============== BULK PROTECTED MLG WIZARD ==============
+  // Route a list of A-end / Z-end requests (CSV or XLSX) with a primary and a
+  // diverse protection path each, then create one ring MLG per routed request.
+
+  const BULK_MLG_DIVERSITY = {
+    link: { label: 'Link-disjoint', protection: { method: 'disjointPair', disjoint: 'link' } },
+    node: { label: 'Node-disjoint', protection: { method: 'disjointPair', disjoint: 'node' } },
+    srlg: { label: 'SRLG-diverse', protection: { method: 'sequential', srlgDiverse: true } }
+  };
+
+  // Primary candidates tried for an SRLG-diverse request with a latency cap
+  const BULK_MLG_PRIMARY_CANDIDATES = 5;
+
+  // Header (lower-case, letters and digits only) -> request field
+  const BULK_MLG_COLUMNS = {
+    aend: 'aEnd', a: 'aEnd', origin: 'aEnd', from: 'aEnd',
+    zend: 'zEnd', z: 'zEnd', bend: 'zEnd', destination: 'zEnd', to: 'zEnd',
+    name: 'name', mlgname: 'name',
+    maxlatency: 'maxLatency', maxlatencyms: 'maxLatency',
+    diversity: 'diversity', diversitytype: 'diversity',
+    nodetags: 'nodeTags', linktags: 'linkTags'
+  };
+
+  const BULK_MLG_STATUS = {
+    invalid: { label: 'Invalid', color: '#b91c1c' },
+    pending: { label: 'Pending', color: '#6b7280' },
+    routed:  { label: 'Routed',  color: '#047857' },
+    failed:  { label: 'Failed',  color: '#b91c1c' },
+    created: { label: 'Created', color: '#1d4ed8' }
+  };
+
+  let bulkMLGWizard = null;   // { fileName, table, defaults, requests }
+
+  // Read the first sheet of an XLSX/ODS file, or a ';' / ',' separated CSV,
+  // into { headers, rows } with rows as arrays of trimmed strings
+  async function readFirstSheetRows(file) {
+    const ext = file.name.split('.').pop().toLowerCase();
+    let headers;
+    let rows;
+    if (ext === 'xlsx' || ext === 'xls' || ext === 'ods') {
+      await loadSheetJS();
+      const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+      const data = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1 });
+      headers = (data[0] || []).map(h => String(h ?? '').trim());
+      rows = data.slice(1).map(r => (r || []).map(v => String(v ?? '').trim()));
+    } else {
+      const lines = (await file.text()).split(/\r?\n/).filter(line => line.trim());
+      const first = lines[0] || '';
+      const separator = first.split(';').length > first.split(',').length ? ';' : ',';
+      headers = parseCSVLine(first, separator).map(h => h.trim());
+      rows = lines.slice(1).map(line => parseCSVLine(line, separator).map(v => v.trim()));
+    }
+    rows = rows.filter(r => r.some(v => v));
+    if (rows.length === 0) throw new Error('File has no data rows');
+    return { headers, rows };
+  }
+
+  // Node by code (case-insensitive), falling back to name
+  function findBulkMLGNode(value) {
+    const key = String(value || '').trim().toLowerCase();
+    if (!key) return null;
+    return state.nodes.find(n => (n.code || '').toLowerCase() === key) ||
+      state.nodes.find(n => (n.name || '').toLowerCase() === key) || null;
+  }
+
+  // "subsea|core" includes, "!dark|!leased" excludes; mixing both is rejected
+  function parseBulkMLGTagFilter(value) {
+    const tags = parseTagsString(value).map(t => t.toLowerCase());
+    if (tags.length === 0) return { mode: 'any', tags: [] };
+    const excluded = tags.filter(t => t.startsWith('!'));
+    if (excluded.length > 0 && excluded.length < tags.length) {
+      return { error: `Mix of included and excluded tags in "${value}"` };
+    }
+    return excluded.length > 0
+      ? { mode: 'exclude', tags: excluded.map(t => t.slice(1).trim()).filter(t => t) }
+      : { mode: 'include', tags };
+  }
+
+  function parseBulkMLGDiversity(value) {
+    const key = String(value || '').trim().toLowerCase();
+    if (key === 'link' || key === 'link-disjoint') return 'link';
+    if (key === 'node' || key === 'node-disjoint') return 'node';
+    if (key === 'srlg' || key === 'physical' || key === 'srlg-diverse') return 'srlg';
+    return null;
+  }
+
+  // Turn the file table into requests, filling blank cells from the defaults
+  function buildBulkMLGRequests(table, defaults) {
+    const columns = table.headers.map(h => BULK_MLG_COLUMNS[h.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+    if (!columns.includes('aEnd') || !columns.includes('zEnd')) {
+      throw new Error('File needs an A-End and a Z-End column');
+    }
+
+    return table.rows.map((values, idx) => {
+      const cell = {};
+      columns.forEach((field, col) => { if (field && values[col]) cell[field] = values[col]; });
+
+      const origin = findBulkMLGNode(cell.aEnd);
+      const dest = findBulkMLGNode(cell.zEnd);
+      const diversity = cell.diversity ? parseBulkMLGDiversity(cell.diversity) : defaults.diversity;
+      const maxLatency = cell.maxLatency !== undefined ? parseFloat(cell.maxLatency) : defaults.maxLatency;
+      const nodeFilter = parseBulkMLGTagFilter(cell.nodeTags ?? defaults.nodeTags);
+      const linkFilter = parseBulkMLGTagFilter(cell.linkTags ?? defaults.linkTags);
+
+      let error = null;
+      if (!cell.aEnd || !cell.zEnd) error = 'Missing A-End or Z-End';
+      else if (!origin) error = `Unknown A-End "${cell.aEnd}"`;
+      else if (!dest) error = `Unknown Z-End "${cell.zEnd}"`;
+      else if (origin.id === dest.id) error = 'A-End and Z-End are the same node';
+      else if (!diversity) error = `Unknown diversity "${cell.diversity}" (use link, node or srlg)`;
+      else if (maxLatency !== null && !(maxLatency > 0)) error = `Invalid max latency "${cell.maxLatency}"`;
+      else if (nodeFilter.error || linkFilter.error) error = nodeFilter.error || linkFilter.error;
+
+      return {
+        row: idx + 2,
+        aEnd: cell.aEnd || '',
+        zEnd: cell.zEnd || '',
+        originId: origin?.id ?? null,
+        destId: dest?.id ?? null,
+        name: cell.name || (origin && dest ? `Protected: ${origin.name} → ${dest.name}` : ''),
+        diversity,
+        maxLatency,
+        nodeFilter,
+        linkFilter,
+        status: error ? 'invalid' : 'pending',
+        reason: error,
+        primary: null,
+        protection: null,
+        skewMs: null,
+        srlgExempt: [],
+        mlgId: null
+      };
+    });
+  }
+
+  // The protection search ignores tag filters, so turn them into exclusions
+  function getBulkMLGTagExclusions(req) {
+    const matches = (tags, filter) => filter.tags.some(t => tags.has(t));
+    const excludedNodes = [];
+    const excludedLinks = [];
+    if (req.nodeFilter.mode !== 'any') {
+      state.nodes.forEach(n => {
+        if (n.id === req.originId || n.id === req.destId) return;
+        if (matches(getNodeTags(n), req.nodeFilter) !== (req.nodeFilter.mode === 'include')) excludedNodes.push(n.id);
+      });
+    }
+    if (req.linkFilter.mode !== 'any') {
+      state.edges.forEach(e => {
+        if (matches(getEdgeTags(e), req.linkFilter) !== (req.linkFilter.mode === 'include')) excludedLinks.push(e.id);
+      });
+    }
+    return { excludedNodes, excludedLinks };
+  }
+
+  // Route one request. Resolves { primary, protection, skewMs, srlgExempt } or
+  // { reason }; srlgExempt lists the SRLGs the protection shares at an endpoint.
+  async function routeBulkMLGRequest(req) {
+    const params = {
+      originNodeId: req.originId,
+      destNodeId: req.destId,
+      k: req.diversity === 'srlg' && req.maxLatency !== null ? BULK_MLG_PRIMARY_CANDIDATES : 1,
+      skipImplicitTransit: true,
+      enableContainerTransit: false,
+      enableRegionTransit: false,
+      nodeTagMode: req.nodeFilter.mode,
+      nodeTagFilter: req.nodeFilter.tags,
+      linkTagMode: req.linkFilter.mode,
+      linkTagFilter: req.linkFilter.tags
+    };
+    const protection = Object.assign({ maxLatencyMs: req.maxLatency },
+      BULK_MLG_DIVERSITY[req.diversity].protection, getBulkMLGTagExclusions(req));
+    const noPath = req.nodeFilter.mode === 'any' && req.linkFilter.mode === 'any'
+      ? 'No path between A-End and Z-End'
+      : 'No path with these tag filters';
+
+    const result = await runPathfinderHeadlessAsync(Object.assign({}, params, { calculateProtection: true, protection }));
+    if (!result.success) return { reason: result.error };
+    if (result.primaryRoutes.length === 0) return { reason: noPath };
+
+    let primary;
+    let secondary;
+    let skewMs;
+    if (result.disjointPair) {
+      primary = result.disjointPair.primary;
+      secondary = result.disjointPair.secondary;
+      skewMs = result.disjointPair.skewMs;
+    } else if (result.disjointPair === null) {
+      return { reason: result.protectionError || 'No diverse protection path' };
+    } else {
+      primary = result.primaryRoutes[0];
+      secondary = result.protectionPath;
+      if (secondary) skewMs = Math.round(Math.abs(secondary.totalLatency - primary.totalLatency) * 1000) / 1000;
+    }
+
+    // The search already applies maxLatency; these name the leg that breaks it
+    if (req.maxLatency !== null && primary.totalLatency > req.maxLatency) {
+      return { reason: `Primary ${primary.totalLatency.toFixed(2)} ms exceeds ${req.maxLatency} ms` };
+    }
+    if (!secondary) {
+      return { reason: req.maxLatency !== null ? `No SRLG-diverse protection path within ${req.maxLatency} ms` : 'No SRLG-diverse protection path' };
+    }
+    if (req.maxLatency !== null && secondary.totalLatency > req.maxLatency) {
+      return { reason: `Protection ${secondary.totalLatency.toFixed(2)} ms exceeds ${req.maxLatency} ms` };
+    }
+    return { primary, protection: secondary, skewMs, srlgExempt: secondary.srlgExempt || [] };
+  }
+
+  // Diversity label, flagging SRLGs the protection shares at an endpoint
+  function describeBulkMLGDiversity(req) {
+    const label = BULK_MLG_DIVERSITY[req.diversity]?.label || '';
+    if (!req.srlgExempt || req.srlgExempt.length === 0) return label;
+    return `${label} except ${req.srlgExempt.map(s => s.name).join(', ')} at an endpoint`;
+  }
+
+  // Create one single-segment ring MLG per routed request
+  function createBulkMLGs(requests) {
+    const routed = requests.filter(r => r.status === 'routed');
+    if (routed.length === 0) return 0;
+    if (!state.multilinkGroups) state.multilinkGroups = [];
+
+    routed.forEach(req => {
+      const primaryLatency = calculateLinksLatency(req.primary.links);
+      const protectionLatency = calculateLinksLatency(req.protection.links);
+      const segments = [{
+        id: 1,
+        fromNode: req.originId,
+        toNode: req.destId,
+        paths: [
+          { id: 1, type: 'primary', role: 'primary', links: req.primary.links, latency: primaryLatency },
+          { id: 2, type: 'protection', role: 'protection', links: req.protection.links, latency: protectionLatency }
+        ],
+        latency: Math.min(primaryLatency, protectionLatency),
+        isDiverse: true,
+        diversityWarning: req.srlgExempt?.length ? `Shares SRLG at an endpoint: ${req.srlgExempt.map(s => s.name).join(', ')}` : null
+      }];
+      const mlg = buildProtectedMLGRecord(req.name, [req.originId, req.destId], segments, primaryLatency, protectionLatency);
+      state.multilinkGroups.push(mlg);
+      req.mlgId = mlg.id;
+      req.status = 'created';
+    });
+
+    commit();
+    render();
+    if (typeof window.refreshMultilinkManager === 'function') {
+      window.refreshMultilinkManager();
+    }
+    return routed.length;
+  }
+
+  function buildBulkMLGSummaryExport(requests) {
+    const round = v => (v === null || v === undefined) ? '' : Math.round(v * 100) / 100;
+    const linkCodes = leg => leg ? leg.links.map(id => findEdge(id)?.code || id).join(' | ') : '';
+    const rows = requests.map(r => [
+      r.row, r.name, r.aEnd, r.zEnd,
+      describeBulkMLGDiversity(r),
+      (r.srlgExempt || []).map(s => s.name).join(' | '),
+      r.maxLatency ?? '',
+      BULK_MLG_STATUS[r.status].label,
+      r.reason || '',
+      round(r.primary?.totalLatency), round(r.protection?.totalLatency), round(r.skewMs),
+      r.primary ? r.primary.links.length : '', r.protection ? r.protection.links.length : '',
+      linkCodes(r.primary), linkCodes(r.protection),
+      r.mlgId || ''
+    ]);
+
+    // Counts per status, then failures grouped by reason
+    const totals = Object.keys(BULK_MLG_STATUS)
+      .map(status => [BULK_MLG_STATUS[status].label, '', requests.filter(r => r.status === status).length])
+      .filter(t => t[2] > 0);
+    const reasons = new Map();
+    requests.filter(r => r.reason).forEach(r => reasons.set(r.reason, (reasons.get(r.reason) || 0) + 1));
+    [...reasons.entries()].sort((a, b) => b[1] - a[1]).forEach(([reason, count]) => {
+      totals.push(['Failure reason', reason, count]);
+    });
+
+    return {
+      fileName: 'neximap_bulk_mlg_summary',
+      sheets: [
+        {
+          name: 'Requests',
+          headers: ['Row', 'Name', 'A-End', 'Z-End', 'Diversity', 'Exempt SRLGs', 'Max Latency (ms)', 'Status', 'Reason',
+            'Primary (ms)', 'Protection (ms)', 'Skew (ms)', 'Primary Links', 'Protection Links',
+            'Primary Path', 'Protection Path', 'MLG ID'],
+          rows
+        },
+        { name: 'Summary', headers: ['Outcome', 'Reason', 'Requests'], rows: totals }
+      ]
+    };
+  }
+
+  function showBulkProtectedMLGDialog() {
+    document.getElementById('bulkMLGModal')?.remove();
+    if (!bulkMLGWizard) {
+      bulkMLGWizard = {
+        fileName: null,
+        table: null,
+        defaults: { maxLatency: null, diversity: 'link', nodeTags: '', linkTags: '' },
+        requests: []
+      };
+    }
+    const wizard = bulkMLGWizard;
+    const defaults = wizard.defaults;
+
+    const modal = document.createElement('div');
+    modal.id = 'bulkMLGModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:1100px; max-width:95vw; height:680px; max-height:90vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>🧩 Bulk Protected MLGs</span>
+          <button id="bmClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div style="display:flex; flex-wrap:wrap; gap:12px; align-items:center; padding:10px 20px; border-bottom:1px solid #f0f0f0; background:#fafafa; font-size:12px;">
+          <button class="btn" id="bmPickFile">📂 Load CSV / XLSX...</button>
+          <input type="file" id="bmFile" accept=".csv,.txt,.xlsx,.xls,.ods" style="display:none;">
+          <span id="bmFileName" style="color:#6b7280;">${wizard.fileName ? escapeHtml(wizard.fileName) : 'No file loaded'}</span>
+          <button class="btn" id="bmTemplate">⬇ Template</button>
+          <span style="flex:1;"></span>
+          <span style="color:#6b7280;">Defaults:</span>
+          <label>Max latency <input type="number" id="bmMaxLatency" min="0" step="0.1" value="${defaults.maxLatency ?? ''}" placeholder="none" style="width:64px;"> ms</label>
+          <label>Diversity
+            <select id="bmDiversity">
+              ${Object.entries(BULK_MLG_DIVERSITY).map(([k, v]) => `<option value="${k}" ${defaults.diversity === k ? 'selected' : ''}>${v.label}</option>`).join('')}
+            </select></label>
+          <label>Node tags <input type="text" id="bmNodeTags" value="${escapeHtml(defaults.nodeTags)}" placeholder="any" style="width:90px;"></label>
+          <label>Link tags <input type="text" id="bmLinkTags" value="${escapeHtml(defaults.linkTags)}" placeholder="any" style="width:90px;"></label>
+        </div>
+        <div style="display:flex; gap:8px; align-items:center; padding:8px 20px; border-bottom:1px solid #f0f0f0; font-size:12px;">
+          <button class="btn primary" id="bmRun">▶ Route All</button>
+          <button class="btn" id="bmCreate">✚ Create MLGs</button>
+          <span id="bmSummary" style="color:#6b7280;"></span>
+          <span style="flex:1;"></span>
+          <button class="btn" id="bmExportXlsx">⬇ Summary XLSX</button>
+          <button class="btn" id="bmExportCsv">⬇ CSV</button>
+        </div>
+        <div id="bmProgress" style="display:none; padding:8px 20px; border-bottom:1px solid #f0f0f0; font-size:11px; color:#374151;">
+          <div style="display:flex; justify-content:space-between; margin-bottom:4px;"><span id="bmProgressLabel">Routing…</span><span id="bmProgressPct">0%</span></div>
+          <div style="height:6px; background:#e5e7eb; border-radius:3px; overflow:hidden;"><div id="bmProgressBar" style="height:100%; width:0; background:#2563eb;"></div></div>
+        </div>
+        <div id="bmTable" style="flex:1; overflow:auto; padding:12px 20px;"></div>
+        <div style="padding:6px 20px 10px; font-size:10px; color:#6b7280; border-top:1px solid #f0f0f0;">
+          Columns: A-End, Z-End (node code or name), Name, Max Latency (ms), Diversity (link, node or srlg), Node Tags, Link Tags
+          (separate with | and prefix ! to avoid). Blank cells use the defaults above. Routes are latency-shortest and ignore the Route Finder's filters.
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    let running = false;
+    let cancelled = false;
+    const close = () => {
+      cancelled = true;
+      modal.remove();
+    };
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#bmClose').addEventListener('click', close);
+
+    const rebuild = () => {
+      if (!wizard.table) return;
+      try {
+        wizard.requests = buildBulkMLGRequests(wizard.table, defaults);
+      } catch (err) {
+        wizard.requests = [];
+        showToast(`❌ ${err.message}`);
+      }
+      renderBulkMLGWizard();
+    };
+
+    modal.querySelector('#bmPickFile').addEventListener('click', () => modal.querySelector('#bmFile').click());
+    modal.querySelector('#bmFile').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file || running) return;
+      try {
+        wizard.table = await readFirstSheetRows(file);
+        wizard.fileName = file.name;
+        modal.querySelector('#bmFileName').textContent = file.name;
+        rebuild();
+        showToast(`📂 ${wizard.requests.length} request(s) loaded`);
+      } catch (err) {
+        showToast(`❌ Could not read ${file.name}: ${err.message}`);
+      }
+    });
+
+    modal.querySelector('#bmTemplate').addEventListener('click', () => {
+      downloadTemplateAsCSV({
+        fileName: 'neximap_bulk_mlg_template',
+        sheets: [{
+          name: 'Requests',
+          headers: ['A-End', 'Z-End', 'Name', 'Max Latency (ms)', 'Diversity', 'Node Tags', 'Link Tags'],
+          rows: [['MAD', 'LON', 'Protected: Madrid → London', '25', 'srlg', '', '!dark']]
+        }]
+      }, 'xlsx');
+    });
+
+    const bindDefault = (id, key, parse) => {
+      modal.querySelector(id).addEventListener('change', (e) => {
+        defaults[key] = parse(e.target.value);
+        if (!running) rebuild();
+      });
+    };
+    bindDefault('#bmMaxLatency', 'maxLatency', v => parseFloat(v) > 0 ? parseFloat(v) : null);
+    bindDefault('#bmDiversity', 'diversity', v => v);
+    bindDefault('#bmNodeTags', 'nodeTags', v => v.trim());
+    bindDefault('#bmLinkTags', 'linkTags', v => v.trim());
+
+    modal.querySelector('#bmRun').addEventListener('click', async () => {
+      if (running) {
+        cancelled = true;
+        return;
+      }
+      const queue = wizard.requests.filter(r => r.status !== 'invalid' && r.status !== 'created');
+      if (queue.length === 0) {
+        showToast('Load a file with at least one valid request');
+        return;
+      }
+
+      running = true;
+      cancelled = false;
+      const runBtn = modal.querySelector('#bmRun');
+      const progress = modal.querySelector('#bmProgress');
+      runBtn.textContent = '■ Cancel';
+      progress.style.display = 'block';
+      queue.forEach(r => Object.assign(r, { status: 'pending', reason: null, primary: null, protection: null, skewMs: null, srlgExempt: [] }));
+      renderBulkMLGWizard();
+
+      let done = 0;
+      for (const req of queue) {
+        if (cancelled) break;
+        modal.querySelector('#bmProgressLabel').textContent = `Routing row ${req.row}: ${req.aEnd} → ${req.zEnd}`;
+        const outcome = await routeBulkMLGRequest(req);
+        if (outcome.reason) {
+          Object.assign(req, { status: 'failed', reason: outcome.reason });
+        } else {
+          Object.assign(req, { status: 'routed', primary: outcome.primary, protection: outcome.protection, skewMs: outcome.skewMs, srlgExempt: outcome.srlgExempt });
+        }
+        done++;
+        if (!document.body.contains(modal)) continue;
+        const pct = `${Math.round(done / queue.length * 100)}%`;
+        modal.querySelector('#bmProgressBar').style.width = pct;
+        modal.querySelector('#bmProgressPct').textContent = pct;
+        renderBulkMLGWizard();
+      }
+
+      running = false;
+      if (!document.body.contains(modal)) return;
+      runBtn.textContent = '▶ Route All';
+      progress.style.display = 'none';
+      renderBulkMLGWizard();
+      const routed = queue.filter(r => r.status === 'routed').length;
+      showToast(cancelled
+        ? `⏹ Stopped after ${done} of ${queue.length} request(s)`
+        : `✅ ${routed} of ${queue.length} request(s) routed`);
+    });
+
+    modal.querySelector('#bmCreate').addEventListener('click', () => {
+      if (running) return;
+      const created = createBulkMLGs(wizard.requests);
+      if (created === 0) {
+        showToast('Route the requests first');
+        return;
+      }
+      renderBulkMLGWizard();
+      showToast(`✓ ${created} protected MLG(s) created`);
+    });
+
+    const exportSummary = (format) => {
+      if (wizard.requests.length === 0) {
+        showToast('Load a request file first');
+        return;
+      }
+      const data = buildBulkMLGSummaryExport(wizard.requests);
+      if (format === 'csv') downloadAsCSVFallback(data);
+      else downloadTemplateAsCSV(data, 'xlsx');
+    };
+    modal.querySelector('#bmExportXlsx').addEventListener('click', () => exportSummary('xlsx'));
+    modal.querySelector('#bmExportCsv').addEventListener('click', () => exportSummary('csv'));
+
+    renderBulkMLGWizard();
+  }
+
+  function renderBulkMLGWizard() {
+    const modal = document.getElementById('bulkMLGModal');
+    if (!modal) return;
+    const tableEl = modal.querySelector('#bmTable');
+    const requests = bulkMLGWizard.requests;
+
+    const counts = {};
+    requests.forEach(r => { counts[r.status] = (counts[r.status] || 0) + 1; });
+    modal.querySelector('#bmSummary').textContent = requests.length === 0 ? '' :
+      `${requests.length} request(s) · ` + Object.keys(BULK_MLG_STATUS)
+        .filter(s => counts[s])
+        .map(s => `${counts[s]} ${BULK_MLG_STATUS[s].label.toLowerCase()}`).join(' · ');
+    modal.querySelector('#bmCreate').textContent = counts.routed ? `✚ Create ${counts.routed} MLG(s)` : '✚ Create MLGs';
+
+    if (requests.length === 0) {
+      tableEl.innerHTML = `<div style="padding:40px; text-align:center; color:#999; font-size:12px;">
+        Load a CSV or XLSX file with one A-End / Z-End pair per row.</div>`;
+      return;
+    }
+
+    const ms = v => (v === null || v === undefined) ? '—' : v.toFixed(2);
+    const th = 'padding:6px 8px; text-align:left; font-weight:600; color:#374151; border-bottom:1px solid #e5e7eb; white-space:nowrap; position:sticky; top:0; background:white;';
+    const td = 'padding:5px 8px; border-bottom:1px solid #f3f4f6; white-space:nowrap;';
+    tableEl.innerHTML = `
+      <table style="border-collapse:collapse; font-size:11px; width:100%;">
+        <thead><tr>
+          <th style="${th}">Row</th><th style="${th}">Name</th><th style="${th}">A-End</th><th style="${th}">Z-End</th>
+          <th style="${th}">Diversity</th><th style="${th} text-align:right;">Max ms</th><th style="${th}">Status</th>
+          <th style="${th} text-align:right;">Primary ms</th><th style="${th} text-align:right;">Protection ms</th>
+          <th style="${th} text-align:right;">Skew ms</th><th style="${th} text-align:right;">Hops</th><th style="${th}">Reason / MLG</th>
+        </tr></thead>
+        <tbody>${requests.map(r => {
+          const status = BULK_MLG_STATUS[r.status];
+          const hops = r.primary ? `${r.primary.links.length} / ${r.protection.links.length}` : '—';
+          const note = r.mlgId ? `MLG ${r.mlgId}` : (r.reason || '');
+          return `<tr>
+            <td style="${td} color:#6b7280;">${r.row}</td>
+            <td style="${td}">${escapeHtml(r.name)}</td>
+            <td style="${td}">${escapeHtml(r.aEnd)}</td>
+            <td style="${td}">${escapeHtml(r.zEnd)}</td>
+            <td style="${td}${r.srlgExempt?.length ? ' color:#b45309;' : ''}">${escapeHtml(describeBulkMLGDiversity(r)) || '—'}</td>
+            <td style="${td} text-align:right;">${r.maxLatency ?? '—'}</td>
+            <td style="${td} color:${status.color}; font-weight:600;">${status.label}</td>
+            <td style="${td} text-align:right;">${ms(r.primary?.totalLatency)}</td>
+            <td style="${td} text-align:right;">${ms(r.protection?.totalLatency)}</td>
+            <td style="${td} text-align:right;">${ms(r.skewMs)}</td>
+            <td style="${td} text-align:right;">${hops}</td>
+            <td style="${td} white-space:normal; color:${r.reason ? '#b91c1c' : '#374151'};">${escapeHtml(note)}</td>
+          </tr>`;
+        }).join('')}</tbody>
+      </table>
+    `;
+  }
+
+  document.getElementById('miBulkProtectedMLG')?.addEventListener('click', () => {
+    closeAllMenus();
+    showBulkProtectedMLGDialog();
+  });
+
+  // ============== END BULK PROTECTED MLG WIZARD ==============
+
+  // ============== DEMAND MATRIX ==============
+  // Traffic demands (A, Z, Gbps, protection) are saved with the project and
+  // routed with the headless pathfinder. Routing results and the per-link /
+  // per-MLG loads they add up to are session-only (demandLoadState).
+
+  // Header (lower-case, letters and digits only) -> demand field
+  const DEMAND_COLUMNS = {
+    aend: 'aEnd', a: 'aEnd', origin: 'aEnd', from: 'aEnd',
+    zend: 'zEnd', z: 'zEnd', bend: 'zEnd', destination: 'zEnd', to: 'zEnd',
+    gbps: 'gbps', demand: 'gbps', demandgbps: 'gbps', bandwidth: 'gbps', capacity: 'gbps',
+    protection: 'protection', diversity: 'protection',
+    name: 'name', service: 'name'
+  };
+
+  const DEMAND_STATUS = {
+    pending: { label: 'Not routed', color: '#6b7280' },
+    routed:  { label: 'Routed',     color: '#047857' },
+    failed:  { label: 'Failed',     color: '#b91c1c' }
+  };
+
+  let demandMatrixTab = 'demands';   // 'demands' | 'links' | 'mlgs'
+
+  function getDemandProtectionLabel(protection) {
+    return protection === 'none' ? 'Unprotected' : BULK_MLG_DIVERSITY[protection].label;
+  }
+
+  // "10", "10G", "1.2T" -> Gbps
+  function parseDemandGbps(value) {
+    const m = String(value || '').trim().toUpperCase().replace(/,/g, '').match(/^([\d.]+)\s*(G|GBPS|T|TBPS)?$/);
+    if (!m) return null;
+    const gbps = parseFloat(m[1]) * (m[2] && m[2].startsWith('T') ? 1000 : 1);
+    return gbps > 0 ? gbps : null;
+  }
+
+  function parseDemandProtection(value) {
+    const key = String(value || '').trim().toLowerCase();
+    if (!key || key === 'none' || key === 'unprotected' || key === 'no') return 'none';
+    return parseBulkMLGDiversity(key);
+  }
+
+  function addDemand(a, z, gbps, protection, name) {
+    const demand = { id: state.nextDemand++, uuid: generateUUID(), name: name || '', a, z, gbps, protection };
+    state.demands.push(demand);
+    return demand;
+  }
+
+  // Turn a spreadsheet table into demands; bad rows are reported, not imported
+  function parseDemandRows(table) {
+    const columns = table.headers.map(h => DEMAND_COLUMNS[h.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+    if (!columns.includes('aEnd') || !columns.includes('zEnd') || !columns.includes('gbps')) {
+      throw new Error('File needs A-End, Z-End and Gbps columns');
+    }
+    const demands = [];
+    const errors = [];
+    table.rows.forEach((values, idx) => {
+      const cell = {};
+      columns.forEach((field, col) => { if (field) cell[field] = values[col] || ''; });
+      const a = findBulkMLGNode(cell.aEnd);
+      const z = findBulkMLGNode(cell.zEnd);
+      const gbps = parseDemandGbps(cell.gbps);
+      const protection = parseDemandProtection(cell.protection);
+      let reason = null;
+      if (!a) reason = `A-End "${cell.aEnd}" not found`;
+      else if (!z) reason = `Z-End "${cell.zEnd}" not found`;
+      else if (a.id === z.id) reason = 'A-End and Z-End are the same node';
+      else if (gbps === null) reason = `Invalid Gbps "${cell.gbps}"`;
+      else if (!protection) reason = `Unknown protection "${cell.protection}" (use none, link, node or srlg)`;
+      if (reason) errors.push({ row: idx + 2, reason });
+      else demands.push({ a: a.id, z: z.id, gbps, protection, name: cell.name || '' });
+    });
+    return { demands, errors };
+  }
+
+  // Links a demand rides on when it is carried through an MLG (its working paths)
+  function getMLGWorkingLinks(mlg) {
+    const links = [];
+    (mlg.segments || []).forEach(seg => {
+      const path = (seg.paths || []).find(p => p.type === 'primary') || (seg.paths || [])[0];
+      if (path) links.push(...path.links);
+    });
+    return links;
+  }
+
+  /**
+   * Route one demand. Unprotected demands take the best path (optionally over
+   * existing MLGs); protected ones use the same diverse-pair search as the
+   * bulk protected MLG wizard.
+   * @returns {Promise<Object>} { status: 'routed', primary, protection } or { status: 'failed', reason }
+   */
+  async function routeDemand(demand) {
+    if (!findNode(demand.a) || !findNode(demand.z)) return { status: 'failed', reason: 'Endpoint no longer exists' };
+
+    if (demand.protection !== 'none') {
+      const outcome = await routeBulkMLGRequest({
+        originId: demand.a,
+        destId: demand.z,
+        diversity: demand.protection,
+        nodeFilter: { mode: 'any', tags: [] },
+        linkFilter: { mode: 'any', tags: [] },
+        maxLatency: null
+      });
+      if (outcome.reason) return { status: 'failed', reason: outcome.reason };
+      return {
+        status: 'routed',
+        primary: { links: outcome.primary.links, mlgs: [], latency: outcome.primary.totalLatency, summary: outcome.primary.summary },
+        protection: { links: outcome.protection.links, latency: outcome.protection.totalLatency, summary: outcome.protection.summary }
+      };
+    }
+
+    const result = await runPathfinderHeadlessAsync({
+      originNodeId: demand.a,
+      destNodeId: demand.z,
+      k: 1,
+      skipImplicitTransit: true,
+      enableContainerTransit: false,
+      enableRegionTransit: false,
+      preferMLGs: !!state.demandSettings.preferMLGs
+    });
+    if (!result.success) return { status: 'failed', reason: result.error };
+    const route = result.primaryRoutes[0];
+    if (!route) return { status: 'failed', reason: 'No path between A-End and Z-End' };
+    return {
+      status: 'routed',
+      primary: { links: route.links, mlgs: route.mlgsUsed || [], latency: route.totalLatency, summary: route.summary },
+      protection: null
+    };
+  }
+
+  // Links a routed demand loads: its working path, the working links of any
+  // MLG it rides, and its protection path ({ id, field: 'working'|'protection' })
+  function getDemandLoadedLinks(result) {
+    const links = result.primary.links.map(id => ({ id, field: 'working' }));
+    result.primary.mlgs.forEach(mlgId => {
+      const mlg = state.multilinkGroups.find(m => m.id === mlgId);
+      if (mlg) getMLGWorkingLinks(mlg).forEach(id => links.push({ id, field: 'working' }));
+    });
+    if (result.protection) result.protection.links.forEach(id => links.push({ id, field: 'protection' }));
+    return links;
+  }
+
+  // Add up routed demands into per-link and per-MLG loads
+  function accumulateDemandLoads() {
+    const linkLoads = new Map();
+    const mlgLoads = new Map();
+
+    state.demands.forEach(demand => {
+      const result = demandLoadState.results.get(demand.id);
+      if (!result || result.status !== 'routed') return;
+      getDemandLoadedLinks(result).forEach(({ id, field }) => {
+        if (!linkLoads.has(id)) linkLoads.set(id, { working: 0, protection: 0 });
+        linkLoads.get(id)[field] += demand.gbps;
+      });
+      result.primary.mlgs.forEach(mlgId => mlgLoads.set(mlgId, (mlgLoads.get(mlgId) || 0) + demand.gbps));
+    });
+
+    demandLoadState.linkLoads = linkLoads;
+    demandLoadState.mlgLoads = mlgLoads;
+  }
+
+  /**
+   * Route every demand in turn and rebuild the loads.
+   * @param {Function} onProgress - (done, total, demand) after each demand
+   * @param {Function} isCancelled - Returns true to stop early
+   */
+  async function routeAllDemands(onProgress, isCancelled) {
+    const results = new Map();
+    let done = 0;
+    for (const demand of state.demands) {
+      if (isCancelled && isCancelled()) break;
+      results.set(demand.id, await routeDemand(demand));
+      done++;
+      if (onProgress) onProgress(done, state.demands.length, demand);
+    }
+    demandLoadState.results = results;
+    demandLoadState.routedAt = new Date().toISOString();
+    demandLoadState.stale = done < state.demands.length;
+    accumulateDemandLoads();
+    return done;
+  }
+
+  // Working + protection load on a link in Gbps, or null before any routing run
+  function getEdgeDemandLoad(edge) {
+    if (!demandLoadState.routedAt) return null;
+    const load = demandLoadState.linkLoads.get(edge.id);
+    return load ? load.working + load.protection : 0;
+  }
+
+  // Load as a percentage of the link's capacity (null when unknown)
+  function getEdgeDemandUtilisation(edge) {
+    const load = getEdgeDemandLoad(edge);
+    const capacity = calculateLinkCapacity(edge);
+    if (load === null || capacity <= 0) return null;
+    return load / capacity * 100;
+  }
+
+  function getMLGDemandUtilisation(mlg) {
+    const load = demandLoadState.mlgLoads.get(mlg.id) || 0;
+    const capacity = getCapacityTotalGbps(calculateMLGCapacity(mlg.segments));
+    return capacity > 0 ? load / capacity * 100 : null;
+  }
+
+  // Links loaded above the threshold, or carrying load with no capacity, worst first
+  function getOverloadedLinks(thresholdPercent = state.demandSettings.thresholdPercent) {
+    return state.edges
+      .map(edge => ({ edge, load: getEdgeDemandLoad(edge), capacity: calculateLinkCapacity(edge), utilisation: getEdgeDemandUtilisation(edge) }))
+      .filter(r => r.load > 0 && (r.utilisation === null || r.utilisation > thresholdPercent))
+      .sort((a, b) => (b.utilisation ?? Infinity) - (a.utilisation ?? Infinity));
+  }
+
+  function getDemandLinkLabel(edge) {
+    return edge.code || edge.name || `L-${edge.id}`;
+  }
+
+  function buildDemandMatrixExport() {
+    const nodeName = id => findNode(id)?.name || `Node ${id}`;
+    const pct = v => v === null ? '' : Math.round(v * 10) / 10;
+    const ms = v => (v === null || v === undefined) ? '' : Math.round(v * 100) / 100;
+    const demandRows = state.demands.map(d => {
+      const r = demandLoadState.results.get(d.id);
+      return [
+        d.name, nodeName(d.a), nodeName(d.z), d.gbps, getDemandProtectionLabel(d.protection),
+        DEMAND_STATUS[r ? r.status : 'pending'].label, r?.reason || '',
+        r?.primary?.summary || '', ms(r?.primary?.latency), r?.protection?.summary || '', ms(r?.protection?.latency)
+      ];
+    });
+    const linkRows = state.edges.filter(e => demandLoadState.linkLoads.has(e.id)).map(e => {
+      const load = demandLoadState.linkLoads.get(e.id);
+      return [getDemandLinkLabel(e), nodeName(e.a), nodeName(e.b), calculateLinkCapacity(e), load.working, load.protection, load.working + load.protection, pct(getEdgeDemandUtilisation(e))];
+    });
+    const mlgRows = (state.multilinkGroups || []).filter(m => demandLoadState.mlgLoads.has(m.id)).map(m => [
+      m.name || `MLG ${m.id}`, getCapacityTotalGbps(calculateMLGCapacity(m.segments)), demandLoadState.mlgLoads.get(m.id), pct(getMLGDemandUtilisation(m))
+    ]);
+    return {
+      fileName: 'neximap_demand_matrix',
+      sheets: [
+        { name: 'Demands', headers: ['Name', 'A-End', 'Z-End', 'Gbps', 'Protection', 'Status', 'Reason', 'Working Path', 'Working Latency (ms)', 'Protection Path', 'Protection Latency (ms)'], rows: demandRows },
+        { name: 'Link Loads', headers: ['Link', 'A-End', 'B-End', 'Capacity (Gbps)', 'Working (Gbps)', 'Protection (Gbps)', 'Total Load (Gbps)', 'Utilisation %'], rows: linkRows },
+        { name: 'MLG Loads', headers: ['MLG', 'Capacity (Gbps)', 'Load (Gbps)', 'Utilisation %'], rows: mlgRows }
+      ]
+    };
+  }
+
+  function markDemandsChanged() {
+    if (demandLoadState.routedAt) demandLoadState.stale = true;
+    commit();
+    renderDemandMatrix();
+  }
+
+  function refreshDemandLoadViews() {
+    if (document.getElementById('capacityEditorModal')?.style.display === 'flex') renderCapacityEditor();
+    if (heatMapState.active) {
+      calculateHeatMapRange();
+      updateHeatMapLegend();
+      renderCurrentView();
+    }
   }
 
-  // Display protection path result
-  function displayProtectionPathResult() {
-    const protection = routeFinderState.protectionPath;
-    if (!protection) return;
+  function showDemandMatrixDialog() {
+    document.getElementById('demandMatrixModal')?.remove();
 
-    const latencySpan = document.getElementById('protectionLatency');
-    const hopsSpan = document.getElementById('protectionHops');
-    const nodesDiv = document.getElementById('protectionPathNodes');
+    const modal = document.createElement('div');
+    modal.id = 'demandMatrixModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    const nodeOptions = state.nodes
+      .slice().sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+      .map(n => `<option value="${escapeHtml(n.code || n.name || '')}">${escapeHtml(n.code && n.name ? n.name : '')}</option>`).join('');
+    const protectionOptions = ['none', ...Object.keys(BULK_MLG_DIVERSITY)]
+      .map(p => `<option value="${p}">${getDemandProtectionLabel(p)}</option>`).join('');
 
-    // Use totalLatency if available, otherwise totalCost
-    const latency = protection.totalLatency || protection.totalCost || 0;
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:1100px; max-width:95vw; height:720px; max-height:92vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>📦 Demand Matrix</span>
+          <button id="dmClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div style="display:flex; gap:6px; align-items:center; padding:8px 20px; border-bottom:1px solid #f0f0f0; font-size:12px; flex-wrap:wrap;">
+          <datalist id="dmNodeList">${nodeOptions}</datalist>
+          <input type="text" id="dmA" list="dmNodeList" placeholder="A-End" style="width:130px;">
+          <input type="text" id="dmZ" list="dmNodeList" placeholder="Z-End" style="width:130px;">
+          <input type="text" id="dmGbps" placeholder="Gbps (e.g. 100, 1.2T)" style="width:120px;">
+          <select id="dmProtection">${protectionOptions}</select>
+          <input type="text" id="dmName" placeholder="Name (optional)" style="width:140px;">
+          <button class="btn primary" id="dmAdd">＋ Add</button>
+          <span style="flex:1;"></span>
+          <button class="btn" id="dmImport">📂 Import...</button>
+          <button class="btn" id="dmTemplate">⬇ Template</button>
+          <input type="file" id="dmFile" accept=".csv,.txt,.xlsx,.xls,.ods" style="display:none;">
+        </div>
+        <div style="display:flex; gap:10px; align-items:center; padding:8px 20px; border-bottom:1px solid #f0f0f0; background:#fafafa; font-size:12px;">
+          <label>Flag above <input type="number" id="dmThreshold" min="1" max="1000" step="1" value="${state.demandSettings.thresholdPercent}" style="width:56px;"> %</label>
+          <label title="Unprotected demands may ride existing MLGs; their load is added to the MLG's working links"><input type="checkbox" id="dmPreferMLGs" ${state.demandSettings.preferMLGs ? 'checked' : ''}> Route over MLGs</label>
+          <span style="flex:1;"></span>
+          <span id="dmProgress" style="color:#6b7280;"></span>
+          <button class="btn primary" id="dmRoute">▶ Route All</button>
+          <button class="btn" id="dmExport">⬇ Export XLSX</button>
+        </div>
+        <div style="display:flex; gap:4px; padding:8px 20px 0; font-size:12px;">
+          <button class="btn" data-dm-tab="demands">Demands</button>
+          <button class="btn" data-dm-tab="links">Links over threshold</button>
+          <button class="btn" data-dm-tab="mlgs">MLG loads</button>
+          <span style="flex:1;"></span>
+          <span id="dmSummary" style="color:#6b7280; align-self:center;"></span>
+        </div>
+        <div id="dmBody" style="flex:1; overflow:auto; padding:8px 20px 16px; font-size:12px;"></div>
+      </div>
+    `;
+    document.body.appendChild(modal);
 
-    if (latencySpan) latencySpan.textContent = `🕐 ${latency.toFixed(3)} ms`;
-    if (hopsSpan) hopsSpan.textContent = `📏 ${protection.segments?.length || 0} links`;
+    let running = false;
+    let cancelled = false;
+    const close = () => { cancelled = true; modal.remove(); };
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#dmClose').addEventListener('click', close);
 
-    // Show path with links: Node1 → [L-24] → Node2 → [L-23] → Node13
-    if (nodesDiv && protection.path && protection.segments) {
-      let pathStr = '';
-      for (let i = 0; i < protection.path.length; i++) {
-        const nodeId = protection.path[i];
-        const node = findNode(nodeId);
-        const nodeName = node?.name || node?.code || `N${nodeId}`;
+    modal.querySelectorAll('[data-dm-tab]').forEach(btn => btn.addEventListener('click', () => {
+      demandMatrixTab = btn.dataset.dmTab;
+      renderDemandMatrix();
+    }));
 
-        if (i > 0) {
-          // Add the link before this node
-          const segment = protection.segments[i - 1];
-          if (segment && segment.edgeId !== null && segment.edgeId !== undefined) {
-            const edge = state.edges.find(e => e.id === segment.edgeId);
-            const linkCode = edge?.code || `L-${segment.edgeId}`;
-            pathStr += ` → [${linkCode}] → `;
-          } else {
-            pathStr += ' → ';
-          }
-        }
-        pathStr += nodeName;
+    modal.querySelector('#dmAdd').addEventListener('click', () => {
+      const a = findBulkMLGNode(modal.querySelector('#dmA').value);
+      const z = findBulkMLGNode(modal.querySelector('#dmZ').value);
+      const gbps = parseDemandGbps(modal.querySelector('#dmGbps').value);
+      if (!a || !z) { showToast('❌ Pick an existing A-End and Z-End (code or name)'); return; }
+      if (a.id === z.id) { showToast('❌ A-End and Z-End are the same node'); return; }
+      if (gbps === null) { showToast('❌ Enter the demand in Gbps'); return; }
+      addDemand(a.id, z.id, gbps, modal.querySelector('#dmProtection').value, modal.querySelector('#dmName').value.trim());
+      modal.querySelector('#dmGbps').value = '';
+      modal.querySelector('#dmName').value = '';
+      demandMatrixTab = 'demands';
+      markDemandsChanged();
+    });
+
+    const fileInput = modal.querySelector('#dmFile');
+    modal.querySelector('#dmImport').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      try {
+        const { demands, errors } = parseDemandRows(await readFirstSheetRows(file));
+        demands.forEach(d => addDemand(d.a, d.z, d.gbps, d.protection, d.name));
+        demandMatrixTab = 'demands';
+        if (demands.length > 0) markDemandsChanged();
+        const skipped = errors.length > 0 ? `, ${errors.length} row(s) skipped (row ${errors[0].row}: ${errors[0].reason}${errors.length > 1 ? ', …' : ''})` : '';
+        showToast(`${demands.length > 0 ? '📦' : '❌'} ${demands.length} demand(s) imported${skipped}`);
+      } catch (err) {
+        showToast(`❌ Could not read ${file.name}: ${err.message}`);
       }
-      nodesDiv.innerHTML = `<span style="font-family: monospace; font-size: 11px;">${pathStr}</span>`;
-    }
-  }
+    });
 
-  // Save as protected MLG with segments
-  function saveProtectedMLG() {
-    const primaryRoute = routeFinderState.primaryPathForProtection;
-    const protectionPath = routeFinderState.protectionPath;
+    modal.querySelector('#dmTemplate').addEventListener('click', () => {
+      downloadTemplateAsCSV({
+        fileName: 'neximap_demand_template',
+        sheets: [{
+          name: 'Demands',
+          headers: ['Name', 'A-End', 'Z-End', 'Gbps', 'Protection'],
+          rows: [
+            ['Customer A wave', 'MAD', 'LON', 100, 'none'],
+            ['Backbone 400G', 'LON', 'FRA', 400, 'link'],
+            ['DC interconnect', 'FRA', 'AMS', '1.2T', 'srlg']
+          ]
+        }]
+      }, 'xlsx');
+    });
 
-    if (!primaryRoute || !protectionPath) {
-      showToast('❌ Both primary and protection paths required');
-      return;
-    }
+    modal.querySelector('#dmThreshold').addEventListener('change', (e) => {
+      state.demandSettings.thresholdPercent = Math.max(1, parseFloat(e.target.value) || 80);
+      e.target.value = state.demandSettings.thresholdPercent;
+      commit();
+      renderDemandMatrix();
+      refreshDemandLoadViews();
+    });
+    modal.querySelector('#dmPreferMLGs').addEventListener('change', (e) => {
+      state.demandSettings.preferMLGs = e.target.checked;
+      markDemandsChanged();
+    });
+
+    const routeBtn = modal.querySelector('#dmRoute');
+    const progressEl = modal.querySelector('#dmProgress');
+    routeBtn.addEventListener('click', async () => {
+      if (running) { cancelled = true; return; }
+      if (state.demands.length === 0) { showToast('Add or import demands first'); return; }
+      running = true;
+      cancelled = false;
+      routeBtn.textContent = '■ Cancel';
+      const done = await routeAllDemands((n, total, demand) => {
+        progressEl.textContent = `Routed ${n} / ${total}: ${findNode(demand.a)?.name || ''} → ${findNode(demand.z)?.name || ''}`;
+      }, () => cancelled);
+      running = false;
+      refreshDemandLoadViews();
+      if (!document.body.contains(modal)) return;
+      routeBtn.textContent = '▶ Route All';
+      progressEl.textContent = '';
+      const failed = [...demandLoadState.results.values()].filter(r => r.status === 'failed').length;
+      const over = getOverloadedLinks().length;
+      if (over > 0) demandMatrixTab = 'links';
+      renderDemandMatrix();
+      showToast(cancelled
+        ? `⏹ Stopped after ${done} of ${state.demands.length} demand(s)`
+        : `✅ ${done - failed} of ${done} demand(s) routed${over > 0 ? ` · ${over} link(s) above ${state.demandSettings.thresholdPercent}%` : ''}`);
+    });
+
+    modal.querySelector('#dmExport').addEventListener('click', () => {
+      if (state.demands.length === 0) { showToast('No demands to export'); return; }
+      downloadTemplateAsCSV(buildDemandMatrixExport(), 'xlsx');
+    });
+
+    modal.querySelector('#dmBody').addEventListener('click', (e) => {
+      const del = e.target.closest('[data-demand-delete]');
+      if (del) {
+        const id = +del.dataset.demandDelete;
+        state.demands = state.demands.filter(d => d.id !== id);
+        demandLoadState.results.delete(id);
+        markDemandsChanged();
+        return;
+      }
+      const row = e.target.closest('[data-edge-id]');
+      if (row) {
+        setMultiSelection({});
+        state.selected = { type: 'edge', id: +row.dataset.edgeId };
+        render();
+      }
+    });
 
-    // Get closure nodes in order
-    const closureNodes = primaryRoute.path.filter(nodeId =>
-      routeFinderState.protectionClosureNodes.has(nodeId)
-    );
+    renderDemandMatrix();
+  }
 
-    if (closureNodes.length < 2) {
-      showToast('❌ At least 2 closure nodes required');
+  function renderDemandMatrix() {
+    const modal = document.getElementById('demandMatrixModal');
+    if (!modal) return;
+    const body = modal.querySelector('#dmBody');
+    const threshold = state.demandSettings.thresholdPercent;
+    const nodeName = id => escapeHtml(findNode(id)?.name || `Node ${id}`);
+    const th = 'padding:6px 8px; text-align:left; font-weight:600; color:#374151; border-bottom:1px solid #e5e7eb; white-space:nowrap; position:sticky; top:0; background:white;';
+    const td = 'padding:5px 8px; border-bottom:1px solid #f3f4f6; white-space:nowrap;';
+    const num = `${td} text-align:right;`;
+    const fmt = v => Math.round(v * 10) / 10;
+    const fmtMs = v => Math.round(v * 100) / 100;
+    const utilCell = u => u === null
+      ? `<td style="${num} color:#b91c1c;" title="No capacity entered on this link">no capacity</td>`
+      : `<td style="${num} font-weight:600; color:${u > 100 ? '#b91c1c' : u > threshold ? '#b45309' : '#047857'};">${fmt(u)}%</td>`;
+
+    modal.querySelectorAll('[data-dm-tab]').forEach(btn => btn.classList.toggle('primary', btn.dataset.dmTab === demandMatrixTab));
+
+    const total = state.demands.reduce((sum, d) => sum + d.gbps, 0);
+    const routedText = demandLoadState.routedAt
+      ? `routed ${new Date(demandLoadState.routedAt).toLocaleTimeString()}${demandLoadState.stale ? ' · <span style="color:#b45309;">changed since - route again</span>' : ''}`
+      : 'not routed yet';
+    modal.querySelector('#dmSummary').innerHTML = `${state.demands.length} demand(s) · ${fmt(total).toLocaleString()} Gbps · ${routedText}`;
+
+    if (demandMatrixTab === 'links') {
+      const rows = getOverloadedLinks(threshold);
+      body.innerHTML = !demandLoadState.routedAt
+        ? '<div style="padding:40px; text-align:center; color:#999;">Route the demands to see link loads.</div>'
+        : rows.length === 0
+          ? `<div style="padding:40px; text-align:center; color:#047857;">✅ No link is loaded above ${threshold}%.</div>`
+          : `<table style="border-collapse:collapse; width:100%;">
+              <thead><tr><th style="${th}">Link</th><th style="${th}">A-End</th><th style="${th}">B-End</th>
+                <th style="${th} text-align:right;">Capacity (Gbps)</th><th style="${th} text-align:right;">Working</th>
+                <th style="${th} text-align:right;">Protection</th><th style="${th} text-align:right;">Utilisation</th></tr></thead>
+              <tbody>${rows.map(r => {
+                const load = demandLoadState.linkLoads.get(r.edge.id);
+                return `<tr data-edge-id="${r.edge.id}" style="cursor:pointer;" title="Select on canvas">
+                  <td style="${td} font-weight:500;">${escapeHtml(getDemandLinkLabel(r.edge))}</td>
+                  <td style="${td}">${nodeName(r.edge.a)}</td><td style="${td}">${nodeName(r.edge.b)}</td>
+                  <td style="${num}">${r.capacity.toLocaleString()}</td><td style="${num}">${fmt(load.working)}</td>
+                  <td style="${num}">${fmt(load.protection)}</td>${utilCell(r.utilisation)}
+                </tr>`;
+              }).join('')}</tbody>
+            </table>`;
       return;
     }
 
-    const originNode = findNode(closureNodes[0]);
-    const destNode = findNode(closureNodes[closureNodes.length - 1]);
-    const originName = originNode?.name || originNode?.code || `N${closureNodes[0]}`;
-    const destName = destNode?.name || destNode?.code || `N${closureNodes[closureNodes.length - 1]}`;
-
-    // Prompt for MLG name
-    const defaultName = `Protected: ${originName} → ${destName}`;
-    const mlgName = prompt('Enter a name for the Protected MLG:', defaultName);
-
-    if (!mlgName) {
-      showToast('⚠️ MLG save cancelled');
+    if (demandMatrixTab === 'mlgs') {
+      const mlgs = (state.multilinkGroups || []).filter(m => demandLoadState.mlgLoads.has(m.id));
+      body.innerHTML = mlgs.length === 0
+        ? `<div style="padding:40px; text-align:center; color:#999;">No demand is carried through an MLG.${state.demandSettings.preferMLGs ? '' : ' Enable "Route over MLGs" and route again.'}</div>`
+        : `<table style="border-collapse:collapse; width:100%;">
+            <thead><tr><th style="${th}">MLG</th><th style="${th} text-align:right;">Capacity (Gbps)</th>
+              <th style="${th} text-align:right;">Load (Gbps)</th><th style="${th} text-align:right;">Utilisation</th></tr></thead>
+            <tbody>${mlgs.map(m => `<tr>
+              <td style="${td} font-weight:500;">${escapeHtml(m.name || `MLG ${m.id}`)}</td>
+              <td style="${num}">${getCapacityTotalGbps(calculateMLGCapacity(m.segments)).toLocaleString()}</td>
+              <td style="${num}">${fmt(demandLoadState.mlgLoads.get(m.id))}</td>${utilCell(getMLGDemandUtilisation(m))}
+            </tr>`).join('')}</tbody>
+          </table>`;
       return;
     }
 
-    // Build segments between consecutive closure nodes in proper MLG structure
-    const segments = [];
-    let segmentId = 1;
-    let pathId = 1;
+    body.innerHTML = state.demands.length === 0
+      ? '<div style="padding:40px; text-align:center; color:#999;">Add demands above or import a CSV/XLSX with A-End, Z-End, Gbps and Protection columns.</div>'
+      : `<table style="border-collapse:collapse; width:100%;">
+          <thead><tr><th style="${th}">Name</th><th style="${th}">A-End</th><th style="${th}">Z-End</th>
+            <th style="${th} text-align:right;">Gbps</th><th style="${th}">Protection</th><th style="${th}">Status</th>
+            <th style="${th}">Working path</th><th style="${th}">Protection path</th><th style="${th}"></th></tr></thead>
+          <tbody>${state.demands.map(d => {
+            const r = demandLoadState.results.get(d.id);
+            const status = DEMAND_STATUS[r ? r.status : 'pending'];
+            return `<tr>
+              <td style="${td}">${escapeHtml(d.name || '')}</td>
+              <td style="${td}">${nodeName(d.a)}</td><td style="${td}">${nodeName(d.z)}</td>
+              <td style="${num}">${d.gbps.toLocaleString()}</td>
+              <td style="${td}">${getDemandProtectionLabel(d.protection)}</td>
+              <td style="${td} color:${status.color}; font-weight:600;" title="${escapeHtml(r?.reason || '')}">${status.label}${r?.reason ? ' ⓘ' : ''}</td>
+              <td style="${td} color:#6b7280;">${r?.primary ? `${r.primary.links.length} link(s)${r.primary.mlgs.length ? ` + ${r.primary.mlgs.length} MLG(s)` : ''} · ${fmtMs(r.primary.latency)} ms` : '—'}</td>
+              <td style="${td} color:#6b7280;">${r?.protection ? `${r.protection.links.length} link(s) · ${fmtMs(r.protection.latency)} ms` : '—'}</td>
+              <td style="${td} text-align:right;"><button class="btn" data-demand-delete="${d.id}" title="Delete demand">🗑</button></td>
+            </tr>`;
+          }).join('')}</tbody>
+        </table>`;
+  }
+
+  document.getElementById('miDemandMatrix')?.addEventListener('click', () => {
+    closeAllMenus();
+    showDemandMatrixDialog();
+  });
 
-    for (let i = 0; i < closureNodes.length - 1; i++) {
-      const fromNode = closureNodes[i];
-      const toNode = closureNodes[i + 1];
+  // ============== END DEMAND MATRIX ==============
 
-      // Get primary path links for this segment
-      const primarySegmentLinks = getPathLinksBetweenNodes(primaryRoute, fromNode, toNode);
-      const primaryLatency = calculateLinksLatency(primarySegmentLinks);
+  // ============== GROWTH FORECAST ==============
+  // Grows the Demand Matrix demands year by year (rates per region, node tag
+  // and year range), replays them over the last routing run and reports when
+  // each link and cable system crosses the planning threshold and runs out.
 
-      // Get protection path links for this segment
-      const protectionSegmentLinks = getPathLinksBetweenNodes(protectionPath, fromNode, toNode);
-      const protectionLatency = calculateLinksLatency(protectionSegmentLinks);
+  const GROWTH_TIER_GBPS = { '10G': 10, '100G': 100, '400G': 400 };
 
-      // Create segment with proper MLG structure
-      segments.push({
-        id: segmentId++,
-        fromNode: fromNode,
-        toNode: toNode,
-        paths: [
-          {
-            id: pathId++,
-            type: 'primary',
-            role: 'primary',
-            links: primarySegmentLinks,
-            latency: primaryLatency
-          },
-          {
-            id: pathId++,
-            type: 'protection',
-            role: 'protection',
-            links: protectionSegmentLinks,
-            latency: protectionLatency
-          }
-        ],
-        latency: Math.min(primaryLatency, protectionLatency),
-        isDiverse: protectionSegmentLinks.length > 0,
-        diversityWarning: protectionSegmentLinks.length === 0 ? 'No protection path for this segment' : null
-      });
+  let growthForecastTab = 'timeline';   // 'timeline' | 'links' | 'cables'
+  let lastGrowthForecast = null;
+
+  function getGrowthBaseYear() {
+    return state.growthSettings.baseYear || new Date().getFullYear();
+  }
+
+  // Region box a node sits in, directly or through any chain of nested containers
+  function getNodeRegionId(node) {
+    const seen = new Set();
+    let group = node.groupId ? findGroup(node.groupId) : null;
+    while (group && !seen.has(group.id)) {
+      if (group.type === 'region') return group.id;
+      seen.add(group.id);
+      group = group.parentId ? findGroup(group.parentId) : null;
     }
+    return null;
+  }
 
-    // Calculate total latencies
-    const primaryLatency = primaryRoute.totalLatency || primaryRoute.totalCost || 0;
-    const protectionLatency = protectionPath.totalLatency || protectionPath.totalCost || 0;
+  function getGrowthRuleLabel(rule) {
+    if (rule.scope === 'region') return `Region: ${findGroup(rule.key)?.title || `Group${rule.key}`}`;
+    return `Tag: ${rule.key}`;
+  }
 
-    const mlgId = 'mlg_' + Date.now();
-    const now = new Date().toISOString();
-    const mlg = {
-      id: mlgId,
-      name: mlgName.trim(),
-      color: '#f59e0b',
-      description: `Ring-protected route\nPrimary: ${primaryLatency.toFixed(3)} ms\nProtection: ${protectionLatency.toFixed(3)} ms`,
-      type: 'ring',
-      topology: 'ring',
-      segments: segments,
-      totalLatency: primaryLatency,
-      protectionLatency: protectionLatency,
-      originNode: closureNodes[0],
-      destinationNode: closureNodes[closureNodes.length - 1],
-      endpointA: closureNodes[0],
-      endpointB: closureNodes[closureNodes.length - 1],
-      source: 'pathfinder-protection',
-      closureNodes: closureNodes,
-      isDiverse: true,
-      diversityWarning: null,
-      warnings: [],
-      tags: [],
-      // Timestamps
-      created: now,
-      modified: now,
-      // Capacity fields
-      calcCap1G: 0,
-      calcCap10G: 0,
-      calcCap100G: 0,
-      calcCap400G: 0,
-      calcCapTbps: 0,
-      overrideCap1G: null,
-      overrideCap10G: null,
-      overrideCap100G: null,
-      overrideCap400G: null,
-      overrideCapTbps: null,
-      // Commercial cost fields
-      calcLeaseNRC: 0,
-      calcLeaseMRC: 0,
-      calcIRUFee: 0,
-      calcIRUOAM: 0,
-      overrideLeaseNRC: null,
-      overrideLeaseMRC: null,
-      overrideIRUFee: null,
-      overrideIRUOAM: null,
-      // IRU term fields
-      iruTerm: state.financialSettings?.defaultIRUTerm || 15,
-      iruOamAnnualIncrement: state.financialSettings?.defaultOAMIncrement || 0,
-      commercialCostMode: state.financialSettings?.defaultCommercialMode || 'lease'
-    };
+  /**
+   * Yearly growth for a demand. A node-tag rule on either end wins over a
+   * region rule, which wins over the default; when several rules of the same
+   * kind apply the highest rate is used.
+   * @returns {number} Growth in percent for that year
+   */
+  function getDemandGrowthPercent(demand, year) {
+    const nodes = [findNode(demand.a), findNode(demand.z)].filter(Boolean);
+    const tags = new Set();
+    nodes.forEach(n => getNodeTags(n).forEach(t => tags.add(t)));
+    const regions = new Set(nodes.map(getNodeRegionId).filter(id => id !== null));
+
+    const active = state.growthSettings.rules.filter(r =>
+      (r.fromYear == null || year >= r.fromYear) && (r.toYear == null || year <= r.toYear));
+    const tagRates = active.filter(r => r.scope === 'tag' && tags.has(String(r.key).toLowerCase())).map(r => r.percent);
+    if (tagRates.length > 0) return Math.max(...tagRates);
+    const regionRates = active.filter(r => r.scope === 'region' && regions.has(r.key)).map(r => r.percent);
+    if (regionRates.length > 0) return Math.max(...regionRates);
+    return state.growthSettings.defaultPercent;
+  }
+
+  // Cost of one upgrade unit, from the link's own prices or the financial defaults
+  function getUpgradeUnitCost(edge) {
+    const gs = state.growthSettings;
+    const fs = state.financialSettings;
+    const tier = gs.upgradeTier;
+    const mult = fs.tierMultipliers?.[tier] || 1;
+    if (gs.costBasis === 'lease') {
+      const nrc = (edge && getValueForTier(edge.leaseNRC, tier, 0)) || (fs.defaultNRC || 0) * mult;
+      const mrc = (edge && getValueForTier(edge.leaseMRC, tier, 0)) || (fs.defaultMRC || 0) * mult;
+      return nrc + 12 * mrc;
+    }
+    return (edge && getValueForTier(edge.iruFee, tier, 0)) || (fs.defaultIRU || 0) * mult;
+  }
+
+  // Threshold/exhaustion years and the upgrade needed to stay under the threshold at the horizon
+  function assessGrowthItem(item, years, unitCost) {
+    const threshold = state.demandSettings.thresholdPercent / 100;
+    const tierGbps = GROWTH_TIER_GBPS[state.growthSettings.upgradeTier];
+    const upgradeIdx = item.loads.findIndex(load => load > item.capacity * threshold);
+    const exhaustIdx = item.loads.findIndex(load => load > item.capacity);
+    const peak = item.loads[item.loads.length - 1];
+    const shortfall = Math.max(0, peak / threshold - item.capacity);
+    const units = Math.ceil(shortfall / tierGbps);
+    return Object.assign(item, {
+      upgradeYear: upgradeIdx === -1 ? null : years[upgradeIdx],
+      exhaustYear: exhaustIdx === -1 ? null : years[exhaustIdx],
+      units,
+      cost: units * unitCost
+    });
+  }
 
-    console.log('[Protection] Saving MLG:', mlg);
+  /**
+   * Project every routed demand over the horizon and assess each loaded link
+   * and cable system. Cable system capacity is fiberPairs × capacityTbps; its
+   * load is that of its busiest span (parallel links on a span are summed).
+   * Cable systems without that data are listed as capacity unknown and never
+   * scheduled for an upgrade.
+   * @returns {Object} { years, links, cables, timeline, unrouted }
+   */
+  function buildGrowthForecast() {
+    const gs = state.growthSettings;
+    const baseYear = getGrowthBaseYear();
+    const years = Array.from({ length: gs.horizonYears + 1 }, (_, i) => baseYear + i);
+    const zeros = () => years.map(() => 0);
+
+    const linkLoads = new Map();
+    let unrouted = 0;
+    state.demands.forEach(demand => {
+      const result = demandLoadState.results.get(demand.id);
+      if (!result || result.status !== 'routed') { unrouted++; return; }
+      let volume = demand.gbps;
+      const volumes = years.map((year, i) => (i === 0 ? volume : (volume *= 1 + getDemandGrowthPercent(demand, year) / 100)));
+      getDemandLoadedLinks(result).forEach(({ id }) => {
+        if (!linkLoads.has(id)) linkLoads.set(id, zeros());
+        const loads = linkLoads.get(id);
+        volumes.forEach((v, i) => { loads[i] += v; });
+      });
+    });
+
+    const links = state.edges.filter(e => linkLoads.has(e.id)).map(edge => assessGrowthItem({
+      kind: 'link',
+      id: edge.id,
+      label: getDemandLinkLabel(edge),
+      detail: `${findNode(edge.a)?.name || edge.a} ↔ ${findNode(edge.b)?.name || edge.b}`,
+      capacity: calculateLinkCapacity(edge),
+      loads: linkLoads.get(edge.id)
+    }, years, getUpgradeUnitCost(edge)));
+
+    const cables = [];
+    state.cableSystems.forEach(cs => {
+      const spans = new Map();
+      state.edges.filter(e => e.cableSystemId === cs.id && linkLoads.has(e.id)).forEach(e => {
+        const key = e.a < e.b ? `${e.a}-${e.b}` : `${e.b}-${e.a}`;
+        if (!spans.has(key)) spans.set(key, zeros());
+        const span = spans.get(key);
+        linkLoads.get(e.id).forEach((v, i) => { span[i] += v; });
+      });
+      if (spans.size === 0) return;
+      const loads = years.map((_, i) => Math.max(...[...spans.values()].map(span => span[i])));
+      const capacity = (cs.fiberPairs || 0) * (cs.capacityTbps || 0) * 1000;
+      const item = {
+        kind: 'cable',
+        id: cs.id,
+        label: cs.shortName || cs.name,
+        detail: `${cs.fiberPairs || 0} FP × ${cs.capacityTbps || 0} Tbps`,
+        capacity: capacity > 0 ? capacity : null,
+        loads
+      };
+      cables.push(item.capacity === null
+        ? Object.assign(item, { upgradeYear: null, exhaustYear: null, units: 0, cost: 0 })
+        : assessGrowthItem(item, years, getUpgradeUnitCost(null)));
+    });
 
-    // Add to MLGs
-    if (!state.multilinkGroups) state.multilinkGroups = [];
-    state.multilinkGroups.push(mlg);
+    const timeline = [...links, ...cables]
+      .filter(item => item.upgradeYear !== null)
+      .sort((a, b) => a.upgradeYear - b.upgradeYear || (a.exhaustYear ?? Infinity) - (b.exhaustYear ?? Infinity) || b.cost - a.cost);
 
-    // Clear protection state
-    routeFinderState.protectionPath = null;
-    routeFinderState.primaryPathForProtection = null;
-    routeFinderState.protectionClosureNodes.clear();
-    routeFinderState.storedRoutesForProtection = null;
-    routeFinderState.storedActiveRouteIndex = 0;
+    return { years, links, cables, timeline, unrouted };
+  }
 
-    // Hide protection UI
-    const protectionResultDiv = document.getElementById('protectionPathResult');
-    const protectionErrorDiv = document.getElementById('protectionPathError');
-    const saveProtectedMLGContainer = document.getElementById('saveProtectedMLGContainer');
-    if (protectionResultDiv) protectionResultDiv.style.display = 'none';
-    if (protectionErrorDiv) protectionErrorDiv.style.display = 'none';
-    if (saveProtectedMLGContainer) saveProtectedMLGContainer.style.display = 'none';
+  function buildGrowthForecastExport(forecast) {
+    const gs = state.growthSettings;
+    const currency = state.financialSettings.baseCurrency;
+    const round = v => Math.round(v * 10) / 10;
+    const kindLabel = item => item.kind === 'cable' ? 'Cable System' : 'Link';
+    const itemRows = items => items.map(item => [item.label, item.detail, item.capacity ?? 'unknown', ...item.loads.map(round), item.upgradeYear ?? '', item.exhaustYear ?? '']);
+    const yearHeaders = forecast.years.map(y => `${y} (Gbps)`);
+    return {
+      fileName: 'neximap_growth_forecast',
+      sheets: [
+        {
+          name: 'Upgrade Timeline',
+          headers: ['Upgrade By', 'Exhausts', 'Type', 'Name', 'Detail', 'Capacity (Gbps)', `Load ${forecast.years[forecast.years.length - 1]} (Gbps)`, `Units (${gs.upgradeTier})`, `Est. Cost (${currency})`],
+          rows: forecast.timeline.map(item => [
+            item.upgradeYear, item.exhaustYear ?? '', kindLabel(item), item.label, item.detail, item.capacity,
+            round(item.loads[item.loads.length - 1]), item.units, Math.round(item.cost * 100) / 100
+          ])
+        },
+        { name: 'Link Forecast', headers: ['Link', 'Endpoints', 'Capacity (Gbps)', ...yearHeaders, 'Upgrade By', 'Exhausts'], rows: itemRows(forecast.links) },
+        { name: 'Cable System Forecast', headers: ['Cable System', 'Fiber Pairs × Capacity', 'Capacity (Gbps)', ...yearHeaders, 'Upgrade By', 'Exhausts'], rows: itemRows(forecast.cables) },
+        {
+          name: 'Growth Rules',
+          headers: ['Applies To', 'Growth %/yr', 'From Year', 'To Year'],
+          rows: [['Default', gs.defaultPercent, '', ''], ...gs.rules.map(r => [getGrowthRuleLabel(r), r.percent, r.fromYear ?? '', r.toYear ?? ''])]
+        }
+      ]
+    };
+  }
 
-    commit();
-    render();
-    showToast(`✓ Protected MLG "${mlg.name}" created!`);
+  function showGrowthForecastDialog() {
+    document.getElementById('growthForecastModal')?.remove();
+    lastGrowthForecast = null;
 
-    // Open MLG Manager to show the new MLG
-    const multilinkManager = document.getElementById('multilinkManager');
-    if (multilinkManager) {
-      multilinkManager.style.display = 'flex';
-    }
+    const modal = document.createElement('div');
+    modal.id = 'growthForecastModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    const gs = state.growthSettings;
+    const tierOptions = Object.keys(GROWTH_TIER_GBPS)
+      .map(t => `<option value="${t}" ${gs.upgradeTier === t ? 'selected' : ''}>${t}</option>`).join('');
+    const tagOptions = [...new Set(state.nodes.flatMap(n => [...getNodeTags(n)]))].sort()
+      .map(t => `<option value="${escapeHtml(t)}"></option>`).join('');
 
-    // Refresh MLG manager
-    if (typeof window.refreshMultilinkManager === 'function') {
-      window.refreshMultilinkManager();
-    }
-  }
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:1100px; max-width:95vw; height:740px; max-height:92vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>📈 Growth Forecast &amp; Upgrade Plan</span>
+          <button id="gfClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div style="display:flex; gap:12px; align-items:center; padding:8px 20px; border-bottom:1px solid #f0f0f0; background:#fafafa; font-size:12px; flex-wrap:wrap;">
+          <label>From <input type="number" id="gfBaseYear" min="2000" max="2100" step="1" value="${getGrowthBaseYear()}" style="width:64px;"></label>
+          <label>Horizon <input type="number" id="gfHorizon" min="1" max="30" step="1" value="${gs.horizonYears}" style="width:48px;"> years</label>
+          <label>Default growth <input type="number" id="gfDefault" min="-100" max="1000" step="1" value="${gs.defaultPercent}" style="width:56px;"> %/yr</label>
+          <label title="Set in the Demand Matrix">Upgrade above <b>${state.demandSettings.thresholdPercent}%</b></label>
+          <label>Upgrade unit <select id="gfTier">${tierOptions}</select></label>
+          <label>Cost <select id="gfCostBasis">
+            <option value="iru" ${gs.costBasis === 'iru' ? 'selected' : ''}>IRU fee</option>
+            <option value="lease" ${gs.costBasis === 'lease' ? 'selected' : ''}>Lease (NRC + 12 × MRC)</option>
+          </select></label>
+        </div>
+        <div style="padding:8px 20px; border-bottom:1px solid #f0f0f0; font-size:12px;">
+          <div style="display:flex; gap:6px; align-items:center; flex-wrap:wrap;">
+            <b style="margin-right:4px;">Growth rules</b>
+            <select id="gfRuleScope"><option value="region">Region</option><option value="tag">Node tag</option></select>
+            <select id="gfRuleRegion">${state.groups.filter(g => g.type === 'region').map(g => `<option value="${g.id}">${escapeHtml(g.title || `Group${g.id}`)}</option>`).join('')}</select>
+            <datalist id="gfTagList">${tagOptions}</datalist>
+            <input type="text" id="gfRuleTag" list="gfTagList" placeholder="tag" style="width:110px; display:none;">
+            <input type="number" id="gfRulePercent" step="1" placeholder="%/yr" style="width:60px;">
+            <input type="number" id="gfRuleFrom" step="1" placeholder="from year" style="width:80px;">
+            <input type="number" id="gfRuleTo" step="1" placeholder="to year" style="width:80px;">
+            <button class="btn" id="gfAddRule">＋ Add rule</button>
+            <span style="flex:1;"></span>
+            <button class="btn primary" id="gfRun">▶ Run Forecast</button>
+            <button class="btn" id="gfExport">⬇ Export XLSX</button>
+          </div>
+          <div id="gfRules" style="margin-top:6px; display:flex; gap:6px; flex-wrap:wrap;"></div>
+        </div>
+        <div style="display:flex; gap:4px; padding:8px 20px 0; font-size:12px;">
+          <button class="btn" data-gf-tab="timeline">Upgrade timeline</button>
+          <button class="btn" data-gf-tab="links">Links</button>
+          <button class="btn" data-gf-tab="cables">Cable systems</button>
+          <span style="flex:1;"></span>
+          <span id="gfSummary" style="color:#6b7280; align-self:center;"></span>
+        </div>
+        <div id="gfBody" style="flex:1; overflow:auto; padding:8px 20px 16px; font-size:12px;"></div>
+      </div>
+    `;
+    document.body.appendChild(modal);
 
-  // Helper: Calculate total latency of a list of link IDs
-  function calculateLinksLatency(linkIds) {
-    let total = 0;
-    linkIds.forEach(linkId => {
-      const edge = state.edges.find(e => e.id === linkId);
-      if (edge) {
-        total += parseFloat(edge.latencyMs) || parseFloat(edge.latency) || 0;
-      }
-    });
-    return total;
-  }
+    const close = () => modal.remove();
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#gfClose').addEventListener('click', close);
+
+    // Settings changes invalidate the last forecast
+    const settingChanged = () => { lastGrowthForecast = null; commit(); renderGrowthForecast(); };
+    modal.querySelector('#gfBaseYear').addEventListener('change', (e) => {
+      const year = parseInt(e.target.value);
+      gs.baseYear = year && year !== new Date().getFullYear() ? year : null;
+      settingChanged();
+    });
+    modal.querySelector('#gfHorizon').addEventListener('change', (e) => {
+      gs.horizonYears = Math.min(30, Math.max(1, parseInt(e.target.value) || 10));
+      e.target.value = gs.horizonYears;
+      settingChanged();
+    });
+    modal.querySelector('#gfDefault').addEventListener('change', (e) => {
+      gs.defaultPercent = parseFloat(e.target.value) || 0;
+      settingChanged();
+    });
+    modal.querySelector('#gfTier').addEventListener('change', (e) => { gs.upgradeTier = e.target.value; settingChanged(); });
+    modal.querySelector('#gfCostBasis').addEventListener('change', (e) => { gs.costBasis = e.target.value; settingChanged(); });
+
+    const scopeSel = modal.querySelector('#gfRuleScope');
+    scopeSel.addEventListener('change', () => {
+      modal.querySelector('#gfRuleRegion').style.display = scopeSel.value === 'region' ? '' : 'none';
+      modal.querySelector('#gfRuleTag').style.display = scopeSel.value === 'tag' ? '' : 'none';
+    });
+    modal.querySelector('#gfAddRule').addEventListener('click', () => {
+      const scope = scopeSel.value;
+      const key = scope === 'region'
+        ? parseInt(modal.querySelector('#gfRuleRegion').value)
+        : modal.querySelector('#gfRuleTag').value.trim().toLowerCase();
+      const percent = parseFloat(modal.querySelector('#gfRulePercent').value);
+      const fromYear = parseInt(modal.querySelector('#gfRuleFrom').value) || null;
+      const toYear = parseInt(modal.querySelector('#gfRuleTo').value) || null;
+      if (scope === 'region' && !key) { showToast('❌ Draw a region group box first'); return; }
+      if (scope === 'tag' && !key) { showToast('❌ Enter a node tag'); return; }
+      if (isNaN(percent)) { showToast('❌ Enter the yearly growth in %'); return; }
+      if (fromYear && toYear && toYear < fromYear) { showToast('❌ "To year" is before "from year"'); return; }
+      gs.rules.push({ scope, key, percent, fromYear, toYear });
+      modal.querySelector('#gfRulePercent').value = '';
+      settingChanged();
+    });
+    modal.querySelector('#gfRules').addEventListener('click', (e) => {
+      const del = e.target.closest('[data-rule-idx]');
+      if (!del) return;
+      gs.rules.splice(+del.dataset.ruleIdx, 1);
+      settingChanged();
+    });
+
+    modal.querySelectorAll('[data-gf-tab]').forEach(btn => btn.addEventListener('click', () => {
+      growthForecastTab = btn.dataset.gfTab;
+      renderGrowthForecast();
+    }));
 
-  // Helper: Get link IDs between two nodes in a path
-  function getPathLinksBetweenNodes(route, fromNode, toNode) {
-    if (!route || !route.path || !route.segments) return [];
+    const runBtn = modal.querySelector('#gfRun');
+    runBtn.addEventListener('click', async () => {
+      if (state.demands.length === 0) { showToast('Add demands in the Demand Matrix first'); return; }
+      runBtn.disabled = true;
+      // Route (again) when the Demand Matrix has never been routed or has changed since
+      if (!demandLoadState.routedAt || demandLoadState.stale) {
+        runBtn.textContent = 'Routing demands...';
+        await routeAllDemands();
+        refreshDemandLoadViews();
+      }
+      runBtn.disabled = false;
+      runBtn.textContent = '▶ Run Forecast';
+      if (!document.body.contains(modal)) return;
+      lastGrowthForecast = buildGrowthForecast();
+      renderGrowthForecast();
+    });
+
+    modal.querySelector('#gfExport').addEventListener('click', () => {
+      if (!lastGrowthForecast) { showToast('Run the forecast first'); return; }
+      downloadTemplateAsCSV(buildGrowthForecastExport(lastGrowthForecast), 'xlsx');
+    });
+
+    modal.querySelector('#gfBody').addEventListener('click', (e) => {
+      const row = e.target.closest('[data-edge-id]');
+      if (!row) return;
+      setMultiSelection({});
+      state.selected = { type: 'edge', id: +row.dataset.edgeId };
+      render();
+    });
 
-    const links = [];
-    const fromIdx = route.path.indexOf(fromNode);
-    const toIdx = route.path.indexOf(toNode);
+    renderGrowthForecast();
+  }
 
-    if (fromIdx === -1 || toIdx === -1 || fromIdx >= toIdx) return [];
+  function renderGrowthForecast() {
+    const modal = document.getElementById('growthForecastModal');
+    if (!modal) return;
+    const gs = state.growthSettings;
+    const body = modal.querySelector('#gfBody');
+
+    modal.querySelector('#gfRules').innerHTML = gs.rules.length === 0
+      ? `<span style="color:#9ca3af;">No rules - every demand grows ${gs.defaultPercent}%/yr.</span>`
+      : gs.rules.map((r, idx) => `
+          <span style="background:#eef2ff; border:1px solid #c7d2fe; border-radius:12px; padding:2px 8px;">
+            ${escapeHtml(getGrowthRuleLabel(r))} · <b>${r.percent}%/yr</b>${r.fromYear || r.toYear ? ` · ${r.fromYear || '…'}–${r.toYear || '…'}` : ''}
+            <a href="#" data-rule-idx="${idx}" title="Remove rule" style="color:#6b7280; text-decoration:none; margin-left:4px;">×</a>
+          </span>`).join('');
+
+    modal.querySelectorAll('[data-gf-tab]').forEach(btn => btn.classList.toggle('primary', btn.dataset.gfTab === growthForecastTab));
+
+    const forecast = lastGrowthForecast;
+    if (!forecast) {
+      modal.querySelector('#gfSummary').textContent = '';
+      body.innerHTML = `<div style="padding:40px; text-align:center; color:#999;">${state.demands.length === 0
+        ? 'The forecast grows the demands of the Demand Matrix - add some there first.'
+        : `Run the forecast to project ${state.demands.length} demand(s) over ${gs.horizonYears} years.`}</div>`;
+      return;
+    }
 
-    // Collect links between these nodes
-    for (let i = fromIdx; i < toIdx; i++) {
-      const segment = route.segments[i];
-      if (segment && segment.edgeId) {
-        links.push(segment.edgeId);
-      }
+    const totalCost = forecast.timeline.reduce((sum, item) => sum + item.cost, 0);
+    const unknownCables = forecast.cables.filter(item => item.capacity === null).length;
+    modal.querySelector('#gfSummary').textContent =
+      `${forecast.timeline.length} upgrade(s) by ${forecast.years[forecast.years.length - 1]} · est. ${formatCurrency(totalCost)}` +
+      (forecast.unrouted > 0 ? ` · ${forecast.unrouted} demand(s) not routed` : '') +
+      (unknownCables > 0 ? ` · ${unknownCables} cable system(s) with unknown capacity` : '');
+
+    const th = 'padding:6px 8px; text-align:left; font-weight:600; color:#374151; border-bottom:1px solid #e5e7eb; white-space:nowrap; position:sticky; top:0; background:white;';
+    const td = 'padding:5px 8px; border-bottom:1px solid #f3f4f6; white-space:nowrap;';
+    const num = `${td} text-align:right;`;
+    const gbps = v => Math.round(v).toLocaleString();
+    const yearCell = (year, color) => `<td style="${td} font-weight:600; color:${year === null ? '#9ca3af' : color};">${year ?? '—'}</td>`;
+    const rowAttrs = item => item.kind === 'link' ? `data-edge-id="${item.id}" style="cursor:pointer;" title="Select on canvas"` : '';
+
+    if (growthForecastTab === 'timeline') {
+      body.innerHTML = forecast.timeline.length === 0
+        ? `<div style="padding:40px; text-align:center; color:#047857;">✅ No link or cable system crosses ${state.demandSettings.thresholdPercent}% before ${forecast.years[forecast.years.length - 1]}.</div>`
+        : `<table style="border-collapse:collapse; width:100%;">
+            <thead><tr><th style="${th}">Upgrade by</th><th style="${th}">Exhausts</th><th style="${th}">Type</th><th style="${th}">Name</th>
+              <th style="${th}">Detail</th><th style="${th} text-align:right;">Capacity (Gbps)</th>
+              <th style="${th} text-align:right;">Load ${forecast.years[forecast.years.length - 1]}</th>
+              <th style="${th} text-align:right;">Add (${gs.upgradeTier})</th><th style="${th} text-align:right;">Est. cost</th></tr></thead>
+            <tbody>${forecast.timeline.map(item => `<tr ${rowAttrs(item)}>
+              ${yearCell(item.upgradeYear, '#b45309')}${yearCell(item.exhaustYear, '#b91c1c')}
+              <td style="${td}">${item.kind === 'cable' ? '🌊 Cable system' : '🔗 Link'}</td>
+              <td style="${td} font-weight:500;">${escapeHtml(item.label)}</td>
+              <td style="${td} color:#6b7280;">${escapeHtml(item.detail)}</td>
+              <td style="${num}">${gbps(item.capacity)}</td><td style="${num}">${gbps(item.loads[item.loads.length - 1])}</td>
+              <td style="${num}">${item.units}</td><td style="${num} font-weight:600;">${formatCurrency(item.cost)}</td>
+            </tr>`).join('')}</tbody>
+          </table>`;
+      return;
     }
 
-    return links;
+    const items = growthForecastTab === 'cables' ? forecast.cables : forecast.links;
+    const threshold = state.demandSettings.thresholdPercent / 100;
+    body.innerHTML = items.length === 0
+      ? `<div style="padding:40px; text-align:center; color:#999;">No ${growthForecastTab === 'cables' ? 'cable system carries' : 'link carries'} routed demand.</div>`
+      : `<table style="border-collapse:collapse; width:100%;">
+          <thead><tr><th style="${th}">Name</th><th style="${th} text-align:right;">Capacity</th>
+            ${forecast.years.map(y => `<th style="${th} text-align:right;">${y}</th>`).join('')}</tr></thead>
+          <tbody>${items.map(item => `<tr ${rowAttrs(item)}>
+            <td style="${td} font-weight:500;" title="${escapeHtml(item.detail)}">${escapeHtml(item.label)}</td>
+            <td style="${num}">${item.capacity === null ? '<span style="color:#9ca3af;" title="Set fiber pairs and Tbps per pair on the cable system">unknown</span>' : gbps(item.capacity)}</td>
+            ${item.loads.map(load => {
+              const color = item.capacity === null ? 'transparent' : load > item.capacity ? '#fee2e2' : load > item.capacity * threshold ? '#fef3c7' : 'transparent';
+              return `<td style="${num} background:${color};">${gbps(load)}</td>`;
+            }).join('')}
+          </tr>`).join('')}</tbody>
+        </table>`;
   }
 
+  document.getElementById('miGrowthForecast')?.addEventListener('click', () => {
+    closeAllMenus();
+    showGrowthForecastDialog();
+  });
+
+  // ============== END GROWTH FORECAST ==============
+
   // ============== PROTECTION MODE ==============
   // When protection mode is active, all restriction tools (excluded nodes/links,
   // must-use, tag filters, capacity filters, diversity) configure the protection
@@ -26731,8 +33484,75 @@ function loadProjectObject(obj) {
     }
   }
 
+  // ---------- Hard limits (constrained search) ----------
+
+  // Pull objective, cost basis and caps from the Hard Limits inputs (empty = no cap)
+  function readConstrainedSearchInputs() {
+    const value = id => {
+      const el = document.getElementById(id);
+      if (!el || el.value.trim() === '') return null;
+      const v = parseFloat(el.value);
+      return isNaN(v) || v < 0 ? null : v;
+    };
+    const objective = document.getElementById('routeConstraintObjective');
+    const costBasis = document.getElementById('routeConstraintCostBasis');
+    if (objective) routeFinderState.constraintObjective = objective.value;
+    if (costBasis) routeFinderState.constraintCostBasis = costBasis.value;
+    routeFinderState.constraintLimits = {
+      maxLatencyMs:    value('routeCapLatency'),
+      maxCost:         value('routeCapCost'),
+      maxHops:         value('routeCapHops'),
+      maxCableSystems: value('routeCapCableSystems')
+    };
+  }
+
+  // "latency ≤ 75 ms" style text for one cap
+  function describeRouteCap(key, report, costBasis) {
+    const limit = report.limits[key];
+    const currency = state.financialSettings?.baseCurrency || 'USD';
+    const costName = costBasis === 'mrc' ? 'MRC' : ((routeFinderState.costMetric || 'lease') === 'iru' ? 'IRU NPV' : 'ACV');
+    if (key === 'maxLatencyMs') return `latency ≤ ${limit} ms`;
+    if (key === 'maxCost') return `${costName} ≤ ${formatCurrency(limit, currency)}`;
+    if (key === 'maxHops') return `hops ≤ ${limit}`;
+    return `cable systems ≤ ${limit}`;
+  }
+
+  /**
+   * One-line explanation of a solveConstrainedRoute() report.
+   * @param {Object} report - Constrained search report
+   * @param {string} costBasis - 'mrc' | 'metric'
+   * @returns {string}
+   */
+  function describeConstrainedResult(report, costBasis) {
+    const currency = state.financialSettings?.baseCurrency || 'USD';
+    const caps = keys => keys.map(key => describeRouteCap(key, report, costBasis)).join(', ');
+    if (report.error === 'no-path') return 'No path: origin and destination are not connected';
+    if (report.error === 'limit') return 'Search limit reached before a route was proven optimal — tighten the caps or filters';
+    if (report.error === 'infeasible') {
+      // Caps that no route can meet even on their own
+      const impossible = [];
+      if (report.limits.maxLatencyMs !== null && report.minimums.latency > report.limits.maxLatencyMs) {
+        impossible.push(`fastest possible ${report.minimums.latency.toFixed(2)} ms`);
+      }
+      if (report.limits.maxCost !== null && report.minimums.cost > report.limits.maxCost) {
+        impossible.push(`cheapest possible ${formatCurrency(report.minimums.cost, currency)}`);
+      }
+      if (report.limits.maxHops !== null && report.minimums.hops > report.limits.maxHops) {
+        impossible.push(`fewest possible ${report.minimums.hops} hops`);
+      }
+      return 'No route satisfies the caps. ' + (report.blocking.length > 0
+        ? `Blocking: ${caps(report.blocking)}`
+        : 'No single cap can be relaxed to find a route — the caps conflict') +
+        (impossible.length > 0 ? ` (${impossible.join(', ')})` : '');
+    }
+    const what = report.objective === 'cost' ? 'Cheapest' : 'Fastest';
+    return report.binding.length > 0
+      ? `${what} route within caps — binding: ${caps(report.binding)}`
+      : `${what} route within caps — no cap is binding`;
+  }
+
   // Calculate routes
-  function calculateRoutes() {
+  async function calculateRoutes() {
     // Auto-exit protection mode before recalculating primary routes
     if (routeFinderState.protectionMode) {
       exitProtectionMode();
@@ -26767,23 +33587,47 @@ function loadProjectObject(obj) {
       routeFinderState.enableRegionTransit = routeEnableRegionTransit.checked;
     }
 
-    // Choose pathfinding algorithm based on MLG preference setting
-    let routes;
+    // Build the graph here (MLG-preferred when enabled) and search in the route worker
     if (routeFinderState.preferMLGs) {
-      // Use MLG-preferred pathfinding (Phase 1: pure MLG, Phase 2: hybrid)
       console.log('[Route Finder] MLG Preference enabled - using MLG-preferred pathfinding');
-      routes = findKShortestPathsWithMLGPreference(
-        routeFinderState.originNodeId,
-        routeFinderState.destNodeId,
-        3
-      );
+    }
+    const constrainedMode = routeFinderState.constrainedMode;
+    const paretoMode = !constrainedMode && routeFinderState.paretoMode;
+    let job;
+    if (constrainedMode) {
+      readConstrainedSearchInputs();
+      job = buildConstrainedSearchJob(routeFinderState.originNodeId, routeFinderState.destNodeId, {
+        objective: routeFinderState.constraintObjective,
+        costBasis: routeFinderState.constraintCostBasis,
+        limits: routeFinderState.constraintLimits
+      });
+    } else if (paretoMode) {
+      job = buildParetoSearchJob(routeFinderState.originNodeId, routeFinderState.destNodeId);
     } else {
-      // Use standard pathfinding
-      routes = findKShortestPaths(
-        routeFinderState.originNodeId,
-        routeFinderState.destNodeId,
-        3
-      );
+      job = buildRouteSearchJob(routeFinderState.originNodeId, routeFinderState.destNodeId, 3);
+    }
+
+    let routes;
+    let paretoTruncated = false;
+    showRouteSearchProgress('routeSearch', constrainedMode ? 'Searching within caps…' : (paretoMode ? 'Searching Pareto routes…' : 'Searching routes…'));
+    try {
+      routes = await runRouteJob(job, {
+        channel: 'routes',
+        onProgress: fraction => updateRouteSearchProgress('routeSearch', fraction)
+      });
+    } catch (err) {
+      if (reportRouteJobError(err, 'Route search')) hideRouteSearchProgress('routeSearch');
+      return;
+    }
+    hideRouteSearchProgress('routeSearch');
+    if (paretoMode) {
+      paretoTruncated = routes.truncated;
+      routes = routes.routes;
+    }
+    routeFinderState.constraintReport = null;
+    if (constrainedMode) {
+      routeFinderState.constraintReport = routes;
+      routes = routes.route ? [routes.route] : [];
     }
 
     routeFinderState.routes = routes;
@@ -26803,6 +33647,10 @@ function loadProjectObject(obj) {
     if (routeFinderState.mustUseLinks.size > 0) constraints.push(`${routeFinderState.mustUseLinks.size} must-use link(s)`);
     if (routeFinderState.mustUseMLGs.size > 0) constraints.push(`${routeFinderState.mustUseMLGs.size} must-use MLG(s)`);
     if (routeFinderState.excludedMLGs.size > 0) constraints.push(`${routeFinderState.excludedMLGs.size} MLG(s) excluded`);
+    if ((paretoMode || constrainedMode) && (routeFinderState.preferMLGs || routeFinderState.mustUseNodes.size > 0 || routeFinderState.mustUseLinks.size > 0)) {
+      constraints.push(`${constrainedMode ? 'Hard limits' : 'Pareto'} ignores must-use/MLG preference`);
+    }
+    if (paretoTruncated) constraints.push('Pareto search limit reached');
     // Add diversity constraints info
     const chkLinearPhysicalDiversity = document.getElementById('chkLinearPhysicalDiversity');
     if (chkLinearPhysicalDiversity?.checked && routeFinderState.diverseFromLinks.size > 0) {
@@ -26812,9 +33660,18 @@ function loadProjectObject(obj) {
     }
     const constraintText = constraints.length > 0 ? ` (${constraints.join(', ')})` : '';
 
-    if (routes.length > 0) {
+    if (constrainedMode) {
+      const report = routeFinderState.constraintReport;
+      if (routes.length > 0) {
+        highlightActiveRoute();
+      } else {
+        clearRouteHighlights();
+        highlightEndpoints();
+      }
+      showToast(`${report.route ? '✅' : '❌'} ${describeConstrainedResult(report, job.costBasis)}${constraintText}`);
+    } else if (routes.length > 0) {
       highlightActiveRoute();
-      showToast(`✅ Found ${routes.length} route${routes.length > 1 ? 's' : ''}${constraintText}`);
+      showToast(`✅ Found ${routes.length} ${paretoMode ? 'Pareto-optimal ' : ''}route${routes.length > 1 ? 's' : ''}${constraintText}`);
     } else {
       clearRouteHighlights();
       highlightEndpoints();
@@ -26827,9 +33684,108 @@ function loadProjectObject(obj) {
   // Decouples the pathfinding engine from DOM/UI state.
   // ===========================================================
   function runPathfinderHeadless(params) {
+    var run = prepareHeadlessRun(params);
+    if (run.error) return headlessFailure(run.error);
+    try {
+      var found = unpackHeadlessRoutes(run, runRouteJobSync(run.job));
+      var attempts = [];
+      getHeadlessPrimaryCandidates(run, found).some(function(routes) {
+        var protection = prepareHeadlessProtection(run, routes);
+        var protResult = protection ? runRouteJobSync(protection.job) : null;
+        attempts.push({ routes: routes, protection: protection, protResult: protResult });
+        return isHeadlessProtectionWithinCap(run, protection, protResult);
+      });
+      return finishHeadlessAttempts(run, found, attempts);
+    } catch (err) {
+      return headlessFailure(err.message);
+    }
+  }
+
+  // Same contract as runPathfinderHeadless(), but the searches run in the route
+  // worker. Resolves (never rejects) with the same result object.
+  var headlessRunCounter = 0;
+  async function runPathfinderHeadlessAsync(params) {
+    var run = prepareHeadlessRun(params);
+    if (run.error) return headlessFailure(run.error);
+    var options = {
+      channel:   'headless-' + (++headlessRunCounter),
+      timeoutMs: run.params.timeoutMs !== undefined ? +run.params.timeoutMs : getRouteSearchTimeoutMs()
+    };
+    try {
+      var found = unpackHeadlessRoutes(run, await runRouteJob(run.job, options));
+      var attempts = [];
+      var candidates = getHeadlessPrimaryCandidates(run, found);
+      for (var i = 0; i < candidates.length; i++) {
+        var protection = prepareHeadlessProtection(run, candidates[i]);
+        var protResult = protection ? await runRouteJob(protection.job, options) : null;
+        attempts.push({ routes: candidates[i], protection: protection, protResult: protResult });
+        if (isHeadlessProtectionWithinCap(run, protection, protResult)) break;
+      }
+      return finishHeadlessAttempts(run, found, attempts);
+    } catch (err) {
+      return headlessFailure(err.code === 'timeout' ? 'Pathfinder timed out' : err.message);
+    }
+  }
+
+  // Report the last attempt if it fits the latency cap, else the first (the
+  // best primary); with no primary within the cap, the routes unprotected
+  function finishHeadlessAttempts(run, found, attempts) {
+    var last = attempts[attempts.length - 1];
+    var pick = last && isHeadlessProtectionWithinCap(run, last.protection, last.protResult) ? last : attempts[0];
+    if (!pick) return finishHeadlessRun(run, found, null, null);
+    return finishHeadlessRun(run, pick.routes, pick.protection, pick.protResult);
+  }
+
+  function headlessFailure(error) {
+    return { success: false, primaryRoutes: [], protectionPath: null, error: error };
+  }
+
+  function toSet(arr) {
+    return arr instanceof Set ? arr : new Set(Array.isArray(arr) ? arr : []);
+  }
+  function normalizeTagMode(mode) {
+    if (mode === 'all')  return 'include';
+    if (mode === 'none') return 'exclude';
+    return mode || 'any';
+  }
+  function resolveCapMode(p) {
+    if (+p.capacityMinTotal > 0 || +p.capacityMin1G > 0 || +p.capacityMin10G > 0 ||
+        +p.capacityMin100G > 0  || +p.capacityMin400G > 0 || +p.capacityMinTbps > 0) {
+      return p.capacityMode || 'total';
+    }
+    return 'none';
+  }
+
+  // params.constraints: { objective: 'latency'|'cost', costBasis: 'mrc'|'metric',
+  // maxLatencyMs, maxCost, maxHops, maxCableSystems } (missing = no cap)
+  function normalizeHeadlessConstraints(c) {
+    function cap(v) {
+      return (v === null || v === undefined || v === '' || isNaN(+v) || +v < 0) ? null : +v;
+    }
+    return {
+      objective: c.objective === 'cost' ? 'cost' : 'latency',
+      costBasis: c.costBasis === 'metric' ? 'metric' : 'mrc',
+      limits: {
+        maxLatencyMs:    cap(c.maxLatencyMs),
+        maxCost:         cap(c.maxCost),
+        maxHops:         cap(c.maxHops),
+        maxCableSystems: cap(c.maxCableSystems)
+      }
+    };
+  }
+
+  // Constrained jobs return a report: keep it on the run and hand back the route list
+  function unpackHeadlessRoutes(run, result) {
+    if (run.job.type !== 'constrained') return result;
+    run.constraintReport = result;
+    return result.route ? [result.route] : [];
+  }
+
+  // Apply params to routeFinderState just long enough to build the primary
+  // search job, then restore it. Returns { params, job } or { error }.
+  function prepareHeadlessRun(params) {
     if (!params || !params.originNodeId || !params.destNodeId) {
-      return { success: false, primaryRoutes: [], protectionPath: null,
-               error: 'originNodeId and destNodeId are required' };
+      return { error: 'originNodeId and destNodeId are required' };
     }
 
     // Normalise to integer so string IDs from the AI worker are handled correctly
@@ -26838,28 +33794,13 @@ function loadProjectObject(obj) {
       destNodeId:   parseInt(params.destNodeId,   10)
     });
 
-    function toSet(arr) {
-      return arr instanceof Set ? arr : new Set(Array.isArray(arr) ? arr : []);
-    }
-    function normalizeTagMode(mode) {
-      if (mode === 'all')  return 'include';
-      if (mode === 'none') return 'exclude';
-      return mode || 'any';
-    }
-    function resolveCapMode(p) {
-      if (+p.capacityMinTotal > 0 || +p.capacityMin1G > 0 || +p.capacityMin10G > 0 ||
-          +p.capacityMin100G > 0  || +p.capacityMin400G > 0 || +p.capacityMinTbps > 0) {
-        return p.capacityMode || 'total';
-      }
-      return 'none';
-    }
-
     // Snapshot current routeFinderState so we can restore it after the call
     var saved = {
       originNodeId:             routeFinderState.originNodeId,
       destNodeId:               routeFinderState.destNodeId,
       visibleOnly:              routeFinderState.visibleOnly,
       skipImplicitTransit:      routeFinderState.skipImplicitTransit,
+      searchAlgorithm:          routeFinderState.searchAlgorithm,
       enableContainerTransit:   routeFinderState.enableContainerTransit,
       enableRegionTransit:      routeFinderState.enableRegionTransit,
       containerLatency:         routeFinderState.containerLatency,
@@ -26910,6 +33851,7 @@ function loadProjectObject(obj) {
       routeFinderState.destNodeId              = params.destNodeId;
       routeFinderState.visibleOnly             = !!params.visibleOnly;
       routeFinderState.skipImplicitTransit     = !!params.skipImplicitTransit;
+      routeFinderState.searchAlgorithm         = params.searchAlgorithm || 'dijkstra';
       routeFinderState.enableContainerTransit  = params.enableContainerTransit !== false;
       routeFinderState.enableRegionTransit     = params.enableRegionTransit !== false;
       routeFinderState.containerLatency        = +params.containerLatency || 1;
@@ -26948,221 +33890,279 @@ function loadProjectObject(obj) {
       routeFinderState.costScale               = params.costScale || 'logarithmic';
       routeFinderState.capacityTier            = params.capacityTier || '10G';
 
-      // Run primary pathfinding using existing engine functions
-      var k = params.k || 3;
-      var routes;
-      if (routeFinderState.preferMLGs) {
-        routes = findKShortestPathsWithMLGPreference(params.originNodeId, params.destNodeId, k);
-      } else {
-        routes = findKShortestPaths(params.originNodeId, params.destNodeId, k);
-      }
-
-      // Helper: build human-readable path summary
-      function summarizePath(nodeIds, segs) {
-        var parts = [];
-        nodeIds.forEach(function(id, i) {
-          var n = typeof findNode === 'function' ? findNode(id) : null;
-          parts.push((n && n.name) ? n.name : id);
-          if (i < segs.length) {
-            var e = (segs[i] && segs[i].edgeId && typeof findEdge === 'function') ? findEdge(segs[i].edgeId) : null;
-            parts.push((e && e.name) ? ' -[' + e.name + ']- ' : ' -> ');
-          }
-        });
-        return parts.join('');
-      }
+      // Build the primary search job while the params are applied
+      var job = params.constraints
+        ? buildConstrainedSearchJob(params.originNodeId, params.destNodeId, normalizeHeadlessConstraints(params.constraints))
+        : buildRouteSearchJob(params.originNodeId, params.destNodeId, params.k || 3);
 
-      // Format primary routes into the return schema
-      var primaryRoutes = (routes || []).map(function(route, idx) {
-        var nodeIds = route.path || [];
-        var segs    = route.segments || [];
-        var linkIds = segs.filter(function(s) { return s.edgeId && !s.implicit; }).map(function(s) { return s.edgeId; });
-        var totalLatency = segs.reduce(function(sum, s) { return sum + (s.latency || 0); }, 0);
-        var usedMLGs = [];
-        segs.forEach(function(s) { if (s.mlgId && usedMLGs.indexOf(s.mlgId) === -1) usedMLGs.push(s.mlgId); });
-        return {
-          index:        idx,
-          nodes:        nodeIds,
-          links:        linkIds,
-          totalLatency: Math.round(totalLatency * 1000) / 1000,
-          totalCost:    route.totalCost || 0,
-          hopCount:     nodeIds.length,
-          mlgsUsed:     usedMLGs,
-          summary:      summarizePath(nodeIds, segs)
-        };
+      // Restore routeFinderState to pre-call snapshot
+      Object.assign(routeFinderState, saved);
+      return { params: params, job: job };
+
+    } catch (err) {
+      // Always restore state even on error
+      Object.assign(routeFinderState, saved);
+      return { error: err.message };
+    }
+  }
+
+  // Protection path job (headless: no DOM reads, independent filter set).
+  // params.protection.method 'disjointPair' computes an optimal disjoint pair
+  // (options disjoint: 'link'|'node', maxSkewMs) instead of re-routing around
+  // the primary; the physical-diversity exclusions, which are relative to the
+  // primary, then don't apply and the result says so. srlgDiverse (sequential
+  // only) also avoids the primary's SRLGs, and maxLatencyMs caps both routes.
+  // Returns { primaryLinkIds, pairMode, job }, or null when no protection was
+  // requested.
+  function prepareHeadlessProtection(run, routes) {
+    var params = run.params;
+    if (!params.calculateProtection || !routes || routes.length === 0) return null;
+
+    var prot = Object.assign({
+      visibleOnly: false, skipImplicitTransit: true,
+      nodeTagMode: 'any', nodeTagFilter: [],
+      linkTagMode: 'any', linkTagFilter: [],
+      capacityMode: 'total', capacityMinTotal: 0,
+      capacityMin1G: 0, capacityMin10G: 0, capacityMin100G: 0,
+      capacityMin400G: 0, capacityMinTbps: 0, capacityIncludeUndefined: true,
+      excludedNodes: [], excludedLinks: [], mustUseNodes: [], mustUseLinks: [],
+      diverseFromLinks: [], srlgDiverse: false,
+      method: 'sequential', disjoint: 'link', maxSkewMs: null, maxLatencyMs: null
+    }, params.protection || {});
+    var pairMode = prot.method === 'disjointPair';
+
+    var primaryRoute   = routes[0];
+    var primaryLinkIds = new Set(
+      (primaryRoute.segments || []).filter(function(s) { return !!s.edgeId; })
+                                   .map(function(s) { return s.edgeId; })
+    );
+
+    // Physical-diversity exclusions (100% strict for headless calls)
+    var physicalDiversityExcluded = new Set();
+    primaryLinkIds.forEach(function(plId) {
+      var pe = typeof findEdge === 'function' ? findEdge(plId) : null;
+      if (!pe || !pe.routingOverlap) return;
+      var entries = window.normalizeRoutingOverlap ?
+        window.normalizeRoutingOverlap(pe.routingOverlap) : pe.routingOverlap;
+      entries.forEach(function(entry) {
+        var pct    = typeof entry === 'object' ? (entry.diversityPercent || 0) : 0;
+        var linkId = typeof entry === 'object' ? entry.linkId : entry;
+        if (pct < 100) physicalDiversityExcluded.add(linkId);
       });
+    });
 
-      // Protection path (headless: no DOM reads, independent filter set)
-      var protectionPath = null;
-      if (params.calculateProtection && primaryRoutes.length > 0) {
-        var prot = Object.assign({
-          visibleOnly: false, skipImplicitTransit: true,
-          nodeTagMode: 'any', nodeTagFilter: [],
-          linkTagMode: 'any', linkTagFilter: [],
-          capacityMode: 'total', capacityMinTotal: 0,
-          capacityMin1G: 0, capacityMin10G: 0, capacityMin100G: 0,
-          capacityMin400G: 0, capacityMinTbps: 0, capacityIncludeUndefined: true,
-          excludedNodes: [], excludedLinks: [], mustUseNodes: [], mustUseLinks: [],
-          diverseFromLinks: []
-        }, params.protection || {});
-
-        var primaryRoute   = routes[0];
-        var primaryLinkIds = new Set(
-          (primaryRoute.segments || []).filter(function(s) { return !!s.edgeId; })
-                                       .map(function(s) { return s.edgeId; })
-        );
+    // SRLG exclusions, exempting the SRLGs' links at the endpoints
+    var srlgExclusions = !pairMode && prot.srlgDiverse
+      ? getSrlgExclusions(primaryLinkIds, [+params.originNodeId, +params.destNodeId])
+      : null;
 
-        // Physical-diversity exclusions (100% strict for headless calls)
-        var physicalDiversityExcluded = new Set();
-        primaryLinkIds.forEach(function(plId) {
-          var pe = typeof findEdge === 'function' ? findEdge(plId) : null;
-          if (!pe || !pe.routingOverlap) return;
-          var entries = window.normalizeRoutingOverlap ?
-            window.normalizeRoutingOverlap(pe.routingOverlap) : pe.routingOverlap;
-          entries.forEach(function(entry) {
-            var pct    = typeof entry === 'object' ? (entry.diversityPercent || 0) : 0;
-            var linkId = typeof entry === 'object' ? entry.linkId : entry;
-            if (pct < 100) physicalDiversityExcluded.add(linkId);
-          });
-        });
+    var protExcludedNodes = toSet(prot.excludedNodes);
+    var protExcludedLinks = toSet(prot.excludedLinks);
+    var protVisibleOnly   = !!prot.visibleOnly;
+
+    // Build adjacency list for protection pathfinding
+    var adj = new Map();
+    var validNodeIds = new Set();
+    if (typeof state !== 'undefined' && state.nodes) {
+      state.nodes.forEach(function(n) {
+        if (protExcludedNodes.has(n.id)) return;
+        if (protVisibleOnly && typeof isNodeVisible === 'function' && !isNodeVisible(n)) return;
+        validNodeIds.add(n.id);
+        adj.set(n.id, []);
+      });
+      state.edges.forEach(function(e) {
+        if (!pairMode && (primaryLinkIds.has(e.id) || physicalDiversityExcluded.has(e.id))) return;
+        if (srlgExclusions && srlgExclusions.excludedLinks.has(e.id)) return;
+        if (protVisibleOnly && e.hidden) return;
+        if (protExcludedLinks.has(e.id)) return;
+        if (!validNodeIds.has(e.a) || !validNodeIds.has(e.b)) return;
+        var lat = parseFloat(e.latencyMs) || parseFloat(e.latency) || (routeFinderState.minLatency || 0.001);
+        adj.get(e.a).push({ to: e.b, edgeId: e.id, latency: lat, cost: lat });
+        adj.get(e.b).push({ to: e.a, edgeId: e.id, latency: lat, cost: lat });
+      });
+    }
+
+    if (pairMode) {
+      var pairOptions = {
+        disjoint:     prot.disjoint === 'node' ? 'node' : 'link',
+        maxSkewMs:    (prot.maxSkewMs === null || prot.maxSkewMs === '' || isNaN(+prot.maxSkewMs)) ? null : +prot.maxSkewMs,
+        maxLatencyMs: getHeadlessLatencyCap(params)
+      };
+      return {
+        primaryLinkIds: primaryLinkIds,
+        pairMode:       true,
+        pairOptions:    pairOptions,
+        job:            buildDisjointPairJob(adj, +params.originNodeId, +params.destNodeId, pairOptions, run.job.search)
+      };
+    }
 
-        // Apply protection-specific filter state temporarily
-        routeFinderState.excludedNodes           = toSet(prot.excludedNodes);
-        routeFinderState.excludedLinks           = toSet(prot.excludedLinks);
-        routeFinderState.visibleOnly             = !!prot.visibleOnly;
-        routeFinderState.nodeTagMode             = normalizeTagMode(prot.nodeTagMode);
-        routeFinderState.nodeTagFilter           = toSet(prot.nodeTagFilter);
-        routeFinderState.linkTagMode             = normalizeTagMode(prot.linkTagMode);
-        routeFinderState.linkTagFilter           = toSet(prot.linkTagFilter);
-        routeFinderState.capacityMode            = resolveCapMode(prot);
-        routeFinderState.capacityMinTotal        = +prot.capacityMinTotal || 0;
-        routeFinderState.capacityMin1G           = +prot.capacityMin1G || 0;
-        routeFinderState.capacityMin10G          = +prot.capacityMin10G || 0;
-        routeFinderState.capacityMin100G         = +prot.capacityMin100G || 0;
-        routeFinderState.capacityMin400G         = +prot.capacityMin400G || 0;
-        routeFinderState.capacityMinTbps         = +prot.capacityMinTbps || 0;
-        routeFinderState.capacityIncludeUndefined = prot.capacityIncludeUndefined !== false;
-        routeFinderState.mustUseNodes            = toSet(prot.mustUseNodes);
-        routeFinderState.mustUseLinks            = toSet(prot.mustUseLinks);
-
-        // Capture protection filter snapshots for graph builder
-        var protExcludedNodes = routeFinderState.excludedNodes;
-        var protExcludedLinks = routeFinderState.excludedLinks;
-        var protVisibleOnly   = routeFinderState.visibleOnly;
-
-        // Build adjacency list for protection pathfinding
-        var adj = new Map();
-        var validNodeIds = new Set();
-        if (typeof state !== 'undefined' && state.nodes) {
-          state.nodes.forEach(function(n) {
-            if (protExcludedNodes.has(n.id)) return;
-            if (protVisibleOnly && typeof isNodeVisible === 'function' && !isNodeVisible(n)) return;
-            validNodeIds.add(n.id);
-            adj.set(n.id, []);
-          });
-          state.edges.forEach(function(e) {
-            if (primaryLinkIds.has(e.id) || physicalDiversityExcluded.has(e.id)) return;
-            if (protVisibleOnly && e.hidden) return;
-            if (protExcludedLinks.has(e.id)) return;
-            if (!validNodeIds.has(e.a) || !validNodeIds.has(e.b)) return;
-            var lat = parseFloat(e.latencyMs) || parseFloat(e.latency) || (routeFinderState.minLatency || 0.001);
-            adj.get(e.a).push({ to: e.b, edgeId: e.id, latency: lat, cost: lat });
-            adj.get(e.b).push({ to: e.a, edgeId: e.id, latency: lat, cost: lat });
-          });
-        }
+    // Route through any must-use waypoints from protection params
+    var mustUseArr = (prot.mustUseNodes || []).filter(function(id) {
+      return id !== params.originNodeId && id !== params.destNodeId;
+    });
+    var waypoints = [+params.originNodeId].concat(mustUseArr.map(Number)).concat([+params.destNodeId]);
 
-        // Self-contained Dijkstra (no dependency on UI state)
-        function headlessDijkstra(adjacency, start, end) {
-          if (!adjacency.has(start) || !adjacency.has(end)) return null;
-          var dist = new Map(), prev = new Map(), visited = new Set();
-          adjacency.forEach(function(_, id) { dist.set(id, Infinity); });
-          dist.set(start, 0);
-          prev.set(start, null);
-          var pq = [{ id: start, d: 0 }];
-          while (pq.length > 0) {
-            pq.sort(function(a, b) { return a.d - b.d; });
-            var cur = pq.shift();
-            if (visited.has(cur.id)) continue;
-            visited.add(cur.id);
-            if (cur.id === end) break;
-            (adjacency.get(cur.id) || []).forEach(function(edge) {
-              if (visited.has(edge.to)) return;
-              var nd = dist.get(cur.id) + edge.cost;
-              if (nd < dist.get(edge.to)) {
-                dist.set(edge.to, nd);
-                prev.set(edge.to, { from: cur.id, edge: edge });
-                pq.push({ id: edge.to, d: nd });
-              }
-            });
-          }
-          if (dist.get(end) === Infinity) return null;
-          var path = [], segs = [], totalLatency = 0, c = end;
-          while (c !== null) {
-            path.unshift(c);
-            var pi = prev.get(c);
-            if (pi && pi.edge) {
-              segs.unshift({ edgeId: pi.edge.edgeId, latency: pi.edge.latency, cost: pi.edge.cost });
-              totalLatency += pi.edge.latency;
-            }
-            c = pi ? pi.from : null;
-          }
-          return { path: path, segments: segs, totalCost: dist.get(end), totalLatency: totalLatency };
-        }
+    return {
+      primaryLinkIds: primaryLinkIds,
+      srlgExclusions: srlgExclusions,
+      job:            buildProtectionSearchJob(adj, waypoints, run.job.search)
+    };
+  }
 
-        // Route through any must-use waypoints from protection params
-        var mustUseArr = (prot.mustUseNodes || []).filter(function(id) {
-          return id !== params.originNodeId && id !== params.destNodeId;
-        });
-        var waypoints = [+params.originNodeId].concat(mustUseArr.map(Number)).concat([+params.destNodeId]);
-        var protResult = null;
+  // params.protection.maxLatencyMs as a number, or null when there is no cap
+  function getHeadlessLatencyCap(params) {
+    var v = params.calculateProtection && params.protection ? params.protection.maxLatencyMs : null;
+    return (v === null || v === undefined || v === '' || isNaN(+v) || +v < 0) ? null : +v;
+  }
 
-        if (waypoints.length === 2) {
-          protResult = headlessDijkstra(adj, waypoints[0], waypoints[1]);
-        } else {
-          var fullPath = [], fullSegs = [], totalCost = 0, totalLatency = 0, failed = false;
-          for (var wi = 0; wi < waypoints.length - 1; wi++) {
-            var wseg = headlessDijkstra(adj, waypoints[wi], waypoints[wi + 1]);
-            if (!wseg) { failed = true; break; }
-            fullPath     = wi === 0 ? wseg.path : fullPath.concat(wseg.path.slice(1));
-            fullSegs     = fullSegs.concat(wseg.segments);
-            totalCost    += wseg.totalCost;
-            totalLatency += wseg.totalLatency;
-          }
-          if (!failed && fullPath.length > 0) {
-            protResult = { path: fullPath, segments: fullSegs, totalCost: totalCost, totalLatency: totalLatency };
-          }
-        }
+  function getHeadlessRouteLatency(route) {
+    return (route.segments || []).reduce(function(sum, s) { return sum + (s.latency || 0); }, 0);
+  }
 
-        if (protResult && protResult.segments.length > 0) {
-          var protLinkIds = protResult.segments
-            .filter(function(s) { return !!s.edgeId; })
-            .map(function(s) { return s.edgeId; });
-          var isDiverse = !protLinkIds.some(function(id) { return primaryLinkIds.has(id); });
-          protectionPath = {
-            nodes:        protResult.path,
-            links:        protLinkIds,
-            totalLatency: Math.round(protResult.totalLatency * 1000) / 1000,
-            totalCost:    protResult.totalCost,
-            hopCount:     protResult.path.length,
-            isDiverse:    isDiverse,
-            summary:      summarizePath(protResult.path, protResult.segments)
-          };
+  // Primary route lists to protect, in order. Normally just the search result;
+  // with a sequential latency cap, each primary within the cap is tried first
+  // in turn, since a slightly longer primary may leave room for a faster backup.
+  function getHeadlessPrimaryCandidates(run, routes) {
+    var cap = getHeadlessLatencyCap(run.params);
+    if (cap === null || run.params.protection.method === 'disjointPair') return [routes];
+    return routes
+      .filter(function(route) { return getHeadlessRouteLatency(route) <= cap; })
+      .map(function(route) { return [route].concat(routes.filter(function(r) { return r !== route; })); });
+  }
+
+  // Whether a sequential protection result is within the latency cap
+  function isHeadlessProtectionWithinCap(run, protection, protResult) {
+    var cap = getHeadlessLatencyCap(run.params);
+    if (cap === null || !protection || protection.pairMode) return true;
+    return !!protResult && protResult.segments.length > 0 && protResult.totalLatency <= cap;
+  }
+
+  // Format search results into the headless return schema
+  function finishHeadlessRun(run, routes, protection, protResult) {
+    // Helper: build human-readable path summary
+    function summarizePath(nodeIds, segs) {
+      var parts = [];
+      nodeIds.forEach(function(id, i) {
+        var n = typeof findNode === 'function' ? findNode(id) : null;
+        parts.push((n && n.name) ? n.name : id);
+        if (i < segs.length) {
+          var e = (segs[i] && segs[i].edgeId && typeof findEdge === 'function') ? findEdge(segs[i].edgeId) : null;
+          parts.push((e && e.name) ? ' -[' + e.name + ']- ' : ' -> ');
         }
-      }
+      });
+      return parts.join('');
+    }
 
-      // Restore routeFinderState to pre-call snapshot
-      Object.assign(routeFinderState, saved);
+    // Format primary routes into the return schema
+    var primaryRoutes = (routes || []).map(function(route, idx) {
+      var nodeIds = route.path || [];
+      var segs    = route.segments || [];
+      var linkIds = segs.filter(function(s) { return s.edgeId && !s.implicit; }).map(function(s) { return s.edgeId; });
+      var totalLatency = segs.reduce(function(sum, s) { return sum + (s.latency || 0); }, 0);
+      var usedMLGs = [];
+      segs.forEach(function(s) { if (s.mlgId && usedMLGs.indexOf(s.mlgId) === -1) usedMLGs.push(s.mlgId); });
+      return {
+        index:        idx,
+        nodes:        nodeIds,
+        links:        linkIds,
+        totalLatency: Math.round(totalLatency * 1000) / 1000,
+        totalCost:    route.totalCost || 0,
+        hopCount:     nodeIds.length,
+        mlgsUsed:     usedMLGs,
+        summary:      summarizePath(nodeIds, segs)
+      };
+    });
 
-      return { success: true, primaryRoutes: primaryRoutes, protectionPath: protectionPath, error: null };
+    // Format one leg of a disjoint pair
+    function formatLeg(leg) {
+      return {
+        nodes:        leg.path,
+        links:        leg.segments.filter(function(s) { return !!s.edgeId; }).map(function(s) { return s.edgeId; }),
+        totalLatency: Math.round(leg.totalLatency * 1000) / 1000,
+        totalCost:    leg.totalCost,
+        hopCount:     leg.path.length,
+        summary:      summarizePath(leg.path, leg.segments)
+      };
+    }
 
-    } catch (err) {
-      // Always restore state even on error
-      Object.assign(routeFinderState, saved);
-      return { success: false, primaryRoutes: [], protectionPath: null, error: err.message };
+    var protectionPath = null;
+    var disjointPair = null;
+    var protectionError = null;
+    if (protection && protection.pairMode) {
+      if (protResult && !protResult.error) {
+        disjointPair = {
+          disjoint:    protection.pairOptions.disjoint,
+          primary:     formatLeg(protResult.primary),
+          secondary:   formatLeg(protResult.secondary),
+          totalCost:   protResult.totalCost,
+          skewMs:      Math.round(protResult.skewMs * 1000) / 1000,
+          skewLimited: protResult.skewLimited,
+          note:        'Physical-diversity exclusions are not applied to a disjoint pair; the two routes are only ' + protection.pairOptions.disjoint + '-disjoint.'
+        };
+        protectionPath = Object.assign({ isDiverse: true }, disjointPair.secondary);
+      } else {
+        protectionError = describeDisjointPairError(protResult, protection.pairOptions);
+      }
+    } else if (protection) {
+      var primaryLinkIds = protection.primaryLinkIds;
+      if (protResult && protResult.segments.length > 0) {
+        var protLinkIds = protResult.segments
+          .filter(function(s) { return !!s.edgeId; })
+          .map(function(s) { return s.edgeId; });
+        var isDiverse = !protLinkIds.some(function(id) { return primaryLinkIds.has(id); });
+        protectionPath = {
+          nodes:        protResult.path,
+          links:        protLinkIds,
+          totalLatency: Math.round(protResult.totalLatency * 1000) / 1000,
+          totalCost:    protResult.totalCost,
+          hopCount:     protResult.path.length,
+          isDiverse:    isDiverse,
+          summary:      summarizePath(protResult.path, protResult.segments)
+        };
+        if (protection.srlgExclusions) {
+          // SRLGs shared through their exempt links at the endpoints
+          protectionPath.srlgExempt = getSharedExemptSrlgs(protection.srlgExclusions, new Set(protLinkIds))
+            .map(function(srlg) { return { id: srlg.id, name: srlg.name }; });
+        }
+      }
+    }
+
+    var result = { success: true, primaryRoutes: primaryRoutes, protectionPath: protectionPath, error: null };
+    if (protection && protection.pairMode) {
+      result.disjointPair = disjointPair;
+      result.protectionError = protectionError;
+    }
+    if (run.constraintReport) {
+      var report = run.constraintReport;
+      var round = function(v) { return isFinite(v) ? Math.round(v * 1000) / 1000 : null; };
+      result.constraints = {
+        objective: report.objective,
+        costBasis: run.job.costBasis,
+        limits:    report.limits,
+        satisfied: !!report.route,
+        status:    report.error || 'ok',
+        binding:   report.binding,
+        blocking:  report.blocking,
+        minimums:  { latency: round(report.minimums.latency), cost: round(report.minimums.cost), hops: round(report.minimums.hops) },
+        usage:     report.route ? {
+          latency:       round(report.route.totalLatency),
+          cost:          round(report.route.commercialCost),
+          hops:          report.route.hops,
+          cableSystems:  report.route.cableSystems
+        } : null,
+        message:   describeConstrainedResult(report, run.job.costBasis)
+      };
+      if (!report.route) {
+        result.success = false;
+        result.error = result.constraints.message;
+      }
     }
+    return result;
   }
 
   // Expose headless pathfinder globally for AI agent tool calls and external scripts
   window.runPathfinderHeadless = runPathfinderHeadless;
+  window.runPathfinderHeadlessAsync = runPathfinderHeadlessAsync;
 
   // Console smoke-test: run window._pfTest() in browser DevTools to verify
   window._pfTest = function() {
@@ -27178,6 +34178,315 @@ function loadProjectObject(obj) {
     return result;
   };
 
+  // ============== ROUTE MATRIX ==============
+  // All-pairs latency / hops / cost / protected-latency grid over a node
+  // selection or a node tag, using the Route Finder's current constraints.
+  // The searches run as one 'matrix' job in the route worker.
+
+  const ROUTE_MATRIX_METRICS = {
+    latency:          { label: 'Latency (ms)' },
+    hops:             { label: 'Hops' },
+    cost:             { label: 'Cost' },
+    protectedLatency: { label: 'Protected latency (ms)' }
+  };
+
+  // Last matrix (session-only) and the metric shown in the grid
+  let routeMatrix = null;
+  let routeMatrixMetric = 'latency';
+
+  function getRouteMatrixCostLabel(matrix) {
+    return `${matrix.costMetric === 'iru' ? 'IRU NPV' : 'ACV'} @ ${matrix.tier} (${matrix.currency})`;
+  }
+
+  // Nodes for the matrix: the canvas selection, or every node carrying a tag
+  function getRouteMatrixNodeIds(source, tag) {
+    if (source === 'tag') {
+      return state.nodes.filter(n => getNodeTags(n).has(tag)).map(n => n.id);
+    }
+    const ids = new Set(state.selection.nodes);
+    if (state.selected && state.selected.type === 'node') ids.add(state.selected.id);
+    return [...ids].filter(id => findNode(id));
+  }
+
+  /**
+   * Turn the worker's per-pair routes into matrix cells (cost needs state, so
+   * it is priced here with calculateRouteCost()).
+   * @returns {Object} { nodeIds, cells: Map 'a-b' -> cell, costMetric, tier, currency, createdAt }
+   */
+  function buildRouteMatrixResult(nodeIds, pairs) {
+    const cells = new Map();
+    const sumLatency = route => route.segments.reduce((sum, seg) => sum + (seg.latency || 0), 0);
+    pairs.forEach(({ a, b, route, protection }) => {
+      const cell = route ? {
+        latency: sumLatency(route),
+        hops: route.path.length - 1,
+        cost: calculateRouteCost(route.segments),
+        protectedLatency: protection ? sumLatency(protection) : null,
+        path: route.path,
+        protectionPath: protection ? protection.path : null
+      } : null;
+      cells.set(`${a}-${b}`, cell);
+      cells.set(`${b}-${a}`, cell && Object.assign({}, cell, {
+        path: [...cell.path].reverse(),
+        protectionPath: cell.protectionPath ? [...cell.protectionPath].reverse() : null
+      }));
+    });
+    return {
+      nodeIds,
+      cells,
+      costMetric: routeFinderState.costMetric || state.pathfinderSettings?.costMetric || 'lease',
+      tier: routeFinderState.capacityTier || '10G',
+      currency: state.financialSettings?.baseCurrency || 'USD',
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  function formatRouteMatrixValue(matrix, metric, value) {
+    if (value === null || value === undefined) return '—';
+    if (metric === 'cost') return formatCurrency(value, matrix.currency);
+    if (metric === 'hops') return String(value);
+    return value.toFixed(2);
+  }
+
+  // Green (best) → amber → red (worst) over the grid's own range
+  function getRouteMatrixColor(value, min, max) {
+    if (value === null || value === undefined) return '#f3f4f6';
+    const ratio = max > min ? (value - min) / (max - min) : 0;
+    return ratio < 0.5
+      ? interpolateColor('#bbf7d0', '#fde68a', ratio * 2)
+      : interpolateColor('#fde68a', '#fca5a5', (ratio - 0.5) * 2);
+  }
+
+  function buildRouteMatrixExport() {
+    const matrix = routeMatrix;
+    const names = matrix.nodeIds.map(id => findNode(id)?.name || `N${id}`);
+    const nodeName = id => findNode(id)?.name || `N${id}`;
+    const round = (metric, v) => v === null || v === undefined ? '' : (metric === 'hops' ? v : Math.round(v * 100) / 100);
+
+    const sheets = Object.keys(ROUTE_MATRIX_METRICS).map(metric => ({
+      name: metric === 'cost' ? 'Cost' : ROUTE_MATRIX_METRICS[metric].label.replace(/ \(.*\)$/, ''),
+      headers: [metric === 'cost' ? getRouteMatrixCostLabel(matrix) : ROUTE_MATRIX_METRICS[metric].label, ...names],
+      rows: matrix.nodeIds.map((a, i) => [names[i], ...matrix.nodeIds.map(b => {
+        if (a === b) return '';
+        const cell = matrix.cells.get(`${a}-${b}`);
+        return cell ? round(metric, cell[metric]) : 'No path';
+      })])
+    }));
+
+    const pairRows = [];
+    matrix.nodeIds.forEach((a, i) => matrix.nodeIds.slice(i + 1).forEach(b => {
+      const cell = matrix.cells.get(`${a}-${b}`);
+      pairRows.push([
+        nodeName(a), nodeName(b),
+        cell ? round('latency', cell.latency) : 'No path',
+        cell ? cell.hops : '',
+        cell ? round('cost', cell.cost) : '',
+        cell ? round('protectedLatency', cell.protectedLatency) : '',
+        cell ? cell.path.map(nodeName).join(' → ') : '',
+        cell && cell.protectionPath ? cell.protectionPath.map(nodeName).join(' → ') : ''
+      ]);
+    }));
+    sheets.push({
+      name: 'Pairs',
+      headers: ['A-end', 'Z-end', 'Latency (ms)', 'Hops', getRouteMatrixCostLabel(matrix), 'Protected latency (ms)', 'Primary path', 'Protection path'],
+      rows: pairRows
+    });
+    return { fileName: `neximap_route_matrix_${matrix.createdAt.slice(0, 10)}`, sheets };
+  }
+
+  // ---------- Route Matrix dialog ----------
+
+  function showRouteMatrixDialog() {
+    document.getElementById('routeMatrixModal')?.remove();
+
+    const tags = new Set();
+    state.nodes.forEach(n => getNodeTags(n).forEach(t => tags.add(t)));
+    const selectedCount = getRouteMatrixNodeIds('selection').length;
+
+    const modal = document.createElement('div');
+    modal.id = 'routeMatrixModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:1000px; max-width:95vw; height:680px; max-height:90vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>📐 Route Matrix</span>
+          <button id="rmClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div style="display:flex; flex-wrap:wrap; gap:12px; align-items:center; padding:10px 20px; border-bottom:1px solid #f0f0f0; background:#fafafa; font-size:12px;">
+          <label><input type="radio" name="rmSource" value="selection" ${selectedCount >= 2 ? 'checked' : ''}> Selected nodes (${selectedCount})</label>
+          <label><input type="radio" name="rmSource" value="tag" ${selectedCount >= 2 ? '' : 'checked'}> Nodes tagged
+            <select id="rmTag">${[...tags].sort().map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join('')}</select></label>
+          <span id="rmNodeCount" style="color:#6b7280;"></span>
+          <span style="flex:1;"></span>
+          <button class="btn primary" id="rmRun">▶ Run</button>
+        </div>
+        <div id="rmProgress" style="display:none; padding:8px 20px; border-bottom:1px solid #f0f0f0; font-size:11px; color:#374151;">
+          <div style="display:flex; justify-content:space-between; margin-bottom:4px;"><span>Routing every pair…</span><span id="rmProgressPct">0%</span></div>
+          <div style="height:6px; background:#e5e7eb; border-radius:3px; overflow:hidden;"><div id="rmProgressBar" style="height:100%; width:0; background:#2563eb;"></div></div>
+        </div>
+        <div style="display:flex; gap:8px; align-items:center; padding:8px 20px; border-bottom:1px solid #f0f0f0; font-size:12px;">
+          <label>Show
+            <select id="rmMetric">
+              ${Object.entries(ROUTE_MATRIX_METRICS).map(([k, v]) => `<option value="${k}">${v.label}</option>`).join('')}
+            </select></label>
+          <span id="rmSummary" style="color:#6b7280;"></span>
+          <span style="flex:1;"></span>
+          <button class="btn" id="rmExportXlsx">⬇ XLSX</button>
+          <button class="btn" id="rmExportCsv">⬇ CSV</button>
+        </div>
+        <div id="rmGrid" style="flex:1; overflow:auto; padding:12px 20px;"></div>
+        <div style="padding:6px 20px 10px; font-size:10px; color:#6b7280; border-top:1px solid #f0f0f0;">
+          Uses the Route Finder's current filters, exclusions, must-use constraints, MLG preference, cost metric and tier.
+          Protected latency is the shortest path sharing no link with the primary.
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const sourceValue = () => modal.querySelector('input[name="rmSource"]:checked').value;
+    const tagSelect = modal.querySelector('#rmTag');
+    if (tags.has('default') && !routeMatrix) tagSelect.value = 'default';
+    const updateNodeCount = () => {
+      const n = getRouteMatrixNodeIds(sourceValue(), tagSelect.value).length;
+      modal.querySelector('#rmNodeCount').textContent = `${n} nodes · ${n * (n - 1) / 2} pairs`;
+    };
+    modal.querySelectorAll('input[name="rmSource"]').forEach(r => r.addEventListener('change', updateNodeCount));
+    tagSelect.addEventListener('change', () => {
+      modal.querySelector('input[name="rmSource"][value="tag"]').checked = true;
+      updateNodeCount();
+    });
+    updateNodeCount();
+
+    let running = false;
+    const close = () => {
+      if (running) cancelRouteJob('matrix');
+      modal.remove();
+    };
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#rmClose').addEventListener('click', close);
+
+    modal.querySelector('#rmRun').addEventListener('click', async () => {
+      if (running) {
+        cancelRouteJob('matrix');
+        return;
+      }
+      const nodeIds = getRouteMatrixNodeIds(sourceValue(), tagSelect.value);
+      if (nodeIds.length < 2) {
+        showToast('Select at least two nodes (or pick a tag with two or more nodes)');
+        return;
+      }
+      if (nodeIds.length > 80 && !confirm(`Route ${nodeIds.length * (nodeIds.length - 1) / 2} pairs? This may take a while.`)) return;
+      nodeIds.sort((x, y) => (findNode(x)?.name || '').localeCompare(findNode(y)?.name || ''));
+
+      running = true;
+      const runBtn = modal.querySelector('#rmRun');
+      const progress = modal.querySelector('#rmProgress');
+      runBtn.textContent = '■ Cancel';
+      progress.style.display = 'block';
+      try {
+        const pairs = await runRouteJob(buildRouteMatrixJob(nodeIds), {
+          channel: 'matrix',
+          timeoutMs: 0,
+          onProgress: fraction => {
+            const pct = `${Math.round(fraction * 100)}%`;
+            modal.querySelector('#rmProgressBar').style.width = pct;
+            modal.querySelector('#rmProgressPct').textContent = pct;
+          }
+        });
+        routeMatrix = buildRouteMatrixResult(nodeIds, pairs);
+        showToast(`✅ Route matrix: ${pairs.length} pairs routed`);
+      } catch (err) {
+        reportRouteJobError(err, 'Route matrix');
+      } finally {
+        running = false;
+        if (document.body.contains(modal)) {
+          runBtn.textContent = '▶ Run';
+          progress.style.display = 'none';
+          renderRouteMatrix();
+        }
+      }
+    });
+
+    modal.querySelector('#rmMetric').value = routeMatrixMetric;
+    modal.querySelector('#rmMetric').addEventListener('change', (e) => {
+      routeMatrixMetric = e.target.value;
+      renderRouteMatrix();
+    });
+
+    const exportMatrix = (format) => {
+      if (!routeMatrix) {
+        showToast('Run the matrix first');
+        return;
+      }
+      const data = buildRouteMatrixExport();
+      if (format === 'csv') downloadAsCSVFallback(data);
+      else downloadTemplateAsCSV(data, 'xlsx');
+    };
+    modal.querySelector('#rmExportXlsx').addEventListener('click', () => exportMatrix('xlsx'));
+    modal.querySelector('#rmExportCsv').addEventListener('click', () => exportMatrix('csv'));
+
+    renderRouteMatrix();
+  }
+
+  function renderRouteMatrix() {
+    const modal = document.getElementById('routeMatrixModal');
+    if (!modal) return;
+    const gridEl = modal.querySelector('#rmGrid');
+    const summaryEl = modal.querySelector('#rmSummary');
+
+    if (!routeMatrix) {
+      summaryEl.textContent = '';
+      gridEl.innerHTML = `<div style="padding:40px; text-align:center; color:#999; font-size:12px;">
+        Pick the nodes and press <strong>Run</strong> to route every pair.</div>`;
+      return;
+    }
+
+    const matrix = routeMatrix;
+    const metric = routeMatrixMetric;
+    const nodeName = id => findNode(id)?.name || `N${id}`;
+    const values = [];
+    matrix.cells.forEach(cell => { if (cell && cell[metric] !== null) values.push(cell[metric]); });
+    const min = values.length ? Math.min(...values) : 0;
+    const max = values.length ? Math.max(...values) : 0;
+    const noPath = [...matrix.cells.values()].filter(c => !c).length / 2;
+    summaryEl.textContent = `${matrix.nodeIds.length} nodes · min ${formatRouteMatrixValue(matrix, metric, values.length ? min : null)} · max ${formatRouteMatrixValue(matrix, metric, values.length ? max : null)}` +
+      (noPath > 0 ? ` · ${noPath} pair(s) without a path` : '') +
+      (metric === 'cost' ? ` · ${getRouteMatrixCostLabel(matrix)}` : '');
+
+    const head = matrix.nodeIds.map(id => `<th style="padding:4px 6px; font-weight:600; color:#374151; white-space:nowrap; writing-mode:vertical-rl; transform:rotate(180deg); text-align:left;">${escapeHtml(nodeName(id))}</th>`).join('');
+    const body = matrix.nodeIds.map(a => `
+      <tr>
+        <th style="padding:4px 8px; text-align:right; font-weight:600; color:#374151; white-space:nowrap;">${escapeHtml(nodeName(a))}</th>
+        ${matrix.nodeIds.map(b => {
+          if (a === b) return '<td style="background:#e5e7eb;"></td>';
+          const cell = matrix.cells.get(`${a}-${b}`);
+          const value = cell ? cell[metric] : null;
+          const title = cell
+            ? `${cell.path.map(nodeName).join(' → ')}${cell.protectionPath ? `\nProtection: ${cell.protectionPath.map(nodeName).join(' → ')}` : '\nNo link-disjoint protection'}`
+            : 'No path';
+          return `<td title="${escapeHtml(title)}" style="padding:4px 6px; text-align:center; white-space:nowrap; border:1px solid white; background:${getRouteMatrixColor(value, min, max)};">${formatRouteMatrixValue(matrix, metric, value)}</td>`;
+        }).join('')}
+      </tr>`).join('');
+
+    gridEl.innerHTML = `
+      <table style="border-collapse:collapse; font-size:11px;">
+        <thead><tr><th></th>${head}</tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+
+  document.getElementById('miRouteMatrix')?.addEventListener('click', () => {
+    closeAllMenus();
+    showRouteMatrixDialog();
+  });
+
+  // ============== END ROUTE MATRIX ==============
+
   // Display route results
   function displayRouteResults() {
     if (!routeResultsContent) return;
@@ -27194,7 +34503,9 @@ function loadProjectObject(obj) {
                                  !routeFinderState.enableRegionTransit;
 
       let hint = 'Nodes are not connected';
-      if (hasMustUse) {
+      if (routeFinderState.constraintReport) {
+        hint = escapeHtml(describeConstrainedResult(routeFinderState.constraintReport, routeFinderState.constraintCostBasis));
+      } else if (hasMustUse) {
         hint = 'No routes found passing through all must-use constraints';
       } else if (hasRestrictions) {
         hint = 'Try adjusting restrictions';
@@ -27222,6 +34533,13 @@ function loadProjectObject(obj) {
     const costMetric = routeFinderState.costMetric || 'lease';
     const costLabel = costMetric === 'iru' ? 'IRU NPV' : 'ACV';
 
+    if (routeFinderState.routes[0].pareto) {
+      routeResultsContent.appendChild(createParetoChart(routeFinderState.routes, routeFinderState.activeRouteIndex, currency));
+    }
+    if (routeFinderState.routes[0].constrained && routeFinderState.constraintReport) {
+      routeResultsContent.appendChild(createConstraintSummary(routeFinderState.routes[0], routeFinderState.constraintReport, currency));
+    }
+
     routeFinderState.routes.forEach((route, index) => {
       const nodeNames = route.path.map(id => {
         const n = findNode(id);
@@ -27236,17 +34554,22 @@ function loadProjectObject(obj) {
       const commercialCost = calculateRouteCost(route.segments);
       const formattedCost = formatCurrency(commercialCost, currency);
 
+      // Pareto routes show their true latency (they aren't ranked by the blended cost)
+      const routeLatency = (route.pareto || route.constrained) ? route.totalLatency : route.totalCost;
+      const routeLabel = route.pareto ? `Pareto ${index + 1}` : (route.constrained ? 'Within Limits' : routeLabels[index]);
+      const routeIcon = route.pareto ? '◆' : routeIcons[index];
+
       const option = document.createElement('div');
       option.className = 'route-option' + (isActive ? ' active' : '');
-      option.style.borderLeftColor = routeColors[index];
+      option.style.borderLeftColor = route.pareto ? (isActive ? '#22c55e' : '#6366f1') : routeColors[index];
       option.style.borderLeftWidth = '4px';
       if (isActive) {
-        option.style.background = index === 0 ? '#f0fdf4' : (index === 1 ? '#fffbeb' : '#fff7ed');
+        option.style.background = (index === 0 || route.pareto) ? '#f0fdf4' : (index === 1 ? '#fffbeb' : '#fff7ed');
       }
       option.dataset.routeIndex = index;
 
       // Build stats line with both latency and cost
-      let statsHtml = `<span>⛡ ${route.totalCost.toFixed(2)} ms</span>`;
+      let statsHtml = `<span>⛡ ${routeLatency.toFixed(2)} ms</span>`;
       statsHtml += `<span>💰 ${formattedCost}</span>`;
       statsHtml += `<span>📍 ${hops} hop${hops !== 1 ? 's' : ''}</span>`;
       if (implicitCount > 0) {
@@ -27256,13 +34579,13 @@ function loadProjectObject(obj) {
       option.innerHTML = `
         <div class="route-option-header">
           <span class="route-option-title">
-            <span style="font-size:16px;">${routeIcons[index]}</span> ${routeLabels[index]}
+            <span style="font-size:16px;">${routeIcon}</span> ${routeLabel}
           </span>
           <div style="display:flex; gap:6px; align-items:center;">
             <span style="background:#dbeafe; color:#1e40af; padding:2px 6px; border-radius:3px; font-size:10px; font-weight:600;">
-              ${route.totalCost.toFixed(2)} ms
+              ${routeLatency.toFixed(2)} ms
             </span>
-            ${showCost ? `<span style="background:#dcfce7; color:#166534; padding:2px 6px; border-radius:3px; font-size:10px; font-weight:600;">
+            ${showCost || route.pareto || route.constrained ? `<span style="background:#dcfce7; color:#166534; padding:2px 6px; border-radius:3px; font-size:10px; font-weight:600;">
               ${formattedCost}
             </span>` : ''}
           </div>
@@ -27280,6 +34603,86 @@ function loadProjectObject(obj) {
     });
   }
 
+  /**
+   * Latency (x) vs. cost (y) scatter of a Pareto route set; point size grows
+   * with hop count. Clicking a point selects and highlights that route.
+   * @returns {HTMLElement} Chart container
+   */
+  function createParetoChart(routes, activeIndex, currency) {
+    const width = 260;
+    const height = 150;
+    const pad = { left: 46, right: 10, top: 10, bottom: 26 };
+    const xs = routes.map(r => r.totalLatency);
+    const ys = routes.map(r => r.commercialCost);
+    const hops = routes.map(r => r.hops);
+    const xMin = Math.min(...xs), xMax = Math.max(...xs);
+    const yMin = Math.min(...ys), yMax = Math.max(...ys);
+    const hMin = Math.min(...hops), hMax = Math.max(...hops);
+    const sx = v => pad.left + (xMax > xMin ? (v - xMin) / (xMax - xMin) : 0.5) * (width - pad.left - pad.right);
+    const sy = v => height - pad.bottom - (yMax > yMin ? (v - yMin) / (yMax - yMin) : 0.5) * (height - pad.top - pad.bottom);
+    const radius = h => 4 + (hMax > hMin ? 4 * (h - hMin) / (hMax - hMin) : 0);
+
+    const points = routes.map((r, i) => {
+      const active = i === activeIndex;
+      return `<circle class="pareto-point" data-route-index="${i}" cx="${sx(r.totalLatency).toFixed(1)}" cy="${sy(r.commercialCost).toFixed(1)}" r="${radius(r.hops).toFixed(1)}"
+        fill="${active ? '#22c55e' : '#6366f1'}" fill-opacity="${active ? 1 : 0.7}" stroke="${active ? '#166534' : 'white'}" stroke-width="${active ? 2 : 1}" style="cursor:pointer;">
+        <title>Pareto ${i + 1}: ${r.totalLatency.toFixed(2)} ms · ${formatCurrency(r.commercialCost, currency)} · ${r.hops} hop${r.hops !== 1 ? 's' : ''}</title></circle>`;
+    });
+    // Draw the active point last so it sits on top
+    const ordered = points.filter((_, i) => i !== activeIndex).concat(points[activeIndex] || []);
+
+    const chart = document.createElement('div');
+    chart.style.cssText = 'margin-bottom:10px; padding:6px; background:#f8fafc; border:1px solid #e2e8f0; border-radius:6px;';
+    chart.innerHTML = `
+      <div style="font-size:10px; font-weight:600; color:#475569; margin-bottom:2px;">◆ ${routes.length} Pareto-optimal route${routes.length !== 1 ? 's' : ''} <span style="font-weight:400; color:#94a3b8;">(size = hops)</span></div>
+      <svg width="100%" viewBox="0 0 ${width} ${height}" style="display:block; font-size:9px;">
+        <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="#cbd5e1"/>
+        <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" stroke="#cbd5e1"/>
+        <text x="${pad.left}" y="${height - pad.bottom + 11}" fill="#64748b">${xMin.toFixed(1)}</text>
+        <text x="${width - pad.right}" y="${height - pad.bottom + 11}" fill="#64748b" text-anchor="end">${xMax.toFixed(1)}</text>
+        <text x="${(pad.left + width - pad.right) / 2}" y="${height - 3}" fill="#475569" text-anchor="middle">Latency (ms)</text>
+        <text x="${pad.left - 3}" y="${height - pad.bottom}" fill="#64748b" text-anchor="end">${formatCurrency(yMin, currency)}</text>
+        <text x="${pad.left - 3}" y="${pad.top + 7}" fill="#64748b" text-anchor="end">${formatCurrency(yMax, currency)}</text>
+        <text x="10" y="${(pad.top + height - pad.bottom) / 2}" fill="#475569" text-anchor="middle" transform="rotate(-90 10 ${(pad.top + height - pad.bottom) / 2})">Cost</text>
+        ${ordered.join('')}
+      </svg>
+    `;
+    chart.querySelectorAll('.pareto-point').forEach(point => {
+      point.addEventListener('click', () => selectRoute(parseInt(point.dataset.routeIndex)));
+    });
+    return chart;
+  }
+
+  // Usage against each hard limit for a constrained route (binding caps flagged)
+  function createConstraintSummary(route, report, currency) {
+    const costName = routeFinderState.constraintCostBasis === 'mrc' ? 'MRC' : ((routeFinderState.costMetric || 'lease') === 'iru' ? 'IRU NPV' : 'ACV');
+    const rows = [
+      ['maxLatencyMs', 'Latency', route.totalLatency, v => `${v.toFixed(2)} ms`],
+      ['maxCost', costName, route.commercialCost, v => formatCurrency(v, currency)],
+      ['maxHops', 'Hops', route.hops, v => String(v)],
+      ['maxCableSystems', 'Cable systems', route.cableSystems.length, v => String(v)]
+    ].map(([key, label, used, fmt]) => {
+      const limit = report.limits[key];
+      const binding = report.binding.includes(key);
+      return `
+        <tr>
+          <td style="padding:2px 4px; color:#475569;">${label}</td>
+          <td style="padding:2px 4px; text-align:right; font-weight:600;">${fmt(used)}</td>
+          <td style="padding:2px 4px; color:#94a3b8;">${limit === null ? 'no cap' : `≤ ${fmt(limit)}`}</td>
+          <td style="padding:2px 4px;">${binding ? '<span style="padding:1px 5px; border-radius:3px; background:#fef3c7; color:#92400e; font-size:9px; font-weight:600;">BINDING</span>' : ''}</td>
+        </tr>`;
+    }).join('');
+
+    const summary = document.createElement('div');
+    summary.style.cssText = 'margin-bottom:10px; padding:6px 8px; background:#f8fafc; border:1px solid #e2e8f0; border-radius:6px; font-size:10px;';
+    summary.innerHTML = `
+      <div style="font-weight:600; color:#475569; margin-bottom:4px;">🎯 ${report.objective === 'cost' ? 'Cheapest' : 'Fastest'} route within hard limits</div>
+      <table style="width:100%; border-collapse:collapse;">${rows}</table>
+      <div style="color:#94a3b8; margin-top:4px;">A cap is binding when relaxing it alone would give a ${report.objective === 'cost' ? 'cheaper' : 'faster'} route.</div>
+    `;
+    return summary;
+  }
+
   // Select and highlight a route
   function selectRoute(index) {
     routeFinderState.activeRouteIndex = index;
@@ -27511,10 +34914,12 @@ function loadProjectObject(obj) {
     }
 
     const route = routeFinderState.routes[routeFinderState.activeRouteIndex];
-    const routeClass = `route-path-${routeFinderState.activeRouteIndex + 1}`;
+    // Pareto sets can be larger than three; the selected point always draws as the best route
+    const styleIndex = route.pareto ? 0 : routeFinderState.activeRouteIndex;
+    const routeClass = `route-path-${styleIndex + 1}`;
     const routeColors = ['#22c55e', '#f59e0b', '#f97316'];
     const mlgColor = '#a855f7'; // Purple for MLG segments
-    const color = routeColors[routeFinderState.activeRouteIndex];
+    const color = routeColors[styleIndex];
 
     // Check if we're in Geographic View
     const inGeoView = typeof geoViewState !== 'undefined' && geoViewState.active;
@@ -28812,6 +36217,38 @@ function loadProjectObject(obj) {
     });
   }
 
+  // Search algorithm select (Settings section)
+  const routeSearchAlgorithm = document.getElementById('routeSearchAlgorithm');
+  if (routeSearchAlgorithm) {
+    routeSearchAlgorithm.addEventListener('change', () => {
+      routeFinderState.searchAlgorithm = routeSearchAlgorithm.value || 'dijkstra';
+      routeFinderState.routes = [];
+      updateRouteFinderUI();
+      const labels = { dijkstra: 'Dijkstra', bidirectional: 'Bidirectional Dijkstra', astar: 'A* (great-circle)' };
+      showToast(`🧭 Search algorithm: ${labels[routeFinderState.searchAlgorithm] || routeFinderState.searchAlgorithm}`);
+    });
+  }
+
+  // Search timeout input (Settings section)
+  const routeSearchTimeout = document.getElementById('routeSearchTimeout');
+  if (routeSearchTimeout) {
+    routeSearchTimeout.addEventListener('change', () => {
+      const seconds = parseFloat(routeSearchTimeout.value);
+      routeFinderState.searchTimeoutSec = seconds >= 0 ? seconds : 30;
+      routeSearchTimeout.value = routeFinderState.searchTimeoutSec;
+    });
+  }
+
+  // Cancel buttons on the route/protection progress bars
+  const btnCancelRouteSearch = document.getElementById('routeSearchCancel');
+  if (btnCancelRouteSearch) {
+    btnCancelRouteSearch.addEventListener('click', () => cancelRouteJob('routes'));
+  }
+  const btnCancelProtectionSearch = document.getElementById('protectionSearchCancel');
+  if (btnCancelProtectionSearch) {
+    btnCancelProtectionSearch.addEventListener('click', () => cancelRouteJob('protection'));
+  }
+
   // ============== COST OPTIMIZATION EVENT HANDLERS (Phase 4) ==============
 
   // Update balance display text
@@ -28869,6 +36306,26 @@ function loadProjectObject(obj) {
     });
   }
 
+  // Pareto mode and hard limits are alternative search modes: enabling one turns the other off
+  const routeParetoMode = document.getElementById('routeParetoMode');
+  const routeConstrainedMode = document.getElementById('routeConstrainedMode');
+  function setRouteSearchMode(mode) {
+    routeFinderState.paretoMode = mode === 'pareto';
+    routeFinderState.constrainedMode = mode === 'constrained';
+    if (routeParetoMode) routeParetoMode.checked = routeFinderState.paretoMode;
+    if (routeConstrainedMode) routeConstrainedMode.checked = routeFinderState.constrainedMode;
+    if (routeOptimizationBalance) routeOptimizationBalance.disabled = mode !== 'default';
+    routeFinderState.constraintReport = null;
+    routeFinderState.routes = [];
+    updateRouteFinderUI();
+  }
+  if (routeParetoMode) {
+    routeParetoMode.addEventListener('change', () => setRouteSearchMode(routeParetoMode.checked ? 'pareto' : 'default'));
+  }
+  if (routeConstrainedMode) {
+    routeConstrainedMode.addEventListener('change', () => setRouteSearchMode(routeConstrainedMode.checked ? 'constrained' : 'default'));
+  }
+
   // Cost metric radio buttons
   const routeCostMetricLease = document.getElementById('routeCostMetricLease');
   const routeCostMetricIRU = document.getElementById('routeCostMetricIRU');
@@ -29744,6 +37201,21 @@ function loadProjectObject(obj) {
     btnCalculateProtection.addEventListener('click', calculateProtectionPath);
   }
 
+  // Protection method: disjoint-pair options only apply to the Suurballe method,
+  // and the diversity exclusions (relative to the old primary) only to re-routing
+  const protectionMethodSelect = document.getElementById('protectionMethod');
+  if (protectionMethodSelect) {
+    protectionMethodSelect.addEventListener('change', () => {
+      const pairMode = protectionMethodSelect.value === 'disjointPair';
+      const pairOptions = document.getElementById('protectionPairOptions');
+      if (pairOptions) pairOptions.style.display = pairMode ? 'block' : 'none';
+      ['chkPhysicalDiversity', 'inputRequiredDiversity', 'chkSrlgDiversity'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.disabled = pairMode;
+      });
+    });
+  }
+
   // Save Protected MLG button handler
   const btnSaveProtectedMLG = document.getElementById('btnSaveProtectedMLG');
   if (btnSaveProtectedMLG) {
@@ -32156,6 +39628,9 @@ function loadProjectObject(obj) {
         strokeColor = simplifiedNode.nodeStroke;
         strokeWidth = 2;
       }
+      // Node heat map modes override the fill
+      const heatMapFill = (typeof getHeatMapNodeColor === 'function') ? getHeatMapNodeColor(n) : null;
+      if (heatMapFill) fillColor = heatMapFill;
 
       circle.setAttribute('fill', fillColor);
 
@@ -34870,6 +42345,400 @@ function handlePathKmlImport(e) {
   window.enableManualPathDrawing = enableManualPathDrawing;
   window.handlePathKmlImport = handlePathKmlImport;
 
+  // ============== LATENCY ESTIMATOR ==============
+  // Physical latency from the link's cable geometry (the stretch between its
+  // endpoints), or from the great-circle distance between its endpoints' GPS
+  // scaled by a fibre route factor.
+
+  const SPEED_OF_LIGHT_KM_PER_MS = 299.792458;
+
+  let latencyEstimatorFilter = 'flagged'; // 'flagged' | 'all' | 'nodata'
+
+  /**
+   * Geodesic length of a GeoJSON LineString / MultiLineString in km.
+   * MultiLineString parts are measured separately (gaps between parts are not bridged).
+   */
+  function geometryLengthKm(geometry) {
+    if (!geometry || !Array.isArray(geometry.coordinates)) return 0;
+    const parts = geometry.type === 'MultiLineString' ? geometry.coordinates
+      : geometry.type === 'LineString' ? [geometry.coordinates] : [];
+    let km = 0;
+    for (const part of parts) {
+      for (let i = 1; i < part.length; i++) {
+        km += haversineKm(part[i - 1][1], part[i - 1][0], part[i][1], part[i][0]);
+      }
+    }
+    return km;
+  }
+
+  function hasNodeGps(node) {
+    return !!node && typeof node.gpsLat === 'number' && typeof node.gpsLon === 'number';
+  }
+
+  // A landing point further than this from the cable path means the path
+  // does not serve that endpoint
+  const LANDING_SNAP_KM = 100;
+  // Part ends this close to another part's vertex are treated as joined (branching units)
+  const GEOMETRY_JOIN_KM = 5;
+  const clippedLengthCache = new WeakMap();  // geometry -> Map(endpoint key -> km|null)
+
+  /**
+   * Length of the cable path between two landing points, in km. Imported
+   * cable systems often store the whole system's geometry on each link, so
+   * the path is walked from the vertex nearest A to the vertex nearest B
+   * (across joined branches), plus the straight hops from A and B onto it.
+   * @returns {number|null} null when either endpoint is not near the path
+   *   or the path does not connect them
+   */
+  function clippedGeometryLengthKm(geometry, a, b) {
+    if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+    const parts = (geometry.type === 'MultiLineString' ? geometry.coordinates
+      : geometry.type === 'LineString' ? [geometry.coordinates] : []).filter(p => Array.isArray(p) && p.length > 0);
+    if (parts.length === 0) return null;
+    const key = `${a.gpsLat},${a.gpsLon}|${b.gpsLat},${b.gpsLon}`;
+    let cache = clippedLengthCache.get(geometry);
+    if (!cache) { cache = new Map(); clippedLengthCache.set(geometry, cache); }
+    if (cache.has(key)) return cache.get(key);
+
+    // Vertices shared between parts (same coordinates) become one graph node
+    const ids = new Map();
+    const coords = [];
+    const links = [];
+    const vertexId = (c) => {
+      const k = `${(+c[0]).toFixed(5)},${(+c[1]).toFixed(5)}`;
+      if (!ids.has(k)) { ids.set(k, coords.length); coords.push(c); links.push([]); }
+      return ids.get(k);
+    };
+    const join = (u, v) => {
+      if (u === v) return;
+      const km = haversineKm(coords[u][1], coords[u][0], coords[v][1], coords[v][0]);
+      links[u].push([v, km]);
+      links[v].push([u, km]);
+    };
+    const partVertices = parts.map(part => {
+      const verts = part.map(vertexId);
+      for (let i = 1; i < verts.length; i++) join(verts[i - 1], verts[i]);
+      return verts;
+    });
+    if (parts.length > 1) {
+      partVertices.forEach((verts, pi) => {
+        [verts[0], verts[verts.length - 1]].forEach(end => {
+          partVertices.forEach((other, oi) => {
+            if (oi === pi) return;
+            let best = null, bestKm = GEOMETRY_JOIN_KM;
+            other.forEach(v => {
+              const km = haversineKm(coords[end][1], coords[end][0], coords[v][1], coords[v][0]);
+              if (km <= bestKm) { best = v; bestKm = km; }
+            });
+            if (best !== null) join(end, best);
+          });
+        });
+      });
+    }
+
+    const nearest = (node) => {
+      let best = -1, bestKm = Infinity;
+      coords.forEach((c, i) => {
+        const km = haversineKm(node.gpsLat, node.gpsLon, c[1], c[0]);
+        if (km < bestKm) { best = i; bestKm = km; }
+      });
+      return { vertex: best, km: bestKm };
+    };
+    const from = nearest(a);
+    const to = nearest(b);
+    let result = null;
+    if (from.km <= LANDING_SNAP_KM && to.km <= LANDING_SNAP_KM) {
+      const dist = new Float64Array(coords.length).fill(Infinity);
+      const heap = createIndexedMinHeap();
+      dist[from.vertex] = 0;
+      heap.push(from.vertex, 0);
+      while (heap.size() > 0) {
+        const { node: u, priority: d } = heap.pop();
+        if (u === to.vertex) break;
+        if (d > dist[u]) continue;
+        links[u].forEach(([v, km]) => {
+          if (d + km < dist[v]) { dist[v] = d + km; heap.push(v, d + km); }
+        });
+      }
+      if (dist[to.vertex] < Infinity) result = from.km + dist[to.vertex] + to.km;
+    }
+    cache.set(key, result);
+    return result;
+  }
+
+  /**
+   * Estimate a link's physical latency.
+   * @returns {{km: number, basis: 'geometry'|'greatCircle', ms: number}|null} null when
+   *   the link has neither geometry nor GPS on both endpoints
+   */
+  function estimateEdgeLatency(edge, settings = state.latencySettings) {
+    const a = findNode(edge.a), b = findNode(edge.b);
+    const gps = hasNodeGps(a) && hasNodeGps(b);
+    // With GPS on both ends, only the stretch of cable between them counts
+    // (the geometry may be the whole cable system); without, the whole path
+    let km = edge.cableGeometry ? (gps ? clippedGeometryLengthKm(edge.cableGeometry, a, b) : geometryLengthKm(edge.cableGeometry)) : 0;
+    let basis = 'geometry';
+    if (!(km > 0)) {
+      if (!gps) return null;
+      km = haversineKm(a.gpsLat, a.gpsLon, b.gpsLat, b.gpsLon) * settings.routeFactor;
+      basis = 'greatCircle';
+    }
+    const oneWay = km * settings.refractiveIndex / SPEED_OF_LIGHT_KM_PER_MS + settings.hopDelayMs;
+    const ms = settings.roundTrip ? oneWay * 2 : oneWay;
+    return { km, basis, ms: Math.round(ms * 1000) / 1000 };
+  }
+
+  /**
+   * Compare a link's manual latency with its physical estimate.
+   * status: 'nodata' (no estimate), 'missing' (no manual value), 'deviates' or 'ok'
+   */
+  function checkEdgeLatency(edge, settings = state.latencySettings) {
+    const estimate = estimateEdgeLatency(edge, settings);
+    const manual = (typeof edge.latencyMs === 'number' && isFinite(edge.latencyMs)) ? edge.latencyMs : null;
+    if (!estimate) return { edge, estimate: null, manual, deviation: null, status: 'nodata' };
+    if (manual === null) return { edge, estimate, manual, deviation: null, status: 'missing' };
+    const diff = manual - estimate.ms;
+    const deviation = estimate.ms > 0 ? diff / estimate.ms * 100 : 0;
+    const deviates = Math.abs(deviation) > settings.deviationPercent && Math.abs(diff) > settings.deviationMinMs;
+    return { edge, estimate, manual, deviation, status: deviates ? 'deviates' : 'ok' };
+  }
+
+  function describeLatencyBasis(estimate, settings = state.latencySettings) {
+    return estimate.basis === 'geometry' ? 'cable path' : `great circle ×${settings.routeFactor}`;
+  }
+
+  /**
+   * Write the estimate into each link's latencyMs (one undo step).
+   * @returns {number} Number of links updated
+   */
+  function applyLatencyEstimates(edges) {
+    let count = 0;
+    edges.forEach(edge => {
+      const estimate = estimateEdgeLatency(edge);
+      if (!estimate) return;
+      edge.latencyMs = estimate.ms;
+      if (typeof updateMLGsForLinkChange === 'function') updateMLGsForLinkChange(edge.id);
+      count++;
+    });
+    if (count > 0) {
+      commit();
+      render();
+    }
+    return count;
+  }
+
+  // Inspector hint under the latency field
+  function updateEdgeLatencyEstimate(edge) {
+    const el = document.getElementById('edgeLatencyEstimate');
+    if (!el) return;
+    const check = checkEdgeLatency(edge);
+    if (!check.estimate) {
+      el.style.display = 'none';
+      return;
+    }
+    const settings = state.latencySettings;
+    const warn = check.status === 'deviates' || check.status === 'missing';
+    const deviation = check.status === 'missing' ? ' · not set'
+      : ` · ${check.deviation >= 0 ? '+' : ''}${check.deviation.toFixed(0)}%`;
+    el.style.display = 'block';
+    el.style.color = warn ? '#b45309' : '';
+    el.innerHTML = `${warn ? '⚠️ ' : ''}Physical estimate ${check.estimate.ms.toFixed(3)} ms ` +
+      `(${Math.round(check.estimate.km).toLocaleString()} km, ${describeLatencyBasis(check.estimate, settings)})${deviation} ` +
+      `<a href="#" id="edgeLatencyUseEstimate" style="color:#0369a1;">Use</a>`;
+    el.querySelector('#edgeLatencyUseEstimate').addEventListener('click', (ev) => {
+      ev.preventDefault();
+      applyLatencyEstimates([edge]);
+    });
+  }
+
+  function showLatencyEstimatorDialog() {
+    document.getElementById('latencyEstimatorModal')?.remove();
+    const settings = state.latencySettings;
+
+    const modal = document.createElement('div');
+    modal.id = 'latencyEstimatorModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    const numberInput = (id, value, step, width = 60) =>
+      `<input type="number" id="${id}" value="${value}" step="${step}" min="0" style="width:${width}px;">`;
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:960px; max-width:95vw; height:680px; max-height:90vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>⏱️ Latency Estimator</span>
+          <button id="leClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div style="display:flex; flex-wrap:wrap; gap:12px; align-items:center; padding:10px 20px; border-bottom:1px solid #f0f0f0; background:#fafafa; font-size:12px;">
+          <label title="Group refractive index of the fibre (≈1.468 for G.652)">Refractive index ${numberInput('leIndex', settings.refractiveIndex, 0.001)}</label>
+          <label title="Fibre km per great-circle km, used when a link has no cable geometry">Route factor ${numberInput('leRouteFactor', settings.routeFactor, 0.05)}</label>
+          <label title="Equipment delay added once per link">Per-hop delay ${numberInput('leHopDelay', settings.hopDelayMs, 0.01)} ms</label>
+          <label>Values are
+            <select id="leRoundTrip">
+              <option value="oneway" ${settings.roundTrip ? '' : 'selected'}>One-way</option>
+              <option value="rtt" ${settings.roundTrip ? 'selected' : ''}>Round-trip (RTT)</option>
+            </select></label>
+          <label>Flag deviation &gt; ${numberInput('leDevPct', settings.deviationPercent, 1, 50)} % and &gt; ${numberInput('leDevMs', settings.deviationMinMs, 0.1, 50)} ms</label>
+        </div>
+        <div style="display:flex; gap:8px; align-items:center; padding:8px 20px; border-bottom:1px solid #f0f0f0; font-size:12px;">
+          <label>Show
+            <select id="leFilter">
+              <option value="flagged">Missing or deviating</option>
+              <option value="all">All links with an estimate</option>
+              <option value="nodata">Links without geometry or GPS</option>
+            </select></label>
+          <span id="leSummary" style="color:#6b7280;"></span>
+          <span style="flex:1;"></span>
+          <button class="btn" id="leSelectFlagged">🔍 Select flagged</button>
+          <button class="btn" id="leFillMissing">Fill missing</button>
+          <button class="btn primary" id="leApplyChecked">Apply to checked</button>
+        </div>
+        <div id="leTable" style="flex:1; overflow:auto; padding:0 20px 12px;"></div>
+        <div style="padding:6px 20px 10px; font-size:10px; color:#6b7280; border-top:1px solid #f0f0f0;">
+          Latency = fibre km × refractive index ÷ c + per-hop delay. Fibre km is the geodesic length of the link's
+          cable geometry, or the great-circle distance between the endpoints' GPS × route factor.
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const close = () => modal.remove();
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#leClose').addEventListener('click', close);
+
+    const readNumber = (id, fallback) => {
+      const v = parseFloat(modal.querySelector(id).value);
+      return Number.isFinite(v) && v >= 0 ? v : fallback;
+    };
+    const saveSettings = () => {
+      const s = state.latencySettings;
+      s.refractiveIndex = readNumber('#leIndex', 1.468) || 1.468;
+      s.routeFactor = readNumber('#leRouteFactor', 1.3) || 1.3;
+      s.hopDelayMs = readNumber('#leHopDelay', 0);
+      s.roundTrip = modal.querySelector('#leRoundTrip').value === 'rtt';
+      s.deviationPercent = readNumber('#leDevPct', 20);
+      s.deviationMinMs = readNumber('#leDevMs', 0);
+      dirty = true;
+      renderLatencyEstimator();
+    };
+    ['#leIndex', '#leRouteFactor', '#leHopDelay', '#leRoundTrip', '#leDevPct', '#leDevMs'].forEach(id => {
+      modal.querySelector(id).addEventListener('change', saveSettings);
+    });
+
+    modal.querySelector('#leFilter').value = latencyEstimatorFilter;
+    modal.querySelector('#leFilter').addEventListener('change', (e) => {
+      latencyEstimatorFilter = e.target.value;
+      renderLatencyEstimator();
+    });
+
+    const flaggedEdges = () => state.edges.map(e => checkEdgeLatency(e))
+      .filter(c => c.status === 'missing' || c.status === 'deviates').map(c => c.edge);
+
+    modal.querySelector('#leSelectFlagged').addEventListener('click', () => {
+      const edges = flaggedEdges();
+      setMultiSelection({ edges: edges.map(e => e.id) });
+      render();
+      showToast(`🔍 ${edges.length} flagged link(s) selected`);
+    });
+    modal.querySelector('#leFillMissing').addEventListener('click', () => {
+      const missing = state.edges.filter(e => checkEdgeLatency(e).status === 'missing');
+      if (missing.length === 0) {
+        showToast('No links with a missing latency can be estimated');
+        return;
+      }
+      const count = applyLatencyEstimates(missing);
+      renderLatencyEstimator();
+      showToast(`✅ Filled latency on ${count} link(s)`);
+    });
+    modal.querySelector('#leApplyChecked').addEventListener('click', () => {
+      const ids = new Set([...modal.querySelectorAll('.le-check:checked')].map(cb => parseInt(cb.dataset.id)));
+      if (ids.size === 0) {
+        showToast('Tick the links to update first');
+        return;
+      }
+      const count = applyLatencyEstimates(state.edges.filter(e => ids.has(e.id)));
+      renderLatencyEstimator();
+      showToast(`✅ Applied estimate to ${count} link(s)`);
+    });
+
+    renderLatencyEstimator();
+  }
+
+  function renderLatencyEstimator() {
+    const modal = document.getElementById('latencyEstimatorModal');
+    if (!modal) return;
+    const settings = state.latencySettings;
+    const checks = state.edges.map(e => checkEdgeLatency(e, settings));
+    const counts = { ok: 0, missing: 0, deviates: 0, nodata: 0 };
+    checks.forEach(c => counts[c.status]++);
+    modal.querySelector('#leSummary').textContent =
+      `${counts.deviates} deviating · ${counts.missing} missing · ${counts.ok} within threshold · ${counts.nodata} without data`;
+
+    const rows = checks.filter(c => latencyEstimatorFilter === 'all' ? c.status !== 'nodata'
+      : latencyEstimatorFilter === 'nodata' ? c.status === 'nodata'
+      : c.status === 'missing' || c.status === 'deviates');
+    const tableEl = modal.querySelector('#leTable');
+    if (rows.length === 0) {
+      tableEl.innerHTML = `<div style="padding:40px; text-align:center; color:#999; font-size:12px;">No links to show.</div>`;
+      return;
+    }
+    rows.sort((x, y) => Math.abs(y.deviation ?? Infinity) - Math.abs(x.deviation ?? Infinity));
+
+    const badge = {
+      ok: '<span style="color:#059669;">✓ OK</span>',
+      missing: '<span style="color:#b45309; font-weight:600;">Missing</span>',
+      deviates: '<span style="color:#dc2626; font-weight:600;">Deviates</span>',
+      nodata: '<span style="color:#9ca3af;">No geometry / GPS</span>'
+    };
+    const nodeName = id => findNode(id)?.name || `N${id}`;
+    const th = 'padding:6px 8px; text-align:left; font-weight:600; color:#374151; border-bottom:1px solid #e5e7eb; position:sticky; top:0; background:white;';
+    const td = 'padding:5px 8px; border-bottom:1px solid #f3f4f6;';
+    tableEl.innerHTML = `
+      <table style="width:100%; border-collapse:collapse; font-size:11px;">
+        <thead><tr>
+          <th style="${th}"><input type="checkbox" id="leCheckAll"></th>
+          <th style="${th}">Link</th><th style="${th}">Endpoints</th><th style="${th}">Basis</th>
+          <th style="${th} text-align:right;">Fibre km</th><th style="${th} text-align:right;">Manual ms</th>
+          <th style="${th} text-align:right;">Estimate ms</th><th style="${th} text-align:right;">Deviation</th><th style="${th}">Status</th>
+        </tr></thead>
+        <tbody>${rows.map(c => `
+          <tr class="le-row" data-id="${c.edge.id}" style="cursor:pointer;">
+            <td style="${td}">${c.estimate ? `<input type="checkbox" class="le-check" data-id="${c.edge.id}" ${c.status === 'missing' || c.status === 'deviates' ? 'checked' : ''}>` : ''}</td>
+            <td style="${td}">${escapeHtml(c.edge.code || `L${c.edge.id}`)}</td>
+            <td style="${td}">${escapeHtml(nodeName(c.edge.a))} ↔ ${escapeHtml(nodeName(c.edge.b))}</td>
+            <td style="${td}">${c.estimate ? describeLatencyBasis(c.estimate, settings) : '—'}</td>
+            <td style="${td} text-align:right;">${c.estimate ? Math.round(c.estimate.km).toLocaleString() : '—'}</td>
+            <td style="${td} text-align:right;">${c.manual !== null ? c.manual : '—'}</td>
+            <td style="${td} text-align:right;">${c.estimate ? c.estimate.ms.toFixed(3) : '—'}</td>
+            <td style="${td} text-align:right;">${c.deviation !== null ? `${c.deviation >= 0 ? '+' : ''}${c.deviation.toFixed(1)}%` : '—'}</td>
+            <td style="${td}">${badge[c.status]}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+
+    tableEl.querySelector('#leCheckAll').addEventListener('change', (e) => {
+      tableEl.querySelectorAll('.le-check').forEach(cb => { cb.checked = e.target.checked; });
+    });
+    tableEl.querySelectorAll('.le-row').forEach(row => {
+      row.addEventListener('click', (e) => {
+        if (e.target.classList.contains('le-check')) return;
+        const id = parseInt(row.dataset.id);
+        setMultiSelection({});
+        state.selected = { type: 'edge', id };
+        render();
+      });
+    });
+  }
+
+  document.getElementById('miLatencyEstimator')?.addEventListener('click', () => {
+    closeAllMenus();
+    showLatencyEstimatorDialog();
+  });
+
+  // ============== END LATENCY ESTIMATOR ==============
+
   // ============== TELEGEOGRAPHY CABLE IMPORT ==============
 
   // Embedded submarine cable data (curated from public sources)
@@ -36335,6 +44204,9 @@ function handlePathKmlImport(e) {
         stroke = simplifiedNode.nodeStroke;
         strokeWidth = 2;
       }
+      // Node heat map modes override the fill
+      const heatMapFill = (typeof getHeatMapNodeColor === 'function') ? getHeatMapNodeColor(n) : null;
+      if (heatMapFill) fill = heatMapFill;
 
       let extraCircle = '';
       let glowFilter = '';
@@ -36547,6 +44419,9 @@ function handlePathKmlImport(e) {
       drawMapLibrePath(mapLibreState.currentPath);
     }
 
+    // Keep the failure simulation overlay on top of the redrawn links
+    if (state.failureSim) renderFailureSimInMapLibre();
+
     // Fit map to show all nodes (only on initial render, not during selection changes)
     if (!mapLibreState.pathFinderActive && !mapLibreState.skipFitBounds) {
       if (geoNodes.length > 1) {
@@ -37652,9 +45527,17 @@ function handlePathKmlImport(e) {
     return npv;
   }
 
-  // Format currency value
-  function formatCurrency(value, currencyCode) {
-    const symbol = getCurrencySymbol(currencyCode || state.financialSettings.baseCurrency);
+  // Format currency value. When fromCurrency is given the value is converted
+  // first, using the project's active exchange-rate snapshot.
+  function formatCurrency(value, currencyCode, fromCurrency, snapshotId) {
+    const code = currencyCode || state.financialSettings.baseCurrency;
+    if (fromCurrency && fromCurrency !== code) {
+      const converted = convertCurrencyAmount(value, fromCurrency, code, snapshotId);
+      // No rate for this pair: show the amount unconverted rather than a wrong figure
+      if (converted === null) return formatCurrency(value, fromCurrency);
+      value = converted;
+    }
+    const symbol = getCurrencySymbol(code);
     if (value >= 1000000) {
       return symbol + (value / 1000000).toFixed(2) + 'M';
     } else if (value >= 1000) {
@@ -37663,6 +45546,30 @@ function handlePathKmlImport(e) {
     return symbol + value.toFixed(2);
   }
 
+  // Exchange rates (quoted per USD) from a snapshot - the pinned one by
+  // default - or the working rates when there is no such snapshot
+  function getActiveExchangeRates(snapshotId = state.financialSettings.activeRateSnapshotId) {
+    const fs = state.financialSettings;
+    const snapshot = (fs.rateSnapshots || []).find(s => s.id === snapshotId);
+    return snapshot ? snapshot.rates : (fs.exchangeRates || {});
+  }
+
+  // Name of the rates a conversion used, for quotes and reprice runs
+  function describeRateSnapshot(snapshotId) {
+    const snapshot = (state.financialSettings.rateSnapshots || []).find(s => s.id === snapshotId);
+    if (snapshot) return `📌 ${getRateSnapshotLabel(snapshot)}`;
+    return snapshotId ? 'snapshot no longer in the project - working rates' : 'working rates';
+  }
+
+  // Convert an amount with the pinned snapshot's rates (or `snapshotId`'s).
+  // Returns null when either currency has no rate.
+  function convertCurrencyAmount(value, fromCurrency, toCurrency, snapshotId) {
+    if (fromCurrency === toCurrency) return value;
+    const rates = Object.assign({ USD: 1 }, getActiveExchangeRates(snapshotId));
+    if (!rates[fromCurrency] || !rates[toCurrency]) return null;
+    return value / rates[fromCurrency] * rates[toCurrency];
+  }
+
   // Get commercial cost for edge (based on mode)
   function getEdgeCommercialCost(edge) {
     const mode = edge.commercialCostMode || state.pathfinderSettings.costMetric || 'lease';
@@ -37962,6 +45869,7 @@ function handlePathKmlImport(e) {
     updateFinancialSettingsUnits();
 
     // Update exchange rates display
+    renderRateSnapshotOptions(state.financialSettings.activeRateSnapshotId);
     updateExchangeRatesDisplay();
 
     modal.classList.add('show');
@@ -37990,12 +45898,117 @@ function handlePathKmlImport(e) {
     if (finContainerDefaultIRUUnit) finContainerDefaultIRUUnit.textContent = currency;
   }
 
+  // Last rates fetched on this machine, so a project without rates still
+  // gets conversions when the rates service can't be reached.
+  const LS_EXCHANGE_RATES_KEY = 'ndg_exchange_rates_v1';
+
+  function getRateSnapshotLabel(snapshot) {
+    return `${snapshot.date} · ${snapshot.label}`;
+  }
+
+  // Snapshot picked in the Financial Settings dropdown (not yet saved), else the active one
+  function getSelectedRateSnapshot() {
+    const select = document.getElementById('finRateSnapshot');
+    const id = select ? (select.value ? +select.value : null) : state.financialSettings.activeRateSnapshotId;
+    return (state.financialSettings.rateSnapshots || []).find(s => s.id === id) || null;
+  }
+
+  /**
+   * Add a dated exchange-rate snapshot to the project. A snapshot from the same
+   * source and date replaces the earlier one.
+   * @param {Object} rates - Rates quoted per USD, e.g. { EUR: 0.92 }
+   * @param {Object} info - { label, date (YYYY-MM-DD), source }
+   * @returns {Object} The stored snapshot
+   */
+  function addRateSnapshot(rates, info) {
+    const snapshots = state.financialSettings.rateSnapshots || (state.financialSettings.rateSnapshots = []);
+    const existing = snapshots.find(s => s.source === info.source && s.date === info.date && s.label === info.label);
+    if (existing) {
+      existing.rates = { ...rates };
+      existing.savedAt = new Date().toISOString();
+      return existing;
+    }
+    const snapshot = {
+      id: Math.max(0, ...snapshots.map(s => s.id)) + 1,
+      label: info.label,
+      date: info.date,
+      source: info.source,
+      savedAt: new Date().toISOString(),
+      rates: { ...rates }
+    };
+    snapshots.push(snapshot);
+    snapshots.sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id);
+    return snapshot;
+  }
+
+  /**
+   * Read exchange rates from a JSON file ({ base, date, rates }, as served by
+   * Frankfurter/ECB) or a CSV/XLSX sheet with Currency and Rate columns and an
+   * optional Date column. Rates are rebased to USD when quoted against another base.
+   * @returns {Promise<Object>} { rates, date }
+   */
+  async function parseExchangeRatesFile(file) {
+    let base = 'USD';
+    let date = null;
+    let raw = {};
+    if (file.name.toLowerCase().endsWith('.json')) {
+      const data = JSON.parse(await file.text());
+      raw = data.rates || data;
+      base = String(data.base || 'USD').toUpperCase();
+      date = data.date || null;
+    } else {
+      const table = await readFirstSheetRows(file);
+      const keys = table.headers.map(h => h.toLowerCase().replace(/[^a-z]/g, ''));
+      const codeCol = keys.findIndex(k => ['currency', 'code', 'ccy', 'currencycode'].includes(k));
+      const rateCol = keys.findIndex(k => ['rate', 'perusd', 'value', 'exchangerate'].includes(k));
+      const dateCol = keys.indexOf('date');
+      const baseCol = keys.indexOf('base');
+      if (codeCol < 0 || rateCol < 0) throw new Error('File needs Currency and Rate columns');
+      table.rows.forEach(row => { raw[row[codeCol]] = row[rateCol]; });
+      if (dateCol >= 0) date = table.rows.find(r => r[dateCol])?.[dateCol] || null;
+      if (baseCol >= 0) base = (table.rows.find(r => r[baseCol])?.[baseCol] || 'USD').toUpperCase();
+    }
+
+    const rates = {};
+    Object.entries(raw).forEach(([code, value]) => {
+      const rate = parseFloat(String(value).replace(/,/g, ''));
+      code = String(code).trim().toUpperCase();
+      if (/^[A-Z]{3}$/.test(code) && rate > 0 && isFinite(rate)) rates[code] = rate;
+    });
+    if (base !== 'USD') {
+      rates[base] = 1;
+      if (!rates.USD) throw new Error(`Rates are quoted against ${base} but the file has no USD rate`);
+    }
+    if (rates.USD && rates.USD !== 1) {
+      const usd = rates.USD;
+      Object.keys(rates).forEach(code => { rates[code] = Math.round(rates[code] / usd * 1e6) / 1e6; });
+    }
+    delete rates.USD;
+    if (Object.keys(rates).length === 0) throw new Error('No exchange rates found');
+
+    const parsedDate = date ? new Date(date) : null;
+    return {
+      rates,
+      date: parsedDate && !isNaN(parsedDate) ? parsedDate.toISOString().slice(0, 10) : new Date().toISOString().slice(0, 10)
+    };
+  }
+
+  function renderRateSnapshotOptions(selectedId) {
+    const select = document.getElementById('finRateSnapshot');
+    if (!select) return;
+    const snapshots = state.financialSettings.rateSnapshots || [];
+    select.innerHTML = `<option value="">Working rates (latest update)</option>` +
+      snapshots.map(s => `<option value="${s.id}">📌 ${escapeHtml(getRateSnapshotLabel(s))}</option>`).join('');
+    select.value = snapshots.some(s => s.id === selectedId) ? String(selectedId) : '';
+  }
+
   function updateExchangeRatesDisplay() {
     const grid = document.getElementById('currencyRatesGrid');
     const updatedEl = document.getElementById('ratesUpdatedTime');
+    const snapshot = getSelectedRateSnapshot();
 
     if (grid && state.financialSettings.exchangeRates) {
-      const rates = state.financialSettings.exchangeRates;
+      const rates = snapshot ? snapshot.rates : state.financialSettings.exchangeRates;
       const displayCurrencies = ['EUR', 'GBP', 'JPY', 'SGD', 'HKD', 'AUD', 'CHF', 'CNY'];
 
       grid.innerHTML = displayCurrencies.map(code => {
@@ -38006,13 +46019,18 @@ function handlePathKmlImport(e) {
     }
 
     if (updatedEl) {
-      if (state.financialSettings.exchangeRatesUpdated) {
+      if (snapshot) {
+        updatedEl.textContent = `Pinned snapshot: rates of ${snapshot.date} (${snapshot.label})`;
+      } else if (state.financialSettings.exchangeRatesUpdated) {
         const date = new Date(state.financialSettings.exchangeRatesUpdated);
         updatedEl.textContent = `Last updated: ${date.toLocaleString()}`;
       } else {
         updatedEl.textContent = 'Exchange rates not yet loaded';
       }
     }
+
+    const btnDelete = document.getElementById('btnDeleteRateSnapshot');
+    if (btnDelete) btnDelete.disabled = !snapshot;
   }
 
   // Fetch exchange rates from Frankfurter API
@@ -38031,19 +46049,72 @@ function handlePathKmlImport(e) {
 
       state.financialSettings.exchangeRates = data.rates;
       state.financialSettings.exchangeRatesUpdated = new Date().toISOString();
+      // Every fetch is kept as a dated snapshot (one per ECB publication date)
+      addRateSnapshot(data.rates, { label: 'ECB via Frankfurter', date: data.date || state.financialSettings.exchangeRatesUpdated.slice(0, 10), source: 'fetch' });
+      try {
+        localStorage.setItem(LS_EXCHANGE_RATES_KEY, JSON.stringify({ rates: data.rates, updated: state.financialSettings.exchangeRatesUpdated }));
+      } catch (e) { /* storage full or unavailable - cache is optional */ }
 
+      renderRateSnapshotOptions(getSelectedRateSnapshot()?.id ?? null);
       updateExchangeRatesDisplay();
       showToast('Exchange rates updated successfully');
 
     } catch (error) {
       console.error('Failed to fetch exchange rates:', error);
-      showToast('Failed to fetch exchange rates. Check your internet connection.');
+      const cached = loadCachedExchangeRates();
+      if (cached) {
+        state.financialSettings.exchangeRates = cached.rates;
+        state.financialSettings.exchangeRatesUpdated = cached.updated;
+        updateExchangeRatesDisplay();
+        showToast(`Offline: using rates cached on ${new Date(cached.updated).toLocaleDateString()}`);
+      } else {
+        showToast('Failed to fetch exchange rates. Check your internet connection or import a rates file.');
+      }
     } finally {
       if (btn) btn.disabled = false;
       if (icon) icon.textContent = '🔄';
     }
   }
 
+  // Cached rates, only when newer than the project's working rates
+  function loadCachedExchangeRates() {
+    try {
+      const cached = JSON.parse(localStorage.getItem(LS_EXCHANGE_RATES_KEY) || 'null');
+      if (!cached?.rates || !cached.updated) return null;
+      const current = state.financialSettings.exchangeRatesUpdated;
+      return (!current || cached.updated > current) ? cached : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async function importExchangeRatesFile(file) {
+    try {
+      const { rates, date } = await parseExchangeRatesFile(file);
+      const snapshot = addRateSnapshot(rates, { label: file.name, date, source: 'file' });
+      commit();
+      renderRateSnapshotOptions(snapshot.id);
+      updateExchangeRatesDisplay();
+      showToast(`📌 ${Object.keys(rates).length} rates of ${date} imported - save to use this snapshot`);
+    } catch (err) {
+      showToast(`❌ Could not import ${file.name}: ${err.message}`);
+    }
+  }
+
+  function deleteSelectedRateSnapshot() {
+    const snapshot = getSelectedRateSnapshot();
+    if (!snapshot) return;
+    const quotes = state.quotes.filter(q => q.rateSnapshotId === snapshot.id).length;
+    const usedBy = quotes > 0 ? `\n${quotes} saved quote(s) were priced with it and could no longer be reproduced.` : '';
+    if (!confirm(`Delete the exchange-rate snapshot ${getRateSnapshotLabel(snapshot)}?${usedBy}`)) return;
+    const fs = state.financialSettings;
+    fs.rateSnapshots = fs.rateSnapshots.filter(s => s !== snapshot);
+    if (fs.activeRateSnapshotId === snapshot.id) fs.activeRateSnapshotId = null;
+    commit();
+    renderRateSnapshotOptions(null);
+    updateExchangeRatesDisplay();
+  }
+
   function saveFinancialSettings() {
     const finBaseCurrency = document.getElementById('finBaseCurrency');
     const finDiscountRate = document.getElementById('finDiscountRate');
@@ -38092,6 +46163,9 @@ function handlePathKmlImport(e) {
     const finIRUFromMRCMultiplier = document.getElementById('finIRUFromMRCMultiplier');
     state.financialSettings.iruFromMRCMultiplier = parseFloat(finIRUFromMRCMultiplier?.value) || 36;
 
+    // Pin the exchange-rate snapshot used for conversions
+    state.financialSettings.activeRateSnapshotId = getSelectedRateSnapshot()?.id ?? null;
+
     // Update pathfinder settings
     state.pathfinderSettings.costMetric = finDefaultCostMetric?.value || 'lease';
     state.pathfinderSettings.costScale = finCostScale?.value || 'logarithmic';
@@ -38138,6 +46212,17 @@ function handlePathKmlImport(e) {
     const btnFetchRates = document.getElementById('btnFetchRates');
     if (btnFetchRates) btnFetchRates.addEventListener('click', fetchExchangeRates);
 
+    // Exchange-rate snapshots
+    document.getElementById('finRateSnapshot')?.addEventListener('change', updateExchangeRatesDisplay);
+    document.getElementById('btnDeleteRateSnapshot')?.addEventListener('click', deleteSelectedRateSnapshot);
+    const finRatesFile = document.getElementById('finRatesFile');
+    document.getElementById('btnImportRates')?.addEventListener('click', () => finRatesFile?.click());
+    finRatesFile?.addEventListener('change', () => {
+      const file = finRatesFile.files[0];
+      finRatesFile.value = '';
+      if (file) importExchangeRatesFile(file);
+    });
+
     // Currency change updates units
     const finBaseCurrency = document.getElementById('finBaseCurrency');
     if (finBaseCurrency) {
@@ -38189,6 +46274,13 @@ function handlePathKmlImport(e) {
     if (finIRUFromMRCMultiplier) {
       finIRUFromMRCMultiplier.addEventListener('input', updateIRUExampleResult);
     }
+
+    // Without network the project still converts with the last rates fetched here
+    const cachedRates = loadCachedExchangeRates();
+    if (cachedRates && Object.keys(state.financialSettings.exchangeRates || {}).length === 0) {
+      state.financialSettings.exchangeRates = cachedRates.rates;
+      state.financialSettings.exchangeRatesUpdated = cachedRates.updated;
+    }
   }
 
   // Update IRU example calculation display
@@ -38222,30 +46314,127 @@ function handlePathKmlImport(e) {
 
   // ============== HEAT MAP FUNCTIONALITY ==============
 
+  const HEAT_MAP_TIER_GBPS = { '1G': 1, '10G': 10, '100G': 100, '400G': 400 };
+
+  function formatHeatMapMoney(value, decimals) {
+    return getCurrencySymbol(state.financialSettings?.baseCurrency || 'USD') + value.toFixed(decimals);
+  }
+
+  // Heat map modes. target: what gets coloured ('edge' or 'node'); usesTier: the
+  // price tier picker applies; cold/hot: default colours for the min/max values.
+  const HEAT_MAP_MODES = {
+    capacity: {
+      target: 'edge', label: 'Capacity', title: 'Capacity Heat Map', cold: '#ef4444', hot: '#22c55e', hint: 'red=low, green=high',
+      subtitle: () => 'Total Available Capacity (Gbps)', format: v => v.toFixed(0) + ' Gbps'
+    },
+    price: {
+      target: 'edge', usesTier: true, label: 'Price', title: 'Price Heat Map', cold: '#22c55e', hot: '#ef4444', hint: 'green=low, red=high',
+      subtitle: tier => `MRC @ ${tier}`, format: v => formatHeatMapMoney(v, 0)
+    },
+    mrcPerGbps: {
+      target: 'edge', usesTier: true, label: 'MRC/Gbps', title: 'MRC per Gbps Heat Map', cold: '#22c55e', hot: '#ef4444', hint: 'green=cheap, red=expensive',
+      subtitle: tier => `MRC per Gbps @ ${tier}`, format: v => formatHeatMapMoney(v, 2) + '/Gbps'
+    },
+    mrcPerKm: {
+      target: 'edge', usesTier: true, label: 'MRC/km', title: 'MRC per km Heat Map', cold: '#22c55e', hot: '#ef4444', hint: 'green=cheap, red=expensive',
+      subtitle: tier => `MRC per km @ ${tier} (cable path or GPS distance)`, format: v => formatHeatMapMoney(v, 2) + '/km'
+    },
+    latencyPerKm: {
+      target: 'edge', label: 'Latency/km', title: 'Latency per km Heat Map', cold: '#22c55e', hot: '#ef4444', hint: 'red=poorly routed',
+      subtitle: () => 'One-way latency per km (straight fibre ≈ 4.9 µs/km)', format: v => v.toFixed(2) + ' µs/km'
+    },
+    iruNpv: {
+      target: 'edge', usesTier: true, label: 'IRU NPV', title: 'IRU NPV Heat Map', cold: '#22c55e', hot: '#ef4444', hint: 'green=low, red=high',
+      subtitle: tier => `IRU NPV @ ${tier}`, format: v => formatHeatMapMoney(v, 0)
+    },
+    designBuildOut: {
+      target: 'edge', label: 'Design Capacity Built Out', title: 'Design Capacity Build-out Heat Map', cold: '#22c55e', hot: '#ef4444', hint: 'green=room to build, red=fully built',
+      subtitle: () => 'Share of design capacity built out (design − available)', format: v => v.toFixed(0) + '%'
+    },
+    demandUtilisation: {
+      target: 'edge', label: 'Demand Utilisation', title: 'Demand Utilisation Heat Map', cold: '#22c55e', hot: '#ef4444', hint: 'green=spare, red=overloaded',
+      subtitle: () => 'Routed demand load vs link capacity (Demand Matrix)', format: v => v.toFixed(0) + '%'
+    },
+    nodeCapacity: {
+      target: 'node', label: 'Node Capacity', title: 'Node Capacity Heat Map', cold: '#ef4444', hot: '#22c55e', hint: 'red=low, green=high',
+      subtitle: () => 'Available capacity on attached links (Gbps)', format: v => v.toFixed(0) + ' Gbps'
+    },
+    nodeDegree: {
+      target: 'node', label: 'Node Degree', title: 'Node Degree Heat Map', cold: '#93c5fd', hot: '#1e3a8a', hint: 'dark=most connected',
+      subtitle: () => 'Attached links', format: v => v.toFixed(0) + ' links'
+    }
+  };
+
+  // Colours for a mode: the user's palette picks, else the mode defaults
+  function getHeatMapModeColors(mode) {
+    const def = HEAT_MAP_MODES[mode];
+    const picked = heatMapState.modeColors[mode] || {};
+    return { cold: picked.cold || def.cold, hot: picked.hot || def.hot };
+  }
+
+  function getHeatMapModeLabel() {
+    const def = HEAT_MAP_MODES[heatMapState.mode];
+    const scaleLabel = heatMapState.useLogarithmic ? ' (log)' : '';
+    return `Heat Map: ${def.label}${def.usesTier ? ` @ ${heatMapState.priceTier}` : ''}${scaleLabel}`;
+  }
+
+  function getEdgeTotalCapacityGbps(edge) {
+    return (edge.cap1G || 0) + (10 * (edge.cap10G || 0)) + (100 * (edge.cap100G || 0)) + (400 * (edge.cap400G || 0)) + (1000 * (edge.capTbps || 0));
+  }
+
   // Get heat map value for an edge based on current mode
   // Returns null if no data is available
   function getHeatMapValue(edge) {
     if (heatMapState.mode === 'capacity') {
       // Calculate total capacity in Gbps
-      const cap1G = edge.cap1G || 0;
-      const cap10G = edge.cap10G || 0;
-      const cap100G = edge.cap100G || 0;
-      const cap400G = edge.cap400G || 0;
-      const capTbps = edge.capTbps || 0;
-      const total = cap1G + (10 * cap10G) + (100 * cap100G) + (400 * cap400G) + (1000 * capTbps);
+      const total = getEdgeTotalCapacityGbps(edge);
       // Return null if all capacity fields are zero/undefined (no data)
-      if (cap1G === 0 && cap10G === 0 && cap100G === 0 && cap400G === 0 && capTbps === 0) {
-        return null;
-      }
-      return total;
-    } else if (heatMapState.mode === 'price') {
-      // Get MRC for selected tier
-      const mrc = getValueForTier(edge.leaseMRC, heatMapState.priceTier, 0);
+      return total === 0 ? null : total;
+    }
+
+    const tier = heatMapState.priceTier;
+    const mrc = getValueForTier(edge.leaseMRC, tier, 0);
+    if (heatMapState.mode === 'price') {
       // Return null if MRC is 0 or undefined (no data)
-      if (mrc === 0 || mrc === undefined || mrc === null) {
-        return null;
-      }
-      return mrc;
+      return mrc ? mrc : null;
+    } else if (heatMapState.mode === 'mrcPerGbps') {
+      return mrc ? mrc / HEAT_MAP_TIER_GBPS[tier] : null;
+    } else if (heatMapState.mode === 'mrcPerKm') {
+      const km = estimateEdgeLatency(edge)?.km;
+      return mrc && km > 0 ? mrc / km : null;
+    } else if (heatMapState.mode === 'latencyPerKm') {
+      const km = estimateEdgeLatency(edge)?.km;
+      if (!(km > 0) || typeof edge.latencyMs !== 'number' || !(edge.latencyMs > 0)) return null;
+      const oneWayMs = state.latencySettings.roundTrip ? edge.latencyMs / 2 : edge.latencyMs;
+      return oneWayMs * 1000 / km;
+    } else if (heatMapState.mode === 'iruNpv') {
+      const fee = getValueForTier(edge.iruFee, tier, 0);
+      if (!fee) return null;
+      return calculateIRUNPV(
+        fee,
+        edge.iruTerm || 15,
+        edge.iruOamPercent ?? 3,
+        edge.iruOamAnnualIncrement ?? 2,
+        state.financialSettings.npvDiscountRate || 12.5
+      );
+    } else if (heatMapState.mode === 'designBuildOut') {
+      const design = edge.designCapacityGbps || 0;
+      if (design <= 0) return null;
+      return Math.min(100, Math.max(0, (design - getEdgeTotalCapacityGbps(edge)) / design * 100));
+    } else if (heatMapState.mode === 'demandUtilisation') {
+      return getEdgeDemandUtilisation(edge);
+    }
+    return null;
+  }
+
+  // Get heat map value for a node (node modes), counting only visible links
+  function getHeatMapNodeValue(node) {
+    const attached = state.edges.filter(e => (e.a === node.id || e.b === node.id) && isEdgeVisible(e));
+    if (heatMapState.mode === 'nodeDegree') {
+      return attached.length;
+    } else if (heatMapState.mode === 'nodeCapacity') {
+      const total = attached.reduce((sum, e) => sum + getEdgeTotalCapacityGbps(e), 0);
+      return total === 0 ? null : total;
     }
     return null;
   }
@@ -38258,9 +46447,10 @@ function handlePathKmlImport(e) {
     let max = -Infinity;
     let hasData = false;
 
-    state.edges.forEach(e => {
-      if (!isEdgeVisible(e)) return;
-      const val = getHeatMapValue(e);
+    const nodeMode = HEAT_MAP_MODES[heatMapState.mode].target === 'node';
+    const items = nodeMode ? state.nodes.filter(isNodeVisible) : state.edges.filter(isEdgeVisible);
+    items.forEach(item => {
+      const val = nodeMode ? getHeatMapNodeValue(item) : getHeatMapValue(item);
       if (val !== null) {
         hasData = true;
         if (val < min) min = val;
@@ -38314,14 +46504,26 @@ function handlePathKmlImport(e) {
 
   // Get heat map color for an edge
   function getHeatMapColor(edge) {
-    if (!heatMapState.active || heatMapState.mode === 'off') {
+    if (!heatMapState.active || heatMapState.mode === 'off' || HEAT_MAP_MODES[heatMapState.mode].target !== 'edge') {
       return null; // Return null to use normal color
     }
 
     const value = getHeatMapValue(edge);
     console.log('[HeatMap] getHeatMapColor called for edge', edge.id, '- value:', value);
+    return getHeatMapColorForValue(value);
+  }
+
+  // Get heat map fill for a node (node modes only)
+  function getHeatMapNodeColor(node) {
+    if (!heatMapState.active || heatMapState.mode === 'off' || HEAT_MAP_MODES[heatMapState.mode].target !== 'node') {
+      return null;
+    }
+    return getHeatMapColorForValue(getHeatMapNodeValue(node));
+  }
 
-    // Return grey for links with no data
+  // Map a value onto the current gradient and range
+  function getHeatMapColorForValue(value) {
+    // Return grey for items with no data
     if (value === null) {
       return HEAT_MAP_NO_DATA_COLOR;
     }
@@ -38371,14 +46573,7 @@ function handlePathKmlImport(e) {
     // Show active indicator
     if (activeIndicator) {
       activeIndicator.style.display = 'flex';
-      if (activeLabel) {
-        const scaleLabel = heatMapState.useLogarithmic ? ' (log)' : '';
-        if (heatMapState.mode === 'capacity') {
-          activeLabel.textContent = `Heat Map: Capacity${scaleLabel}`;
-        } else if (heatMapState.mode === 'price') {
-          activeLabel.textContent = `Heat Map: Price @ ${heatMapState.priceTier}${scaleLabel}`;
-        }
-      }
+      if (activeLabel) activeLabel.textContent = getHeatMapModeLabel();
       // Update scale toggle button
       const scaleToggle = document.getElementById('heatMapScaleToggle');
       if (scaleToggle) {
@@ -38399,19 +46594,11 @@ function handlePathKmlImport(e) {
     const scaleLabel = heatMapState.useLogarithmic ? ' (log)' : '';
 
     // Update title and subtitle
-    if (heatMapState.mode === 'capacity') {
-      title.textContent = '🌡️ Capacity Heat Map';
-      subtitle.textContent = `Total Available Capacity (Gbps)${scaleLabel}`;
-      minLabel.textContent = heatMapState.minValue.toFixed(0) + ' Gbps';
-      maxLabel.textContent = heatMapState.maxValue.toFixed(0) + ' Gbps';
-    } else if (heatMapState.mode === 'price') {
-      title.textContent = '🌡️ Price Heat Map';
-      subtitle.textContent = `MRC @ ${heatMapState.priceTier}${scaleLabel}`;
-      const currency = state.financialSettings?.baseCurrency || 'USD';
-      const symbol = getCurrencySymbol(currency);
-      minLabel.textContent = symbol + heatMapState.minValue.toFixed(0);
-      maxLabel.textContent = symbol + heatMapState.maxValue.toFixed(0);
-    }
+    const def = HEAT_MAP_MODES[heatMapState.mode];
+    title.textContent = `🌡️ ${def.title}`;
+    subtitle.textContent = def.subtitle(heatMapState.priceTier) + scaleLabel;
+    minLabel.textContent = def.format(heatMapState.minValue);
+    maxLabel.textContent = def.format(heatMapState.maxValue);
 
     // Update gradient
     gradient.style.background = `linear-gradient(to right, ${heatMapState.coldColor}, ${heatMapState.hotColor})`;
@@ -38432,13 +46619,11 @@ function handlePathKmlImport(e) {
     heatMapState.active = mode !== 'off';
     console.log('[HeatMap] State active:', heatMapState.active);
 
-    // Set mode-specific default colors
-    if (mode === 'capacity') {
-      heatMapState.coldColor = heatMapState.capacityColdColor;
-      heatMapState.hotColor = heatMapState.capacityHotColor;
-    } else if (mode === 'price') {
-      heatMapState.coldColor = heatMapState.priceColdColor;
-      heatMapState.hotColor = heatMapState.priceHotColor;
+    // Set mode-specific colors
+    if (heatMapState.active) {
+      const colors = getHeatMapModeColors(mode);
+      heatMapState.coldColor = colors.cold;
+      heatMapState.hotColor = colors.hot;
     }
 
     // Update color swatches in UI
@@ -38447,7 +46632,7 @@ function handlePathKmlImport(e) {
     // Show/hide price tier section
     const priceTierSection = document.getElementById('heatMapPriceTierSection');
     if (priceTierSection) {
-      priceTierSection.style.display = mode === 'price' ? 'block' : 'none';
+      priceTierSection.style.display = HEAT_MAP_MODES[mode]?.usesTier ? 'block' : 'none';
     }
 
     // Show/hide active indicator immediately
@@ -38458,14 +46643,7 @@ function handlePathKmlImport(e) {
     if (activeIndicator) {
       if (heatMapState.active) {
         activeIndicator.style.display = 'flex';
-        if (activeLabel) {
-          const scaleLabel = heatMapState.useLogarithmic ? ' (log)' : '';
-          if (mode === 'capacity') {
-            activeLabel.textContent = `Heat Map: Capacity${scaleLabel}`;
-          } else if (mode === 'price') {
-            activeLabel.textContent = `Heat Map: Price @ ${heatMapState.priceTier}${scaleLabel}`;
-          }
-        }
+        if (activeLabel) activeLabel.textContent = getHeatMapModeLabel();
         console.log('[HeatMap] Showing active indicator');
       } else {
         activeIndicator.style.display = 'none';
@@ -38497,10 +46675,9 @@ function handlePathKmlImport(e) {
 
     if (mode === 'off') {
       showToast('Heat map disabled');
-    } else if (mode === 'capacity') {
-      showToast('🌡️ Heat map: Capacity (red=low, green=high)');
-    } else if (mode === 'price') {
-      showToast(`🌡️ Heat map: Price @ ${heatMapState.priceTier} (green=low, red=high)`);
+    } else {
+      const def = HEAT_MAP_MODES[mode];
+      showToast(`🌡️ Heat map: ${def.label}${def.usesTier ? ` @ ${heatMapState.priceTier}` : ''} (${def.hint})`);
     }
   }
 
@@ -38528,13 +46705,7 @@ function handlePathKmlImport(e) {
 
       if (e.target.name === 'heatMapMode') {
         console.log('[HeatMap] Mode changed via delegation:', e.target.id, 'checked:', e.target.checked);
-        if (e.target.id === 'heatMapModeOff' && e.target.checked) {
-          applyHeatMapMode('off');
-        } else if (e.target.id === 'heatMapModeCapacity' && e.target.checked) {
-          applyHeatMapMode('capacity');
-        } else if (e.target.id === 'heatMapModePrice' && e.target.checked) {
-          applyHeatMapMode('price');
-        }
+        if (e.target.checked) applyHeatMapMode(e.target.value);
       }
 
       // Price tier radio buttons
@@ -38556,11 +46727,11 @@ function handlePathKmlImport(e) {
             }
           }
         });
-        if (heatMapState.active && heatMapState.mode === 'price') {
+        if (heatMapState.active && HEAT_MAP_MODES[heatMapState.mode].usesTier) {
           calculateHeatMapRange();
           updateHeatMapLegend();
           renderCurrentView();
-          showToast(`🌡️ Heat map: Price (${e.target.value})`);
+          showToast(`🌡️ Heat map: ${HEAT_MAP_MODES[heatMapState.mode].label} (${e.target.value})`);
         }
       }
 
@@ -38665,10 +46836,8 @@ function handlePathKmlImport(e) {
     if (coldColorPicker) {
       createHeatMapPalettePicker(coldColorPicker, heatMapState.coldColor, (color) => {
         heatMapState.coldColor = color;
-        if (heatMapState.mode === 'capacity') {
-          heatMapState.capacityColdColor = color;
-        } else if (heatMapState.mode === 'price') {
-          heatMapState.priceColdColor = color;
+        if (heatMapState.active) {
+          heatMapState.modeColors[heatMapState.mode] = { ...heatMapState.modeColors[heatMapState.mode], cold: color };
         }
         const swatch = document.getElementById('heatMapColdColorSwatch');
         const hex = document.getElementById('heatMapColdColorHex');
@@ -38684,10 +46853,8 @@ function handlePathKmlImport(e) {
     if (hotColorPicker) {
       createHeatMapPalettePicker(hotColorPicker, heatMapState.hotColor, (color) => {
         heatMapState.hotColor = color;
-        if (heatMapState.mode === 'capacity') {
-          heatMapState.capacityHotColor = color;
-        } else if (heatMapState.mode === 'price') {
-          heatMapState.priceHotColor = color;
+        if (heatMapState.active) {
+          heatMapState.modeColors[heatMapState.mode] = { ...heatMapState.modeColors[heatMapState.mode], hot: color };
         }
         const swatch = document.getElementById('heatMapHotColorSwatch');
         const hex = document.getElementById('heatMapHotColorHex');
@@ -38974,6 +47141,15 @@ function handlePathKmlImport(e) {
     return cap1G + (10 * cap10G) + (100 * cap100G) + (400 * cap400G) + (1000 * capTbps);
   }
 
+  // Demand load as a share of the link's capacity; red above the Demand Matrix threshold
+  function formatCapacityEditorUtilisation(edge) {
+    if (getEdgeDemandLoad(edge) === null) return '<span style="color:#9ca3af;">—</span>';
+    const util = getEdgeDemandUtilisation(edge);
+    if (util === null) return getEdgeDemandLoad(edge) > 0 ? '<span style="color:#b91c1c; font-weight:600;" title="Carries demand but has no capacity">no cap</span>' : '<span style="color:#9ca3af;">—</span>';
+    const over = util > state.demandSettings.thresholdPercent;
+    return `<span style="font-weight:600; color:${over ? '#b91c1c' : '#047857'};">${Math.round(util * 10) / 10}%${over ? ' ⚠' : ''}</span>`;
+  }
+
   function renderCapacityEditor() {
     const tbody = document.getElementById('capacityEditorRows');
     const countEl = document.getElementById('capacityEditorCount');
@@ -39056,6 +47232,8 @@ function handlePathKmlImport(e) {
             <input type="number" class="cap-input" data-field="capTbps" value="${e.capTbps || 0}" min="0" step="0.1" style="width:50px; padding:4px 6px; border:1px solid #d1d5db; border-radius:4px; text-align:center; font-size:11px;" />
           </td>
           <td style="padding:8px 12px; text-align:right; font-weight:600; color:#047857; background:#ecfdf5;" class="total-cell">${totalGbps.toLocaleString()}</td>
+          <td style="padding:8px 12px; text-align:right; color:#374151;">${getEdgeDemandLoad(e) === null ? '—' : Math.round(getEdgeDemandLoad(e) * 10) / 10}</td>
+          <td style="padding:8px 12px; text-align:right;" class="util-cell">${formatCapacityEditorUtilisation(e)}</td>
           <td style="padding:8px 12px;">
             <div style="width:100px; height:14px; background:#f1f5f9; border-radius:3px; overflow:hidden;">
               <div class="cap-bar" style="width:${barWidth}%; height:100%; background:${barColor}; transition:width 0.2s;"></div>
@@ -39098,6 +47276,8 @@ function handlePathKmlImport(e) {
           const totalGbps = calculateLinkCapacity(edge);
           const totalCell = row.querySelector('.total-cell');
           if (totalCell) totalCell.textContent = totalGbps.toLocaleString();
+          const utilCell = row.querySelector('.util-cell');
+          if (utilCell) utilCell.innerHTML = formatCapacityEditorUtilisation(edge);
 
           // Update bar
           const barWidth = capacityEditorState.maxCapacity > 0 ? (totalGbps / capacityEditorState.maxCapacity * 100) : 0;
@@ -40077,7 +48257,9 @@ function handlePathKmlImport(e) {
         <th>Name</th>
         <th>Route</th>
         <th>Segments</th>
-        <th>Latency (ms)</th>`;
+        <th>Latency (ms)</th>
+        <th>Availability</th>
+        <th>Downtime</th>`;
 
     if (showCost) {
       headers += `
@@ -40096,12 +48278,15 @@ function handlePathKmlImport(e) {
 
       // Calculate costs
       const costs = calculateMLGCosts(mlg);
+      const availability = calculateMLGAvailability(mlg.segments);
 
       rows += `<tr data-id="${mlg.id}" data-type="mlg">
         <td style="font-weight:500;">${mlg.name || ''}</td>
         <td style="font-size:11px;">${route}</td>
         <td style="text-align:center;">${mlg.segments?.length || 0}</td>
-        <td style="text-align:right;">${mlg.totalLatency?.toFixed(2) || '—'}</td>`;
+        <td style="text-align:right;">${mlg.totalLatency?.toFixed(2) || '—'}</td>
+        <td style="text-align:right; white-space:nowrap;">${availability ? formatAvailability(availability.availability) : '—'}</td>
+        <td style="text-align:right; white-space:nowrap;">${availability ? formatDowntime(availability.downtimeMinutes) : '—'}</td>`;
 
       if (showCost) {
         rows += `
@@ -40112,7 +48297,7 @@ function handlePathKmlImport(e) {
       rows += `</tr>`;
     });
 
-    tbody.innerHTML = rows || '<tr><td colspan="7" style="text-align:center; color:#94a3b8; padding:20px;">No multilink groups defined</td></tr>';
+    tbody.innerHTML = rows || '<tr><td colspan="9" style="text-align:center; color:#94a3b8; padding:20px;">No multilink groups defined</td></tr>';
   }
 
   function exportDataTableCSV() {
@@ -40124,7 +48309,7 @@ function handlePathKmlImport(e) {
     let csv = '';
 
     if (type === 'links') {
-      csv = 'Code,Link Tag,Tags,Cable System,A-End,B-End,Latency,NRC,MRC,ACV,IRU Fee,IRU Term,O&M %,O&M Inc %,IRU NPV\n';
+      csv = 'Code,Link Tag,Tags,Cable System,A-End,B-End,Latency,NRC,MRC,ACV,IRU Fee,IRU Term,O&M %,O&M Inc %,IRU NPV,MTBF (h),MTTR (h),Availability %\n';
       state.edges.forEach(e => {
         const aNode = findNode(e.a);
         const bNode = findNode(e.b);
@@ -40135,8 +48320,20 @@ function handlePathKmlImport(e) {
         const edgeTags = Array.from(getElementTags('edge', e.id)).join(';');
         const cableSystem = e.cableSystemId ? findCableSystem(e.cableSystemId) : null;
         const csName = cableSystem ? (cableSystem.name || cableSystem.shortName || '') : '';
+        const rel = getEdgeReliability(e);
+        const mtbf = rel.mtbfHours === Infinity ? '' : rel.mtbfHours.toFixed(0);
 
-        csv += `"${e.code || ''}","${e.tag || ''}","${edgeTags}","${csName}","${aNode?.name || ''}","${bNode?.name || ''}",${e.latencyMs ?? ''},${e.leaseNRC || 0},${e.leaseMRC || 1},${acv.toFixed(2)},${e.iruFee || 1},${e.iruTerm || 15},${oamPct},${oamInc},${iruNpv.toFixed(2)}\n`;
+        csv += `"${e.code || ''}","${e.tag || ''}","${edgeTags}","${csName}","${aNode?.name || ''}","${bNode?.name || ''}",${e.latencyMs ?? ''},${e.leaseNRC || 0},${e.leaseMRC || 1},${acv.toFixed(2)},${e.iruFee || 1},${e.iruTerm || 15},${oamPct},${oamInc},${iruNpv.toFixed(2)},${mtbf},${rel.mttrHours},${(rel.availability * 100).toFixed(6)}\n`;
+      });
+    } else if (type === 'mlg') {
+      csv = 'Name,Origin,Destination,Type,Segments,Latency,Availability %,Nines,Downtime (min/yr)\n';
+      state.multilinkGroups.forEach(mlg => {
+        const origin = findNode(mlg.originNode);
+        const dest = findNode(mlg.destinationNode);
+        const availability = calculateMLGAvailability(mlg.segments);
+        const nines = availability && availability.availability < 1 ? (-Math.log10(1 - availability.availability)).toFixed(2) : '';
+        csv += `"${mlg.name || ''}","${origin?.name || ''}","${dest?.name || ''}",${classifyMLGType(mlg.segments)},${mlg.segments?.length || 0},${mlg.totalLatency ?? ''},` +
+          `${availability ? (availability.availability * 100).toFixed(6) : ''},${nines},${availability ? availability.downtimeMinutes.toFixed(1) : ''}\n`;
       });
     } else if (type === 'nodes') {
       csv = 'Code,Name,Tags,City,Country,Latitude,Longitude,Connections\n';
@@ -41433,6 +49630,496 @@ function handlePathKmlImport(e) {
   // Expose reset function globally
   window.resetAllPricesFromTier = resetAllPricesFromTier;
 
+  // ============== PRICE BOOKS / RATE CARDS ==============
+  // Versioned rate cards imported from XLSX/CSV. Each row prices one capacity
+  // tier for a link code, an A/Z city pair or a cable system; repricing the
+  // diagram applies the most specific match per link and logs every change.
+
+  const RATE_CARD_MATCH_LABELS = { link: 'Link code', cityPair: 'City pair', cableSystem: 'Cable system' };
+
+  // Header (lower-case, letters and digits only) -> entry field
+  const RATE_CARD_COLUMNS = {
+    linkcode: 'linkCode', link: 'linkCode', code: 'linkCode',
+    cablesystem: 'cableSystem', cable: 'cableSystem', system: 'cableSystem',
+    acity: 'aCity', aendcity: 'aCity', zcity: 'zCity', zendcity: 'zCity', bcity: 'zCity',
+    tier: 'tier', capacity: 'tier', capacitytier: 'tier',
+    nrc: 'nrc', leasenrc: 'nrc', mrc: 'mrc', leasemrc: 'mrc',
+    irufee: 'iruFee', iru: 'iruFee', iruterm: 'iruTerm', term: 'iruTerm', termyears: 'iruTerm',
+    om: 'oamPercent', oam: 'oamPercent', iruom: 'oamPercent', iruoam: 'oamPercent'
+  };
+
+  let rateCardView = { tab: 'cards', cardId: null, preview: null, errors: [], changelogId: null };
+
+  function normalizeRateCardTier(value) {
+    const tier = String(value || '').trim().toUpperCase().replace(/\s+/g, '').replace(/(BPS|E)$/, '');
+    return ['1G', '10G', '100G', '400G'].includes(tier) ? tier : null;
+  }
+
+  function getCityPairKey(a, b) {
+    return [a, b].map(c => String(c || '').trim().toLowerCase()).sort().join('|');
+  }
+
+  // Turn a spreadsheet table into rate card entries; bad rows are reported, not imported
+  function parseRateCardRows(table) {
+    const columns = table.headers.map(h => RATE_CARD_COLUMNS[h.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+    if (!columns.includes('tier')) throw new Error('File needs a Tier column');
+
+    const entries = [];
+    const errors = [];
+    const seen = new Map();
+    table.rows.forEach((values, idx) => {
+      const row = idx + 2;
+      const cell = {};
+      columns.forEach((field, col) => { if (field && values[col]) cell[field] = values[col]; });
+      const num = v => v === undefined ? null : parseFloat(String(v).replace(/[^0-9.\-]/g, ''));
+
+      let match, key, label;
+      if (cell.linkCode) {
+        match = 'link'; key = cell.linkCode.toLowerCase(); label = cell.linkCode;
+      } else if (cell.aCity && cell.zCity) {
+        match = 'cityPair'; key = getCityPairKey(cell.aCity, cell.zCity); label = `${cell.aCity} – ${cell.zCity}`;
+      } else if (cell.cableSystem) {
+        match = 'cableSystem'; key = cell.cableSystem.toLowerCase(); label = cell.cableSystem;
+      } else {
+        errors.push({ row, reason: 'Needs a link code, an A/Z city pair or a cable system' });
+        return;
+      }
+
+      const tier = normalizeRateCardTier(cell.tier);
+      if (!tier) { errors.push({ row, reason: `Unknown tier "${cell.tier || ''}" (use 1G, 10G, 100G or 400G)` }); return; }
+
+      const entry = {
+        match, key, label, tier,
+        nrc: num(cell.nrc), mrc: num(cell.mrc), iruFee: num(cell.iruFee),
+        iruTerm: num(cell.iruTerm), oamPercent: num(cell.oamPercent)
+      };
+      const bad = ['nrc', 'mrc', 'iruFee', 'iruTerm', 'oamPercent'].find(f => entry[f] !== null && !(entry[f] >= 0));
+      if (bad) { errors.push({ row, reason: `Invalid ${bad} value` }); return; }
+      if (entry.nrc === null && entry.mrc === null && entry.iruFee === null) { errors.push({ row, reason: 'No NRC, MRC or IRU fee' }); return; }
+
+      const id = `${match}:${key}:${tier}`;
+      if (seen.has(id)) { errors.push({ row, reason: `Duplicate of row ${seen.get(id)}` }); return; }
+      seen.set(id, row);
+      entries.push(entry);
+    });
+    return { entries, errors };
+  }
+
+  /**
+   * Store a new rate card version. Versions count up per card name.
+   * @returns {Object} The stored rate card
+   */
+  function addRateCard(name, effectiveFrom, currency, sourceFile, entries) {
+    const versions = state.rateCards.filter(c => c.name === name).map(c => c.version);
+    const card = {
+      id: state.nextRateCard++,
+      uuid: generateUUID(),
+      name,
+      version: versions.length > 0 ? Math.max(...versions) + 1 : 1,
+      effectiveFrom,
+      currency,
+      sourceFile,
+      importedAt: new Date().toISOString(),
+      entries
+    };
+    state.rateCards.push(card);
+    commit();
+    return card;
+  }
+
+  // Version of a card name in force on a date (YYYY-MM-DD), or null
+  function getEffectiveRateCard(name, date) {
+    return state.rateCards
+      .filter(c => c.name === name && c.effectiveFrom <= date)
+      .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom) || b.version - a.version)[0] || null;
+  }
+
+  function getRateCardStatus(card, date = new Date().toISOString().slice(0, 10)) {
+    if (card.effectiveFrom > date) return 'scheduled';
+    return getEffectiveRateCard(card.name, date) === card ? 'effective' : 'superseded';
+  }
+
+  // Most specific entry for a link and tier: link code, then city pair, then cable system
+  function findRateCardEntry(index, edge, tier) {
+    const code = (edge.code || '').trim().toLowerCase();
+    if (code && index.has(`link:${code}:${tier}`)) return index.get(`link:${code}:${tier}`);
+    const a = findNode(edge.a)?.city;
+    const b = findNode(edge.b)?.city;
+    if (a && b && index.has(`cityPair:${getCityPairKey(a, b)}:${tier}`)) return index.get(`cityPair:${getCityPairKey(a, b)}:${tier}`);
+    const cs = edge.cableSystemId !== null ? state.cableSystems.find(c => c.id === edge.cableSystemId) : null;
+    if (cs) {
+      for (const name of [cs.name, cs.shortName]) {
+        const key = `cableSystem:${String(name || '').toLowerCase()}:${tier}`;
+        if (name && index.has(key)) return index.get(key);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Work out every price a rate card would change, without touching the diagram.
+   * @param {Object} card - Rate card
+   * @returns {Object} { changes, matchedLinks, factor } or { error }
+   */
+  function planRateCardReprice(card) {
+    const base = state.financialSettings.baseCurrency || 'USD';
+    const factor = convertCurrencyAmount(1, card.currency, base);
+    if (factor === null) return { error: `No exchange rate from ${card.currency} to ${base} - fetch rates in Financial Settings` };
+
+    const index = new Map(card.entries.map(e => [`${e.match}:${e.key}:${e.tier}`, e]));
+    const round = v => Math.round(v * factor * 100) / 100;
+    const changes = [];
+    let matchedLinks = 0;
+
+    state.edges.forEach(edge => {
+      const link = edge.name || edge.code || `L${edge.id}`;
+      let termEntry = null;
+      ['1G', '10G', '100G', '400G'].forEach(tier => {
+        const entry = findRateCardEntry(index, edge, tier);
+        if (!entry) return;
+        termEntry = termEntry || entry;
+        [['leaseNRC', 'nrc'], ['leaseMRC', 'mrc'], ['iruFee', 'iruFee']].forEach(([field, src]) => {
+          if (entry[src] === null) return;
+          const from = getValueForTier(edge[field], tier, null);
+          const to = round(entry[src]);
+          if (from !== to) changes.push({ edgeId: edge.id, link, field, tier, from, to, match: entry.match, key: entry.label });
+        });
+      });
+      if (!termEntry) return;
+      matchedLinks++;
+      // Term and O&M are per link, not per tier
+      [['iruTerm', 'iruTerm'], ['iruOamPercent', 'oamPercent']].forEach(([field, src]) => {
+        if (termEntry[src] === null || edge[field] === termEntry[src]) return;
+        changes.push({ edgeId: edge.id, link, field, tier: null, from: edge[field] ?? null, to: termEntry[src], match: termEntry.match, key: termEntry.label });
+      });
+    });
+    return { changes, matchedLinks, factor };
+  }
+
+  // Apply a reprice plan, refresh derived container/MLG costs and log it
+  function applyRateCardReprice(card, plan) {
+    const defaults = { leaseNRC: 0, leaseMRC: state.financialSettings?.defaultMRC || 1, iruFee: state.financialSettings?.defaultIRU || 1 };
+    plan.changes.forEach(change => {
+      const edge = findEdge(change.edgeId);
+      if (!edge) return;
+      if (change.tier === null) {
+        edge[change.field] = change.to;
+        return;
+      }
+      if (typeof edge[change.field] !== 'object' || edge[change.field] === null) {
+        edge[change.field] = normalizeTierPricing(edge[change.field], defaults[change.field]);
+      }
+      edge[change.field][change.tier] = change.to;
+    });
+
+    recalculateAllContainerCosts();
+    recalculateAllMLGCosts();
+
+    const entry = {
+      id: Math.max(0, ...state.priceChangelog.map(r => r.id)) + 1,
+      at: new Date().toISOString(),
+      rateCardId: card.id,
+      rateCardName: card.name,
+      version: card.version,
+      currency: card.currency,
+      factor: plan.factor,
+      rateSnapshotId: state.financialSettings.activeRateSnapshotId ?? null,
+      matchedLinks: plan.matchedLinks,
+      changes: plan.changes
+    };
+    state.priceChangelog.push(entry);
+    commit();
+    renderDataTable();
+    render();
+    return entry;
+  }
+
+  function buildPriceChangelogExport(runs) {
+    const rows = [];
+    runs.forEach(run => run.changes.forEach(c => rows.push([
+      run.at.slice(0, 19).replace('T', ' '), `${run.rateCardName} v${run.version}`,
+      c.link, c.field, c.tier || '', c.from ?? '', c.to, RATE_CARD_MATCH_LABELS[c.match], c.key
+    ])));
+    return {
+      fileName: 'neximap_price_changelog',
+      sheets: [{
+        name: 'Changelog',
+        headers: ['Date', 'Rate Card', 'Link', 'Field', 'Tier', 'Old', 'New', 'Matched By', 'Rate Card Key'],
+        rows
+      }]
+    };
+  }
+
+  function showRateCardManager() {
+    document.getElementById('rateCardModal')?.remove();
+    const base = state.financialSettings.baseCurrency || 'USD';
+    const today = new Date().toISOString().slice(0, 10);
+    const currencies = [...new Set([base, ...Object.keys(currencySymbols)])];
+
+    const modal = document.createElement('div');
+    modal.id = 'rateCardModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:1100px; max-width:95vw; height:700px; max-height:92vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>📒 Rate Cards</span>
+          <button id="rcClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div style="display:flex; gap:8px; align-items:center; padding:8px 20px; border-bottom:1px solid #f0f0f0; background:#fafafa; font-size:12px;">
+          <button class="btn" data-rc-tab="cards">Rate Cards</button>
+          <button class="btn" data-rc-tab="changelog">Changelog</button>
+          <span style="flex:1;"></span>
+          <button class="btn" id="rcTemplate">⬇ Template</button>
+        </div>
+        <div style="flex:1; display:flex; min-height:0;">
+          <div id="rcLeft" style="width:320px; border-right:1px solid #f0f0f0; overflow-y:auto; font-size:12px;"></div>
+          <div id="rcRight" style="flex:1; overflow:auto; padding:12px 20px; font-size:12px; min-width:0;"></div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const close = () => modal.remove();
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#rcClose').addEventListener('click', close);
+
+    modal.querySelectorAll('[data-rc-tab]').forEach(btn => btn.addEventListener('click', () => {
+      rateCardView.tab = btn.dataset.rcTab;
+      renderRateCardManager();
+    }));
+
+    modal.querySelector('#rcTemplate').addEventListener('click', () => {
+      downloadTemplateAsCSV({
+        fileName: 'neximap_rate_card_template',
+        sheets: [{
+          name: 'Rate Card',
+          headers: ['Link Code', 'A City', 'Z City', 'Cable System', 'Tier', 'NRC', 'MRC', 'IRU Fee', 'IRU Term', 'O&M %'],
+          rows: [
+            ['MAD-LON-01', '', '', '', '10G', 500, 1200, 45000, 15, 4],
+            ['', 'Madrid', 'Paris', '', '100G', 1000, 3500, '', '', ''],
+            ['', '', '', '2Africa', '100G', 0, 5200, 180000, 25, 3]
+          ]
+        }]
+      }, 'xlsx');
+    });
+
+    // Both panes are re-rendered, so delegate their events from the modal
+    modal.addEventListener('click', (e) => {
+      const target = e.target.closest('[data-rc-action]');
+      if (!target) return;
+      const action = target.dataset.rcAction;
+      const card = state.rateCards.find(c => c.id === rateCardView.cardId);
+
+      if (action === 'pick-file') {
+        modal.querySelector('#rcFile').click();
+      } else if (action === 'select-card') {
+        rateCardView.cardId = +target.dataset.cardId;
+        rateCardView.preview = null;
+        rateCardView.errors = [];
+        renderRateCardManager();
+      } else if (action === 'select-run') {
+        rateCardView.changelogId = +target.dataset.runId;
+        renderRateCardManager();
+      } else if (action === 'preview' && card) {
+        rateCardView.preview = planRateCardReprice(card);
+        if (rateCardView.preview.error) showToast(`❌ ${rateCardView.preview.error}`);
+        renderRateCardManager();
+      } else if (action === 'apply' && card) {
+        const plan = planRateCardReprice(card);
+        if (plan.error) { showToast(`❌ ${plan.error}`); return; }
+        if (plan.changes.length === 0) { showToast(`${card.name} v${card.version}: no prices to change`); return; }
+        if (!confirm(`Reprice ${plan.matchedLinks} link(s) with ${card.name} v${card.version}? ${plan.changes.length} value(s) will change.`)) return;
+        const run = applyRateCardReprice(card, plan);
+        rateCardView.preview = null;
+        rateCardView.tab = 'changelog';
+        rateCardView.changelogId = run.id;
+        renderRateCardManager();
+        showToast(`✅ ${card.name} v${card.version}: ${plan.changes.length} price(s) changed on ${plan.matchedLinks} link(s)`);
+      } else if (action === 'delete' && card) {
+        if (!confirm(`Delete ${card.name} v${card.version}? The changelog keeps its past reprices.`)) return;
+        state.rateCards = state.rateCards.filter(c => c.id !== card.id);
+        rateCardView.cardId = null;
+        rateCardView.preview = null;
+        commit();
+        renderRateCardManager();
+      } else if (action === 'export-changelog') {
+        if (state.priceChangelog.length === 0) { showToast('No reprices logged yet'); return; }
+        downloadTemplateAsCSV(buildPriceChangelogExport(state.priceChangelog), 'xlsx');
+      }
+    });
+
+    modal.addEventListener('change', async (e) => {
+      if (e.target.id !== 'rcFile') return;
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      const name = modal.querySelector('#rcName').value.trim() || file.name.replace(/\.[^.]+$/, '');
+      const effectiveFrom = modal.querySelector('#rcEffective').value || today;
+      const currency = modal.querySelector('#rcCurrency').value;
+      try {
+        const { entries, errors } = parseRateCardRows(await readFirstSheetRows(file));
+        if (entries.length === 0) {
+          rateCardView.errors = errors;
+          rateCardView.cardId = null;
+          renderRateCardManager();
+          showToast(`❌ ${file.name}: no valid rows`);
+          return;
+        }
+        const card = addRateCard(name, effectiveFrom, currency, file.name, entries);
+        rateCardView = { tab: 'cards', cardId: card.id, preview: null, errors, changelogId: rateCardView.changelogId };
+        renderRateCardManager();
+        showToast(`📒 ${card.name} v${card.version}: ${entries.length} rate(s) imported${errors.length ? `, ${errors.length} row(s) skipped` : ''}`);
+      } catch (err) {
+        showToast(`❌ Could not read ${file.name}: ${err.message}`);
+      }
+    });
+
+    renderRateCardManager();
+  }
+
+  function renderRateCardManager() {
+    const modal = document.getElementById('rateCardModal');
+    if (!modal) return;
+    const leftEl = modal.querySelector('#rcLeft');
+    const rightEl = modal.querySelector('#rcRight');
+    const base = state.financialSettings.baseCurrency || 'USD';
+    const today = new Date().toISOString().slice(0, 10);
+    const view = rateCardView;
+
+    modal.querySelectorAll('[data-rc-tab]').forEach(btn => btn.classList.toggle('primary', btn.dataset.rcTab === view.tab));
+
+    const th = 'padding:5px 8px; text-align:left; font-weight:600; color:#374151; border-bottom:1px solid #e5e7eb; white-space:nowrap; position:sticky; top:0; background:white;';
+    const td = 'padding:4px 8px; border-bottom:1px solid #f3f4f6; white-space:nowrap;';
+    const num = `${td} text-align:right;`;
+    const val = v => (v === null || v === undefined) ? '—' : String(Math.round(v * 100) / 100);
+    const changeTable = (changes, limit) => `
+      <table style="border-collapse:collapse; font-size:11px; width:100%;">
+        <thead><tr><th style="${th}">Link</th><th style="${th}">Field</th><th style="${th}">Tier</th>
+          <th style="${th} text-align:right;">Old</th><th style="${th} text-align:right;">New</th><th style="${th}">Matched by</th></tr></thead>
+        <tbody>${changes.slice(0, limit).map(c => `<tr>
+          <td style="${td}">${escapeHtml(c.link)}</td><td style="${td}">${c.field}</td><td style="${td}">${c.tier || '—'}</td>
+          <td style="${num} color:#6b7280;">${val(c.from)}</td><td style="${num} font-weight:600;">${val(c.to)}</td>
+          <td style="${td} color:#6b7280;">${RATE_CARD_MATCH_LABELS[c.match]}: ${escapeHtml(c.key)}</td>
+        </tr>`).join('')}</tbody>
+      </table>
+      ${changes.length > limit ? `<div style="color:#6b7280; margin-top:6px;">… ${changes.length - limit} more (export the changelog for the full list)</div>` : ''}`;
+
+    if (view.tab === 'changelog') {
+      const runs = state.priceChangelog.slice().reverse();
+      leftEl.innerHTML = `
+        <div style="padding:10px 12px; display:flex; align-items:center;">
+          <span style="flex:1; font-weight:600; color:#374151;">${runs.length} reprice run(s)</span>
+          <button class="btn" data-rc-action="export-changelog">⬇ XLSX</button>
+        </div>
+        ${runs.map(run => `
+          <div data-rc-action="select-run" data-run-id="${run.id}" style="padding:8px 12px; border-top:1px solid #f3f4f6; cursor:pointer; ${view.changelogId === run.id ? 'background:#eff6ff;' : ''}">
+            <div style="font-weight:600;">${escapeHtml(run.rateCardName)} v${run.version}</div>
+            <div style="color:#6b7280; font-size:11px;">${new Date(run.at).toLocaleString()} · ${run.changes.length} change(s) · ${run.matchedLinks} link(s)</div>
+          </div>`).join('')}`;
+      const run = state.priceChangelog.find(r => r.id === view.changelogId);
+      rightEl.innerHTML = run
+        ? `<div style="font-weight:600; color:#374151; margin-bottom:8px;">${escapeHtml(run.rateCardName)} v${run.version} · ${new Date(run.at).toLocaleString()}
+            ${run.currency !== base ? `<span style="font-weight:400; color:#6b7280;"> · ${run.currency} → ${base} × ${run.factor.toFixed(4)} (${escapeHtml(describeRateSnapshot(run.rateSnapshotId ?? null))})</span>` : ''}</div>
+           ${changeTable(run.changes, 500)}`
+        : '<div style="padding:40px; text-align:center; color:#999;">Pick a reprice run to see which prices changed.</div>';
+      return;
+    }
+
+    // Cards grouped by name, newest version first
+    const names = [...new Set(state.rateCards.map(c => c.name))].sort();
+    const statusColor = { effective: '#047857', scheduled: '#1d4ed8', superseded: '#9ca3af' };
+    leftEl.innerHTML = `
+      <div style="padding:10px 12px; display:flex; flex-direction:column; gap:6px; background:#f9fafb; border-bottom:1px solid #f0f0f0;">
+        <div style="font-weight:600; color:#374151;">Import price book</div>
+        <label>Name <input type="text" id="rcName" list="rcNameList" placeholder="e.g. Wholesale 2026" style="width:100%; box-sizing:border-box;"></label>
+        <datalist id="rcNameList">${names.map(n => `<option value="${escapeHtml(n)}">`).join('')}</datalist>
+        <div style="display:flex; gap:6px;">
+          <label style="flex:1;">Effective from <input type="date" id="rcEffective" value="${today}" style="width:100%; box-sizing:border-box;"></label>
+          <label>Currency <select id="rcCurrency">${[...new Set([base, ...Object.keys(currencySymbols)])].map(c => `<option value="${c}">${c}</option>`).join('')}</select></label>
+        </div>
+        <button class="btn primary" data-rc-action="pick-file">📂 Import CSV / XLSX...</button>
+        <input type="file" id="rcFile" accept=".csv,.txt,.xlsx,.xls,.ods" style="display:none;">
+        <div style="font-size:10px; color:#6b7280;">Importing under an existing name adds a new version.</div>
+      </div>
+      ${names.length === 0 ? '<div style="padding:20px 12px; color:#9ca3af; font-style:italic;">No rate cards yet</div>' : names.map(name => `
+        <div style="padding:8px 12px 2px; font-weight:600; color:#374151;">${escapeHtml(name)}</div>
+        ${state.rateCards.filter(c => c.name === name).sort((a, b) => b.version - a.version).map(c => {
+          const status = getRateCardStatus(c, today);
+          return `
+          <div data-rc-action="select-card" data-card-id="${c.id}" style="padding:5px 12px 5px 20px; cursor:pointer; display:flex; gap:6px; align-items:center; ${view.cardId === c.id ? 'background:#eff6ff;' : ''}">
+            <span>v${c.version}</span>
+            <span style="color:#6b7280;">from ${c.effectiveFrom}</span>
+            <span style="flex:1;"></span>
+            <span style="font-size:10px; color:${statusColor[status]}; font-weight:600; text-transform:uppercase;">${status}</span>
+          </div>`;
+        }).join('')}`).join('')}
+    `;
+    const nameInput = leftEl.querySelector('#rcName');
+    const selectedCard = state.rateCards.find(c => c.id === view.cardId);
+    if (selectedCard) {
+      nameInput.value = selectedCard.name;
+      leftEl.querySelector('#rcCurrency').value = selectedCard.currency;
+    }
+
+    const errorList = view.errors.length > 0 ? `
+      <div style="margin-bottom:10px; padding:8px 10px; background:#fef2f2; border:1px solid #fecaca; border-radius:6px; color:#991b1b;">
+        <div style="font-weight:600; margin-bottom:4px;">${view.errors.length} row(s) skipped</div>
+        ${view.errors.slice(0, 20).map(e => `<div>Row ${e.row}: ${escapeHtml(e.reason)}</div>`).join('')}
+        ${view.errors.length > 20 ? `<div>… ${view.errors.length - 20} more</div>` : ''}
+      </div>` : '';
+
+    if (!selectedCard) {
+      rightEl.innerHTML = errorList + `<div style="padding:40px; text-align:center; color:#999;">
+        Import a price book keyed by link code, A/Z city pair or cable system, one row per capacity tier.<br>
+        When several rows match a link, the link code wins over the city pair, and the city pair over the cable system.</div>`;
+      return;
+    }
+
+    const card = selectedCard;
+    const preview = view.preview && !view.preview.error ? view.preview : null;
+    // Card prices, with the base-currency amount they reprice to
+    const money = v => (v === null || v === undefined || card.currency === base) ? val(v)
+      : `${val(v)} <span style="color:#6b7280;">≈ ${formatCurrency(v, base, card.currency)}</span>`;
+    rightEl.innerHTML = `
+      ${errorList}
+      <div style="display:flex; gap:8px; align-items:center; margin-bottom:10px;">
+        <div style="flex:1;">
+          <div style="font-weight:600; font-size:13px; color:#111827;">${escapeHtml(card.name)} v${card.version}</div>
+          <div style="color:#6b7280; font-size:11px;">Effective from ${card.effectiveFrom} · ${card.entries.length} rate(s) · ${card.currency}${card.currency !== base ? ` (converted to ${base})` : ''} · ${escapeHtml(card.sourceFile || '')}</div>
+        </div>
+        <button class="btn" data-rc-action="preview">🔍 Preview Reprice</button>
+        <button class="btn primary" data-rc-action="apply">✅ Reprice Diagram</button>
+        <button class="btn" data-rc-action="delete">🗑</button>
+      </div>
+      ${preview ? `
+        <div style="margin-bottom:8px; padding:6px 10px; background:#f0f9ff; border:1px solid #bae6fd; border-radius:6px;">
+          ${preview.matchedLinks} of ${state.edges.length} link(s) match · ${preview.changes.length} value(s) would change
+        </div>
+        ${changeTable(preview.changes, 300)}` : `
+        <table style="border-collapse:collapse; font-size:11px; width:100%;">
+          <thead><tr><th style="${th}">Match</th><th style="${th}">Key</th><th style="${th}">Tier</th>
+            <th style="${th} text-align:right;">NRC</th><th style="${th} text-align:right;">MRC</th><th style="${th} text-align:right;">IRU Fee</th>
+            <th style="${th} text-align:right;">IRU Term</th><th style="${th} text-align:right;">O&amp;M %</th></tr></thead>
+          <tbody>${card.entries.slice(0, 500).map(e => `<tr>
+            <td style="${td} color:#6b7280;">${RATE_CARD_MATCH_LABELS[e.match]}</td><td style="${td}">${escapeHtml(e.label)}</td><td style="${td}">${e.tier}</td>
+            <td style="${num}">${money(e.nrc)}</td><td style="${num}">${money(e.mrc)}</td><td style="${num}">${money(e.iruFee)}</td>
+            <td style="${num}">${val(e.iruTerm)}</td><td style="${num}">${val(e.oamPercent)}</td>
+          </tr>`).join('')}</tbody>
+        </table>`}
+    `;
+  }
+
+  document.getElementById('miRateCards')?.addEventListener('click', () => {
+    closeAllMenus();
+    showRateCardManager();
+  });
+
+  // ============== END PRICE BOOKS / RATE CARDS ==============
+
   /**
    * Get commercial cost for a container for pathfinding
    * @param {Object} group - Container/group object
@@ -41850,6 +50537,938 @@ function handlePathKmlImport(e) {
 
   // ============== END MLG COMMERCIAL COST ==============
 
+  // ============== QUOTE BUILDER ==============
+  // Price a route or MLG for a customer: one line per link from the tiered
+  // link pricing, marked up by the first matching cable-system or tag rule,
+  // compared as lease vs. IRU and exported as XLSX or a printable PDF.
+
+  const QUOTE_TIERS = ['1G', '10G', '100G', '400G'];
+
+  let quoteBuilderView = null;   // saved quote shown in the builder, or null for a live draft
+
+  // Routes and MLGs that can be quoted, as { value, label }
+  function getQuoteSources() {
+    const sources = [];
+    const route = routeFinderState.routes[routeFinderState.activeRouteIndex];
+    if (route && route.path && route.path.length > 1) {
+      const name = id => findNode(id)?.name || `N${id}`;
+      sources.push({ value: 'route', label: `Active route: ${name(route.path[0])} → ${name(route.path[route.path.length - 1])}` });
+    }
+    (state.multilinkGroups || []).forEach(mlg => {
+      sources.push({ value: `mlg:${mlg.id}`, label: `MLG: ${mlg.name || mlg.id}` });
+    });
+    return sources;
+  }
+
+  // Links to price for a source, as [{ segment, edgeId }] with each link once
+  function collectQuoteLinks(sourceValue) {
+    const links = [];
+    const seen = new Set();
+    const nodeName = id => findNode(id)?.name || `N${id}`;
+    const add = (segment, edgeId) => {
+      if (seen.has(edgeId) || !findEdge(edgeId)) return;
+      seen.add(edgeId);
+      links.push({ segment, edgeId });
+    };
+    const addMLG = (mlg, prefix) => {
+      (mlg.segments || []).forEach((seg, i) => {
+        const label = `${prefix}Segment ${i + 1}: ${nodeName(seg.fromNode)} → ${nodeName(seg.toNode)}`;
+        (seg.paths || []).forEach(path => {
+          (path.links || []).forEach(id => add(`${label} · ${path.type || 'primary'}`, id));
+        });
+      });
+    };
+
+    if (sourceValue === 'route') {
+      const route = routeFinderState.routes[routeFinderState.activeRouteIndex];
+      if (!route) return { error: 'Calculate a route in the Route Finder first' };
+      const name = `${nodeName(route.path[0])} → ${nodeName(route.path[route.path.length - 1])}`;
+      (route.segments || []).forEach((seg, i) => {
+        const label = `${nodeName(route.path[i])} → ${nodeName(route.path[i + 1])}`;
+        if (seg.edgeId) add(label, seg.edgeId);
+        else if (seg.mlgId) {
+          const mlg = findMultilinkGroup(seg.mlgId);
+          if (mlg) addMLG(mlg, `${mlg.name} · `);
+        }
+      });
+      return { sourceType: 'route', sourceId: null, sourceName: name, links };
+    }
+
+    const mlg = (state.multilinkGroups || []).find(m => `mlg:${m.id}` === sourceValue);
+    if (!mlg) return { error: 'MLG not found' };
+    addMLG(mlg, '');
+    return { sourceType: 'mlg', sourceId: mlg.id, sourceName: mlg.name || String(mlg.id), links };
+  }
+
+  // First cable-system rule, then first tag rule, then the default rule
+  function findQuoteRule(edge, settings = state.quoteSettings) {
+    const rules = settings.rules || [];
+    const csRule = rules.find(r => r.scope === 'cableSystem' && edge.cableSystemId !== null && String(r.key) === String(edge.cableSystemId));
+    if (csRule) return csRule;
+    const tags = getEdgeTags(edge);
+    return rules.find(r => r.scope === 'tag' && tags.has(String(r.key).toLowerCase())) || settings.defaultRule;
+  }
+
+  // Markup adds a percentage to cost; margin sets the share of the price kept
+  function applyQuoteRule(cost, rule) {
+    const pct = (parseFloat(rule.percent) || 0) / 100;
+    if (rule.type === 'margin') return pct < 1 ? cost / (1 - pct) : cost;
+    return cost * (1 + pct);
+  }
+
+  function describeQuoteRule(rule) {
+    const base = `${rule.percent}% ${rule.type}`;
+    if (rule.scope === 'cableSystem') {
+      const cs = state.cableSystems.find(c => String(c.id) === String(rule.key));
+      return `${base} (${cs ? cs.name : 'cable system'})`;
+    }
+    if (rule.scope === 'tag') return `${base} (tag ${rule.key})`;
+    return `${base} (default)`;
+  }
+
+  /**
+   * Build a quote for a route or MLG.
+   * @param {string} sourceValue - 'route' or 'mlg:<id>'
+   * @param {Object} options - { tier, leaseTermMonths, iruTermYears }
+   * @returns {Object} Quote with priced lines and lease / IRU totals, or { error }
+   */
+  function buildQuote(sourceValue, options) {
+    const source = collectQuoteLinks(sourceValue);
+    if (source.error) return source;
+    if (source.links.length === 0) return { error: 'The selected route or MLG has no priced links' };
+
+    const fin = state.financialSettings;
+    const discountRate = fin.npvDiscountRate || 12.5;
+    const tier = options.tier;
+    const leaseTermMonths = Math.max(1, Math.round(options.leaseTermMonths) || 12);
+    const iruTermYears = Math.max(1, Math.round(options.iruTermYears) || fin.defaultIRUTerm || 15);
+
+    const lines = source.links.map(({ segment, edgeId }) => {
+      const edge = findEdge(edgeId);
+      const rule = findQuoteRule(edge);
+      const cost = {
+        nrc: getValueForTier(edge.leaseNRC, tier, 0),
+        mrc: getValueForTier(edge.leaseMRC, tier, 1),
+        iruFee: getValueForTier(edge.iruFee, tier, 1)
+      };
+      const cs = edge.cableSystemId !== null ? state.cableSystems.find(c => c.id === edge.cableSystemId) : null;
+      return {
+        segment,
+        edgeId,
+        linkName: edge.name || edge.code || `L${edge.id}`,
+        cableSystem: cs ? cs.name : '',
+        rule: describeQuoteRule(rule),
+        cost,
+        price: {
+          nrc: applyQuoteRule(cost.nrc, rule),
+          mrc: applyQuoteRule(cost.mrc, rule),
+          iruFee: applyQuoteRule(cost.iruFee, rule)
+        },
+        oamPercent: edge.iruOamPercent ?? fin.defaultOAM ?? 3,
+        oamIncrement: edge.iruOamAnnualIncrement ?? fin.defaultOAMIncrement ?? 2
+      };
+    });
+
+    const sum = (side, field) => lines.reduce((total, l) => total + l[side][field], 0);
+    const npv = side => lines.reduce((total, l) =>
+      total + calculateIRUNPV(l[side].iruFee, iruTermYears, l.oamPercent, l.oamIncrement, discountRate), 0);
+    const marginOf = (price, cost) => price > 0 ? (price - cost) / price * 100 : 0;
+
+    const lease = { nrc: sum('price', 'nrc'), mrc: sum('price', 'mrc'), costNrc: sum('cost', 'nrc'), costMrc: sum('cost', 'mrc') };
+    lease.acv = calculateLeaseACV(lease.nrc, lease.mrc);
+    lease.tcv = lease.nrc + lease.mrc * leaseTermMonths;
+    lease.costTcv = lease.costNrc + lease.costMrc * leaseTermMonths;
+    lease.marginPercent = marginOf(lease.tcv, lease.costTcv);
+
+    const iru = { fee: sum('price', 'iruFee'), costFee: sum('cost', 'iruFee'), npv: npv('price'), costNpv: npv('cost') };
+    iru.oamYear1 = lines.reduce((total, l) => total + l.price.iruFee * l.oamPercent / 100, 0);
+    iru.marginPercent = marginOf(iru.npv, iru.costNpv);
+
+    return {
+      sourceType: source.sourceType,
+      sourceId: source.sourceId,
+      sourceName: source.sourceName,
+      tier,
+      leaseTermMonths,
+      iruTermYears,
+      currency: fin.baseCurrency || 'USD',
+      rateSnapshotId: fin.activeRateSnapshotId ?? null,   // exchange rates in force, so the quote can be reproduced
+      discountRate,
+      lines,
+      lease,
+      iru
+    };
+  }
+
+  // Save a quote into the project and return the stored record
+  function saveQuote(quote, customer) {
+    const id = state.nextQuote++;
+    const created = new Date();
+    const validUntil = new Date(created.getTime() + (parseInt(state.quoteSettings.validityDays, 10) || 30) * 86400000);
+    const record = Object.assign({
+      id,
+      uuid: generateUUID(),
+      ref: `Q-${created.getFullYear()}-${String(id).padStart(4, '0')}`,
+      customer: customer || '',
+      createdAt: created.toISOString(),
+      validUntil: validUntil.toISOString().slice(0, 10)
+    }, JSON.parse(JSON.stringify(quote)));
+    state.quotes.push(record);
+    commit();
+    return record;
+  }
+
+  function formatQuoteAmount(value, currency) {
+    return getCurrencySymbol(currency) + (value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  function buildQuoteExport(quote) {
+    const round = v => Math.round(v * 100) / 100;
+    const ref = quote.ref || 'DRAFT';
+    const s = state.quoteSettings;
+    return {
+      fileName: `neximap_quote_${ref.replace(/[^A-Za-z0-9-]/g, '_')}`,
+      sheets: [
+        {
+          name: 'Quote',
+          headers: ['Segment', 'Link', 'Cable System', `Lease NRC (${quote.currency})`, `Lease MRC (${quote.currency})`, `IRU Fee (${quote.currency})`, 'IRU O&M %'],
+          rows: [
+            ...quote.lines.map(l => [l.segment, l.linkName, l.cableSystem, round(l.price.nrc), round(l.price.mrc), round(l.price.iruFee), l.oamPercent]),
+            [],
+            ['Quote', ref],
+            ['Supplier', s.companyName],
+            ['Customer', quote.customer || ''],
+            ['Service', quote.sourceName],
+            ['Capacity', quote.tier],
+            ['Valid until', quote.validUntil || ''],
+            [],
+            ['Lease', `${quote.leaseTermMonths} months`, '', round(quote.lease.nrc), round(quote.lease.mrc), '', ''],
+            ['Lease ACV', '', '', round(quote.lease.acv)],
+            ['Lease total contract value', '', '', round(quote.lease.tcv)],
+            ['IRU', `${quote.iruTermYears} years`, '', '', '', round(quote.iru.fee), ''],
+            ['IRU year-1 O&M', '', '', '', '', round(quote.iru.oamYear1)],
+            [`IRU NPV @ ${quote.discountRate}%`, '', '', '', '', round(quote.iru.npv)]
+          ]
+        }
+      ]
+    };
+  }
+
+  // Internal costing for a quote: costs, margin rules and margins per segment.
+  // Never sent to the customer - kept out of buildQuoteExport on purpose.
+  function buildQuoteCostingExport(quote) {
+    const round = v => Math.round(v * 100) / 100;
+    const ref = quote.ref || 'DRAFT';
+    return {
+      fileName: `neximap_quote_${ref.replace(/[^A-Za-z0-9-]/g, '_')}_INTERNAL_costing`,
+      sheets: [
+        {
+          name: 'Internal Costing',
+          headers: ['Segment', 'Link', 'Rule', `Cost NRC (${quote.currency})`, `Cost MRC (${quote.currency})`, `Cost IRU Fee (${quote.currency})`, 'Price NRC', 'Price MRC', 'Price IRU Fee'],
+          rows: [
+            ...quote.lines.map(l => [l.segment, l.linkName, l.rule,
+              round(l.cost.nrc), round(l.cost.mrc), round(l.cost.iruFee),
+              round(l.price.nrc), round(l.price.mrc), round(l.price.iruFee)]),
+            [],
+            ['Quote', ref],
+            ['Lease margin %', '', round(quote.lease.marginPercent)],
+            ['IRU margin % (NPV)', '', round(quote.iru.marginPercent)],
+            [],
+            ['INTERNAL - do not send to the customer']
+          ]
+        }
+      ]
+    };
+  }
+
+  // Customer-facing quote in a print window, to print or save as PDF
+  function printQuote(quote) {
+    const s = state.quoteSettings;
+    const cur = quote.currency;
+    const money = v => formatQuoteAmount(v, cur);
+    const accent = /^#[0-9a-f]{3,8}$/i.test(s.accentColor) ? s.accentColor : '#1d4ed8';
+    const ref = quote.ref || 'DRAFT';
+    const win = window.open('', '_blank', 'width=900,height=700');
+    if (!win) { showToast('Popup blocked - please allow popups', 'error'); return; }
+    win.document.write(`<!DOCTYPE html><html><head><title>Quote ${escapeHtml(ref)}</title><style>
+      body { font-family: sans-serif; color: #1f2937; margin: 32px; font-size: 12px; }
+      .brand { border-bottom: 3px solid ${accent}; padding-bottom: 12px; margin-bottom: 20px; display: flex; justify-content: space-between; }
+      .brand h1 { margin: 0; color: ${accent}; font-size: 22px; }
+      .details { white-space: pre-line; color: #6b7280; margin-top: 4px; }
+      table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+      th { text-align: left; background: ${accent}; color: white; padding: 6px 8px; }
+      td { padding: 5px 8px; border-bottom: 1px solid #e5e7eb; }
+      .num { text-align: right; white-space: nowrap; }
+      .options { display: flex; gap: 16px; margin-top: 24px; }
+      .option { flex: 1; border: 1px solid #e5e7eb; border-top: 3px solid ${accent}; padding: 12px; }
+      .option h3 { margin: 0 0 8px; font-size: 14px; }
+      .option div { display: flex; justify-content: space-between; padding: 2px 0; }
+      .foot { margin-top: 24px; color: #6b7280; font-size: 10px; }
+      @media print { body { margin: 12mm; } }
+    </style></head><body>
+      <div class="brand">
+        <div><h1>${escapeHtml(s.companyName || 'Quotation')}</h1><div class="details">${escapeHtml(s.companyDetails || '')}</div></div>
+        <div style="text-align:right;">
+          <div><strong>Quote ${escapeHtml(ref)}</strong></div>
+          <div>Date: ${escapeHtml((quote.createdAt || new Date().toISOString()).slice(0, 10))}</div>
+          ${quote.validUntil ? `<div>Valid until: ${escapeHtml(quote.validUntil)}</div>` : ''}
+        </div>
+      </div>
+      ${quote.customer ? `<div><strong>Customer:</strong> ${escapeHtml(quote.customer)}</div>` : ''}
+      <div><strong>Service:</strong> ${escapeHtml(quote.sourceName)} · ${escapeHtml(quote.tier)}</div>
+      <table>
+        <thead><tr><th>Segment</th><th>Link</th><th class="num">Lease NRC</th><th class="num">Lease MRC</th><th class="num">IRU Fee</th></tr></thead>
+        <tbody>${quote.lines.map(l => `<tr>
+          <td>${escapeHtml(l.segment)}</td><td>${escapeHtml(l.linkName)}</td>
+          <td class="num">${money(l.price.nrc)}</td><td class="num">${money(l.price.mrc)}</td><td class="num">${money(l.price.iruFee)}</td>
+        </tr>`).join('')}</tbody>
+      </table>
+      <div class="options">
+        <div class="option"><h3>Lease · ${quote.leaseTermMonths} months</h3>
+          <div><span>One-time charge (NRC)</span><span>${money(quote.lease.nrc)}</span></div>
+          <div><span>Monthly charge (MRC)</span><span>${money(quote.lease.mrc)}</span></div>
+          <div><span>Annual contract value</span><span>${money(quote.lease.acv)}</span></div>
+          <div><strong>Total contract value</strong><strong>${money(quote.lease.tcv)}</strong></div>
+        </div>
+        <div class="option"><h3>IRU · ${quote.iruTermYears} years</h3>
+          <div><span>Upfront IRU fee</span><span>${money(quote.iru.fee)}</span></div>
+          <div><span>Year-1 O&amp;M</span><span>${money(quote.iru.oamYear1)}</span></div>
+          <div><strong>NPV @ ${quote.discountRate}%</strong><strong>${money(quote.iru.npv)}</strong></div>
+        </div>
+      </div>
+      <div class="foot">Prices in ${escapeHtml(cur)}, excluding taxes. O&amp;M escalates yearly per link terms.</div>
+    </body></html>`);
+    win.document.close();
+    win.onload = () => { win.print(); };
+  }
+
+  function showQuoteBuilderDialog() {
+    document.getElementById('quoteBuilderModal')?.remove();
+    quoteBuilderView = null;
+
+    const sources = getQuoteSources();
+    const fin = state.financialSettings;
+    const qs = state.quoteSettings;
+    const field = 'width:100%; box-sizing:border-box; padding:4px 6px; font-size:12px;';
+
+    const modal = document.createElement('div');
+    modal.id = 'quoteBuilderModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:1150px; max-width:95vw; height:720px; max-height:92vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>💼 Quote Builder</span>
+          <button id="qbClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div style="flex:1; display:flex; min-height:0;">
+          <div style="width:300px; border-right:1px solid #f0f0f0; padding:12px 16px; overflow-y:auto; font-size:12px; display:flex; flex-direction:column; gap:8px;">
+            <label>Route or MLG
+              <select id="qbSource" style="${field}">
+                ${sources.map(s => `<option value="${escapeHtml(s.value)}">${escapeHtml(s.label)}</option>`).join('')}
+              </select></label>
+            <label>Customer <input type="text" id="qbCustomer" style="${field}"></label>
+            <div style="display:flex; gap:8px;">
+              <label style="flex:1;">Capacity
+                <select id="qbTier" style="${field}">${QUOTE_TIERS.map(t => `<option value="${t}" ${t === '10G' ? 'selected' : ''}>${t}</option>`).join('')}</select></label>
+              <label style="flex:1;">Lease (months)
+                <input type="number" id="qbLeaseTerm" min="1" step="1" value="36" style="${field}"></label>
+              <label style="flex:1;">IRU (years)
+                <input type="number" id="qbIruTerm" min="1" step="1" value="${fin.defaultIRUTerm || 15}" style="${field}"></label>
+            </div>
+            <div style="font-weight:600; color:#374151; margin-top:6px;">Pricing rules</div>
+            <div style="display:flex; gap:6px; align-items:center;">
+              <span style="flex:1; color:#6b7280;">Default</span>
+              <select id="qbDefaultType"><option value="markup">Markup</option><option value="margin">Margin</option></select>
+              <input type="number" id="qbDefaultPct" min="0" step="any" value="${qs.defaultRule.percent}" style="width:56px;"> %
+            </div>
+            <div id="qbRules"></div>
+            <button class="btn" id="qbAddRule" style="align-self:flex-start;">+ Rule</button>
+            <div style="font-size:10px; color:#6b7280;">Cable-system rules win over tag rules; the first matching rule applies.</div>
+            <div style="font-weight:600; color:#374151; margin-top:6px;">Branding</div>
+            <label>Company <input type="text" id="qbCompany" value="${escapeHtml(qs.companyName)}" style="${field}"></label>
+            <label>Address / contact <textarea id="qbCompanyDetails" rows="3" style="${field} resize:vertical;">${escapeHtml(qs.companyDetails)}</textarea></label>
+            <div style="display:flex; gap:8px;">
+              <label style="flex:1;">Accent <input type="color" id="qbAccent" value="${escapeHtml(qs.accentColor)}" style="width:100%;"></label>
+              <label style="flex:1;">Valid (days) <input type="number" id="qbValidity" min="1" step="1" value="${qs.validityDays}" style="${field}"></label>
+            </div>
+            <div style="font-weight:600; color:#374151; margin-top:6px;">Saved quotes</div>
+            <div id="qbSaved"></div>
+          </div>
+          <div style="flex:1; display:flex; flex-direction:column; min-width:0;">
+            <div style="display:flex; gap:8px; align-items:center; padding:8px 20px; border-bottom:1px solid #f0f0f0; font-size:12px;">
+              <span id="qbTitle" style="font-weight:600; color:#374151;"></span>
+              <span style="flex:1;"></span>
+              <button class="btn primary" id="qbSave">💾 Save Quote</button>
+              <button class="btn" id="qbExportXlsx" title="Customer quote">⬇ XLSX</button>
+              <button class="btn" id="qbExportCosting" title="Costs and margins - for internal use only">🔒 Internal Costing</button>
+              <button class="btn" id="qbPrint">🖨 PDF</button>
+            </div>
+            <div id="qbPreview" style="flex:1; overflow:auto; padding:12px 20px;"></div>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.querySelector('#qbDefaultType').value = qs.defaultRule.type;
+
+    const close = () => modal.remove();
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#qbClose').addEventListener('click', close);
+
+    const readOptions = () => ({
+      tier: modal.querySelector('#qbTier').value,
+      leaseTermMonths: parseInt(modal.querySelector('#qbLeaseTerm').value, 10),
+      iruTermYears: parseInt(modal.querySelector('#qbIruTerm').value, 10)
+    });
+    const currentQuote = () => {
+      if (quoteBuilderView) return quoteBuilderView;
+      const source = modal.querySelector('#qbSource').value;
+      if (!source) return { error: 'Calculate a route or create an MLG first' };
+      const quote = buildQuote(source, readOptions());
+      if (!quote.error) quote.customer = modal.querySelector('#qbCustomer').value.trim();
+      return quote;
+    };
+    const refresh = () => {
+      renderQuoteBuilderRules();
+      renderQuoteBuilderPreview(currentQuote());
+    };
+    const showDraft = () => {
+      quoteBuilderView = null;
+      refresh();
+    };
+
+    ['#qbSource', '#qbTier', '#qbLeaseTerm', '#qbIruTerm', '#qbCustomer'].forEach(id => {
+      modal.querySelector(id).addEventListener('change', showDraft);
+    });
+
+    const saveSettings = () => {
+      qs.defaultRule = { type: modal.querySelector('#qbDefaultType').value, percent: parseFloat(modal.querySelector('#qbDefaultPct').value) || 0 };
+      qs.companyName = modal.querySelector('#qbCompany').value.trim();
+      qs.companyDetails = modal.querySelector('#qbCompanyDetails').value.trim();
+      qs.accentColor = modal.querySelector('#qbAccent').value;
+      qs.validityDays = Math.max(1, parseInt(modal.querySelector('#qbValidity').value, 10) || 30);
+      commit();
+    };
+    ['#qbDefaultType', '#qbDefaultPct'].forEach(id => {
+      modal.querySelector(id).addEventListener('change', () => { saveSettings(); showDraft(); });
+    });
+    ['#qbCompany', '#qbCompanyDetails', '#qbAccent', '#qbValidity'].forEach(id => {
+      modal.querySelector(id).addEventListener('change', saveSettings);
+    });
+
+    modal.querySelector('#qbAddRule').addEventListener('click', () => {
+      const cs = state.cableSystems[0];
+      qs.rules.push(cs
+        ? { scope: 'cableSystem', key: cs.id, type: 'markup', percent: qs.defaultRule.percent }
+        : { scope: 'tag', key: 'default', type: 'markup', percent: qs.defaultRule.percent });
+      commit();
+      showDraft();
+    });
+
+    // Rule rows are re-rendered on every change, so delegate from the list
+    const rulesEl = modal.querySelector('#qbRules');
+    rulesEl.addEventListener('change', (e) => {
+      const row = e.target.closest('[data-rule]');
+      if (!row) return;
+      const rule = qs.rules[+row.dataset.rule];
+      const prop = e.target.dataset.prop;
+      if (prop === 'scope') {
+        rule.scope = e.target.value;
+        rule.key = rule.scope === 'cableSystem' ? (state.cableSystems[0]?.id ?? '') : 'default';
+      } else if (prop === 'percent') {
+        rule.percent = parseFloat(e.target.value) || 0;
+      } else if (prop === 'key') {
+        rule.key = rule.scope === 'cableSystem' ? +e.target.value : e.target.value.trim().toLowerCase();
+      } else {
+        rule[prop] = e.target.value;
+      }
+      commit();
+      showDraft();
+    });
+    rulesEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-remove-rule]');
+      if (!btn) return;
+      qs.rules.splice(+btn.dataset.removeRule, 1);
+      commit();
+      showDraft();
+    });
+
+    const savedEl = modal.querySelector('#qbSaved');
+    savedEl.addEventListener('click', (e) => {
+      const del = e.target.closest('[data-delete-quote]');
+      if (del) {
+        const id = +del.dataset.deleteQuote;
+        const quote = state.quotes.find(q => q.id === id);
+        if (!quote || !confirm(`Delete quote ${quote.ref}?`)) return;
+        state.quotes = state.quotes.filter(q => q.id !== id);
+        commit();
+        if (quoteBuilderView?.id === id) quoteBuilderView = null;
+        refresh();
+        return;
+      }
+      const item = e.target.closest('[data-quote]');
+      if (!item) return;
+      quoteBuilderView = state.quotes.find(q => q.id === +item.dataset.quote) || null;
+      refresh();
+    });
+
+    modal.querySelector('#qbSave').addEventListener('click', () => {
+      const quote = currentQuote();
+      if (quote.error) { showToast(quote.error); return; }
+      if (quoteBuilderView) { showToast(`Quote ${quoteBuilderView.ref} is already saved`); return; }
+      quoteBuilderView = saveQuote(quote, quote.customer);
+      refresh();
+      showToast(`💾 Quote ${quoteBuilderView.ref} saved to the project`);
+    });
+    modal.querySelector('#qbExportXlsx').addEventListener('click', () => {
+      const quote = currentQuote();
+      if (quote.error) { showToast(quote.error); return; }
+      downloadTemplateAsCSV(buildQuoteExport(quote), 'xlsx');
+    });
+    modal.querySelector('#qbExportCosting').addEventListener('click', () => {
+      const quote = currentQuote();
+      if (quote.error) { showToast(quote.error); return; }
+      downloadTemplateAsCSV(buildQuoteCostingExport(quote), 'xlsx');
+    });
+    modal.querySelector('#qbPrint').addEventListener('click', () => {
+      const quote = currentQuote();
+      if (quote.error) { showToast(quote.error); return; }
+      printQuote(quote);
+    });
+
+    refresh();
+  }
+
+  function renderQuoteBuilderRules() {
+    const modal = document.getElementById('quoteBuilderModal');
+    if (!modal) return;
+    const rules = state.quoteSettings.rules;
+    const tags = new Set();
+    state.edges.forEach(e => getEdgeTags(e).forEach(t => tags.add(t)));
+
+    modal.querySelector('#qbRules').innerHTML = rules.map((rule, i) => {
+      const keyOptions = rule.scope === 'cableSystem'
+        ? state.cableSystems.map(cs => `<option value="${cs.id}" ${String(cs.id) === String(rule.key) ? 'selected' : ''}>${escapeHtml(cs.name)}</option>`).join('')
+        : [...new Set([...tags, String(rule.key)])].sort().map(t => `<option value="${escapeHtml(t)}" ${t === String(rule.key) ? 'selected' : ''}>${escapeHtml(t)}</option>`).join('');
+      return `
+        <div data-rule="${i}" style="display:flex; gap:4px; align-items:center; margin-bottom:4px;">
+          <select data-prop="scope" style="width:62px;">
+            <option value="cableSystem" ${rule.scope === 'cableSystem' ? 'selected' : ''}>Cable</option>
+            <option value="tag" ${rule.scope === 'tag' ? 'selected' : ''}>Tag</option>
+          </select>
+          <select data-prop="key" style="flex:1; min-width:0;">${keyOptions}</select>
+          <select data-prop="type" style="width:66px;">
+            <option value="markup" ${rule.type === 'markup' ? 'selected' : ''}>Markup</option>
+            <option value="margin" ${rule.type === 'margin' ? 'selected' : ''}>Margin</option>
+          </select>
+          <input type="number" data-prop="percent" min="0" step="any" value="${rule.percent}" style="width:48px;">%
+          <button data-remove-rule="${i}" title="Remove rule" style="background:none; border:none; cursor:pointer; color:#b91c1c;">✕</button>
+        </div>`;
+    }).join('');
+
+    modal.querySelector('#qbSaved').innerHTML = state.quotes.length === 0
+      ? '<div style="color:#9ca3af; font-style:italic;">No saved quotes</div>'
+      : state.quotes.slice().reverse().map(q => `
+        <div data-quote="${q.id}" style="display:flex; gap:6px; align-items:center; padding:4px 6px; border-radius:4px; cursor:pointer; ${quoteBuilderView?.id === q.id ? 'background:#eff6ff;' : ''}">
+          <span style="font-weight:600;">${escapeHtml(q.ref)}</span>
+          <span style="flex:1; color:#6b7280; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(q.customer || q.sourceName)}</span>
+          <button data-delete-quote="${q.id}" title="Delete quote" style="background:none; border:none; cursor:pointer; color:#b91c1c;">✕</button>
+        </div>`).join('');
+  }
+
+  function renderQuoteBuilderPreview(quote) {
+    const modal = document.getElementById('quoteBuilderModal');
+    if (!modal) return;
+    const previewEl = modal.querySelector('#qbPreview');
+    const titleEl = modal.querySelector('#qbTitle');
+    modal.querySelector('#qbSave').disabled = !!quoteBuilderView;
+
+    if (quote.error) {
+      titleEl.textContent = '';
+      previewEl.innerHTML = `<div style="padding:40px; text-align:center; color:#999; font-size:12px;">${escapeHtml(quote.error)}</div>`;
+      return;
+    }
+
+    const money = v => formatQuoteAmount(v, quote.currency);
+    // Quotes priced in another currency also show today's base currency, at the rates the quote used
+    const base = state.financialSettings.baseCurrency || 'USD';
+    const inBase = v => quote.currency !== base ? ` <span style="color:#6b7280; font-weight:400;">(≈ ${formatCurrency(v, base, quote.currency, quote.rateSnapshotId ?? null)})</span>` : '';
+    titleEl.textContent = quoteBuilderView
+      ? `${quote.ref} · ${quote.customer || 'No customer'} · saved ${quote.createdAt.slice(0, 10)}, valid until ${quote.validUntil}`
+      : `Draft · ${quote.sourceName} · ${quote.tier}`;
+
+    const th = 'padding:6px 8px; text-align:left; font-weight:600; color:#374151; border-bottom:1px solid #e5e7eb; white-space:nowrap; position:sticky; top:0; background:white;';
+    const td = 'padding:5px 8px; border-bottom:1px solid #f3f4f6;';
+    const num = `${td} text-align:right; white-space:nowrap;`;
+    const card = (title, rows, margin) => `
+      <div style="flex:1; border:1px solid #e5e7eb; border-radius:6px; padding:10px 12px;">
+        <div style="font-weight:600; color:#374151; margin-bottom:6px;">${title}</div>
+        ${rows.map(([label, value, strong]) => `
+          <div style="display:flex; justify-content:space-between; padding:2px 0; ${strong ? 'font-weight:600;' : ''}"><span>${label}</span><span>${value}</span></div>`).join('')}
+        <div style="display:flex; justify-content:space-between; padding-top:6px; margin-top:4px; border-top:1px dashed #e5e7eb; color:${margin < 0 ? '#b91c1c' : '#047857'};">
+          <span>Margin</span><span>${margin.toFixed(1)}%</span></div>
+      </div>`;
+
+    previewEl.innerHTML = `
+      <div style="display:flex; gap:12px; font-size:12px; margin-bottom:12px;">
+        ${card(`🔁 Lease · ${quote.leaseTermMonths} months`, [
+          ['NRC', money(quote.lease.nrc)],
+          ['MRC', money(quote.lease.mrc)],
+          ['ACV', money(quote.lease.acv)],
+          ['Total contract value', money(quote.lease.tcv) + inBase(quote.lease.tcv), true],
+          ['Cost over term', money(quote.lease.costTcv)]
+        ], quote.lease.marginPercent)}
+        ${card(`🔒 IRU · ${quote.iruTermYears} years`, [
+          ['IRU fee', money(quote.iru.fee)],
+          ['Year-1 O&M', money(quote.iru.oamYear1)],
+          [`NPV @ ${quote.discountRate}%`, money(quote.iru.npv) + inBase(quote.iru.npv), true],
+          ['Cost NPV', money(quote.iru.costNpv)]
+        ], quote.iru.marginPercent)}
+      </div>
+      <div style="font-size:11px; color:#6b7280; margin-bottom:8px;">Currency ${quote.currency} · exchange rates: ${escapeHtml(describeRateSnapshot(quote.rateSnapshotId ?? null))}</div>
+      <table style="border-collapse:collapse; font-size:11px; width:100%;">
+        <thead><tr>
+          <th style="${th}">Segment</th><th style="${th}">Link</th><th style="${th}">Rule</th>
+          <th style="${th} text-align:right;">Cost MRC</th><th style="${th} text-align:right;">NRC</th>
+          <th style="${th} text-align:right;">MRC</th><th style="${th} text-align:right;">Cost IRU</th><th style="${th} text-align:right;">IRU Fee</th>
+        </tr></thead>
+        <tbody>${quote.lines.map(l => `<tr>
+          <td style="${td}">${escapeHtml(l.segment)}</td>
+          <td style="${td}">${escapeHtml(l.linkName)}${l.cableSystem ? `<div style="color:#6b7280; font-size:10px;">${escapeHtml(l.cableSystem)}</div>` : ''}</td>
+          <td style="${td} color:#6b7280;">${escapeHtml(l.rule)}</td>
+          <td style="${num} color:#6b7280;">${money(l.cost.mrc)}</td>
+          <td style="${num}">${money(l.price.nrc)}</td>
+          <td style="${num}">${money(l.price.mrc)}</td>
+          <td style="${num} color:#6b7280;">${money(l.cost.iruFee)}</td>
+          <td style="${num}">${money(l.price.iruFee)}</td>
+        </tr>`).join('')}</tbody>
+      </table>
+    `;
+  }
+
+  document.getElementById('miQuoteBuilder')?.addEventListener('click', () => {
+    closeAllMenus();
+    showQuoteBuilderDialog();
+  });
+
+  // ============== END QUOTE BUILDER ==============
+
+  // ============== LEASE VS IRU CASH FLOW ==============
+  // Year-by-year cash out for leasing (NRC + escalating MRC) against buying an
+  // IRU (upfront fee + escalating O&M), with break-even, IRR and sensitivity.
+
+  /**
+   * Pricing inputs for an edge, MLG or container at a capacity tier.
+   * @param {string} kind - 'edge', 'mlg' or 'group'
+   * @param {Object} entity - Edge, MLG (or the MLG editor's temp copy) or container
+   * @param {string} tier - Capacity tier
+   * @returns {Object} { name, nrc, mrc, iruFee, iruTerm, oamPercent, oamIncrement }
+   */
+  function getCashFlowInputs(kind, entity, tier) {
+    if (kind === 'mlg') {
+      const costs = calculateMLGCosts(entity, tier);
+      return {
+        name: entity.name || 'MLG',
+        nrc: costs.nrc, mrc: costs.mrc, iruFee: costs.iruFee,
+        iruTerm: costs.iruTerm, oamPercent: costs.iruOam, oamIncrement: costs.iruIncrement
+      };
+    }
+    return {
+      name: entity.name || entity.code || (kind === 'edge' ? `L${entity.id}` : `Container ${entity.id}`),
+      nrc: getValueForTier(entity.leaseNRC, tier, 0),
+      mrc: getValueForTier(entity.leaseMRC, tier, 1),
+      iruFee: getValueForTier(entity.iruFee, tier, 1),
+      iruTerm: entity.iruTerm || 15,
+      oamPercent: entity.iruOamPercent ?? 3,
+      oamIncrement: entity.iruOamAnnualIncrement ?? 2
+    };
+  }
+
+  // Yearly cash out over the horizon; year 0 carries the NRC and the IRU fee
+  function calculateCashFlows(inputs, options) {
+    const years = [];
+    let cumLease = 0, cumIru = 0, pvLease = 0, pvIru = 0;
+    const r = options.discountRate / 100;
+    for (let n = 0; n <= options.horizonYears; n++) {
+      const lease = n === 0 ? inputs.nrc : 12 * inputs.mrc * Math.pow(1 + options.leaseEscalator / 100, n - 1);
+      const iru = n === 0 ? inputs.iruFee : inputs.iruFee * (inputs.oamPercent / 100) * Math.pow(1 + options.oamIncrement / 100, n - 1);
+      const discount = Math.pow(1 + r, n);
+      cumLease += lease;
+      cumIru += iru;
+      pvLease += lease / discount;
+      pvIru += iru / discount;
+      years.push({ year: n, lease, iru, cumLease, cumIru, pvLease, pvIru });
+    }
+    return years;
+  }
+
+  // IRR of choosing the IRU over the lease: pay the fee difference now,
+  // save (lease - O&M) each year after. Null when the flows never change sign.
+  function calculateIRUIncrementalIRR(years) {
+    const flows = years.map(y => y.lease - y.iru);
+    const npvAt = rate => flows.reduce((sum, cf, n) => sum + cf / Math.pow(1 + rate, n), 0);
+    let lo = -0.99, hi = 10;
+    let fLo = npvAt(lo), fHi = npvAt(hi);
+    if (fLo * fHi > 0) return null;
+    for (let i = 0; i < 200 && hi - lo > 1e-7; i++) {
+      const mid = (lo + hi) / 2;
+      const fMid = npvAt(mid);
+      if (fLo * fMid <= 0) { hi = mid; fHi = fMid; } else { lo = mid; fLo = fMid; }
+    }
+    return (lo + hi) / 2 * 100;
+  }
+
+  /**
+   * Full lease-vs-IRU analysis.
+   * @param {Object} inputs - From getCashFlowInputs()
+   * @param {Object} options - { horizonYears, leaseEscalator, discountRate, oamIncrement }
+   * @returns {Object} { years, breakEvenYear, discountedBreakEvenYear, irr, npvAdvantage, sensitivity }
+   */
+  function analyzeLeaseVsIRU(inputs, options) {
+    const years = calculateCashFlows(inputs, options);
+    const last = years[years.length - 1];
+    const firstYear = test => { const y = years.find(test); return y ? y.year : null; };
+
+    // Lease PV minus IRU PV: positive means the IRU is cheaper
+    const advantage = (discountRate, oamIncrement) => {
+      const y = calculateCashFlows(inputs, Object.assign({}, options, { discountRate, oamIncrement }));
+      const end = y[y.length - 1];
+      return end.pvLease - end.pvIru;
+    };
+    const steps = (base, delta) => [-2, -1, 0, 1, 2].map(k => Math.max(0, Math.round((base + k * delta) * 10) / 10));
+    const rates = [...new Set(steps(options.discountRate, 2.5))];
+    const increments = [...new Set(steps(options.oamIncrement, 1))];
+
+    return {
+      years,
+      breakEvenYear: firstYear(y => y.cumIru <= y.cumLease),
+      discountedBreakEvenYear: firstYear(y => y.pvIru <= y.pvLease),
+      irr: calculateIRUIncrementalIRR(years),
+      npvAdvantage: last.pvLease - last.pvIru,
+      sensitivity: {
+        rates,
+        increments,
+        cells: increments.map(inc => rates.map(rate => advantage(rate, inc)))
+      }
+    };
+  }
+
+  // Cumulative cash out, lease vs IRU, with the break-even year marked
+  function createCashFlowChart(analysis, currency) {
+    const width = 560;
+    const height = 200;
+    const pad = { left: 64, right: 12, top: 12, bottom: 28 };
+    const years = analysis.years;
+    const yMax = Math.max(...years.map(y => Math.max(y.cumLease, y.cumIru)), 1);
+    const xMax = Math.max(years.length - 1, 1);
+    const sx = n => pad.left + n / xMax * (width - pad.left - pad.right);
+    const sy = v => height - pad.bottom - v / yMax * (height - pad.top - pad.bottom);
+    const line = (field, color) => `<polyline fill="none" stroke="${color}" stroke-width="2"
+      points="${years.map(y => `${sx(y.year).toFixed(1)},${sy(y[field]).toFixed(1)}`).join(' ')}"/>`;
+    const be = analysis.breakEvenYear;
+
+    return `
+      <svg width="100%" viewBox="0 0 ${width} ${height}" style="display:block; font-size:9px;">
+        <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="#cbd5e1"/>
+        <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" stroke="#cbd5e1"/>
+        ${years.map(y => `<text x="${sx(y.year).toFixed(1)}" y="${height - pad.bottom + 11}" fill="#64748b" text-anchor="middle">${y.year}</text>`).join('')}
+        <text x="${(pad.left + width - pad.right) / 2}" y="${height - 3}" fill="#475569" text-anchor="middle">Year</text>
+        <text x="${pad.left - 3}" y="${height - pad.bottom}" fill="#64748b" text-anchor="end">${formatCurrency(0, currency)}</text>
+        <text x="${pad.left - 3}" y="${pad.top + 7}" fill="#64748b" text-anchor="end">${formatCurrency(yMax, currency)}</text>
+        ${be !== null ? `<line x1="${sx(be)}" y1="${pad.top}" x2="${sx(be)}" y2="${height - pad.bottom}" stroke="#16a34a" stroke-dasharray="3,3"/>
+          <text x="${sx(be) + 3}" y="${pad.top + 8}" fill="#16a34a">break-even</text>` : ''}
+        ${line('cumLease', '#2563eb')}
+        ${line('cumIru', '#7c3aed')}
+        <rect x="${pad.left + 8}" y="${pad.top + 2}" width="10" height="3" fill="#2563eb"/><text x="${pad.left + 22}" y="${pad.top + 6}" fill="#374151">Lease (cumulative)</text>
+        <rect x="${pad.left + 108}" y="${pad.top + 2}" width="10" height="3" fill="#7c3aed"/><text x="${pad.left + 122}" y="${pad.top + 6}" fill="#374151">IRU (cumulative)</text>
+      </svg>`;
+  }
+
+  function buildCashFlowExport(inputs, options, analysis) {
+    const round = v => Math.round(v * 100) / 100;
+    return {
+      fileName: `neximap_cashflow_${inputs.name.replace(/[^A-Za-z0-9-]/g, '_')}`,
+      sheets: [
+        {
+          name: 'Cash Flow',
+          headers: ['Year', 'Lease', 'IRU', 'Cumulative Lease', 'Cumulative IRU', 'PV Lease (cum.)', 'PV IRU (cum.)'],
+          rows: analysis.years.map(y => [y.year, round(y.lease), round(y.iru), round(y.cumLease), round(y.cumIru), round(y.pvLease), round(y.pvIru)])
+        },
+        {
+          name: 'Sensitivity',
+          headers: ['O&M increment % \\ Discount rate %', ...analysis.sensitivity.rates],
+          rows: analysis.sensitivity.increments.map((inc, i) => [inc, ...analysis.sensitivity.cells[i].map(round)])
+        },
+        {
+          name: 'Summary',
+          headers: ['Item', 'Value'],
+          rows: [
+            ['Name', inputs.name],
+            ['Tier', options.tier],
+            ['Horizon (years)', options.horizonYears],
+            ['Lease MRC escalator %', options.leaseEscalator],
+            ['Discount rate %', options.discountRate],
+            ['O&M increment %', options.oamIncrement],
+            ['Break-even year', analysis.breakEvenYear ?? 'none'],
+            ['Discounted break-even year', analysis.discountedBreakEvenYear ?? 'none'],
+            ['IRR of IRU vs lease %', analysis.irr === null ? 'n/a' : round(analysis.irr)],
+            ['NPV advantage of IRU', round(analysis.npvAdvantage)]
+          ]
+        }
+      ]
+    };
+  }
+
+  /**
+   * Open the cash-flow analysis for an edge, MLG or container.
+   * @param {string} kind - 'edge', 'mlg' or 'group'
+   * @param {Object} entity - The object to analyse
+   */
+  function showCashFlowDialog(kind, entity) {
+    document.getElementById('cashFlowModal')?.remove();
+    if (!entity) return;
+
+    const fin = state.financialSettings;
+    const currency = fin.baseCurrency || 'USD';
+    const startTier = kind === 'mlg' ? calculateMLGCosts(entity).tier : '10G';
+    const start = getCashFlowInputs(kind, entity, startTier);
+
+    const modal = document.createElement('div');
+    modal.id = 'cashFlowModal';
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.5); z-index: 10000;
+      display: flex; align-items: center; justify-content: center;
+    `;
+    modal.innerHTML = `
+      <div style="background:white; border-radius:8px; width:900px; max-width:95vw; height:720px; max-height:92vh; box-shadow:0 8px 32px rgba(0,0,0,0.3); display:flex; flex-direction:column;">
+        <div style="padding:16px 20px; border-bottom:1px solid #e0e0e0; font-size:16px; font-weight:600; color:#333; display:flex; justify-content:space-between; align-items:center;">
+          <span>📈 Lease vs IRU Cash Flow · ${escapeHtml(start.name)}</span>
+          <button id="cfClose" style="background:none; border:none; font-size:20px; cursor:pointer; color:#666;">×</button>
+        </div>
+        <div style="display:flex; flex-wrap:wrap; gap:12px; align-items:center; padding:10px 20px; border-bottom:1px solid #f0f0f0; background:#fafafa; font-size:12px;">
+          <label>Tier
+            <select id="cfTier">${QUOTE_TIERS.map(t => `<option value="${t}" ${t === startTier ? 'selected' : ''}>${t}</option>`).join('')}</select></label>
+          <label>Horizon <input type="number" id="cfHorizon" min="1" max="${start.iruTerm}" step="1" value="${start.iruTerm}" style="width:52px;"> yrs</label>
+          <label>MRC escalator <input type="number" id="cfEscalator" min="0" step="0.5" value="0" style="width:52px;"> %/yr</label>
+          <label>Discount rate <input type="number" id="cfDiscount" min="0" step="0.5" value="${fin.npvDiscountRate || 12.5}" style="width:52px;"> %</label>
+          <label>O&amp;M increment <input type="number" id="cfOamInc" min="0" step="0.5" value="${start.oamIncrement}" style="width:52px;"> %/yr</label>
+          <span style="flex:1;"></span>
+          <button class="btn" id="cfExport">⬇ XLSX</button>
+        </div>
+        <div id="cfBody" style="flex:1; overflow:auto; padding:12px 20px; font-size:12px;"></div>
+        <div style="padding:6px 20px 10px; font-size:10px; color:#6b7280; border-top:1px solid #f0f0f0;">
+          Year 0 carries the lease NRC and the IRU fee; later years carry 12 × MRC (escalated) and the IRU O&amp;M.
+          The horizon is capped at the IRU term. IRR is the return on paying the IRU fee upfront instead of leasing.
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const close = () => modal.remove();
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelector('#cfClose').addEventListener('click', close);
+
+    const num = (id, fallback) => {
+      const v = parseFloat(modal.querySelector(id).value);
+      return isFinite(v) ? v : fallback;
+    };
+    const run = () => {
+      const tier = modal.querySelector('#cfTier').value;
+      const inputs = getCashFlowInputs(kind, entity, tier);
+      const options = {
+        tier,
+        horizonYears: Math.min(inputs.iruTerm, Math.max(1, Math.round(num('#cfHorizon', inputs.iruTerm)))),
+        leaseEscalator: Math.max(0, num('#cfEscalator', 0)),
+        discountRate: Math.max(0, num('#cfDiscount', fin.npvDiscountRate || 12.5)),
+        oamIncrement: Math.max(0, num('#cfOamInc', inputs.oamIncrement))
+      };
+      return { inputs, options, analysis: analyzeLeaseVsIRU(inputs, options) };
+    };
+
+    const renderCashFlow = () => {
+      const { inputs, options, analysis } = run();
+      const money = v => formatCurrency(v, currency);
+      const stat = (label, value, color) => `
+        <div style="flex:1; padding:8px 10px; border:1px solid #e5e7eb; border-radius:6px;">
+          <div style="font-size:10px; color:#6b7280;">${label}</div>
+          <div style="font-size:15px; font-weight:700; color:${color || '#111827'};">${value}</div>
+        </div>`;
+      const adv = analysis.npvAdvantage;
+      const th = 'padding:4px 8px; text-align:right; font-weight:600; color:#374151; border-bottom:1px solid #e5e7eb; white-space:nowrap;';
+      const td = 'padding:3px 8px; text-align:right; border-bottom:1px solid #f3f4f6; white-space:nowrap;';
+      const sens = analysis.sensitivity;
+      const maxAbs = Math.max(...sens.cells.flat().map(Math.abs), 1);
+      const cellColor = v => v >= 0
+        ? `rgba(22,163,74,${(0.1 + 0.4 * v / maxAbs).toFixed(2)})`
+        : `rgba(220,38,38,${(0.1 + 0.4 * -v / maxAbs).toFixed(2)})`;
+
+      modal.querySelector('#cfBody').innerHTML = `
+        <div style="display:flex; gap:8px; margin-bottom:10px;">
+          ${stat('Lease', `${money(inputs.nrc)} NRC + ${money(inputs.mrc)}/mo`)}
+          ${stat('IRU', `${money(inputs.iruFee)} + ${inputs.oamPercent}% O&amp;M`)}
+          ${stat('Break-even year', analysis.breakEvenYear === null ? 'none' : analysis.breakEvenYear)}
+          ${stat('Discounted break-even', analysis.discountedBreakEvenYear === null ? 'none' : analysis.discountedBreakEvenYear)}
+          ${stat('IRR (IRU vs lease)', analysis.irr === null ? 'n/a' : `${analysis.irr.toFixed(1)}%`)}
+          ${stat(`NPV advantage @ ${options.discountRate}%`, `${adv >= 0 ? 'IRU ' : 'Lease '}${money(Math.abs(adv))}`, adv >= 0 ? '#7c3aed' : '#2563eb')}
+        </div>
+        <div style="padding:6px; background:#f8fafc; border:1px solid #e2e8f0; border-radius:6px; margin-bottom:12px;">
+          ${createCashFlowChart(analysis, currency)}
+        </div>
+        <div style="display:flex; gap:16px; align-items:flex-start;">
+          <table style="border-collapse:collapse; font-size:11px; flex:1;">
+            <thead><tr>
+              <th style="${th} text-align:left;">Year</th><th style="${th}">Lease</th><th style="${th}">IRU</th>
+              <th style="${th}">Cum. lease</th><th style="${th}">Cum. IRU</th><th style="${th}">PV lease</th><th style="${th}">PV IRU</th>
+            </tr></thead>
+            <tbody>${analysis.years.map(y => `<tr style="${y.year === analysis.breakEvenYear ? 'background:#f0fdf4;' : ''}">
+              <td style="${td} text-align:left;">${y.year}</td>
+              <td style="${td}">${money(y.lease)}</td><td style="${td}">${money(y.iru)}</td>
+              <td style="${td}">${money(y.cumLease)}</td><td style="${td}">${money(y.cumIru)}</td>
+              <td style="${td}">${money(y.pvLease)}</td><td style="${td}">${money(y.pvIru)}</td>
+            </tr>`).join('')}</tbody>
+          </table>
+          <div>
+            <div style="font-weight:600; color:#374151; margin-bottom:4px;">Sensitivity: IRU NPV advantage</div>
+            <table style="border-collapse:collapse; font-size:10px;">
+              <thead><tr><th style="${th} text-align:left;">O&amp;M inc. ↓ / rate →</th>${sens.rates.map(r => `<th style="${th}">${r}%</th>`).join('')}</tr></thead>
+              <tbody>${sens.increments.map((inc, i) => `<tr>
+                <td style="${td} text-align:left; font-weight:600;">${inc}%</td>
+                ${sens.cells[i].map((v, j) => `<td style="${td} background:${cellColor(v)}; ${inc === options.oamIncrement && sens.rates[j] === options.discountRate ? 'outline:2px solid #111827;' : ''}">${money(v)}</td>`).join('')}
+              </tr>`).join('')}</tbody>
+            </table>
+            <div style="font-size:10px; color:#6b7280; margin-top:4px;">Green: IRU cheaper in present value. Red: lease cheaper.</div>
+          </div>
+        </div>
+      `;
+    };
+
+    ['#cfTier', '#cfHorizon', '#cfEscalator', '#cfDiscount', '#cfOamInc'].forEach(id => {
+      modal.querySelector(id).addEventListener('change', renderCashFlow);
+    });
+    modal.querySelector('#cfExport').addEventListener('click', () => {
+      const { inputs, options, analysis } = run();
+      downloadTemplateAsCSV(buildCashFlowExport(inputs, options, analysis), 'xlsx');
+    });
+    renderCashFlow();
+  }
+
+  document.getElementById('btnEdgeCashFlow')?.addEventListener('click', () => {
+    if (state.selected?.type === 'edge') showCashFlowDialog('edge', findEdge(state.selected.id));
+  });
+  document.getElementById('btnGroupCashFlow')?.addEventListener('click', () => {
+    if (state.selected?.type === 'group') showCashFlowDialog('group', findGroup(state.selected.id));
+  });
+  document.getElementById('btnMLGCashFlow')?.addEventListener('click', () => {
+    showCashFlowDialog('mlg', mlgManagerState.tempGroup);
+  });
+
+  // ============== END LEASE VS IRU CASH FLOW ==============
+
   // =============================================
   // KML STUDIO INTEGRATION MODULE
   // =============================================
@@ -44079,6 +53698,7 @@ function handlePathKmlImport(e) {
           var nid2 = state.nodes[idx].id;
           state.nodes.splice(idx, 1);
           state.edges = state.edges.filter(function(e) { return e.a !== nid2 && e.b !== nid2; });
+          if (typeof pruneSrlgMembers === 'function') pruneSrlgMembers();
           if (typeof refreshAllMemberships === 'function') refreshAllMemberships();
           commit(); render();
           return { success: true };
@@ -44088,6 +53708,7 @@ function handlePathKmlImport(e) {
           var idx = state.edges.findIndex(function(e) { return String(e.id) === String(params.linkId); });
           if (idx < 0) return { success: false, error: 'Link not found: ' + params.linkId };
           state.edges.splice(idx, 1);
+          if (typeof pruneSrlgMembers === 'function') pruneSrlgMembers();
           commit(); render();
           return { success: true };
         }
@@ -44443,9 +54064,10 @@ function handlePathKmlImport(e) {
       var toolPromises = tool_calls.map(function(tc) {
         var result;
         if (tc.name === 'run_pathfinder') {
-          result = typeof runPathfinderHeadless === 'function'
-            ? runPathfinderHeadless(tc.params || {})
-            : { success: false, error: 'runPathfinderHeadless not available' };
+          // Runs in the route worker so long searches don't freeze the chat or canvas
+          result = typeof runPathfinderHeadlessAsync === 'function'
+            ? runPathfinderHeadlessAsync(tc.params || {})
+            : { success: false, error: 'runPathfinderHeadlessAsync not available' };
         } else if ([
           'create_node', 'create_link', 'edit_node', 'edit_link',
           'delete_node', 'delete_link', 'create_full_mesh',